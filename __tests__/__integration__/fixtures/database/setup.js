@@ -15,6 +15,10 @@ const fs = require('fs-extra');
 
 const User = require('./../../../../src/models/user');
 const Task = require('./../../../../src/models/task');
+const Tag = require('./../../../../src/models/tag');
+const Project = require('./../../../../src/models/project');
+const Throttle = require('./../../../../src/models/throttle');
+const Revision = require('./../../../../src/models/revision');
 
 const appConfig = require('./../../../../src/config/application/config');
 
@@ -67,7 +71,10 @@ const taskOne = {
     _id: new mongoose.Types.ObjectId(),
     description: 'First task',
     completed: false,
-    owner: userOneID
+    priority: 'high',
+    tags: ['work'],
+    owner: userOneID,
+    version: 0
 };
 
 // Tasks - Task Two
@@ -75,7 +82,10 @@ const taskTwo = {
     _id: new mongoose.Types.ObjectId(),
     description: 'Second task',
     completed: true,
-    owner: userOneID
+    priority: 'none',
+    tags: ['work', 'home'],
+    owner: userOneID,
+    version: 0
 };
 
 
@@ -84,6 +94,45 @@ const taskThree = {
     _id: new mongoose.Types.ObjectId(),
     description: 'Third task',
     completed: true,
+    priority: 'urgent',
+    tags: [],
+    owner: userOneID,
+    version: 0
+};
+
+/* -------------------- Fixture Data - Tags -------------------- */
+
+// Tags - Tag One
+const tagOne = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'work',
+    color: '#ff9800',
+    owner: userOneID
+};
+
+// Tags - Tag Two
+const tagTwo = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'home',
+    color: '#4caf50',
+    owner: userOneID
+};
+
+/* -------------------- Fixture Data - Projects -------------------- */
+
+// Projects - Project One
+const projectOne = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Thesis',
+    position: 0,
+    owner: userOneID
+};
+
+// Projects - Project Two
+const projectTwo = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Garden',
+    position: 1,
     owner: userOneID
 };
 
@@ -131,6 +180,18 @@ const configureDatabase = async () => {
     await new Task(taskOne).save();
     await new Task(taskTwo).save();
     await new Task(taskThree).save();
+
+    await Tag.deleteMany();
+    await new Tag(tagOne).save();
+    await new Tag(tagTwo).save();
+
+    await Project.deleteMany();
+    await new Project(projectOne).save();
+    await new Project(projectTwo).save();
+
+    await Throttle.deleteMany();
+
+    await Revision.deleteMany();
 };
 
 const configureBucket = async () => {
@@ -158,6 +219,11 @@ const getDefaultProperties = () => ({
         large: 'no-profile'
     },
     age: 0,
+    emailVerified: false,
+    timezone: 'UTC',
+    roles: ['user'],
+    disabled: false,
+    version: 0
 });
 
 module.exports = {
@@ -181,6 +247,10 @@ module.exports = {
     taskOne,
     taskTwo,
     taskThree,
+    tagOne,
+    tagTwo,
+    projectOne,
+    projectTwo,
     // Configuration
     configureDatabase,
     configureBucket,
@@ -0,0 +1,297 @@
+/*
+ * File: admin.test.js (__tests__/__integration__/src/api/routes/admin.test.js)
+ *
+ * Description: Houses Integration Test cases for the Admin Routes.
+ */
+
+const supertest = require('supertest');
+
+// Express Application
+const appFactory = require('./../../../../../src/app');
+
+// Custom Exceptions
+const {
+    AuthenticationError,
+    AuthorizationError,
+    ValidationError,
+    ResourceNotFoundError
+} = require('./../../../../../src/custom-exceptions/index');
+
+// Functions to configure server and database server connections.
+let agent, server, connection;
+const {
+    configureServerAndDatabaseConnectionForJestSetup,
+    tearDownServerAndDatabaseConnectionForJest
+} = require('./../../../fixtures/database/connection');
+
+// Awilix Dependency Injection Container
+// eslint-disable-next-line import/newline-after-import
+const containerFactory = require('./../../../../../src/container/container-factory');
+const container = containerFactory();
+
+// Models - User
+const User = require('./../../../../../src/models/user');
+
+// Data Fixtures
+const {
+    // Configuration Functions
+    configureDatabase,
+    // Fixture Data
+    userOne,
+    userTwo
+} = require('./../../../fixtures/database/setup');
+
+// User Two administers User One in these tests.
+const adminToken = userTwo.userTwoBody.tokens[0].token;
+const userToken = userOne.userOneBody.tokens[0].token;
+const userID = userOne.userOneBody._id.toString();
+
+/* ---------- Hooks ---------- */
+
+// Hooks - Before All
+beforeAll(async () => {
+    // Configure server and database connections.
+    // eslint-disable-next-line no-extra-semi
+    ;({ agent, server, connection } = await configureServerAndDatabaseConnectionForJestSetup(appFactory(container), supertest));
+});
+
+// Hooks - Before Each
+beforeEach(async () => {
+    await configureDatabase();
+    await User.updateOne({ _id: userTwo.userTwoBody._id }, { roles: ['user', 'admin'] });
+});
+
+// Hooks - After All
+afterAll(async () => {
+    await tearDownServerAndDatabaseConnectionForJest(connection, server);
+});
+
+/* ==================== Integration Test Cases ==================== */
+
+// GET /api/v1/admin/users
+describe('List Users', () => {
+    const ROUTE = '/api/v1/admin/users';
+
+    test('Should list every user without sensitive data for an administrator', async () => {
+        // Assert HTTP Response Status 200 OK.
+        const response = await agent
+            .get(`${ROUTE}?sortBy=name_desc`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.users.map(({ email }) => email)).toEqual([userOne.userOneBody.email, userTwo.userTwoBody.email]);
+        response.body.users.forEach(user => {
+            expect(user.password).toBeUndefined();
+            expect(user.tokens).toBeUndefined();
+        });
+    });
+
+    test('Should search names and email addresses, and filter by role', async () => {
+        const { body: { users: found } } = await agent
+            .get(`${ROUTE}?search=FEYNMAN`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        expect(found.map(({ _id }) => _id)).toEqual([userID]);
+
+        const { body: { users: admins } } = await agent
+            .get(`${ROUTE}?role=admin`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        expect(admins.map(({ _id }) => _id)).toEqual([userTwo.userTwoBody._id.toString()]);
+    });
+
+    test('Should return an HTTP 400 when sorting by a field that is not sortable', async () => {
+        await agent
+            .get(`${ROUTE}?sortBy=password_asc`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(400);
+    });
+
+    test('Should page the users, and return an HTTP 400 for a page size or offset that is not a whole number', async () => {
+        const { body: { users } } = await agent
+            .get(`${ROUTE}?sortBy=name_desc&limit=1&skip=1`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        expect(users.map(({ email }) => email)).toEqual([userTwo.userTwoBody.email]);
+
+        await Promise.all(['limit=abc', 'limit=0', 'skip=-1', 'skip=1.5'].map(query => agent
+            .get(`${ROUTE}?${query}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(400)));
+    });
+
+    test('Should return an HTTP 403 for a user without the permission', async () => {
+        // Assert HTTP Response Status 403 Forbidden.
+        const response = await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send()
+            .expect(403);
+
+        expect(response.body).toEqual({ error: new AuthorizationError().message });
+    });
+
+    test('Should return an HTTP 401 for an unauthenticated user', async () => {
+        const response = await agent
+            .get(ROUTE)
+            .send()
+            .expect(401);
+
+        expect(response.body).toEqual({ error: new AuthenticationError().message });
+    });
+});
+
+// GET /api/v1/admin/users/:id
+describe('Read Any User', () => {
+    test('Should find any user by ID', async () => {
+        const response = await agent
+            .get(`/api/v1/admin/users/${userID}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.user).toMatchObject({ _id: userID, email: userOne.userOneBody.email, roles: ['user'], disabled: false });
+    });
+
+    test('Should return an HTTP 404 for an unknown or malformed ID', async () => {
+        const response = await agent
+            .get('/api/v1/admin/users/not-an-id')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(404);
+
+        expect(response.body).toEqual({ error: new ResourceNotFoundError(null, 'user').message });
+    });
+});
+
+// POST /api/v1/admin/users/:id/disable, POST /api/v1/admin/users/:id/enable
+describe('Disable User', () => {
+    test('Should disable a user, ending his/her sessions and refusing logins until re-enabled', async () => {
+        const response = await agent
+            .post(`/api/v1/admin/users/${userID}/disable`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.user.disabled).toBe(true);
+
+        // Assert that the existing session no longer authenticates.
+        await agent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send()
+            .expect(401);
+
+        // Assert HTTP Response Status 403 Forbidden for the correct password.
+        const loginResponse = await agent
+            .post('/api/v1/users/login')
+            .send({ credentials: { email: userOne.userOneBody.email, password: userOne.passwordPlain } })
+            .expect(403);
+
+        expect(loginResponse.body).toEqual({ error: new AuthorizationError(null, 'This account has been disabled.').message });
+
+        // Re-enable the user and log in again.
+        await agent
+            .post(`/api/v1/admin/users/${userID}/enable`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        await agent
+            .post('/api/v1/users/login')
+            .send({ credentials: { email: userOne.userOneBody.email, password: userOne.passwordPlain } })
+            .expect(200);
+    });
+
+    test('Should not let an administrator disable his/her own account', async () => {
+        const response = await agent
+            .post(`/api/v1/admin/users/${userTwo.userTwoBody._id}/disable`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(400);
+
+        expect(response.body).toEqual({ error: new ValidationError(null, 'You cannot disable your own account.').message });
+    });
+});
+
+// POST /api/v1/admin/users/:id/logoutAll
+describe('Force Logout', () => {
+    test('Should log a user out of every session', async () => {
+        await agent
+            .post(`/api/v1/admin/users/${userID}/logoutAll`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        const user = await User.findById(userID);
+        expect(user.tokens.length).toBe(0);
+
+        // Assert that the administrator is still logged in.
+        await agent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+    });
+});
+
+// PUT /api/v1/admin/users/:id/roles
+describe('Assign Roles', () => {
+    test('Should replace the roles of a user, granting the permissions that come with them', async () => {
+        const response = await agent
+            .put(`/api/v1/admin/users/${userID}/roles`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ roles: ['user', 'admin'] })
+            .expect(200);
+
+        expect(response.body.user.roles).toEqual(['user', 'admin']);
+
+        // Assert that User One may now use the admin routes.
+        await agent
+            .get('/api/v1/admin/users')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send()
+            .expect(200);
+    });
+
+    test('Should return an HTTP 400 for a role that does not exist', async () => {
+        const response = await agent
+            .put(`/api/v1/admin/users/${userID}/roles`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ roles: ['owner'] })
+            .expect(400);
+
+        expect(response.body).toEqual({ error: new ValidationError(null, 'The role "owner" does not exist.').message });
+    });
+});
+
+// GET /api/v1/admin/users/:id/tasks
+describe('Read Any User\'s Tasks', () => {
+    test('Should list the tasks of any user', async () => {
+        const response = await agent
+            .get(`/api/v1/admin/users/${userID}/tasks?completed=true`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.tasks.length).toBe(2);
+        response.body.tasks.forEach(task => expect(task.owner).toEqual(userID));
+    });
+
+    test('Should return an HTTP 403 for a user without the permission', async () => {
+        await agent
+            .get(`/api/v1/admin/users/${userTwo.userTwoBody._id}/tasks`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .send()
+            .expect(403);
+    });
+});
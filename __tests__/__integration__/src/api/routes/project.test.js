@@ -0,0 +1,455 @@
+/*
+ * File: project.test.js (__tests__/__integration__/src/api/routes/project.test.js)
+ *
+ * Description: Houses Integration Test cases for the Project Routes, and for filtering tasks by project.
+ */
+
+const supertest = require('supertest');
+
+// Express Application
+const appFactory = require('./../../../../../src/app');
+
+// Custom Exceptions
+const {
+    AuthenticationError,
+    ValidationError,
+    ResourceNotFoundError
+} = require('./../../../../../src/custom-exceptions/index');
+
+// Functions to configure server and database server connections.
+let agent, server, connection;
+const {
+    configureServerAndDatabaseConnectionForJestSetup,
+    tearDownServerAndDatabaseConnectionForJest
+} = require('./../../../fixtures/database/connection');
+
+// Awilix Dependency Injection Container
+// eslint-disable-next-line import/newline-after-import
+const containerFactory = require('./../../../../../src/container/container-factory');
+const container = containerFactory();
+
+// Models
+const Project = require('./../../../../../src/models/project');
+const Task = require('./../../../../../src/models/task');
+
+// Data Fixtures
+const {
+    // Configuration Functions
+    configureDatabase,
+    // Fixture Data
+    userOne,
+    userTwo,
+    taskOne,
+    taskTwo,
+    taskThree,
+    projectOne,
+    projectTwo
+} = require('./../../../fixtures/database/setup');
+
+const userOneToken = userOne.userOneBody.tokens[0].token;
+const userTwoToken = userTwo.userTwoBody.tokens[0].token;
+
+/* ---------- Hooks ---------- */
+
+// Hooks - Before All
+beforeAll(async () => {
+    // Configure server and database connections.
+    // eslint-disable-next-line no-extra-semi
+    ;({ agent, server, connection } = await configureServerAndDatabaseConnectionForJestSetup(appFactory(container), supertest));
+});
+
+// Hooks - Before Each
+beforeEach(async () => {
+    await configureDatabase();
+
+    // Task one and two are in project one, and task three is in the inbox.
+    await Task.updateMany({ _id: { $in: [taskOne._id, taskTwo._id] } }, { projectId: projectOne._id });
+});
+
+// Hooks - After All
+afterAll(async () => {
+    await tearDownServerAndDatabaseConnectionForJest(connection, server);
+});
+
+/* ==================== Integration Test Cases ==================== */
+
+// POST /api/v1/projects
+describe('Create Project', () => {
+    const ROUTE = '/api/v1/projects';
+
+    test('Should create a project at the end of the list of projects', async () => {
+        // Assert HTTP Response Status 201 Created.
+        const response = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ project: { name: 'Taxes', position: 0 } })
+            .expect(201);
+
+        expect(response.body.project).toMatchObject({ name: 'Taxes', position: 2, archived: false, owner: userOne.userOneBody._id.toString() });
+        expect(await Project.findById(response.body.project._id)).not.toBe(null);
+
+        const { body } = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ project: { name: 'Taxes' } })
+            .expect(201);
+
+        expect(body.project.position).toBe(0);
+    });
+
+    test('Should not create a project without a name, or for an unauthenticated user', async () => {
+        await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ project: { name: ' ' } })
+            .expect(400);
+
+        const response = await agent
+            .post(ROUTE)
+            .send({ project: { name: 'Taxes' } })
+            .expect(401);
+
+        expect(response.body).toEqual({ error: new AuthenticationError().message });
+        expect(await Project.countDocuments({ owner: userTwo.userTwoBody._id })).toBe(0);
+    });
+});
+
+// GET /api/v1/projects, GET /api/v1/projects/:id
+describe('Read Projects', () => {
+    test('Should list the projects of the user in their order, optionally by whether they are archived', async () => {
+        await Project.updateOne({ _id: projectTwo._id }, { archived: true });
+
+        const response = await agent
+            .get('/api/v1/projects')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.projects.map(project => project.name)).toEqual(['Thesis', 'Garden']);
+
+        const { body } = await agent
+            .get('/api/v1/projects?archived=false')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(body.projects.map(project => project.name)).toEqual(['Thesis']);
+    });
+
+    test('Should return a project by ID only to its owner', async () => {
+        await agent
+            .get(`/api/v1/projects/${projectOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        const response = await agent
+            .get(`/api/v1/projects/${projectOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send()
+            .expect(404);
+
+        expect(response.body).toEqual({ error: new ResourceNotFoundError(null, 'project').message });
+    });
+
+    test('Should return an HTTP 404 for an invalid project ID, whether finding, updating, or deleting the project', async () => {
+        const error = { error: new ResourceNotFoundError(null, 'project').message };
+
+        const readResponse = await agent.get('/api/v1/projects/not-an-id').set('Authorization', `Bearer ${userOneToken}`).send().expect(404);
+        const updateResponse = await agent
+            .patch('/api/v1/projects/not-an-id')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { name: 'Thesis' } })
+            .expect(404);
+        const deleteResponse = await agent.delete('/api/v1/projects/not-an-id').set('Authorization', `Bearer ${userOneToken}`).send().expect(404);
+
+        [readResponse, updateResponse, deleteResponse].forEach(response => expect(response.body).toEqual(error));
+    });
+});
+
+// PATCH /api/v1/projects/:id, POST /api/v1/projects/reorder
+describe('Update Project', () => {
+    test('Should rename and archive a project', async () => {
+        const response = await agent
+            .patch(`/api/v1/projects/${projectOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { name: 'Dissertation', archived: true } })
+            .expect(200);
+
+        expect(response.body.project).toMatchObject({ name: 'Dissertation', archived: true });
+    });
+
+    test('Should not update a project with invalid updates, or one the user does not own', async () => {
+        const response = await agent
+            .patch(`/api/v1/projects/${projectOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { position: 5 } })
+            .expect(400);
+
+        expect(response.body).toEqual({ error: new ValidationError().message });
+
+        await agent
+            .patch(`/api/v1/projects/${projectOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ updates: { name: 'Stolen' } })
+            .expect(404);
+
+        expect((await Project.findById(projectOne._id)).name).toBe('Thesis');
+    });
+
+    test('Should reorder the projects of the user', async () => {
+        const response = await agent
+            .post('/api/v1/projects/reorder')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ projectIds: [projectTwo._id.toString()] })
+            .expect(200);
+
+        expect(response.body.projects.map(project => [project.name, project.position])).toEqual([['Garden', 0], ['Thesis', 1]]);
+        expect((await Project.findById(projectOne._id)).position).toBe(1);
+        expect((await Project.findById(projectTwo._id)).position).toBe(0);
+    });
+
+    test('Should not reorder the projects of another user', async () => {
+        await agent
+            .post('/api/v1/projects/reorder')
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ projectIds: [projectTwo._id.toString()] })
+            .expect(400);
+
+        expect((await Project.findById(projectTwo._id)).position).toBe(1);
+    });
+});
+
+// DELETE /api/v1/projects/:id
+describe('Delete Project', () => {
+    test('Should move the tasks of a deleted project to the inbox by default', async () => {
+        const response = await agent
+            .delete(`/api/v1/projects/${projectOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body).toEqual({ moved: 2 });
+        expect(await Project.findById(projectOne._id)).toBe(null);
+        expect(await Task.countDocuments({ owner: userOne.userOneBody._id, projectId: null })).toBe(3);
+    });
+
+    test('Should move the tasks of a deleted project to another project', async () => {
+        await agent
+            .delete(`/api/v1/projects/${projectOne._id.toString()}?tasks=move&moveTo=${projectTwo._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect((await Task.findById(taskOne._id)).projectId).toEqual(projectTwo._id);
+        expect((await Task.findById(taskThree._id)).projectId).toBeUndefined();
+    });
+
+    test('Should move the tasks of a deleted project to the trash, from which they are restored to the inbox', async () => {
+        const response = await agent
+            .delete(`/api/v1/projects/${projectOne._id.toString()}?tasks=delete`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body).toEqual({ deleted: 2 });
+        expect(await Task.find({ owner: userOne.userOneBody._id, deletedAt: null }).distinct('_id')).toEqual([taskThree._id]);
+
+        // Assert that the tasks show in the trash.
+        const trashResponse = await agent
+            .get('/api/v1/tasks/trash')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(trashResponse.body.tasks.map(({ _id }) => _id).sort()).toEqual([taskOne._id, taskTwo._id].map(String).sort());
+
+        // Assert that the deletion of each task is recorded in its history, as deleting it on its own would be.
+        const historyResponse = await agent
+            .get(`/api/v1/tasks/${taskOne._id.toString()}/history`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(historyResponse.body.revisions[0]).toMatchObject({
+            action: 'delete',
+            changes: expect.arrayContaining([{ field: 'projectId', from: projectOne._id.toString(), to: null }])
+        });
+        expect(await Project.findById(projectOne._id)).toBeNull();
+
+        const restoreResponse = await agent
+            .post(`/api/v1/tasks/${taskOne._id.toString()}/restore`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(restoreResponse.body.task).not.toHaveProperty('projectId');
+    });
+
+    test('Should not delete a project whose tasks can not be moved where asked, or that the user does not own', async () => {
+        await Project.updateOne({ _id: projectTwo._id }, { archived: true });
+
+        const response = await agent
+            .delete(`/api/v1/projects/${projectOne._id.toString()}?moveTo=${projectTwo._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(400);
+
+        expect(response.body).toEqual({ error: 'Tasks can not be moved to an archived project.' });
+
+        await agent
+            .delete(`/api/v1/projects/${projectOne._id.toString()}?tasks=archive`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(400);
+
+        await agent
+            .delete(`/api/v1/projects/${projectOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send()
+            .expect(404);
+
+        expect(await Project.findById(projectOne._id)).not.toBe(null);
+        expect(await Task.countDocuments({ projectId: projectOne._id })).toBe(2);
+    });
+});
+
+// GET /api/v1/tasks?project=, POST /api/v1/tasks, PATCH /api/v1/tasks/:id
+describe('Project Tasks', () => {
+    const getTaskIds = async (project) => {
+        const response = await agent
+            .get('/api/v1/tasks')
+            .query({ project, sortBy: 'description_asc' })
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        return response.body.tasks.map(task => task._id);
+    };
+
+    test('Should filter tasks by project, with the inbox holding tasks in no project', async () => {
+        expect(await getTaskIds(projectOne._id.toString())).toEqual([taskOne._id, taskTwo._id].map(String));
+        expect(await getTaskIds(projectTwo._id.toString())).toEqual([]);
+        expect(await getTaskIds('inbox')).toEqual([taskThree._id.toString()]);
+    });
+
+    test('Should return an HTTP 400 for an invalid project ID, whether filtering tasks by it or putting a task in it', async () => {
+        const filterResponse = await agent
+            .get('/api/v1/tasks?project=not-an-id')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(400);
+
+        expect(filterResponse.body).toEqual({ error: 'The "project" filter must be a project ID or "inbox".' });
+
+        const createResponse = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ task: { description: 'A task', projectId: 'not-an-id' } })
+            .expect(400);
+
+        expect(createResponse.body).toEqual({ error: 'The project does not exist.' });
+    });
+
+    test('Should create tasks in a project and move them between projects and the inbox', async () => {
+        const response = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ task: { description: 'Prune the roses', projectId: projectTwo._id.toString() } })
+            .expect(201);
+
+        expect(response.body.task.projectId).toBe(projectTwo._id.toString());
+
+        await agent
+            .patch(`/api/v1/tasks/${taskOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { projectId: null } })
+            .expect(200);
+
+        expect(await getTaskIds('inbox')).toEqual([taskOne._id, taskThree._id].map(String));
+    });
+
+    test('Should not put tasks in archived projects or the projects of other users', async () => {
+        await Project.updateOne({ _id: projectTwo._id }, { archived: true });
+
+        const response = await agent
+            .patch(`/api/v1/tasks/${taskThree._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { projectId: projectTwo._id.toString() } })
+            .expect(400);
+
+        expect(response.body).toEqual({ error: 'Tasks can not be added to an archived project.' });
+
+        await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ task: { description: 'A task', projectId: projectOne._id.toString() } })
+            .expect(400);
+
+        expect(await Task.countDocuments({ owner: userTwo.userTwoBody._id })).toBe(0);
+    });
+});
+
+// GET /api/v1/projects/:id/workflow, PUT /api/v1/projects/:id/workflow
+describe('Project Workflows', () => {
+    const workflow = [{ key: 'draft', name: 'Draft' }, { key: 'review', name: 'Review' }, { key: 'submitted', name: 'Submitted' }];
+
+    test('Should let a project define the workflow of its tasks, which show on its board', async () => {
+        await agent
+            .put(`/api/v1/projects/${projectOne._id.toString()}/workflow`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ workflow })
+            .expect(200);
+
+        const response = await agent
+            .get('/api/v1/tasks/board')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .query({ project: projectOne._id.toString() })
+            .send()
+            .expect(200);
+
+        expect(response.body.columns.map(({ key, tasks }) => [key, tasks.map(task => task._id)])).toEqual([
+            ['draft', [taskOne._id.toString()]],
+            ['review', []],
+            ['submitted', [taskTwo._id.toString()]]
+        ]);
+
+        // Moving a task out of the project makes it follow the workflow of the user.
+        const { body: { task } } = await agent
+            .patch(`/api/v1/tasks/${taskOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { status: 'review' } })
+            .expect(200);
+        expect(task.status).toBe('review');
+
+        await agent
+            .patch(`/api/v1/tasks/${taskOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { projectId: null } })
+            .expect(200);
+        expect(await Task.findById(taskOne._id)).toMatchObject({ status: 'todo', completed: false });
+    });
+
+    test('Should follow the workflow of the user in projects without their own, and not reach the projects of other users', async () => {
+        const response = await agent
+            .get(`/api/v1/projects/${projectTwo._id.toString()}/workflow`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.workflow.map(({ key }) => key)).toEqual(['todo', 'in-progress', 'blocked', 'done']);
+
+        await agent
+            .put(`/api/v1/projects/${projectOne._id.toString()}/workflow`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ workflow })
+            .expect(404);
+        await agent
+            .get(`/api/v1/projects/${projectOne._id.toString()}/workflow`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send()
+            .expect(404);
+
+        expect((await Project.findById(projectOne._id)).workflow).toBe(undefined);
+    });
+});
@@ -0,0 +1,241 @@
+/*
+ * File: tag.test.js (__tests__/__integration__/src/api/routes/tag.test.js)
+ *
+ * Description: Houses Integration Test cases for the Tag Routes.
+ */
+
+const supertest = require('supertest');
+
+// Express Application
+const appFactory = require('./../../../../../src/app');
+
+// Custom Exceptions
+const {
+    AuthenticationError,
+    ValidationError,
+    ResourceNotFoundError
+} = require('./../../../../../src/custom-exceptions/index');
+
+// Functions to configure server and database server connections.
+let agent, server, connection;
+const {
+    configureServerAndDatabaseConnectionForJestSetup,
+    tearDownServerAndDatabaseConnectionForJest
+} = require('./../../../fixtures/database/connection');
+
+// Awilix Dependency Injection Container
+// eslint-disable-next-line import/newline-after-import
+const containerFactory = require('./../../../../../src/container/container-factory');
+const container = containerFactory();
+
+// Models
+const Tag = require('./../../../../../src/models/tag');
+const Task = require('./../../../../../src/models/task');
+
+// Data Fixtures
+const {
+    // Configuration Functions
+    configureDatabase,
+    // Fixture Data
+    userOne,
+    userTwo,
+    taskOne,
+    taskTwo,
+    taskThree,
+    tagOne,
+    tagTwo
+} = require('./../../../fixtures/database/setup');
+
+const userOneToken = userOne.userOneBody.tokens[0].token;
+const userTwoToken = userTwo.userTwoBody.tokens[0].token;
+
+/* ---------- Hooks ---------- */
+
+// Hooks - Before All
+beforeAll(async () => {
+    // Configure server and database connections.
+    // eslint-disable-next-line no-extra-semi
+    ;({ agent, server, connection } = await configureServerAndDatabaseConnectionForJestSetup(appFactory(container), supertest));
+});
+
+// Hooks - Before Each
+beforeEach(async () => {
+    await configureDatabase();
+});
+
+// Hooks - After All
+afterAll(async () => {
+    await tearDownServerAndDatabaseConnectionForJest(connection, server);
+});
+
+/* ==================== Integration Test Cases ==================== */
+
+// POST /api/v1/tags
+describe('Create Tag', () => {
+    const ROUTE = '/api/v1/tags';
+
+    test('Should create a tag with the default color', async () => {
+        // Assert HTTP Response Status 201 Created.
+        const response = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ tag: { name: ' errands ' } })
+            .expect(201);
+
+        expect(response.body.tag).toMatchObject({ name: 'errands', color: '#9e9e9e', owner: userTwo.userTwoBody._id.toString() });
+        expect(await Tag.findById(response.body.tag._id)).not.toBe(null);
+    });
+
+    test('Should not create a tag with a name the user already has, but allow other users to use it', async () => {
+        const response = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ tag: { name: 'work' } })
+            .expect(400);
+
+        expect(response.body).toEqual({ error: 'You already have a tag with this name.' });
+
+        await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ tag: { name: 'work' } })
+            .expect(201);
+    });
+
+    test('Should not create a tag with an invalid name or color', async () => {
+        const invalidTags = [{}, { name: 'work,home' }, { name: 'work', color: 'orange' }];
+
+        await Promise.all(invalidTags.map(tag => agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ tag })
+            .expect(400)));
+
+        expect(await Tag.countDocuments({ owner: userTwo.userTwoBody._id })).toBe(0);
+    });
+
+    test('Should not create a tag for an unauthenticated user', async () => {
+        const response = await agent
+            .post(ROUTE)
+            .send({ tag: { name: 'errands' } })
+            .expect(401);
+
+        expect(response.body).toEqual({ error: new AuthenticationError().message });
+    });
+});
+
+// GET /api/v1/tags, GET /api/v1/tags/:id
+describe('Read Tags', () => {
+    test('Should list the tags of the user by name', async () => {
+        const response = await agent
+            .get('/api/v1/tags')
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.tags.map(tag => tag.name)).toEqual(['home', 'work']);
+
+        const { body } = await agent
+            .get('/api/v1/tags')
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send()
+            .expect(200);
+
+        expect(body).toEqual({ tags: [] });
+    });
+
+    test('Should return a tag by ID only to its owner', async () => {
+        const response = await agent
+            .get(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.tag).toMatchObject({ _id: tagOne._id.toString(), name: 'work', color: '#ff9800' });
+
+        const { body } = await agent
+            .get(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send()
+            .expect(404);
+
+        expect(body).toEqual({ error: new ResourceNotFoundError(null, 'tag').message });
+    });
+});
+
+// PATCH /api/v1/tags/:id
+describe('Update Tag', () => {
+    test('Should rename a tag on every task of the user that has it', async () => {
+        // A task of another user with a tag of the same name must not be renamed.
+        const otherTask = await new Task({ description: 'Not mine', tags: ['work'], owner: userTwo.userTwoBody._id }).save();
+
+        const response = await agent
+            .patch(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { name: 'office', color: '#FF5722' } })
+            .expect(200);
+
+        expect(response.body.tag).toMatchObject({ name: 'office', color: '#ff5722' });
+
+        expect((await Task.findById(taskOne._id)).tags.toObject()).toEqual(['office']);
+        expect((await Task.findById(taskTwo._id)).tags.toObject()).toEqual(['office', 'home']);
+        expect((await Task.findById(taskThree._id)).tags.toObject()).toEqual([]);
+        expect((await Task.findById(otherTask._id)).tags.toObject()).toEqual(['work']);
+    });
+
+    test('Should not rename a tag to the name of another tag of the user', async () => {
+        await agent
+            .patch(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { name: 'home' } })
+            .expect(400);
+
+        expect((await Tag.findById(tagOne._id)).name).toBe('work');
+        expect((await Task.findById(taskOne._id)).tags.toObject()).toEqual(['work']);
+    });
+
+    test('Should not update a tag with invalid updates, or one the user does not own', async () => {
+        const response = await agent
+            .patch(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send({ updates: { owner: userTwo.userTwoBody._id } })
+            .expect(400);
+
+        expect(response.body).toEqual({ error: new ValidationError().message });
+
+        await agent
+            .patch(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send({ updates: { name: 'stolen' } })
+            .expect(404);
+
+        expect((await Tag.findById(tagOne._id)).name).toBe('work');
+    });
+});
+
+// DELETE /api/v1/tags/:id
+describe('Delete Tag', () => {
+    test('Should delete a tag and remove it from every task of the user that has it', async () => {
+        await agent
+            .delete(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOneToken}`)
+            .send()
+            .expect(200);
+
+        expect(await Tag.findById(tagOne._id)).toBe(null);
+        expect((await Task.findById(taskOne._id)).tags.toObject()).toEqual([]);
+        expect((await Task.findById(taskTwo._id)).tags.toObject()).toEqual(['home']);
+        expect(await Tag.findById(tagTwo._id)).not.toBe(null);
+    });
+
+    test('Should not delete a tag the user does not own', async () => {
+        await agent
+            .delete(`/api/v1/tags/${tagOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userTwoToken}`)
+            .send()
+            .expect(404);
+
+        expect(await Tag.findById(tagOne._id)).not.toBe(null);
+        expect((await Task.findById(taskOne._id)).tags.toObject()).toEqual(['work']);
+    });
+});
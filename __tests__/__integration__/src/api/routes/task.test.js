@@ -15,7 +15,8 @@ const appFactory = require('./../../../../../src/app');
 const { 
     AuthenticationError,
     ValidationError,
-    ResourceNotFoundError 
+    ResourceNotFoundError,
+    PreconditionFailedError
 } = require('./../../../../../src/custom-exceptions/index');
 
 // Functions to configure server and database server connections.
@@ -31,6 +32,9 @@ const containerFactory = require('./../../../../../src/container/container-facto
 const container = containerFactory();
 
 
+// Utils
+const { getZonedDayRange } = require('./../../../../../src/utils/time-zone');
+
 // Models - User
 const Task = require('./../../../../../src/models/task');
 
@@ -94,6 +98,12 @@ describe('Create Task', () => {
         const expectedTask = {
             description: 'A task',
             completed: false,
+            priority: 'none',
+            tags: [],
+            status: 'todo',
+            statusHistory: [{ status: 'todo', enteredAt: expect.any(String) }],
+            position: 'i',
+            version: 0,
             owner: userOne.userOneBody._id.toString(),
             _id: expect.any(String)
         };
@@ -106,6 +116,31 @@ describe('Create Task', () => {
         expect(cleanDatabaseResultObject(response.body.task)).toEqual(expectedTask);
     });
 
+    test('Should ignore the fields of a task that only the server sets, creating it alone or in bulk', async () => {
+        const internalFields = { deletedAt: '2000-01-01T00:00:00.000Z', version: 41, checklist: [{ text: 'An item', checked: true }] };
+
+        const response = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'A task', ...internalFields } })
+            .expect(201);
+
+        const bulkResponse = await agent
+            .post(`${ROUTE}/bulk`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ operations: [{ action: 'create', task: { description: 'Another task', ...internalFields } }] })
+            .expect(200);
+
+        // Neither task is in the trash, where it would be left out of finding it, nor starts from the version or checklist the client sent.
+        const tasks = await Promise.all([response.body.task._id, bulkResponse.body.results[0].id].map(id => Task.findById(id)));
+
+        tasks.forEach((task) => {
+            expect(task.deletedAt).toBe(undefined);
+            expect(task.version).toBe(0);
+            expect(task.checklist).toHaveLength(0);
+        });
+    });
+
     test('Should return an HTTP 400 for invalid task data if a user is authenticated', async () => {
         // Assert HTTP Response Status 400 Bad Request.
         const response = await agent
@@ -226,197 +261,860 @@ describe('Read Tasks', () => {
     });
 });
 
-// PATCH /api/v1/tasks/:id
-describe('Update Task', () => {
-    const ROUTE = `/api/v1/tasks/${taskOne._id}`;
-    test('Should update task with valid updates for an authenticated user who owns the task', async () => {
-        // Assert HTTP Response Status 200 OK
+// POST /api/v1/tasks, PATCH /api/v1/tasks/:id, GET /api/v1/tasks?dueBefore=&dueAfter=&overdue=&dueToday=
+describe('Task Due Dates', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    test('Should create a task with a due date and a reminder', async () => {
+        const dueAt = new Date(Date.now() + 2 * HOUR).toISOString();
+        const remindAt = new Date(Date.now() + HOUR).toISOString();
+
+        // Assert HTTP Response Status 201 Created.
         const response = await agent
-            .patch(ROUTE)
+            .post('/api/v1/tasks')
             .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
-            .send({
-                updates: {
-                    completed: true
-                }
-            })
+            .send({ task: { description: 'A scheduled task', dueAt, remindAt } })
+            .expect(201);
+
+        // Assert that the dates were stored.
+        const task = await Task.findById(response.body.task._id);
+        expect(task.dueAt.toISOString()).toBe(dueAt);
+        expect(task.remindAt.toISOString()).toBe(remindAt);
+        expect(response.body.task).toMatchObject({ dueAt, remindAt });
+    });
+
+    test('Should not create a task with a reminder after its due date, or an invalid due date', async () => {
+        const response = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({ task: { description: 'A task', dueAt: new Date(Date.now() + HOUR), remindAt: new Date(Date.now() + 2 * HOUR) } })
+            .expect(400);
+
+        expect(response.body).toEqual({ error: 'A reminder can not be set after the task is due.' });
+
+        await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({ task: { description: 'A task', dueAt: 'next week' } })
+            .expect(400);
+
+        // Assert that there is no task in the database.
+        expect(await Task.findOne({ owner: userTwo.userTwoBody._id })).toBe(null);
+    });
+
+    test('Should validate a new reminder against the stored due date', async () => {
+        const dueAt = new Date(Date.now() + HOUR);
+        await Task.updateOne({ _id: taskOne._id }, { dueAt });
+
+        await agent
+            .patch(`/api/v1/tasks/${taskOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { remindAt: new Date(dueAt.getTime() + HOUR) } })
+            .expect(400);
+
+        const remindAt = new Date(dueAt.getTime() - HOUR / 2);
+        await agent
+            .patch(`/api/v1/tasks/${taskOne._id.toString()}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { remindAt } })
             .expect(200);
 
-        // Attempt to find the task in the database.
+        // Assert that only the valid reminder was stored.
         const task = await Task.findById(taskOne._id);
+        expect(task.remindAt).toEqual(remindAt);
+        expect(task.dueAt).toEqual(dueAt);
+    });
 
-        // Remove the timestamp and version fields.
-        const cleanTask = cleanDatabaseResultObject(task.toJSON());
-
-        // The expected result object.
-        const expectedTask = {
-            ...taskOne,
-            completed: true,
-            _id: taskOne._id.toString(),
-            owner: taskOne.owner.toString()
+    test('Should filter tasks by their due date', async () => {
+        // Task one is overdue, task two is completed but was due earlier, and task three is due in a week.
+        await Task.updateOne({ _id: taskOne._id }, { dueAt: new Date(Date.now() - HOUR) });
+        await Task.updateOne({ _id: taskTwo._id }, { dueAt: new Date(Date.now() - 2 * HOUR) });
+        await Task.updateOne({ _id: taskThree._id }, { dueAt: new Date(Date.now() + 7 * 24 * HOUR) });
+
+        const getTaskIds = async (query) => {
+            const response = await agent
+                .get('/api/v1/tasks')
+                .query({ ...query, sortBy: 'dueAt_asc' })
+                .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+                .send()
+                .expect(200);
+
+            return response.body.tasks.map(task => task._id);
         };
 
-        // Assert that the database contains the correct data.
-        expect(cleanTask).toEqual(expectedTask);
+        expect(await getTaskIds({ overdue: 'true' })).toEqual([taskOne._id.toString()]);
+        expect(await getTaskIds({ overdue: 'false' })).toEqual([taskTwo._id.toString(), taskThree._id.toString()]);
+        expect(await getTaskIds({ dueBefore: new Date().toISOString() })).toEqual([taskTwo._id.toString(), taskOne._id.toString()]);
+        expect(await getTaskIds({ dueAfter: new Date().toISOString(), completed: 'true' })).toEqual([taskThree._id.toString()]);
+        expect(await getTaskIds({ dueToday: 'false' })).toEqual(expect.arrayContaining([taskThree._id.toString()]));
 
-        // Assert that the response contains the correct daa.
-        expect(cleanDatabaseResultObject(response.body.task)).toEqual(expectedTask);
+        // Assert HTTP Response Status 400 Bad Request for a bound that is not a date.
+        await agent
+            .get('/api/v1/tasks')
+            .query({ dueBefore: 'tomorrow' })
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(400);
     });
 
-    test('Should not update a task with valid updates for an authenticated user who does not own the task', async () => {
-        // Assert HTTP Response Status 404 Resource Not Found
+    test('Should find the tasks due today in the time zone of the user', async () => {
+        // Task one is due at the last moment of the day in Honolulu, and task two at the first moment of the next.
+        const { end } = getZonedDayRange(new Date(), 'Pacific/Honolulu');
+        await Task.updateOne({ _id: taskOne._id }, { dueAt: new Date(end.getTime() - 1) });
+        await Task.updateOne({ _id: taskTwo._id }, { dueAt: end });
+
+        await agent
+            .patch('/api/v1/users/me')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { timezone: 'Pacific/Honolulu' } })
+            .expect(200);
+
         const response = await agent
-            .patch(ROUTE)
+            .get('/api/v1/tasks')
+            .query({ dueToday: 'true' })
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.tasks.map(task => task._id)).toEqual([taskOne._id.toString()]);
+    });
+});
+
+// POST /api/v1/tasks, PATCH /api/v1/tasks/:id, GET /api/v1/tasks?sortBy=
+describe('Task Priorities and Sorting', () => {
+    const getTaskIds = async (sortBy) => {
+        const response = await agent
+            .get('/api/v1/tasks')
+            .query({ sortBy })
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        return response.body.tasks.map(task => task._id);
+    };
+
+    test('Should create and update a task with a priority, and reject unknown priorities', async () => {
+        const response = await agent
+            .post('/api/v1/tasks')
             .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
-            .send({
-                updates: {
-                    completed: true
-                }
-            })
-            .expect(404);
-        
-        // Attempt to find the task in the database.
-        const task = await Task.findById(taskOne._id);
+            .send({ task: { description: 'An important task', priority: 'medium' } })
+            .expect(201);
 
-        // Remove the timestamp and version fields.
-        const cleanTask = cleanDatabaseResultObject(task.toJSON());
+        expect(response.body.task.priority).toBe('medium');
+        expect(response.body.task.priorityRank).toBeUndefined();
 
-        // The expected result object.
-        const expectedTask = {
-            ...taskOne,
-            completed: false,
-            _id: taskOne._id.toString(),
-            owner: taskOne.owner.toString()
-        };
+        await agent
+            .patch(`/api/v1/tasks/${response.body.task._id}`)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({ updates: { priority: 'critical' } })
+            .expect(400);
 
-        // Assert that the database remains unchanged.
-        expect(cleanTask).toEqual(expectedTask);
+        await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({ task: { description: 'Another task', priority: 'critical' } })
+            .expect(400);
 
-        // Assert that the response body contains the correct error message.
-        expect(response.body).toEqual({
-            error: new ResourceNotFoundError().message
-        });
+        // Assert that the valid priority was kept.
+        expect((await Task.findById(response.body.task._id)).priority).toBe('medium');
     });
 
-    test('Should not update a task with invalid updates for an authenticated user', async () => {
-        // Assert HTTP Response Status 400 Bad Request
-        const response = await agent
-            .patch(ROUTE)
+    test('Should sort by priority from lowest to highest rather than alphabetically, including changed priorities', async () => {
+        expect(await getTaskIds('priority_desc')).toEqual([taskThree._id, taskOne._id, taskTwo._id].map(String));
+
+        await agent
+            .patch(`/api/v1/tasks/${taskTwo._id.toString()}`)
             .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
-            .send({
-                updates: {
-                    completed: true,
-                    _id: 'bad-id'
-                }
-            })
-            .expect(400);
-        
-        // Attempt to find the task in the database.
-        const task = await Task.findById(taskOne._id);
+            .send({ updates: { priority: 'low' } })
+            .expect(200);
 
-        // Remove the timestamp and version fields.
-        const cleanTask = cleanDatabaseResultObject(task.toJSON());
+        expect(await getTaskIds('priority_asc')).toEqual([taskTwo._id, taskOne._id, taskThree._id].map(String));
+    });
 
-        // The expected result object.
-        const expectedTask = {
-            ...taskOne,
-            completed: false,
-            _id: taskOne._id.toString(),
-            owner: taskOne.owner.toString()
-        };
+    test('Should sort by several keys in order of precedence', async () => {
+        await Task.updateMany({}, { priority: 'high', priorityRank: 3 });
+        await Task.updateOne({ _id: taskTwo._id }, { dueAt: new Date('2019-08-01') });
+        await Task.updateOne({ _id: taskThree._id }, { dueAt: new Date('2019-08-01') });
 
-        // Assert that the database remains unchanged.
-        expect(cleanTask).toEqual(expectedTask);
+        expect(await getTaskIds('priority_desc,dueAt_desc,description_desc')).toEqual([taskThree._id, taskTwo._id, taskOne._id].map(String));
+    });
 
-        // Assert that the response body contains the correct error message.
-        expect(response.body).toEqual({
-            error: new ValidationError().message
+    test('Should reject unknown or malformed sort keys', async () => {
+        const responses = await Promise.all(['password_asc', 'priority_sideways', 'priority_asc,priority_desc'].map(sortBy => agent
+            .get('/api/v1/tasks')
+            .query({ sortBy })
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(400)));
+
+        expect(responses[0].body).toEqual({
+            error: 'Tasks can only be sorted by priority, dueAt, remindAt, description, completed, createdAt, updatedAt, position.'
         });
     });
+});
 
-    test('Should throw a ValidationError for an authenticated user who does not sound updates', async () => {
-        // Assert HTTP Response Status 400 Bad Request
+// POST /api/v1/tasks/:id/tags, DELETE /api/v1/tasks/:id/tags/:tag, GET /api/v1/tasks?tags=&tagsMatch=
+describe('Task Tags', () => {
+    const getTaskIds = async (query) => {
         const response = await agent
-            .patch(ROUTE)
+            .get('/api/v1/tasks')
+            .query({ ...query, sortBy: 'description_asc' })
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        return response.body.tasks.map(task => task._id);
+    };
+
+    test('Should filter tasks having any or all of the tags', async () => {
+        expect(await getTaskIds({ tags: 'work,home' })).toEqual([taskOne._id, taskTwo._id].map(String));
+        expect(await getTaskIds({ tags: 'home', tagsMatch: 'any' })).toEqual([taskTwo._id.toString()]);
+        expect(await getTaskIds({ tags: 'work, home', tagsMatch: 'all' })).toEqual([taskTwo._id.toString()]);
+        expect(await getTaskIds({ tags: 'work', completed: 'false' })).toEqual([taskOne._id.toString()]);
+
+        await agent
+            .get('/api/v1/tasks')
+            .query({ tags: 'work', tagsMatch: 'some' })
             .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
             .send()
             .expect(400);
-        
-        // Attempt to find the task in the database.
-        const task = await Task.findById(taskOne._id);
+    });
 
-        // Remove the timestamp and version fields.
-        const cleanTask = cleanDatabaseResultObject(task.toJSON());
+    test('Should add tags to a task, keeping those it has, and remove them', async () => {
+        const ROUTE = `/api/v1/tasks/${taskOne._id.toString()}/tags`;
 
-        // The expected result object.
-        const expectedTask = {
-            ...taskOne,
-            completed: false,
-            _id: taskOne._id.toString(),
-            owner: taskOne.owner.toString()
-        };
+        const response = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ tags: ['home', 'work'] })
+            .expect(200);
 
-        // Assert that the database remains unchanged.
-        expect(cleanTask).toEqual(expectedTask);
+        expect(response.body.task.tags).toEqual(['work', 'home']);
 
-        // Assert that the response body contains the correct error message.
-        expect(response.body).toEqual({
-            error: new ValidationError().message
-        });
+        const { body } = await agent
+            .delete(`${ROUTE}/work`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(body.task.tags).toEqual(['home']);
+        expect((await Task.findById(taskOne._id)).tags.toObject()).toEqual(['home']);
     });
 
-    test('Should not update a task for an unauthenticated user', async () => {
-        // Assert HTTP Response Status 401 Unauthorized.
+    test('Should not give a task tags the user does not have', async () => {
         const response = await agent
-            .patch(`/api/v1/tasks/${taskOne._id.toString()}`)
-            .send({
-                task: {
-                    description: 'A task'
-                }
-            })
-            .expect(401);
+            .post(`/api/v1/tasks/${taskThree._id.toString()}/tags`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ tags: ['work', 'hobbies'] })
+            .expect(400);
 
-        // Assert that the response body contains the correct error.
-        expect(response.body).toEqual({
-            error: new AuthenticationError().message
-        });
+        expect(response.body).toEqual({ error: 'You have no tags named "hobbies".' });
+
+        await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({ task: { description: 'A task', tags: ['work'] } })
+            .expect(400);
+
+        await agent
+            .patch(`/api/v1/tasks/${taskThree._id.toString()}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { tags: ['work', 'work'] } })
+            .expect(400);
+
+        expect((await Task.findById(taskThree._id)).tags.toObject()).toEqual([]);
     });
-});
 
-// DELETE /api/v1/tasks/:id
-describe('Delete Task', () => {
-    const ROUTE = `/api/v1/tasks/${taskOne._id}`;
-    test('Should correctly delete a task for an authenticated user who owns the task', async () => {
-        // Assert HTTP Response Status 200 OK
+    test('Should replace the tags of a task when updating it', async () => {
         await agent
-            .delete(ROUTE)
+            .patch(`/api/v1/tasks/${taskTwo._id.toString()}`)
             .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
-            .send()
+            .send({ updates: { tags: ['home'] } })
             .expect(200);
 
-        // Assert that the task no longer exists in the database.
-        const task = await Task.findById(taskOne._id);
-        expect(task).toBe(null);
+        expect((await Task.findById(taskTwo._id)).tags.toObject()).toEqual(['home']);
     });
 
-    test('Should not delete a task for an authenticated user who does not own the task', async () => {
-        // Assert HTTP Response Status 404 Resource Not Found
-        const response = await agent
-            .delete(ROUTE)
+    test('Should not change the tags of a task the user does not own', async () => {
+        await agent
+            .delete(`/api/v1/tasks/${taskOne._id.toString()}/tags/work`)
             .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
             .send()
             .expect(404);
 
-        // Assert that the task no longer exists in the database.
-        const task = await Task.findById(taskOne._id);
-        expect(task).not.toBe(null);
-
-        // Assert that the response body contains the correct error.
-        expect(response.body).toEqual({
-            error: new ResourceNotFoundError().message
-        });
+        expect((await Task.findById(taskOne._id)).tags.toObject()).toEqual(['work']);
     });
+});
 
-    test('Should not delete a task for an unauthenticated user', async () => {
+// GET /api/v1/tasks?q=
+describe('Task Search', () => {
+    const search = async (query) => {
+        const response = await agent
+            .get('/api/v1/tasks')
+            .query(query)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        return response.body.tasks;
+    };
+
+    // Searching needs the text index to have been built.
+    beforeAll(async () => {
+        await Task.init();
+    });
+
+    test('Should search the descriptions and tags of tasks, with highlighted snippets', async () => {
+        const [task] = await search({ q: 'second' });
+
+        expect(task._id).toBe(taskTwo._id.toString());
+        expect(task.search).toEqual({ score: expect.any(Number), snippet: 'Second task', highlights: [{ start: 0, end: 6 }] });
+
+        expect((await search({ q: 'home' })).map(({ _id }) => _id)).toEqual([taskTwo._id.toString()]);
+    });
+
+    test('Should support phrases and negation', async () => {
+        expect((await search({ q: '"third task"' })).map(({ _id }) => _id)).toEqual([taskThree._id.toString()]);
+        expect((await search({ q: 'task -first', sortBy: 'description' })).map(({ _id }) => _id)).toEqual([taskTwo._id, taskThree._id].map(String));
+    });
+
+    test('Should rank the most relevant tasks first, unless sorted otherwise', async () => {
+        const tasks = await search({ q: 'first work' });
+
+        expect(tasks.map(({ _id }) => _id)).toEqual([taskOne._id, taskTwo._id].map(String));
+        expect(tasks[0].search.score).toBeGreaterThan(tasks[1].search.score);
+
+        expect((await search({ q: 'first work', sortBy: 'description_desc' })).map(({ _id }) => _id)).toEqual([taskTwo._id, taskOne._id].map(String));
+    });
+
+    test('Should not search the tasks of other users, or sort by relevance without searching', async () => {
+        const response = await agent
+            .get('/api/v1/tasks')
+            .query({ q: 'task' })
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.tasks).toEqual([]);
+
+        await agent
+            .get('/api/v1/tasks')
+            .query({ sortBy: 'relevance' })
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(400);
+    });
+});
+
+// GET /api/v1/tasks?limit=&after=&before=&skip=&total=
+describe('Task Pagination', () => {
+    const readPage = query => agent
+        .get('/api/v1/tasks')
+        .query(query)
+        .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+        .send()
+        .expect(200);
+
+    test('Should page through tasks with cursors, linking to the next and previous pages', async () => {
+        const firstResponse = await readPage({ sortBy: 'description', limit: 2, total: 'true' });
+
+        expect(firstResponse.body.tasks.map(({ _id }) => _id)).toEqual([taskOne._id, taskTwo._id].map(String));
+        expect(firstResponse.body).toMatchObject({ hasMore: true, total: 3, prevCursor: null, nextCursor: expect.any(String) });
+        expect(firstResponse.headers.link).toMatch(/^<http:\/\/[^>]+\/api\/v1\/tasks\?sortBy=description&limit=2&total=true&after=[\w-]+>; rel="next"$/);
+
+        const secondResponse = await readPage({ sortBy: 'description', limit: 2, after: firstResponse.body.nextCursor });
+
+        expect(secondResponse.body.tasks.map(({ _id }) => _id)).toEqual([taskThree._id.toString()]);
+        expect(secondResponse.body).toMatchObject({ hasMore: false, nextCursor: null });
+        expect(secondResponse.body).not.toHaveProperty('total');
+        expect(secondResponse.headers.link).toMatch(/rel="prev"$/);
+
+        const previousResponse = await readPage({ sortBy: 'description', limit: 2, before: secondResponse.body.prevCursor });
+
+        expect(previousResponse.body.tasks.map(({ _id }) => _id)).toEqual([taskOne._id, taskTwo._id].map(String));
+        expect(previousResponse.body).toMatchObject({ hasMore: true, prevCursor: null, nextCursor: expect.any(String) });
+    });
+
+    test('Should return every task to clients that give neither a page size nor a cursor, as before the task list was paged', async () => {
+        await Task.insertMany(Array.from({ length: 25 }, (value, index) => ({ description: `Task ${index}`, owner: userOne.userOneBody._id })));
+
+        const response = await readPage({});
+
+        expect(response.body.tasks.length).toBe(28);
+        expect(response.body).toMatchObject({ hasMore: false, nextCursor: null, prevCursor: null });
+        expect(response.headers.link).toBeUndefined();
+    });
+
+    test('Should still skip tasks for compatibility', async () => {
+        const response = await readPage({ sortBy: 'description', limit: 1, skip: 1 });
+
+        expect(response.body.tasks.map(({ _id }) => _id)).toEqual([taskTwo._id.toString()]);
+        expect(response.body.hasMore).toBe(true);
+    });
+
+    test('Should not accept invalid page sizes, or cursors made for another sort', async () => {
+        const { body: { nextCursor } } = await readPage({ sortBy: 'description', limit: 1 });
+
+        const responses = await Promise.all([
+            { limit: 'abc' },
+            { limit: 0 },
+            { skip: -1 },
+            { sortBy: 'dueAt', after: nextCursor },
+            { after: 'not a cursor' }
+        ].map(query => agent
+            .get('/api/v1/tasks')
+            .query(query)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()));
+
+        responses.forEach(response => expect(response.status).toBe(400));
+        expect(responses[3].body).toEqual({ error: new ValidationError(null, 'The cursor was made for a different sort order.').message });
+    });
+});
+
+// POST /api/v1/tasks/bulk
+describe('Bulk Task Operations', () => {
+    const performBulkOperations = (body, token = userOne.userOneBody.tokens[0].token) => agent
+        .post('/api/v1/tasks/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    test('Should perform each operation on its own, reporting the outcome of each', async () => {
+        const response = await performBulkOperations({
+            operations: [
+                { action: 'create', task: { description: 'Water the plants' } },
+                { action: 'complete', id: taskOne._id.toString() },
+                { action: 'update', id: taskTwo._id.toString(), updates: { owner: userTwo.userTwoBody._id.toString() } },
+                { action: 'delete', id: taskThree._id.toString() }
+            ]
+        }).expect(200);
+
+        expect(response.body).toMatchObject({ succeeded: 3, failed: 1 });
+        expect(response.body.results.map(({ status }) => status)).toEqual(['succeeded', 'succeeded', 'failed', 'succeeded']);
+        expect(response.body.results[2]).toMatchObject({ statusCode: 400, error: new ValidationError().message });
+
+        // Assert that the database was changed by the operations that succeeded.
+        const createdTask = await Task.findById(response.body.results[0].id);
+        expect(createdTask.description).toBe('Water the plants');
+        expect(createdTask.owner.toString()).toBe(userOne.userOneBody._id.toString());
+
+        expect((await Task.findById(taskOne._id)).completed).toBe(true);
+        expect((await Task.findById(taskTwo._id)).owner.toString()).toBe(taskTwo.owner.toString());
+        expect(await Task.findById(taskThree._id)).toBe(null);
+    });
+
+    test('Should perform an action on the tasks matching a filter', async () => {
+        const response = await performBulkOperations({ filter: { completed: true }, action: 'delete' }).expect(200);
+
+        expect(response.body.results.map(({ id }) => id).sort()).toEqual([taskTwo._id, taskThree._id].map(String).sort());
+        expect(await Task.countDocuments({ owner: userOne.userOneBody._id })).toBe(1);
+    });
+
+    test('Should not act on the tasks of other users', async () => {
+        const response = await performBulkOperations({ operations: [{ action: 'delete', id: taskOne._id.toString() }] }, userTwo.userTwoBody.tokens[0].token)
+            .expect(200);
+
+        expect(response.body.results[0]).toMatchObject({ status: 'failed', statusCode: 404 });
+        expect(await Task.findById(taskOne._id)).not.toBe(null);
+
+        await performBulkOperations({ filter: { completed: true }, action: 'delete' }, userTwo.userTwoBody.tokens[0].token).expect(200);
+        expect(await Task.countDocuments({ owner: userOne.userOneBody._id })).toBe(3);
+    });
+
+    test('Should not perform any operation of an invalid request', async () => {
+        const response = await performBulkOperations({
+            operations: [{ action: 'delete', id: taskOne._id.toString() }, { action: 'archive', id: taskTwo._id.toString() }]
+        }).expect(400);
+
+        expect(response.body).toEqual({ error: 'The operation at index 1 must have an action of create, update, complete, delete.' });
+        expect(await Task.findById(taskOne._id)).not.toBe(null);
+
+        await performBulkOperations({ filter: {}, action: 'delete' }).expect(400);
+        await agent.post('/api/v1/tasks/bulk').send({ filter: { completed: true }, action: 'delete' }).expect(401);
+    });
+});
+
+// /api/v1/tasks/:id/checklist
+describe('Task Checklist', () => {
+    const ROUTE = `/api/v1/tasks/${taskOne._id.toString()}/checklist`;
+
+    const addItem = async (text) => {
+        const response = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ item: { text } })
+            .expect(201);
+
+        return response.body.task;
+    };
+
+    test('Should add, rename, check, reorder, and delete checklist items, counting the progress of the task', async () => {
+        await addItem('Outline');
+        const { checklist: [outline, draft] } = await addItem(' Draft ');
+
+        expect(draft.text).toBe('Draft');
+
+        const response = await agent
+            .patch(`${ROUTE}/${draft._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { text: 'First draft', checked: true } })
+            .expect(200);
+
+        expect(response.body.task.checklistProgress).toEqual({ checked: 1, total: 2 });
+
+        const { body } = await agent
+            .post(`${ROUTE}/reorder`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ itemIds: [draft._id] })
+            .expect(200);
+
+        expect(body.task.checklist.map(item => [item.text, item.checked])).toEqual([['First draft', true], ['Outline', false]]);
+
+        await agent
+            .delete(`${ROUTE}/${outline._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        const { body: { checklist } } = await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(checklist.map(item => item._id)).toEqual([draft._id]);
+    });
+
+    test('Should complete a task that follows its checklist once every item is checked, and reopen it once one is not', async () => {
+        await Task.updateOne({ _id: taskOne._id }, { completeWithChecklist: true });
+        const { checklist: [item] } = await addItem('Outline');
+
+        const response = await agent
+            .patch(`${ROUTE}/${item._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { checked: true } })
+            .expect(200);
+
+        expect(response.body.task).toMatchObject({ completed: true, checklistProgress: { checked: 1, total: 1 } });
+
+        expect((await addItem('Draft')).completed).toBe(false);
+        expect((await Task.findById(taskOne._id)).completed).toBe(false);
+    });
+
+    test('Should not add items without text, or change the checklist of a task the user does not own', async () => {
+        const response = await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ item: { text: ' ' } })
+            .expect(400);
+
+        expect(response.body).toEqual({ error: 'Checklist items must have text.' });
+
+        await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({ item: { text: 'Outline' } })
+            .expect(404);
+
+        const task = await Task.findById(taskOne._id);
+        expect(task.checklist).toBeUndefined();
+        expect(task.toJSON().checklistProgress).toBeUndefined();
+    });
+});
+
+// /api/v1/tasks/:id/recurrence
+describe('Task Recurrence', () => {
+    const createRecurringTask = async (rule) => {
+        const response = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'Take out the bins', dueAt: '2024-05-06T09:00:00.000Z', recurrence: { rule } } })
+            .expect(201);
+
+        return response.body.task;
+    };
+
+    const completeTask = async (id) => {
+        const response = await agent
+            .patch(`/api/v1/tasks/${id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { completed: true } })
+            .expect(200);
+
+        return response.body.task;
+    };
+
+    test('Should create a recurring task as the first occurrence of its series', async () => {
+        const task = await createRecurringTask('freq=weekly;byday=mo,th');
+
+        expect(task.recurrence).toEqual({ rule: 'FREQ=WEEKLY;BYDAY=MO,TH', seriesId: task._id, occurrence: 1 });
+    });
+
+    test('Should create the next occurrence once when completing a recurring task', async () => {
+        const task = await createRecurringTask('FREQ=WEEKLY;BYDAY=MO,TH');
+        const completedTask = await completeTask(task._id);
+
+        const nextTask = await Task.findById(completedTask.recurrence.nextTaskId);
+        expect(nextTask.toJSON()).toMatchObject({
+            description: 'Take out the bins',
+            completed: false,
+            dueAt: new Date('2024-05-09T09:00:00.000Z'),
+            recurrence: { occurrence: 2 }
+        });
+        expect(nextTask.recurrence.seriesId.toString()).toBe(task._id);
+
+        await completeTask(task._id);
+        expect(await Task.countDocuments({ 'recurrence.seriesId': task._id })).toBe(2);
+    });
+
+    test('Should skip an occurrence of a recurring task', async () => {
+        const task = await createRecurringTask('FREQ=MONTHLY;BYDAY=-1MO');
+
+        const response = await agent
+            .post(`/api/v1/tasks/${task._id}/recurrence/skip`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.task).toMatchObject({ dueAt: '2024-05-27T09:00:00.000Z', recurrence: { occurrence: 2 } });
+        expect(await Task.countDocuments({ 'recurrence.seriesId': task._id })).toBe(1);
+    });
+
+    test('Should stop a series, so that completing its open task creates no more occurrences', async () => {
+        const task = await createRecurringTask('FREQ=DAILY');
+        const { recurrence: { nextTaskId } } = await completeTask(task._id);
+
+        const response = await agent
+            .delete(`/api/v1/tasks/${task._id}/recurrence`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        // The completed task keeps a record of its series.
+        expect(response.body.task.recurrence.nextTaskId).toBe(nextTaskId);
+
+        const nextTask = await completeTask(nextTaskId);
+        expect(nextTask.recurrence).toBeUndefined();
+        expect(await Task.countDocuments({ owner: userOne.userOneBody._id })).toBe(5);
+    });
+
+    test('Should not create recurring tasks without a due date or with an invalid rule, or skip tasks that do not recur', async () => {
+        await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'A task', recurrence: { rule: 'FREQ=DAILY' } } })
+            .expect(400);
+
+        await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'A task', dueAt: '2024-05-06T09:00:00.000Z', recurrence: { rule: 'FREQ=HOURLY' } } })
+            .expect(400);
+
+        const response = await agent
+            .post(`/api/v1/tasks/${taskOne._id.toString()}/recurrence/skip`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(400);
+
+        expect(response.body).toEqual({ error: 'The task does not recur.' });
+    });
+});
+
+// PATCH /api/v1/tasks/:id
+describe('Update Task', () => {
+    const ROUTE = `/api/v1/tasks/${taskOne._id}`;
+    test('Should update task with valid updates for an authenticated user who owns the task', async () => {
+        // Assert HTTP Response Status 200 OK
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({
+                updates: {
+                    completed: true
+                }
+            })
+            .expect(200);
+
+        // Attempt to find the task in the database.
+        const task = await Task.findById(taskOne._id);
+
+        // Remove the timestamp and version fields.
+        const cleanTask = cleanDatabaseResultObject(task.toJSON());
+
+        // The expected result object.
+        const expectedTask = {
+            ...taskOne,
+            completed: true,
+            status: 'done',
+            statusHistory: [{ status: 'done', enteredAt: expect.any(String) }],
+            version: 1,
+            _id: taskOne._id.toString(),
+            owner: taskOne.owner.toString()
+        };
+
+        // Assert that the database contains the correct data.
+        expect(cleanTask).toEqual(expectedTask);
+
+        // Assert that the response contains the correct daa.
+        expect(cleanDatabaseResultObject(response.body.task)).toEqual(expectedTask);
+    });
+
+    test('Should not update a task with valid updates for an authenticated user who does not own the task', async () => {
+        // Assert HTTP Response Status 404 Resource Not Found
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({
+                updates: {
+                    completed: true
+                }
+            })
+            .expect(404);
+        
+        // Attempt to find the task in the database.
+        const task = await Task.findById(taskOne._id);
+
+        // Remove the timestamp and version fields.
+        const cleanTask = cleanDatabaseResultObject(task.toJSON());
+
+        // The expected result object.
+        const expectedTask = {
+            ...taskOne,
+            completed: false,
+            _id: taskOne._id.toString(),
+            owner: taskOne.owner.toString()
+        };
+
+        // Assert that the database remains unchanged.
+        expect(cleanTask).toEqual(expectedTask);
+
+        // Assert that the response body contains the correct error message.
+        expect(response.body).toEqual({
+            error: new ResourceNotFoundError().message
+        });
+    });
+
+    test('Should not update a task with invalid updates for an authenticated user', async () => {
+        // Assert HTTP Response Status 400 Bad Request
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({
+                updates: {
+                    completed: true,
+                    _id: 'bad-id'
+                }
+            })
+            .expect(400);
+        
+        // Attempt to find the task in the database.
+        const task = await Task.findById(taskOne._id);
+
+        // Remove the timestamp and version fields.
+        const cleanTask = cleanDatabaseResultObject(task.toJSON());
+
+        // The expected result object.
+        const expectedTask = {
+            ...taskOne,
+            completed: false,
+            _id: taskOne._id.toString(),
+            owner: taskOne.owner.toString()
+        };
+
+        // Assert that the database remains unchanged.
+        expect(cleanTask).toEqual(expectedTask);
+
+        // Assert that the response body contains the correct error message.
+        expect(response.body).toEqual({
+            error: new ValidationError().message
+        });
+    });
+
+    test('Should throw a ValidationError for an authenticated user who does not sound updates', async () => {
+        // Assert HTTP Response Status 400 Bad Request
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(400);
+        
+        // Attempt to find the task in the database.
+        const task = await Task.findById(taskOne._id);
+
+        // Remove the timestamp and version fields.
+        const cleanTask = cleanDatabaseResultObject(task.toJSON());
+
+        // The expected result object.
+        const expectedTask = {
+            ...taskOne,
+            completed: false,
+            _id: taskOne._id.toString(),
+            owner: taskOne.owner.toString()
+        };
+
+        // Assert that the database remains unchanged.
+        expect(cleanTask).toEqual(expectedTask);
+
+        // Assert that the response body contains the correct error message.
+        expect(response.body).toEqual({
+            error: new ValidationError().message
+        });
+    });
+
+    test('Should not update a task for an unauthenticated user', async () => {
+        // Assert HTTP Response Status 401 Unauthorized.
+        const response = await agent
+            .patch(`/api/v1/tasks/${taskOne._id.toString()}`)
+            .send({
+                task: {
+                    description: 'A task'
+                }
+            })
+            .expect(401);
+
+        // Assert that the response body contains the correct error.
+        expect(response.body).toEqual({
+            error: new AuthenticationError().message
+        });
+    });
+});
+
+// DELETE /api/v1/tasks/:id
+describe('Delete Task', () => {
+    const ROUTE = `/api/v1/tasks/${taskOne._id}`;
+    test('Should correctly delete a task for an authenticated user who owns the task', async () => {
+        // Assert HTTP Response Status 200 OK
+        await agent
+            .delete(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        // Assert that the task is no longer found, having been moved to the trash.
+        expect(await Task.findById(taskOne._id)).toBe(null);
+        expect((await Task.findOne({ _id: taskOne._id, deletedAt: { $ne: null } })).deletedAt).toEqual(expect.any(Date));
+    });
+
+    test('Should not delete a task for an authenticated user who does not own the task', async () => {
+        // Assert HTTP Response Status 404 Resource Not Found
+        const response = await agent
+            .delete(ROUTE)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send()
+            .expect(404);
+
+        // Assert that the task no longer exists in the database.
+        const task = await Task.findById(taskOne._id);
+        expect(task).not.toBe(null);
+
+        // Assert that the response body contains the correct error.
+        expect(response.body).toEqual({
+            error: new ResourceNotFoundError().message
+        });
+    });
+
+    test('Should not delete a task for an unauthenticated user', async () => {
         // Assert HTTP Response Status 401 Unauthorized.
         const response = await agent
             .delete(ROUTE)
@@ -432,4 +1130,445 @@ describe('Delete Task', () => {
             error: new AuthenticationError().message
         });
     });
-});
\ No newline at end of file
+});
+
+// /api/v1/tasks/trash, POST /api/v1/tasks/:id/restore
+describe('Task Trash', () => {
+    const trashTask = task => agent
+        .delete(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+        .send()
+        .expect(200);
+
+    test('Should list trashed tasks in the trash only, the most recently trashed first', async () => {
+        await trashTask(taskOne);
+        await Task.updateOne({ _id: taskOne._id }, { deletedAt: new Date(Date.now() - 60 * 60 * 1000) });
+        await trashTask(taskTwo);
+
+        const response = await agent
+            .get('/api/v1/tasks/trash')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.tasks.map(({ _id }) => _id)).toEqual([taskTwo._id, taskOne._id].map(String));
+        expect(new Date(response.body.tasks[0].purgeAt).getTime()).toBeGreaterThan(Date.now());
+
+        // Assert that trashed tasks are left out of the task list, and can't be found, updated, or trashed again.
+        const listResponse = await agent
+            .get('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(listResponse.body.tasks.map(({ _id }) => _id)).toEqual([taskThree._id.toString()]);
+
+        await agent.get(`/api/v1/tasks/${taskOne._id}`).set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`).send().expect(404);
+        await agent
+            .patch(`/api/v1/tasks/${taskOne._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { completed: true } })
+            .expect(404);
+        await agent.delete(`/api/v1/tasks/${taskOne._id}`).set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`).send().expect(404);
+    });
+
+    test('Should restore a task from the trash', async () => {
+        await trashTask(taskOne);
+
+        const response = await agent
+            .post(`/api/v1/tasks/${taskOne._id}/restore`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.task).not.toHaveProperty('deletedAt');
+        expect(await Task.findById(taskOne._id)).not.toBe(null);
+
+        // Assert that tasks outside of the trash, or of other users, can't be restored.
+        await agent.post(`/api/v1/tasks/${taskOne._id}/restore`).set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`).send().expect(404);
+
+        await trashTask(taskTwo);
+        await agent.post(`/api/v1/tasks/${taskTwo._id}/restore`).set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`).send().expect(404);
+    });
+
+    test('Should empty the trash, deleting the trashed tasks for good', async () => {
+        await trashTask(taskOne);
+
+        const response = await agent
+            .delete('/api/v1/tasks/trash')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.body).toEqual({ deleted: 1 });
+        expect(await Task.findOne({ _id: taskOne._id, deletedAt: { $ne: null } })).toBe(null);
+        expect(await Task.countDocuments({ owner: userOne.userOneBody._id })).toBe(2);
+    });
+
+    test('Should purge the tasks that have been in the trash for longer than the retention period', async () => {
+        await Task.updateOne({ _id: taskOne._id }, { deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+        await Task.updateOne({ _id: taskTwo._id }, { deletedAt: new Date() });
+
+        expect(await container.createScope().resolve('taskService').purgeExpiredTrash()).toBe(1);
+        expect(await Task.findOne({ _id: taskOne._id, deletedAt: { $ne: null } })).toBe(null);
+        expect(await Task.findOne({ _id: taskTwo._id, deletedAt: { $ne: null } })).not.toBe(null);
+    });
+});
+
+// /api/v1/tasks/:id/history
+describe('Task History', () => {
+    const updateTask = (task, updates) => agent
+        .patch(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+        .send({ updates })
+        .expect(200);
+
+    const getHistory = task => agent
+        .get(`/api/v1/tasks/${task._id}/history`)
+        .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+        .send()
+        .expect(200);
+
+    test('Should record who changed a task, and how, the most recent change first', async () => {
+        await updateTask(taskOne, { description: 'Draft the report' });
+        await updateTask(taskOne, { completed: true });
+
+        const { body: { revisions } } = await getHistory(taskOne);
+
+        expect(revisions.map(({ action }) => action)).toEqual(['complete', 'update']);
+        expect(revisions[1]).toMatchObject({
+            actor: userOne.userOneBody._id.toString(),
+            changes: [{ field: 'description', from: 'First task', to: 'Draft the report' }],
+            snapshot: { description: 'Draft the report', completed: false, priority: 'high' }
+        });
+        expect(revisions[1]).toHaveProperty('createdAt');
+
+        // Assert that creating and deleting tasks are recorded too.
+        const { body: { task } } = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'Water the plants' } })
+            .expect(201);
+
+        await agent.delete(`/api/v1/tasks/${task._id}`).set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`).send().expect(200);
+        await agent.post(`/api/v1/tasks/${task._id}/restore`).set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`).send().expect(200);
+
+        expect((await getHistory(task)).body.revisions.map(({ action }) => action)).toEqual(['restore', 'delete', 'create']);
+    });
+
+    test('Should roll a task back to a previous revision', async () => {
+        await updateTask(taskOne, { description: 'Draft the report', priority: 'low' });
+        await updateTask(taskOne, { description: 'Send the report' });
+
+        const { body: { revisions: [, draftRevision] } } = await getHistory(taskOne);
+
+        const response = await agent
+            .post(`/api/v1/tasks/${taskOne._id}/history/${draftRevision._id}/restore`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.body.task).toMatchObject({ description: 'Draft the report', priority: 'low' });
+
+        const { body: { revisions: [rollback] } } = await getHistory(taskOne);
+        expect(rollback).toMatchObject({
+            action: 'rollback',
+            restoredRevisionId: draftRevision._id,
+            changes: [{ field: 'description', from: 'Send the report', to: 'Draft the report' }]
+        });
+    });
+
+    test('Should not show or roll back the history of tasks of other users', async () => {
+        await updateTask(taskOne, { description: 'Draft the report' });
+        const { body: { revisions: [revision] } } = await getHistory(taskOne);
+
+        await agent.get(`/api/v1/tasks/${taskOne._id}/history`).set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`).send().expect(404);
+        await agent
+            .post(`/api/v1/tasks/${taskOne._id}/history/${revision._id}/restore`)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send()
+            .expect(404);
+
+        // Assert that a revision of one task can't roll back another.
+        await agent
+            .post(`/api/v1/tasks/${taskThree._id}/history/${revision._id}/restore`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(404);
+        await agent
+            .post(`/api/v1/tasks/${taskOne._id}/history/not-an-id/restore`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(404);
+    });
+});
+
+// GET, PATCH, DELETE /api/v1/tasks/:id with If-None-Match and If-Match
+describe('Task Versions', () => {
+    const ROUTE = `/api/v1/tasks/${taskOne._id}`;
+
+    test('Should expose the version of a task as its ETag, and respond with 304 if the client has the current version', async () => {
+        const response = await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.headers.etag).toBe('"0"');
+
+        await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-None-Match', '"0"')
+            .send()
+            .expect(304);
+    });
+
+    test('Should update a task at the version in If-Match, and refuse an update of a version another client changed since', async () => {
+        // Both clients read version 0. The first one to update it wins.
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"0"')
+            .send({ updates: { description: 'Draft the report' } })
+            .expect(200);
+
+        expect(response.headers.etag).toBe('"1"');
+        expect(response.body.task).toMatchObject({ description: 'Draft the report', version: 1 });
+
+        const staleResponse = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"0"')
+            .send({ updates: { description: 'Send the report' } })
+            .expect(412);
+
+        expect(staleResponse.body).toEqual({ error: new PreconditionFailedError().message });
+
+        // Assert that the update of the first client was kept.
+        const task = await Task.findById(taskOne._id);
+        expect(task).toMatchObject({ description: 'Draft the report', version: 1 });
+
+        // A client that has seen the change may update the task again, as may one that doesn't ask for a version.
+        await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-None-Match', '"0"')
+            .send()
+            .expect(200);
+        await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"1"')
+            .send({ updates: { description: 'Send the report' } })
+            .expect(200);
+        await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { completed: true } })
+            .expect(200);
+    });
+
+    test('Should only delete a task at the version in If-Match', async () => {
+        await agent
+            .delete(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"3"')
+            .send()
+            .expect(412);
+
+        expect(await Task.findById(taskOne._id)).not.toBe(null);
+
+        await agent
+            .delete(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"0"')
+            .send()
+            .expect(200);
+    });
+});
+
+// POST /api/v1/tasks/:id/move, GET /api/v1/tasks?sortBy=position
+describe('Task Ordering', () => {
+    const moveTask = (task, anchors) => agent
+        .post(`/api/v1/tasks/${task._id}/move`)
+        .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+        .send(anchors);
+
+    const getTaskIdsInOrder = async () => {
+        const response = await agent
+            .get('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .query({ sortBy: 'position' })
+            .send()
+            .expect(200);
+
+        return response.body.tasks.map(task => task._id);
+    };
+
+    test('Should move tasks before and after other tasks, and keep new tasks at the end', async () => {
+        // The fixture tasks have no positions yet, so the first move gives them positions in the order they were created.
+        const response = await moveTask(taskOne, { after: taskThree._id.toString() }).expect(200);
+
+        expect(response.body.task).toMatchObject({ _id: taskOne._id.toString() });
+        expect(typeof response.body.task.position).toBe('string');
+        expect(await getTaskIdsInOrder()).toEqual([taskTwo._id, taskThree._id, taskOne._id].map(String));
+
+        await moveTask(taskOne, { before: taskThree._id.toString() }).expect(200);
+        await moveTask(taskTwo, { after: taskThree._id.toString() }).expect(200);
+
+        const { body: { task } } = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'Water the plants' } })
+            .expect(201);
+
+        expect(await getTaskIdsInOrder()).toEqual([taskOne._id, taskThree._id, taskTwo._id, task._id].map(String));
+
+        // Assert that the positions stayed short.
+        const tasks = await Task.find({ owner: userOne.userOneBody._id }).sort({ position: 1 });
+        expect(tasks.map(({ position }) => position.length).every(length => length <= 2)).toBe(true);
+    });
+
+    test('Should not move a task without exactly one other task of the user to move it next to', async () => {
+        await moveTask(taskOne, {}).expect(400);
+        await moveTask(taskOne, { before: taskTwo._id.toString(), after: taskThree._id.toString() }).expect(400);
+        await moveTask(taskOne, { after: taskOne._id.toString() }).expect(400);
+        await moveTask(taskOne, { after: 'not-an-id' }).expect(400);
+
+        const response = await moveTask({ _id: '5d5b3b6d8a1c2e0017b7f0a1' }, { after: taskOne._id.toString() }).expect(404);
+        expect(response.body).toEqual({ error: new ResourceNotFoundError().message });
+
+        expect(await Task.countDocuments({ position: { $ne: null } })).toBe(0);
+    });
+
+    test('Should not move a task of another user', async () => {
+        await agent
+            .post(`/api/v1/tasks/${taskOne._id}/move`)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({ after: taskTwo._id.toString() })
+            .expect(404);
+    });
+});
+
+// GET /api/v1/tasks/board, GET /api/v1/tasks/workflow, PUT /api/v1/tasks/workflow
+describe('Task Workflows', () => {
+    const updateTask = (task, updates) => agent
+        .patch(`/api/v1/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+        .send({ updates });
+
+    const getBoard = async () => {
+        const response = await agent
+            .get('/api/v1/tasks/board')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        return response.body.columns.map(({ key, tasks, total }) => ({ key, taskIds: tasks.map(task => task._id), total }));
+    };
+
+    test('Should move tasks through the statuses of the default workflow, keeping completed in step', async () => {
+        // The fixture tasks have no status yet, and are in the first or last status by whether they are completed.
+        expect(await getBoard()).toEqual([
+            { key: 'todo', taskIds: [taskOne._id.toString()], total: 1 },
+            { key: 'in-progress', taskIds: [], total: 0 },
+            { key: 'blocked', taskIds: [], total: 0 },
+            { key: 'done', taskIds: [taskTwo._id, taskThree._id].map(String), total: 2 }
+        ]);
+
+        await updateTask(taskOne, { status: 'in-progress' }).expect(200);
+        const response = await updateTask(taskOne, { status: 'blocked' }).expect(200);
+        expect(response.body.task).toMatchObject({ status: 'blocked', completed: false });
+
+        // Blocked tasks have to be unblocked before they are done, but completing them moves them to the last status regardless.
+        const blockedResponse = await updateTask(taskOne, { status: 'done' }).expect(400);
+        expect(blockedResponse.body).toEqual({ error: 'Tasks can not move from "blocked" to "done".' });
+
+        await updateTask(taskOne, { completed: true }).expect(200);
+        await updateTask(taskTwo, { completed: false }).expect(200);
+
+        const task = await Task.findById(taskOne._id);
+        expect(task).toMatchObject({ status: 'done', completed: true });
+        expect(task.statusHistory.map(({ status }) => status)).toEqual(['in-progress', 'blocked', 'done']);
+
+        expect(await getBoard()).toEqual([
+            { key: 'todo', taskIds: [taskTwo._id.toString()], total: 1 },
+            { key: 'in-progress', taskIds: [], total: 0 },
+            { key: 'blocked', taskIds: [], total: 0 },
+            { key: 'done', taskIds: [taskOne._id, taskThree._id].map(String), total: 2 }
+        ]);
+    });
+
+    test('Should create tasks in the first status, or the one they are given, and record status changes in their history', async () => {
+        const { body: { task } } = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'Water the plants', status: 'in-progress' } })
+            .expect(201);
+
+        expect(task).toMatchObject({ status: 'in-progress', completed: false, statusHistory: [{ status: 'in-progress' }] });
+
+        await updateTask(task, { status: 'done' }).expect(200);
+
+        const { body: { revisions } } = await agent
+            .get(`/api/v1/tasks/${task._id}/history`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(revisions[0]).toMatchObject({
+            action: 'complete',
+            changes: [{ field: 'completed', from: false, to: true }, { field: 'status', from: 'in-progress', to: 'done' }]
+        });
+
+        await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ task: { description: 'Water the plants', status: 'shipped' } })
+            .expect(400);
+    });
+
+    test('Should let the user define the workflow of their tasks, and return to the default workflow', async () => {
+        const workflow = [
+            { key: 'backlog', name: 'Backlog', transitions: ['doing'] },
+            { key: 'doing', name: 'Doing' },
+            { key: 'shipped', name: 'Shipped' }
+        ];
+
+        const response = await agent
+            .put('/api/v1/tasks/workflow')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ workflow })
+            .expect(200);
+
+        expect(response.body).toEqual({ workflow });
+        expect((await getBoard()).map(({ key, total }) => [key, total])).toEqual([['backlog', 1], ['doing', 0], ['shipped', 2]]);
+
+        await updateTask(taskOne, { status: 'shipped' }).expect(400);
+        await updateTask(taskOne, { status: 'doing' }).expect(200);
+
+        await agent
+            .put('/api/v1/tasks/workflow')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ workflow: [{ key: 'Backlog' }, { key: 'shipped' }] })
+            .expect(400);
+
+        await agent
+            .put('/api/v1/tasks/workflow')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ workflow: null })
+            .expect(200);
+
+        const { body } = await agent
+            .get('/api/v1/tasks/workflow')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(body.workflow.map(({ key }) => key)).toEqual(['todo', 'in-progress', 'blocked', 'done']);
+
+        // Tasks in a status the workflow no longer has are in the first or last status by whether they are completed.
+        expect((await getBoard()).map(({ key, total }) => [key, total])).toEqual([['todo', 1], ['in-progress', 0], ['blocked', 0], ['done', 2]]);
+    });
+});
@@ -12,6 +12,7 @@ const jwt = require('jsonwebtoken');
 const awsMock = require('mock-aws-s3');
 const sizeOf = require('buffer-image-size');
 const fs = require('fs-extra');
+const crypto = require('crypto');
 const appConfig = require('./../../../../../src/config/application/config');
 
 const ABSOLUTE_URL_PREFIX = `http://${appConfig.cloudStorage.buckets.getMainBucket()}.s3.us-west-2.amazonaws.com`;
@@ -22,8 +23,11 @@ const appFactory = require('./../../../../../src/app');
 // Custom Exceptions
 const { 
     AuthenticationError,
+    AuthorizationError,
     ValidationError,
-    ResourceNotFoundError 
+    ResourceNotFoundError,
+    TooManyAttemptsError,
+    PreconditionFailedError
 } = require('./../../../../../src/custom-exceptions/index');
 
 // Functions to configure server and database server connections.
@@ -41,6 +45,16 @@ const container = containerFactory();
 // Models - User
 const User = require('./../../../../../src/models/user');
 
+// Models - Throttle
+const Throttle = require('./../../../../../src/models/throttle');
+
+// Used to compute the codes an authenticator app would show.
+const TwoFactorService = require('./../../../../../src/services/TwoFactorService');
+
+// Used to load a keyring of signing keys, and to verify tokens with the keys published from it.
+const { loadSigningKeyring } = require('./../../../../../src/utils/signing-keys');
+const { toPublicKeyPEM } = require('./../../../../../src/utils/jwk');
+
 // Data Fixtures
 const {
     // Configuration Functions
@@ -68,6 +82,11 @@ const bcryptMock = {
     hash: () => Promise.resolve('hashed-password')
 };
 // #endregion
+// #region Mail Transport Mock (captures outgoing mail instead of printing it)
+const mailTransportMock = {
+    send: jest.fn(() => Promise.resolve())
+};
+// #endregion
 // #endregion
 
 const basePath = `${__dirname}/../../../../../tmp/buckets`;
@@ -145,7 +164,8 @@ describe('User Sign Up', () => {
 
     let localAgent;
     const { beforeAllSetup, afterAllTeardown } = setupLocalContainerAndServer({
-        bcrypt: awilix.asValue(bcryptMock)
+        bcrypt: awilix.asValue(bcryptMock),
+        mailTransport: awilix.asValue(mailTransportMock)
     });
 
     // eslint-disable-next-line no-return-assign
@@ -156,7 +176,7 @@ describe('User Sign Up', () => {
     const userBody = {
         name: 'Alan Turing',
         email: 'alan@domain.com',
-        password: 'Turing-Completeness',
+        password: 'Universal-Machine',
     };
 
     test('Should sign up a user correctly (mocked password hashing)', async () => {
@@ -169,9 +189,9 @@ describe('User Sign Up', () => {
         // Attempt to find the user in the database.
         const user = await User.findById(response.body.user._id);
 
-        // Remove timestamp, version and token fields from user object.
+        // Remove timestamp, version, token and email verification fields from user object.
         // eslint-disable-next-line no-unused-vars
-        const { tokens, ...cleanUser } = cleanDatabaseResultObject(user.toJSON());
+        const { tokens, emailVerification, ...cleanUser } = cleanDatabaseResultObject(user.toJSON());
 
         // The expected user result object.
         const expectedUser = {
@@ -189,12 +209,19 @@ describe('User Sign Up', () => {
         expect(user.tokens.length).toBe(1);
         expect(jwt.verify(user.tokens[0].token, process.env.JWT_SECRET)).toMatchObject({ _id: response.body.user._id });
 
+        // Assert that the email address is unverified and that a verification token was emailed, of which only the hash was stored.
+        expect(cleanUser.emailVerified).toBe(false);
+        expect(mailTransportMock.send).toHaveBeenCalledTimes(1);
+        expect(mailTransportMock.send.mock.calls[0][0]).toMatchObject({ to: userBody.email.toLowerCase(), subject: 'Verify your email address' });
+        expect(mailTransportMock.send.mock.calls[0][0].text).not.toContain(emailVerification.token);
+
         // Assert that the response contains the correct data.
         // It's safe mutate the expectedUser object here.
         delete expectedUser.password;
         expect(response.body).toEqual({
             user: expect.any(Object),
-            token: tokens[0].token
+            token: tokens[0].token,
+            refreshToken: expect.stringMatching(new RegExp(`^${tokens[0].family}\\.`))
         });
         expect(cleanDatabaseResultObject(response.body.user)).toEqual({
             ...expectedUser,
@@ -247,6 +274,37 @@ describe('User Sign Up', () => {
         });
     });
 
+    test('Should not sign up a user whose password breaks the password policy, saying which rules it broke', async () => {
+        // Assert HTTP Response Status 400 Bad Request
+        const response = await agent
+            .post(ROUTE)
+            .send({
+                user: {
+                    ...userBody,
+                    password: 'turing'
+                }
+            })
+            .expect(400);
+
+        // Assert that no data was added to the database.
+        expect(await User.findOne({ email: userBody.email })).toBe(null);
+
+        // Assert that the response lists the broken rules.
+        expect(response.body.error).toContain('The password must be at least 8 characters long.');
+        expect(response.body.details.map(({ rule }) => rule)).toEqual(['minLength', 'characterClasses', 'personalInformation']);
+
+        // Assert that common passwords are rejected too.
+        const commonPasswordResponse = await agent
+            .post(ROUTE)
+            .send({ user: { ...userBody, password: 'Password123' } })
+            .expect(400);
+
+        expect(commonPasswordResponse.body).toEqual({
+            error: 'The password is too common, or has appeared in a data breach.',
+            details: [{ rule: 'commonPassword', message: 'The password is too common, or has appeared in a data breach.' }]
+        });
+    });
+
     test('Should not sign up a user with an invalid email', async () => {
         // Assert HTTP Response Status 400 Bad Request
         const response = await agent
@@ -292,17 +350,18 @@ describe('User Login', () => {
         // Remove the timestamp and version from the user object.
         const cleanUser = cleanDatabaseResultObject(user.toJSON());
 
-        // The s result object.
+        // The s result object. The fixture's password was hashed at a lower bcrypt cost than configured, so it was re-hashed.
         const expectedUser = {
             ...getDefaultProperties(),
             ...userOne.userOneBody,
             _id: userOne.userOneBody._id.toString(),
-            password: userOne.passwordHashed,
+            password: expect.stringMatching(new RegExp(`^\\$2[aby]\\$${appConfig.authentication.passwordHashing.bcrypt.getCost()}\\$`)),
             tokens: expect.any(Array),
         };
 
         // Assert that the user contains the correct data.
         expect(cleanUser).toEqual(expectedUser);
+        expect(cleanUser.password).not.toEqual(userOne.passwordHashed);
 
         // Assert that the tokens are correct.
         expect(cleanUser.tokens.length).toBe(2);
@@ -315,7 +374,8 @@ describe('User Login', () => {
         delete expectedUser.tokens;
         expect(response.body).toEqual({
             user: expect.any(Object),
-            token: cleanUser.tokens[1].token
+            token: cleanUser.tokens[1].token,
+            refreshToken: expect.any(String)
         });
         expect(cleanDatabaseResultObject(response.body.user)).toEqual({
             ...expectedUser,
@@ -365,11 +425,27 @@ describe('User Login', () => {
         delete expectedUser.tokens;
         expect(response.body).toEqual({
             user: expect.any(Object),
-            token: cleanUser.tokens[1].token
+            token: cleanUser.tokens[1].token,
+            refreshToken: expect.any(String)
         });
         expect(cleanDatabaseResultObject(response.body.user)).toEqual(expectedUser);
     });
 
+    test('Should keep accepting the password after re-hashing it, without re-hashing it again', async () => {
+        const login = () => agent
+            .post(ROUTE)
+            .send({ credentials: { email: userOne.userOneBody.email, password: userOne.passwordPlain } })
+            .expect(200);
+
+        await login();
+        const { password: upgradedHash } = await User.findById(userOne.userOneBody._id);
+
+        await login();
+        const { password } = await User.findById(userOne.userOneBody._id);
+
+        expect(password).toEqual(upgradedHash);
+    });
+
     test('Should not login an nonexistent user', async () => {
         // The fake credentials.
         const credentials = {
@@ -407,6 +483,96 @@ describe('User Login', () => {
     });
 });
 
+// POST /api/v1/users/token/refresh
+describe('Refresh Access Token', () => {
+    const ROUTE = '/api/v1/users/token/refresh';
+
+    // Log in to attain a session with a refresh token.
+    const login = async () => (await agent
+        .post('/api/v1/users/login')
+        .send({ credentials: { email: userOne.userOneBody.email, password: userOne.passwordPlain } })
+        .expect(200)).body;
+
+    test('Should rotate the tokens of a session for a current refresh token', async () => {
+        const { token, refreshToken } = await login();
+
+        // Assert HTTP Response Status 200 OK.
+        const response = await agent
+            .post(ROUTE)
+            .send({ refreshToken })
+            .expect(200);
+
+        // Assert that a new token pair was issued.
+        expect(response.body).toEqual({
+            user: expect.any(Object),
+            token: expect.any(String),
+            refreshToken: expect.any(String)
+        });
+        expect(response.body.refreshToken).not.toEqual(refreshToken);
+
+        // Assert that the session was rotated in place rather than a new one added.
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.tokens.length).toBe(2);
+        expect(user.tokens[1].token).toEqual(response.body.token);
+
+        // Assert that the rotated-out access token no longer authenticates.
+        await agent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${token}`)
+            .send()
+            .expect(401);
+    });
+
+    test('Should revoke the whole token family when a refresh token is reused', async () => {
+        const { refreshToken } = await login();
+
+        // Rotate once legitimately.
+        const { body: rotated } = await agent.post(ROUTE).send({ refreshToken }).expect(200);
+
+        // Assert HTTP Response Status 401 Unauthorized when the old refresh token is replayed.
+        const response = await agent
+            .post(ROUTE)
+            .send({ refreshToken })
+            .expect(401);
+
+        expect(response.body).toEqual({
+            error: new AuthenticationError().message
+        });
+
+        // Assert that the session was revoked, so neither the new access token nor the new refresh token works.
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.tokens.length).toBe(1);
+        await agent.post(ROUTE).send({ refreshToken: rotated.refreshToken }).expect(401);
+        await agent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${rotated.token}`)
+            .send()
+            .expect(401);
+    });
+
+    test('Should return an HTTP 401 for a malformed refresh token', async () => {
+        const response = await agent
+            .post(ROUTE)
+            .send({ refreshToken: 'not-a-refresh-token' })
+            .expect(401);
+
+        expect(response.body).toEqual({
+            error: new AuthenticationError().message
+        });
+    });
+
+    test('Should return an HTTP 400 if no refresh token is sent', async () => {
+        const response = await agent
+            .post(ROUTE)
+            .send()
+            .expect(400);
+
+        expect(response.body).toEqual({
+            error: new ValidationError().message
+        });
+    });
+});
+
 // POST /api/v1/users/logout
 describe('User Logout of Session', () => {
     const ROUTE = '/api/v1/users/logout';
@@ -489,11 +655,18 @@ describe('User Logout of all Sessions', () => {
     });
 });
 
-// GET /api/v1/users/me
-describe('Read User Profile', () => {
-    const ROUTE = '/api/v1/users/me';
-    test('Should correctly return user profile information for an authenticated user', async () => {
-        // Assert HTTP Response Status 200 OK
+// GET /api/v1/users/me/sessions
+describe('List User Sessions', () => {
+    const ROUTE = '/api/v1/users/me/sessions';
+    test('Should list the sessions of an authenticated user without their tokens and flag the current session', async () => {
+        // Log in from a second device.
+        await agent
+            .post('/api/v1/users/login')
+            .set('User-Agent', 'second-device')
+            .send({ credentials: { email: userOne.userOneBody.email, password: userOne.passwordPlain } })
+            .expect(200);
+
+        // Assert HTTP Response Status 200 OK.
         const response = await agent
             .get(ROUTE)
             .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
@@ -501,168 +674,950 @@ describe('Read User Profile', () => {
             .expect(200);
 
         // Assert that the response contains the correct data.
-        expect(response.body).toEqual({ user: expect.any(Object) });
-        expect(cleanDatabaseResultObject(response.body.user)).toEqual({
-            ...getDefaultProperties(),
-            ...Object.keys(userOne.userOneBody) // It's ugly but it works, so I'll take it. - Jamie.
-                .filter(key => key !== 'tokens' && key !== 'password')
-                .reduce((obj, key) => ({ ...obj, [key]: userOne.userOneBody[key] }), {}),
-            _id: userOne.userOneBody._id.toString(),
-            avatarPaths: {
-                original: `${ABSOLUTE_URL_PREFIX}/${userOne.userOneBody.avatarPaths.original}`,
-                small: `${ABSOLUTE_URL_PREFIX}/${userOne.userOneBody.avatarPaths.small}`,
-                large: `${ABSOLUTE_URL_PREFIX}/${userOne.userOneBody.avatarPaths.large}`,
-            }
+        expect(response.body.sessions.length).toBe(2);
+        response.body.sessions.forEach(session => {
+            expect(session).not.toHaveProperty('token');
+            expect(session).not.toHaveProperty('refreshToken');
         });
+        expect(response.body.sessions[0]).toMatchObject({ current: true, createdAt: expect.any(String), lastUsedAt: expect.any(String) });
+        expect(response.body.sessions[1]).toMatchObject({ current: false, userAgent: 'second-device', ipAddress: expect.any(String) });
     });
 
-    test('Avatar paths should be formatted for a user with a valid Bearer Token that does have an uploaded avatar', async () => {
-        // Assert HTTP Response Status 200 OK.
-            const response = await agent
+    test('Should not list sessions for an unauthenticated user', async () => {
+        // Assert HTTP Response Status 401 Unauthorized.
+        const response = await agent
             .get(ROUTE)
-            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
             .send()
-            .expect(200);
-
-        // The expected result object.
-        const expectedUser = {
-            ...getDefaultProperties(),
-            ...userTwo.userTwoBody,
-            _id: userTwo.userTwoBody._id.toString(),
-            password: userTwo.passwordHashed,
-            tokens: expect.any(Array),
-            avatarPaths: {
-                original: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_original.jpg`,
-                small: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_small.jpg`,
-                large: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_large.jpg`,
-            }
-        };
+            .expect(401);
 
-        // Assert that the response contains the correct data.
-        // It's safe mutate the expectedUser object here.
-        delete expectedUser.password;
-        delete expectedUser.tokens;
         expect(response.body).toEqual({
-            user: expect.any(Object)
+            error: new AuthenticationError().message
         });
-        expect(cleanDatabaseResultObject(response.body.user)).toEqual(expectedUser);
     });
+});
 
-    test('Should not return profile information for an unauthenticated user', async () => {
-        // Assert HTTP Response Status 401 Unauthorized
-        const response = await agent
-            .get(ROUTE)
+// DELETE /api/v1/users/me/sessions/:sessionId
+describe('Revoke User Session', () => {
+    test('Should revoke a single session without affecting the others', async () => {
+        // Log in from a second device.
+        const { body: { token } } = await agent
+            .post('/api/v1/users/login')
+            .send({ credentials: { email: userOne.userOneBody.email, password: userOne.passwordPlain } })
+            .expect(200);
+
+        const { tokens } = await User.findById(userOne.userOneBody._id);
+
+        // Assert HTTP Response Status 200 OK.
+        await agent
+            .delete(`/api/v1/users/me/sessions/${tokens[1]._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        // Assert that only the second session was removed.
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.tokens.length).toBe(1);
+        expect(user.tokens[0].token).toEqual(userOne.userOneBody.tokens[0].token);
+
+        // Assert that the revoked session's token no longer authenticates.
+        await agent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${token}`)
             .send()
             .expect(401);
+    });
+
+    test('Should return an HTTP 404 for a session the user does not have', async () => {
+        const { tokens } = await User.findById(userTwo.userTwoBody._id);
+
+        // Assert HTTP Response Status 404 Not Found.
+        const response = await agent
+            .delete(`/api/v1/users/me/sessions/${tokens[0]._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(404);
 
-        // Assert that the response contains the correct error.
         expect(response.body).toEqual({
-            error: new AuthenticationError().message
+            error: new ResourceNotFoundError(null, 'session').message
         });
+
+        // Assert that the other user's session was left untouched.
+        const userTwoAfter = await User.findById(userTwo.userTwoBody._id);
+        expect(userTwoAfter.tokens.length).toBe(1);
     });
 });
 
-describe('Update User Profile', () => {
-    const ROUTE = '/api/v1/users/me';
-
+// POST /api/v1/users/password/forgot, POST /api/v1/users/password/reset
+describe('Password Reset', () => {
     let localAgent;
     const { beforeAllSetup, afterAllTeardown } = setupLocalContainerAndServer({
-        bcrypt: awilix.asValue(bcryptMock)
+        mailTransport: awilix.asValue(mailTransportMock)
     });
 
     // eslint-disable-next-line no-return-assign
     beforeAll(done => localAgent = beforeAllSetup(done));
     afterAll(done => afterAllTeardown(done));
 
-    test('Should update a user profile if the updates are valid and the user is authenticated', async () => {
-        // Requested valid updates.
-        const updates = {
-            name: 'New Name',
-            email: 'newemail@domain.com',
-            age: 18,
-        };
-        
-        // Assert HTTP Response Status 200 OK.
-        const response = await agent
-            .patch(ROUTE)
-            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
-            .send({ updates })
+    // Requests a reset for userOne and returns the token from the email that was sent.
+    const requestResetToken = async () => {
+        await localAgent
+            .post('/api/v1/users/password/forgot')
+            .send({ email: userOne.userOneBody.email })
             .expect(200);
 
-        // Attempt to find the user in the database.
-        const user = await User.findById(userOne.userOneBody._id);
+        const [[message]] = mailTransportMock.send.mock.calls;
+        return message.text.split('\n')[4];
+    };
 
-        // Remove the version and timestamp fields from the database result object.
-        const cleanUser = cleanDatabaseResultObject(user.toJSON());
+    test('Should email a single-use token that resets the password and ends every session', async () => {
+        const token = await requestResetToken();
 
-        // The expected result object.
-        const expectedUser = {
-            ...getDefaultProperties(),
-            ...userOne.userOneBody,
-            ...updates,
-            _id: userOne.userOneBody._id.toString(),
-            tokens: [{
-                _id: expect.any(String),
-                token: userOne.userOneBody.tokens[0].token
-            }]
-        };
+        // Assert that the email went to the right address and that only a hash of the token was stored.
+        expect(mailTransportMock.send.mock.calls[0][0].to).toEqual(userOne.userOneBody.email);
+        const userBefore = await User.findById(userOne.userOneBody._id);
+        expect(userBefore.passwordReset.token).not.toEqual(token);
+        expect(userBefore.passwordReset.expiresAt.getTime()).toBeGreaterThan(Date.now());
 
-        // Assert that the user contains the correct data.
-        expect(cleanUser).toEqual(expectedUser);
+        // Assert HTTP Response Status 200 OK.
+        await localAgent
+            .post('/api/v1/users/password/reset')
+            .send({ token, password: 'a-brand-new-password' })
+            .expect(200);
 
-        // Assert that the result contains the correct data.
-        // It's safe mutate the expectedUser object here.
-        delete expectedUser.tokens;
-        delete expectedUser.password;
-        expect(response.body).toEqual({ user: expect.any(Object) });
-        expect(cleanDatabaseResultObject(response.body.user)).toEqual({
-            ...expectedUser, 
-            avatarPaths: {
-                original: `${ABSOLUTE_URL_PREFIX}/${expectedUser.avatarPaths.original}`,
-                small: `${ABSOLUTE_URL_PREFIX}/${expectedUser.avatarPaths.small}`,
-                large: `${ABSOLUTE_URL_PREFIX}/${expectedUser.avatarPaths.large}`,
-            }
-        });
+        // Assert that the old session no longer authenticates.
+        await localAgent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(401);
+
+        // Assert that the new password works and the token was consumed.
+        await localAgent
+            .post('/api/v1/users/login')
+            .send({ credentials: { email: userOne.userOneBody.email, password: 'a-brand-new-password' } })
+            .expect(200);
+
+        const userAfter = await User.findById(userOne.userOneBody._id);
+        expect(userAfter.passwordReset).toBeUndefined();
     });
 
-    test('Avatar paths should be formatted for a user with a valid Bearer Token that does have an uploaded avatar if no updates are provided', async () => {
-        // Assert HTTP Response Status 200 OK.
-        const response = await agent
-            .patch(ROUTE)
-            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
-            .send()
+    test('Should not accept a reset token more than once', async () => {
+        const token = await requestResetToken();
+
+        await localAgent
+            .post('/api/v1/users/password/reset')
+            .send({ token, password: 'a-brand-new-password' })
             .expect(200);
 
-        // The expected result object.
-        const expectedUser = {
-            ...getDefaultProperties(),
-            ...userTwo.userTwoBody,
-            _id: userTwo.userTwoBody._id.toString(),
-            password: userTwo.passwordHashed,
-            tokens: expect.any(Array),
-            avatarPaths: {
-                original: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_original.jpg`,
-                small: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_small.jpg`,
-                large: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_large.jpg`,
-            }
-        };
+        // Assert HTTP Response Status 400 Bad Request.
+        const response = await localAgent
+            .post('/api/v1/users/password/reset')
+            .send({ token, password: 'another-new-password' })
+            .expect(400);
 
-        // Assert that the response contains the correct data.
-        // It's safe mutate the expectedUser object here.
-        delete expectedUser.password;
-        delete expectedUser.tokens;
         expect(response.body).toEqual({
-            user: expect.any(Object)
+            error: new ValidationError(null, 'The password reset token is invalid or has expired.').message
         });
-        expect(cleanDatabaseResultObject(response.body.user)).toEqual(expectedUser);
     });
 
-    test('Avatar paths should be formatted for a user with a valid Bearer Token that does have an uploaded avatar if valid updates are provided.', async () => {
-        // Assert HTTP Response Status 200 OK.
-            const response = await agent
-            .patch(ROUTE)
-            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
-            .send({
+    test('Should not accept an expired reset token', async () => {
+        const token = await requestResetToken();
+
+        await User.updateOne({ _id: userOne.userOneBody._id }, { 'passwordReset.expiresAt': new Date(Date.now() - 1000) });
+
+        // Assert HTTP Response Status 400 Bad Request.
+        await localAgent
+            .post('/api/v1/users/password/reset')
+            .send({ token, password: 'a-brand-new-password' })
+            .expect(400);
+    });
+
+    test('Should keep the token and the password if the new password breaks the password policy', async () => {
+        const token = await requestResetToken();
+
+        // Assert HTTP Response Status 400 Bad Request.
+        const response = await localAgent
+            .post('/api/v1/users/password/reset')
+            .send({ token, password: 'richard-feynman' })
+            .expect(400);
+
+        expect(response.body.details).toEqual([{ rule: 'personalInformation', message: 'The password must not contain your name or email address.' }]);
+
+        // Assert that the token can still be used with an acceptable password.
+        await localAgent
+            .post('/api/v1/users/password/reset')
+            .send({ token, password: 'a-brand-new-password' })
+            .expect(200);
+    });
+
+    test('Should respond identically for an email that has no account without sending mail', async () => {
+        // Assert HTTP Response Status 200 OK.
+        await localAgent
+            .post('/api/v1/users/password/forgot')
+            .send({ email: 'nobody@domain.com' })
+            .expect(200);
+
+        expect(mailTransportMock.send).toHaveBeenCalledTimes(0);
+    });
+});
+
+// POST /api/v1/users/login (repeated failures)
+describe('Login Throttling', () => {
+    const ROUTE = '/api/v1/users/login';
+    const accountKey = `account:${userOne.userOneBody.email}`;
+
+    const attemptLogin = password => agent
+        .post(ROUTE)
+        .send({ credentials: { email: userOne.userOneBody.email, password } });
+
+    test('Should delay further attempts with an HTTP 429 once the free attempts are used up', async () => {
+        const freeAttempts = appConfig.authentication.loginThrottling.accounts.getFreeAttempts();
+
+        // Assert HTTP Response Status 401 Unauthorized for every free attempt, and for the first one past them.
+        for (let i = 0; i <= freeAttempts; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await attemptLogin('not-the-password').expect(401);
+        }
+
+        // Assert HTTP Response Status 429 Too Many Requests, even with the correct password.
+        const response = await attemptLogin(userOne.passwordPlain).expect(429);
+
+        expect(response.headers['retry-after']).toEqual('1');
+        expect(response.body).toEqual({ error: new TooManyAttemptsError().message });
+    });
+
+    test('Should reject a locked account with an HTTP 423 until its password is reset', async () => {
+        await new Throttle({
+            key: accountKey,
+            failures: appConfig.authentication.loginThrottling.accounts.getLockoutThreshold(),
+            blockedUntil: new Date(Date.now() + 60000),
+            locked: true,
+            expiresAt: new Date(Date.now() + 60000)
+        }).save();
+
+        // Assert HTTP Response Status 423 Locked.
+        const response = await attemptLogin(userOne.passwordPlain).expect(423);
+
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(55);
+        expect(response.body).toEqual({ error: new TooManyAttemptsError(null, 60, true).message });
+
+        // Reset the password.
+        const token = 'a-password-reset-token';
+        await User.updateOne({ _id: userOne.userOneBody._id }, {
+            passwordReset: {
+                token: crypto.createHash('sha256').update(token).digest('hex'),
+                expiresAt: new Date(Date.now() + 60000)
+            }
+        });
+
+        await agent
+            .post('/api/v1/users/password/reset')
+            .send({ token, password: 'a-brand-new-password' })
+            .expect(200);
+
+        // Assert that the lockout was lifted.
+        await attemptLogin('a-brand-new-password').expect(200);
+        expect(await Throttle.findOne({ key: accountKey })).toBe(null);
+    });
+
+    test('Should start counting afresh after a lockout ends, so that one more failure does not lock the account again', async () => {
+        await new Throttle({
+            key: accountKey,
+            failures: appConfig.authentication.loginThrottling.accounts.getLockoutThreshold() - 1,
+            expiresAt: new Date(Date.now() + 60000)
+        }).save();
+
+        // The failure that reaches the threshold locks the account, restarting its count.
+        await attemptLogin('not-the-password').expect(401);
+        await attemptLogin(userOne.passwordPlain).expect(423);
+        expect((await Throttle.findOne({ key: accountKey })).failures).toBe(0);
+
+        // End the lockout.
+        await Throttle.updateOne({ key: accountKey }, { blockedUntil: new Date(Date.now() - 1000) });
+
+        await attemptLogin('not-the-password').expect(401);
+        expect((await Throttle.findOne({ key: accountKey })).failures).toBe(1);
+        await attemptLogin(userOne.passwordPlain).expect(200);
+    });
+
+    test('Should start counting afresh for an expired counter that has not been removed yet', async () => {
+        await new Throttle({
+            key: accountKey,
+            failures: appConfig.authentication.loginThrottling.accounts.getLockoutThreshold() - 1,
+            expiresAt: new Date(Date.now() - 1000)
+        }).save();
+
+        await attemptLogin('not-the-password').expect(401);
+
+        const throttle = await Throttle.findOne({ key: accountKey });
+        expect(throttle.failures).toBe(1);
+        expect(throttle.expiresAt.getTime()).toBeGreaterThan(Date.now());
+        await attemptLogin(userOne.passwordPlain).expect(200);
+    });
+
+    test('Should clear the failed attempts of the account, but not those of the IP address, after a successful login', async () => {
+        await attemptLogin('not-the-password').expect(401);
+        expect((await Throttle.findOne({ key: accountKey })).failures).toBe(1);
+
+        await attemptLogin(userOne.passwordPlain).expect(200);
+        expect(await Throttle.findOne({ key: accountKey })).toBe(null);
+        expect(await Throttle.countDocuments({ key: /^ip:/, failures: 1 })).toBe(1);
+    });
+});
+
+// GET/POST /api/v1/users/me/api-keys, DELETE /api/v1/users/me/api-keys/:apiKeyId
+describe('API Keys', () => {
+    const ROUTE = '/api/v1/users/me/api-keys';
+
+    const createApiKey = apiKey => agent
+        .post(ROUTE)
+        .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+        .send({ apiKey });
+
+    test('Should create an API key that is shown once, stored hashed, and accepted for its scope', async () => {
+        // Assert HTTP Response Status 201 Created.
+        const response = await createApiKey({ name: 'Reporting script', scopes: ['tasks:read'] }).expect(201);
+
+        const { apiKey, key } = response.body;
+        expect(apiKey).toEqual({
+            _id: expect.any(String),
+            name: 'Reporting script',
+            prefix: key.substring(0, 12),
+            scopes: ['tasks:read'],
+            createdAt: expect.any(String)
+        });
+
+        // Assert that only the hash of the key was stored.
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.apiKeys[0].keyHash).toEqual(crypto.createHash('sha256').update(key).digest('hex'));
+
+        // Assert that the key reads tasks, both as a bearer token and in the X-API-Key header, and records when it was last used.
+        await agent
+            .get('/api/v1/tasks')
+            .set('Authorization', `Bearer ${key}`)
+            .send()
+            .expect(200);
+
+        await agent
+            .get('/api/v1/tasks')
+            .set('X-API-Key', key)
+            .send()
+            .expect(200);
+
+        const listResponse = await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(listResponse.body.apiKeys).toEqual([{ ...apiKey, lastUsedAt: expect.any(String) }]);
+    });
+
+    test('Should refuse an API key outside of its scopes and on routes that do not accept API keys', async () => {
+        const { body: { key } } = await createApiKey({ name: 'Reporting script', scopes: ['tasks:read'] }).expect(201);
+
+        // Assert HTTP Response Status 403 Forbidden for writing tasks.
+        const response = await agent
+            .post('/api/v1/tasks')
+            .set('Authorization', `Bearer ${key}`)
+            .send({ task: { description: 'A task' } })
+            .expect(403);
+
+        expect(response.body).toEqual({ error: new AuthorizationError(null, 'This API key is not permitted to perform this action!').message });
+
+        // Assert HTTP Response Status 403 Forbidden for creating another API key.
+        await agent
+            .post(ROUTE)
+            .set('Authorization', `Bearer ${key}`)
+            .send({ apiKey: { name: 'Escalation', scopes: ['tasks:write'] } })
+            .expect(403);
+    });
+
+    test('Should reject an API key once it is revoked or has expired', async () => {
+        const { body: { apiKey, key } } = await createApiKey({ name: 'CI', scopes: ['tasks:read'] }).expect(201);
+
+        await User.updateOne({ _id: userOne.userOneBody._id }, { 'apiKeys.0.expiresAt': new Date(Date.now() - 1000) });
+
+        // Assert HTTP Response Status 401 Unauthorized for the expired key.
+        await agent
+            .get('/api/v1/tasks')
+            .set('Authorization', `Bearer ${key}`)
+            .send()
+            .expect(401);
+
+        // Assert HTTP Response Status 200 OK for revoking the key, and 404 Not Found for revoking it again.
+        await agent
+            .delete(`${ROUTE}/${apiKey._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        await agent
+            .delete(`${ROUTE}/${apiKey._id}`)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(404);
+    });
+
+    test('Should return an HTTP 400 for an API key without a known scope', async () => {
+        const response = await createApiKey({ name: 'CI', scopes: ['everything'] }).expect(400);
+
+        expect(response.body).toEqual({ error: new ValidationError(null, 'The scope "everything" does not exist.').message });
+    });
+});
+
+// GET /.well-known/jwks.json
+describe('Signing Keys', () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+
+    let localAgent;
+    const { beforeAllSetup, afterAllTeardown } = setupLocalContainerAndServer({
+        signingKeyring: awilix.asValue(loadSigningKeyring([{ kid: 'rsa-2024', algorithm: 'RS256', privateKey }], 'rsa-2024'))
+    });
+
+    beforeAll(done => { localAgent = beforeAllSetup(done); });
+    afterAll(done => afterAllTeardown(done));
+
+    test('Should sign access tokens with the active key, and publish its public key', async () => {
+        const { body: { token } } = await localAgent
+            .post('/api/v1/users/login')
+            .send({ credentials: { email: userOne.userOneBody.email, password: userOne.passwordPlain } })
+            .expect(200);
+
+        expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: 'rsa-2024' });
+
+        // Assert HTTP Response Status 200 OK for the key set, which holds no private key material.
+        const response = await localAgent
+            .get('/.well-known/jwks.json')
+            .send()
+            .expect(200);
+
+        const [jwk] = response.body.keys;
+        expect(response.body.keys.length).toBe(1);
+        expect(jwk).toMatchObject({ kid: 'rsa-2024', alg: 'RS256', use: 'sig', kty: 'RSA' });
+        expect(jwk.d).toBeUndefined();
+
+        // Assert that the published key verifies the token, and that the token is accepted.
+        expect(jwt.verify(token, toPublicKeyPEM(jwk), { algorithms: ['RS256'] })._id).toEqual(userOne.userOneBody._id.toString());
+
+        await localAgent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${token}`)
+            .send()
+            .expect(200);
+    });
+
+    test('Should keep accepting tokens signed with the shared secret before the keyring was introduced', async () => {
+        await localAgent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+    });
+});
+
+// POST /api/v1/users/me/2fa, POST /api/v1/users/me/2fa/confirm, DELETE /api/v1/users/me/2fa, POST /api/v1/users/login/2fa
+describe('Two-Factor Authentication', () => {
+    const twoFactorService = new TwoFactorService({ appConfig });
+    const secret = twoFactorService.generateSecret();
+    const recoveryCode = 'abcde-12345';
+
+    const currentCode = () => twoFactorService.generateCode(secret, twoFactorService.getTimeStep());
+    const credentials = { email: userOne.userOneBody.email, password: userOne.passwordPlain };
+
+    // Enable two-factor authentication for userOne directly in the database.
+    const enableTwoFactor = () => User.updateOne({ _id: userOne.userOneBody._id }, {
+        twoFactor: {
+            enabled: true,
+            secret,
+            recoveryCodes: [crypto.createHash('sha256').update(recoveryCode).digest('hex')]
+        }
+    });
+
+    // Log in with the password and return the challenge token.
+    const loginWithPassword = async () => {
+        const response = await agent
+            .post('/api/v1/users/login')
+            .send({ credentials })
+            .expect(200);
+
+        return response.body.challengeToken;
+    };
+
+    test('Should enroll, and enable two-factor authentication once a first code is confirmed', async () => {
+        // Assert HTTP Response Status 200 OK.
+        const { body: { secret: enrolledSecret, uri } } = await agent
+            .post('/api/v1/users/me/2fa')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(uri).toEqual(twoFactorService.generateOtpauthURI(enrolledSecret, userOne.userOneBody.email));
+
+        // Assert that two-factor authentication isn't enabled until confirmed.
+        let user = await User.findById(userOne.userOneBody._id);
+        expect(user.twoFactor.enabled).toBe(false);
+
+        // Assert HTTP Response Status 200 OK.
+        const response = await agent
+            .post('/api/v1/users/me/2fa/confirm')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ code: twoFactorService.generateCode(enrolledSecret, twoFactorService.getTimeStep()) })
+            .expect(200);
+
+        // Assert that the recovery codes were returned once and only their hashes were stored.
+        user = await User.findById(userOne.userOneBody._id);
+        expect(user.twoFactor.enabled).toBe(true);
+        expect(response.body.recoveryCodes.length).toBe(appConfig.authentication.twoFactor.getRecoveryCodeCount());
+        expect(user.twoFactor.recoveryCodes).not.toContain(response.body.recoveryCodes[0]);
+
+        // Assert that the secret is never returned with the user.
+        const { body } = await agent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+        expect(body.user).not.toHaveProperty('twoFactor');
+    });
+
+    test('Should not confirm enrollment with an invalid code', async () => {
+        await agent
+            .post('/api/v1/users/me/2fa')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        // Assert HTTP Response Status 400 Bad Request.
+        const response = await agent
+            .post('/api/v1/users/me/2fa/confirm')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ code: 'abcdef' })
+            .expect(400);
+
+        expect(response.body).toEqual({
+            error: new ValidationError(null, 'The two-factor code is invalid.').message
+        });
+    });
+
+    test('Should require a code after the password, and only then start a session', async () => {
+        await enableTwoFactor();
+
+        // Assert that the password alone only yields a challenge token, which is not an access token.
+        const response = await agent
+            .post('/api/v1/users/login')
+            .send({ credentials })
+            .expect(200);
+
+        expect(response.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+        expect((await User.findById(userOne.userOneBody._id)).tokens.length).toBe(1);
+
+        await agent
+            .get('/api/v1/users/me')
+            .set('Authorization', `Bearer ${response.body.challengeToken}`)
+            .send()
+            .expect(401);
+
+        // Assert HTTP Response Status 200 OK.
+        const { body } = await agent
+            .post('/api/v1/users/login/2fa')
+            .send({ challengeToken: response.body.challengeToken, code: currentCode() })
+            .expect(200);
+
+        // Assert that a session was started with the returned token.
+        expect(body).toEqual({ user: expect.any(Object), token: expect.any(String), refreshToken: expect.any(String) });
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.tokens.length).toBe(2);
+        expect(user.tokens[1].token).toEqual(body.token);
+    });
+
+    test('Should not accept the same code twice', async () => {
+        await enableTwoFactor();
+        const code = currentCode();
+
+        await agent
+            .post('/api/v1/users/login/2fa')
+            .send({ challengeToken: await loginWithPassword(), code })
+            .expect(200);
+
+        // Assert HTTP Response Status 401 Unauthorized.
+        const response = await agent
+            .post('/api/v1/users/login/2fa')
+            .send({ challengeToken: await loginWithPassword(), code })
+            .expect(401);
+
+        expect(response.body).toEqual({
+            error: new AuthenticationError(null, 'The two-factor code is invalid.').message
+        });
+    });
+
+    test('Should accept a recovery code only once', async () => {
+        await enableTwoFactor();
+
+        // Assert HTTP Response Status 200 OK.
+        await agent
+            .post('/api/v1/users/login/2fa')
+            .send({ challengeToken: await loginWithPassword(), code: recoveryCode.toUpperCase() })
+            .expect(200);
+
+        // Assert HTTP Response Status 401 Unauthorized.
+        await agent
+            .post('/api/v1/users/login/2fa')
+            .send({ challengeToken: await loginWithPassword(), code: recoveryCode })
+            .expect(401);
+
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.twoFactor.recoveryCodes.length).toBe(0);
+    });
+
+    test('Should not accept an access token in place of a challenge token', async () => {
+        await enableTwoFactor();
+
+        // Assert HTTP Response Status 401 Unauthorized.
+        await agent
+            .post('/api/v1/users/login/2fa')
+            .send({ challengeToken: userOne.userOneBody.tokens[0].token, code: currentCode() })
+            .expect(401);
+    });
+
+    test('Should disable two-factor authentication given a valid code', async () => {
+        await enableTwoFactor();
+
+        // Assert HTTP Response Status 200 OK.
+        await agent
+            .delete('/api/v1/users/me/2fa')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ code: currentCode() })
+            .expect(200);
+
+        // Assert that the password alone logs the user in again.
+        const response = await agent
+            .post('/api/v1/users/login')
+            .send({ credentials })
+            .expect(200);
+
+        expect(response.body).toEqual({ user: expect.any(Object), token: expect.any(String), refreshToken: expect.any(String) });
+    });
+});
+
+// GET/POST /api/v1/users/verify-email, POST /api/v1/users/verify-email/resend
+describe('Verify Email Address', () => {
+    let localAgent;
+    const { beforeAllSetup, afterAllTeardown } = setupLocalContainerAndServer({
+        mailTransport: awilix.asValue(mailTransportMock)
+    });
+
+    // eslint-disable-next-line no-return-assign
+    beforeAll(done => localAgent = beforeAllSetup(done));
+    afterAll(done => afterAllTeardown(done));
+
+    // Requests a new verification token for userOne and returns it from the email that was sent.
+    const requestVerificationToken = async () => {
+        await localAgent
+            .post('/api/v1/users/verify-email/resend')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        const [[message]] = mailTransportMock.send.mock.calls;
+        return message.text.match(/submit this token: (\S+)/)[1];
+    };
+
+    test('Should verify the email address with the token from the link', async () => {
+        const token = await requestVerificationToken();
+
+        // Assert HTTP Response Status 200 OK.
+        await localAgent
+            .get(`/api/v1/users/verify-email?token=${encodeURIComponent(token)}`)
+            .send()
+            .expect(200);
+
+        // Assert that the email address is verified and the token was consumed.
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.emailVerified).toBe(true);
+        expect(user.emailVerification.token).toBeUndefined();
+    });
+
+    test('Should verify the email address with a submitted token, but only once', async () => {
+        const token = await requestVerificationToken();
+
+        // Assert HTTP Response Status 200 OK.
+        await localAgent
+            .post('/api/v1/users/verify-email')
+            .send({ token })
+            .expect(200);
+
+        // Assert HTTP Response Status 400 Bad Request.
+        const response = await localAgent
+            .post('/api/v1/users/verify-email')
+            .send({ token })
+            .expect(400);
+
+        expect(response.body).toEqual({
+            error: new ValidationError(null, 'The email verification token is invalid or has expired.').message
+        });
+    });
+
+    test('Should not verify the email address with an expired token', async () => {
+        const token = await requestVerificationToken();
+
+        await User.updateOne({ _id: userOne.userOneBody._id }, { 'emailVerification.expiresAt': new Date(Date.now() - 1000) });
+
+        // Assert HTTP Response Status 400 Bad Request.
+        await localAgent
+            .post('/api/v1/users/verify-email')
+            .send({ token })
+            .expect(400);
+
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.emailVerified).toBe(false);
+    });
+
+    test('Should not resend a verification token to a verified email address', async () => {
+        await User.updateOne({ _id: userOne.userOneBody._id }, { emailVerified: true });
+
+        // Assert HTTP Response Status 400 Bad Request.
+        const response = await localAgent
+            .post('/api/v1/users/verify-email/resend')
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(400);
+
+        expect(response.body).toEqual({
+            error: new ValidationError(null, 'The email address is already verified.').message
+        });
+        expect(mailTransportMock.send).toHaveBeenCalledTimes(0);
+    });
+
+    describe('When a verified email address is required', () => {
+        let requiringAgent;
+        const { beforeAllSetup: requiringSetup, afterAllTeardown: requiringTeardown } = setupLocalContainerAndServer({
+            appConfig: awilix.asValue({
+                ...appConfig,
+                authentication: { ...appConfig.authentication, emailVerification: { isRequired: () => true } }
+            })
+        });
+
+        // eslint-disable-next-line no-return-assign
+        beforeAll(done => requiringAgent = requiringSetup(done));
+        afterAll(done => requiringTeardown(done));
+
+        test('Should reject guarded routes for an unverified user with an HTTP 403', async () => {
+            // Assert HTTP Response Status 403 Forbidden.
+            const response = await requiringAgent
+                .get('/api/v1/tasks')
+                .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+                .send()
+                .expect(403);
+
+            expect(response.body).toEqual({
+                error: new AuthorizationError(null, 'Please verify your email address!').message
+            });
+        });
+
+        test('Should allow guarded routes for a verified user', async () => {
+            await User.updateOne({ _id: userOne.userOneBody._id }, { emailVerified: true });
+
+            // Assert HTTP Response Status 200 OK.
+            await requiringAgent
+                .get('/api/v1/tasks')
+                .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+                .send()
+                .expect(200);
+        });
+    });
+});
+
+// GET /api/v1/users/me
+describe('Read User Profile', () => {
+    const ROUTE = '/api/v1/users/me';
+    test('Should correctly return user profile information for an authenticated user', async () => {
+        // Assert HTTP Response Status 200 OK
+        const response = await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        // Assert that the response contains the correct data.
+        expect(response.body).toEqual({ user: expect.any(Object) });
+        expect(cleanDatabaseResultObject(response.body.user)).toEqual({
+            ...getDefaultProperties(),
+            ...Object.keys(userOne.userOneBody) // It's ugly but it works, so I'll take it. - Jamie.
+                .filter(key => key !== 'tokens' && key !== 'password')
+                .reduce((obj, key) => ({ ...obj, [key]: userOne.userOneBody[key] }), {}),
+            _id: userOne.userOneBody._id.toString(),
+            avatarPaths: {
+                original: `${ABSOLUTE_URL_PREFIX}/${userOne.userOneBody.avatarPaths.original}`,
+                small: `${ABSOLUTE_URL_PREFIX}/${userOne.userOneBody.avatarPaths.small}`,
+                large: `${ABSOLUTE_URL_PREFIX}/${userOne.userOneBody.avatarPaths.large}`,
+            }
+        });
+    });
+
+    test('Avatar paths should be formatted for a user with a valid Bearer Token that does have an uploaded avatar', async () => {
+        // Assert HTTP Response Status 200 OK.
+            const response = await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        // The expected result object.
+        const expectedUser = {
+            ...getDefaultProperties(),
+            ...userTwo.userTwoBody,
+            _id: userTwo.userTwoBody._id.toString(),
+            password: userTwo.passwordHashed,
+            tokens: expect.any(Array),
+            avatarPaths: {
+                original: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_original.jpg`,
+                small: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_small.jpg`,
+                large: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_large.jpg`,
+            }
+        };
+
+        // Assert that the response contains the correct data.
+        // It's safe mutate the expectedUser object here.
+        delete expectedUser.password;
+        delete expectedUser.tokens;
+        expect(response.body).toEqual({
+            user: expect.any(Object)
+        });
+        expect(cleanDatabaseResultObject(response.body.user)).toEqual(expectedUser);
+    });
+
+    test('Should not return profile information for an unauthenticated user', async () => {
+        // Assert HTTP Response Status 401 Unauthorized
+        const response = await agent
+            .get(ROUTE)
+            .send()
+            .expect(401);
+
+        // Assert that the response contains the correct error.
+        expect(response.body).toEqual({
+            error: new AuthenticationError().message
+        });
+    });
+});
+
+describe('Update User Profile', () => {
+    const ROUTE = '/api/v1/users/me';
+
+    let localAgent;
+    const { beforeAllSetup, afterAllTeardown } = setupLocalContainerAndServer({
+        bcrypt: awilix.asValue(bcryptMock),
+        mailTransport: awilix.asValue(mailTransportMock)
+    });
+
+    // eslint-disable-next-line no-return-assign
+    beforeAll(done => localAgent = beforeAllSetup(done));
+    afterAll(done => afterAllTeardown(done));
+
+    test('Should update a user profile if the updates are valid and the user is authenticated', async () => {
+        // Requested valid updates.
+        const updates = {
+            name: 'New Name',
+            email: 'newemail@domain.com',
+            age: 18,
+        };
+        
+        // Assert HTTP Response Status 200 OK.
+        const response = await localAgent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates })
+            .expect(200);
+
+        // Attempt to find the user in the database.
+        const user = await User.findById(userOne.userOneBody._id);
+
+        // Remove the version and timestamp fields from the database result object.
+        const cleanUser = cleanDatabaseResultObject(user.toJSON());
+
+        // The expected result object. The new email address is unverified until its owner submits the emailed token.
+        const expectedUser = {
+            ...getDefaultProperties(),
+            ...userOne.userOneBody,
+            ...updates,
+            _id: userOne.userOneBody._id.toString(),
+            // Changing the profile changes its version.
+            version: 1,
+            tokens: [{
+                _id: expect.any(String),
+                token: userOne.userOneBody.tokens[0].token,
+                createdAt: expect.any(String),
+                lastUsedAt: expect.any(String),
+                ipAddress: expect.any(String)
+            }],
+            emailVerified: false,
+            emailVerification: { token: expect.any(String), expiresAt: expect.any(String) }
+        };
+
+        // Assert that the user contains the correct data.
+        expect(cleanUser).toEqual(expectedUser);
+
+        // Assert that the verification token was sent to the new address.
+        expect(mailTransportMock.send).toHaveBeenCalledTimes(1);
+        expect(mailTransportMock.send.mock.calls[0][0].to).toEqual(updates.email);
+
+        // Assert that the result contains the correct data.
+        // It's safe mutate the expectedUser object here.
+        delete expectedUser.tokens;
+        delete expectedUser.password;
+        delete expectedUser.emailVerification;
+        expect(response.body).toEqual({ user: expect.any(Object) });
+        expect(cleanDatabaseResultObject(response.body.user)).toEqual({
+            ...expectedUser, 
+            avatarPaths: {
+                original: `${ABSOLUTE_URL_PREFIX}/${expectedUser.avatarPaths.original}`,
+                small: `${ABSOLUTE_URL_PREFIX}/${expectedUser.avatarPaths.small}`,
+                large: `${ABSOLUTE_URL_PREFIX}/${expectedUser.avatarPaths.large}`,
+            }
+        });
+    });
+
+    test('Avatar paths should be formatted for a user with a valid Bearer Token that does have an uploaded avatar if no updates are provided', async () => {
+        // Assert HTTP Response Status 200 OK.
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        // The expected result object.
+        const expectedUser = {
+            ...getDefaultProperties(),
+            ...userTwo.userTwoBody,
+            _id: userTwo.userTwoBody._id.toString(),
+            password: userTwo.passwordHashed,
+            tokens: expect.any(Array),
+            avatarPaths: {
+                original: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_original.jpg`,
+                small: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_small.jpg`,
+                large: `${ABSOLUTE_URL_PREFIX}/users/${userTwo.userTwoBody._id}/profile/avatar/avatar_large.jpg`,
+            }
+        };
+
+        // Assert that the response contains the correct data.
+        // It's safe mutate the expectedUser object here.
+        delete expectedUser.password;
+        delete expectedUser.tokens;
+        expect(response.body).toEqual({
+            user: expect.any(Object)
+        });
+        expect(cleanDatabaseResultObject(response.body.user)).toEqual(expectedUser);
+    });
+
+    test('Avatar paths should be formatted for a user with a valid Bearer Token that does have an uploaded avatar if valid updates are provided.', async () => {
+        // Assert HTTP Response Status 200 OK.
+            const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userTwo.userTwoBody.tokens[0].token}`)
+            .send({
                 updates: {
                     name: 'Grant'
                 }
@@ -675,6 +1630,7 @@ describe('Update User Profile', () => {
             ...userTwo.userTwoBody,
             name: 'Grant',
             _id: userTwo.userTwoBody._id.toString(),
+            version: 1,
             password: userTwo.passwordHashed,
             tokens: expect.any(Array),
             avatarPaths: {
@@ -720,6 +1676,7 @@ describe('Update User Profile', () => {
                 ...userOne.userOneBody,
                 ...updates,
                 _id: userOne.userOneBody._id.toString(),
+                version: 1,
                 password: 'hashed-password',
                 tokens: [{
                     _id: expect.any(String),
@@ -745,6 +1702,26 @@ describe('Update User Profile', () => {
             });
     });
 
+    test('Should not update the password if it contains the new name of the user', async () => {
+        // Assert HTTP Response Status 400 Bad Request.
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send({ updates: { name: 'Grace Hopper', password: 'amazing-grace-1906' } })
+            .expect(400);
+
+        // Assert that the database remains unchanged.
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user.name).toEqual(userOne.userOneBody.name);
+        expect(user.password).toEqual(userOne.passwordHashed);
+
+        // Assert that the response contains the correct error.
+        expect(response.body).toEqual({
+            error: 'The password must not contain your name or email address.',
+            details: [{ rule: 'personalInformation', message: 'The password must not contain your name or email address.' }]
+        });
+    });
+
     test('Should throw a ValidationError if a user with a valid Bearer Token attempts to update invalid fields', async () => {
         // Assert HTTP Response Bad Request
         const response = await agent
@@ -821,6 +1798,64 @@ describe('Delete User', () => {
     });
 });
 
+// GET, PATCH, DELETE /api/v1/users/me with If-None-Match and If-Match
+describe('User Profile Versions', () => {
+    const ROUTE = '/api/v1/users/me';
+
+    test('Should expose the version of the profile as its ETag, which only changes with the profile', async () => {
+        const response = await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .send()
+            .expect(200);
+
+        expect(response.headers.etag).toBe('"0"');
+
+        // Using the session doesn't change the version, so the client still has the current one.
+        await agent
+            .get(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-None-Match', '"0"')
+            .send()
+            .expect(304);
+    });
+
+    test('Should only update the profile at the version in If-Match', async () => {
+        const response = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"0"')
+            .send({ updates: { age: 30 } })
+            .expect(200);
+
+        expect(response.headers.etag).toBe('"1"');
+
+        const staleResponse = await agent
+            .patch(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"0"')
+            .send({ updates: { age: 31 } })
+            .expect(412);
+
+        expect(staleResponse.body).toEqual({ error: new PreconditionFailedError().message });
+
+        // Assert that the update of the first client was kept.
+        const user = await User.findById(userOne.userOneBody._id);
+        expect(user).toMatchObject({ age: 30, version: 1 });
+    });
+
+    test('Should only delete the user at the version in If-Match', async () => {
+        await agent
+            .delete(ROUTE)
+            .set('Authorization', `Bearer ${userOne.userOneBody.tokens[0].token}`)
+            .set('If-Match', '"1"')
+            .send()
+            .expect(412);
+
+        expect(await User.findById(userOne.userOneBody._id)).not.toBe(null);
+    });
+});
+
 describe('User Avatar', () => {
     const ROUTE = '/api/v1/users/me/avatar';
 
@@ -869,6 +1904,7 @@ describe('User Avatar', () => {
             ...getDefaultProperties(),
             ...userOne.userOneBody,
             _id: userOne.userOneBody._id.toString(),
+            version: 1,
             tokens: [{
                 _id: expect.any(String),
                 token: userOne.userOneBody.tokens[0].token
@@ -0,0 +1,64 @@
+/*
+ * File: MailAdapter.test.js (__tests__/__unit__/src/adapters/mail/MailAdapter.test.js)
+ *
+ * Description: Houses unit test cases for the MailAdapter.
+ */
+
+// SUT:
+const MailAdapter = require('./../../../../../src/adapters/mail/MailAdapter');
+
+const appConfig = require('./../../../../../src/config/application/config');
+
+const mailTransportMock = {
+    send: jest.fn(() => Promise.resolve('sent'))
+};
+
+// Adapter Factory
+const mailAdapterFactory = () => new MailAdapter({ mailTransport: mailTransportMock, appConfig });
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#constructor', () => {
+    test('Should correctly set the instance properties in the constructor', () => {
+        const mailAdapter = new MailAdapter({ mailTransport: 'transport', appConfig: 'config' });
+
+        // Assert that the correct properties were set.
+        expect(mailAdapter.mailTransport).toEqual('transport');
+        expect(mailAdapter.appConfig).toEqual('config');
+    });
+});
+
+describe('#sendMail', () => {
+    test('Should send the message from the application address through the transport', async () => {
+        const result = await mailAdapterFactory().sendMail({ to: 'alan@domain.com', subject: 'Subject', text: 'Body' });
+
+        // Assert that the transport was called correctly.
+        expect(mailTransportMock.send).toHaveBeenCalledTimes(1);
+        expect(mailTransportMock.send).toHaveBeenCalledWith({
+            from: appConfig.mail.getFromAddress(),
+            to: 'alan@domain.com',
+            subject: 'Subject',
+            text: 'Body'
+        });
+
+        // Assert that the result of the transport is returned.
+        expect(result).toEqual('sent');
+    });
+
+    test('Should reject if no recipient is provided', async () => {
+        await expect(mailAdapterFactory().sendMail({ subject: 'Subject', text: 'Body' })).rejects.toEqual(new Error('A recipient is required!'));
+        expect(mailTransportMock.send).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should reject if no subject or body is provided', async () => {
+        await expect(mailAdapterFactory().sendMail({ to: 'alan@domain.com' })).rejects.toEqual(new Error('A subject and body are required!'));
+        expect(mailTransportMock.send).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should re-throw errors thrown by the transport', async () => {
+        mailTransportMock.send.mockImplementationOnce(() => Promise.reject(new Error('Mocked Failure')));
+        await expect(mailAdapterFactory().sendMail({ to: 'a@b.com', subject: 'S', text: 'T' })).rejects.toEqual(new Error('Mocked Failure'));
+    });
+});
@@ -44,4 +44,50 @@ test('Should call the correct res methods for an unknown error', () => {
     expect(res.status).toHaveBeenCalledWith(500);
     expect(res.send).toHaveBeenCalledTimes(1);
     expect(res.send).toHaveBeenCalledWith({ error: 'An unexpected error occurred. Internal Server Error.' });
-});
\ No newline at end of file
+});
+test('Should set the Retry-After header for a custom error that provides one', () => {
+    const res = {
+        set: jest.fn().mockReturnThis(),
+        status: jest.fn().mockReturnThis(),
+        send: jest.fn().mockReturnThis()
+    };
+
+    // System Under Test
+    handleErrors({
+        data: {
+            custom: true,
+            statusCode: 429,
+            message: 'Test',
+            retryAfter: 30
+        }
+    }, null, res, null);
+
+    // Assert that the mocks were called correctly.
+    expect(res.set).toHaveBeenCalledTimes(1);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '30');
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.send).toHaveBeenCalledWith({ error: 'Test' });
+});
+
+test('Should send the details of a custom error that provides them', () => {
+    const res = {
+        status: jest.fn().mockReturnThis(),
+        send: jest.fn().mockReturnThis()
+    };
+
+    const details = [{ rule: 'minLength', message: 'Too short.' }];
+
+    // System Under Test
+    handleErrors({
+        data: {
+            custom: true,
+            statusCode: 400,
+            message: 'Test',
+            details
+        }
+    }, null, res, null);
+
+    // Assert that the mocks were called correctly.
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ error: 'Test', details });
+});
@@ -36,4 +36,17 @@ test('Should return an empty string for the token if no token is provided', () =
     expect(req.header).toHaveBeenCalledWith('Authorization');
     expect(req.token).toEqual('');
     expect(next).toHaveBeenCalledTimes(1);
-});
\ No newline at end of file
+});
+test('Should fall back to the X-API-Key header if there is no Authorization header', () => {
+    const req = {
+        header: jest.fn(name => (name === 'X-API-Key' ? 'tak_123' : undefined))
+    };
+    const next = jest.fn();
+
+    stripBearerToken(req, null, next);
+
+    // Assert that the mock functions were called correctly.
+    expect(req.header.mock.calls).toEqual([['Authorization'], ['X-API-Key']]);
+    expect(req.token).toEqual('tak_123');
+    expect(next).toHaveBeenCalledTimes(1);
+});
@@ -117,6 +117,25 @@ describe('#updateById', () => {
     });
 });
 
+describe('#updateByIdWithQuery', () => {
+    test('Should update the user only if they match the query, returning null otherwise', async () => {
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate')
+            .mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }))
+            .mockImplementationOnce(() => Promise.resolve(null));
+
+        expect(await userRepository.updateByIdWithQuery('314', { version: 2 }, { name: 'Alan Turing' })).toEqual('json');
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({ _id: '314', version: 2 }, { name: 'Alan Turing' }, { new: true, runValidators: true });
+
+        expect(await userRepository.updateByIdWithQuery('314', { version: 2 }, { name: 'Alan Turing' })).toBeNull();
+    });
+
+    test('Should throw a ValidationError if an error is thrown with that name by the User Model', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.reject(errorFactory('ValidationError')));
+        await expect(userRepository.updateByIdWithQuery('123', {}, { name: '' })).rejects.toEqual(new ValidationError());
+    });
+});
+
 describe('#updateTokensById', () => {
     test('Should call the correct mock functions and return the correct data', async () => {
         // Spys
@@ -124,14 +143,14 @@ describe('#updateTokensById', () => {
         const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
 
         const id = '271828';
-        const token = 'abc.def.ghy';
+        const session = { token: 'abc.def.ghy', refreshToken: 'hashed', family: 'family', expiresAt: new Date() };
 
-        // userRepository.updateTokensById expects an ID and a token.
-        const user = await userRepository.updateTokensById(id, token);
+        // userRepository.updateTokensById expects an ID and a session record.
+        const user = await userRepository.updateTokensById(id, session);
 
         // Assert that the findByIdAndUpdate function was called correctly.
         expect(findByIdAndUpdateSpy).toHaveBeenCalledTimes(1);
-        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith(id, { $push: { tokens: { token } } }, { new: true, runValidators: true });
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith(id, { $push: { tokens: session } }, { new: true, runValidators: true });
 
         // Assert that the toJSON function was called once and that the user contains the correct data.
         expect(toJSONSpy).toHaveBeenCalledTimes(1);
@@ -191,6 +210,145 @@ describe('#removeTokensById', () => {
     });
 });
 
+describe('#rotateTokenById', () => {
+    const session = { token: 'new.access.token', refreshToken: 'new-hash', family: 'family', expiresAt: new Date() };
+
+    test('Should call the correct mock functions and return the correct data', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        // userRepository.rotateTokenById expects an ID, a family, the presented refresh token hash, and the new session.
+        const user = await userRepository.rotateTokenById('271828', 'family', 'old-hash', session);
+
+        // Assert that the findOneAndUpdate function was called correctly.
+        expect(findOneAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({
+            _id: '271828',
+            tokens: { $elemMatch: { family: 'family', refreshToken: 'old-hash' } }
+        }, {
+            $set: {
+                'tokens.$.token': session.token,
+                'tokens.$.refreshToken': session.refreshToken,
+                'tokens.$.family': session.family,
+                'tokens.$.expiresAt': session.expiresAt
+            }
+        }, { new: true, runValidators: true });
+
+        // Assert that the toJSON function was called once and that the user contains the correct data.
+        expect(toJSONSpy).toHaveBeenCalledTimes(1);
+        expect(user).toEqual('json');
+    });
+
+    test('Should leave undefined session fields untouched', async () => {
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        await userRepository.rotateTokenById('271828', 'family', 'old-hash', { token: 'new', userAgent: undefined });
+
+        // Assert that only the defined field was set.
+        expect(findOneAndUpdateSpy.mock.calls[0][1]).toEqual({ $set: { 'tokens.$.token': 'new' } });
+    });
+
+    test('Should return null if the session no longer holds the presented refresh token', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.rotateTokenById('271828', 'family', 'old-hash', session)).toBe(null);
+    });
+
+    test('Should throw a ValidationError if an error is thrown with that name by the User Model', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.reject(errorFactory('ValidationError')));
+        await expect(userRepository.rotateTokenById('123', 'family', 'hash', session)).rejects.toEqual(new ValidationError());
+    });
+
+    test('Should throw a generic error if a non-ValidationError is thrown (err with name) by the User Model', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.reject(errorFactory('Name')));
+        await expect(userRepository.rotateTokenById('123', 'family', 'hash', session)).rejects.toEqual(errorFactory('Name'));
+    });
+});
+
+describe('#removeTokenFamilyById', () => {
+    test('Should call the correct mock functions and return the correct data', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        // userRepository.removeTokenFamilyById expects an ID and a token family.
+        const user = await userRepository.removeTokenFamilyById('271828', 'family');
+
+        // Assert that the findByIdAndUpdate function was called correctly.
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('271828', { $pull: { tokens: { family: 'family' } } }, { new: true, runValidators: true });
+
+        // Assert that the toJSON function was called once and that the user contains the correct data.
+        expect(toJSONSpy).toHaveBeenCalledTimes(1);
+        expect(user).toEqual('json');
+    });
+
+    test('Should throw a generic error if a non-ValidationError is thrown (err with name) by the User Model', async () => {
+        jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.reject(errorFactory('Name')));
+        await expect(userRepository.removeTokenFamilyById('123', 'family')).rejects.toEqual(errorFactory('Name'));
+    });
+});
+
+describe('#removeTokenBySessionId', () => {
+    test('Should call the correct mock functions and return the correct data', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        // userRepository.removeTokenBySessionId expects an ID and a session ID.
+        const user = await userRepository.removeTokenBySessionId('271828', 'session');
+
+        // Assert that the findOneAndUpdate function was called correctly.
+        expect(findOneAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith(
+            { _id: '271828', 'tokens._id': 'session' },
+            { $pull: { tokens: { _id: 'session' } } },
+            { new: true, runValidators: true }
+        );
+
+        // Assert that the toJSON function was called once and that the user contains the correct data.
+        expect(toJSONSpy).toHaveBeenCalledTimes(1);
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if the user has no such session', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.removeTokenBySessionId('271828', 'session')).toBe(null);
+    });
+
+    test('Should throw a generic error if a non-ValidationError is thrown (err with name) by the User Model', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.reject(errorFactory('CastError')));
+        await expect(userRepository.removeTokenBySessionId('123', 'session')).rejects.toEqual(errorFactory('CastError'));
+    });
+});
+
+describe('#updateTokenActivityById', () => {
+    test('Should only update the session if it has not been used since the provided time', async () => {
+        const updateOneSpy = jest.spyOn(User, 'updateOne').mockImplementationOnce(() => Promise.resolve());
+
+        const since = new Date();
+        const lastUsedAt = new Date();
+
+        // userRepository.updateTokenActivityById expects an ID, a token, the activity, and a time.
+        await userRepository.updateTokenActivityById('271828', 'token', { lastUsedAt, ipAddress: '127.0.0.1' }, since);
+
+        // Assert that the updateOne function was called correctly.
+        expect(updateOneSpy).toHaveBeenCalledTimes(1);
+        expect(updateOneSpy).toHaveBeenCalledWith({
+            _id: '271828',
+            tokens: { $elemMatch: { token: 'token', lastUsedAt: { $not: { $gte: since } } } }
+        }, {
+            $set: { 'tokens.$.lastUsedAt': lastUsedAt, 'tokens.$.ipAddress': '127.0.0.1' }
+        });
+    });
+
+    test('Should re-throw any errors thrown by the User Model', async () => {
+        jest.spyOn(User, 'updateOne').mockImplementationOnce(() => Promise.reject(new Error('Mocked Failure')));
+        await expect(userRepository.updateTokenActivityById('123', 'token', {}, new Date())).rejects.toEqual(new Error('Mocked Failure'));
+    });
+});
+
 describe('#removeAllTokensById', () => {
     test('Should call the correct mock functions and return the correct data', async () => {
         // Spys
@@ -227,6 +385,244 @@ describe('#removeAllTokensById', () => {
     });
 });
 
+describe('#updatePasswordResetById', () => {
+    test('Should call the correct mock functions and return the correct data', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const passwordReset = { token: 'hashed', expiresAt: new Date() };
+
+        // userRepository.updatePasswordResetById expects an ID and a password reset object.
+        const user = await userRepository.updatePasswordResetById('271828', passwordReset);
+
+        // Assert that the findByIdAndUpdate function was called correctly.
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('271828', { passwordReset }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+});
+
+describe('#rehashPasswordById', () => {
+    test('Should replace the hash only if it is still the current one', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const user = await userRepository.rehashPasswordById('271828', 'weak-hash', 'strong-hash');
+
+        // Assert that the findOneAndUpdate function was called correctly.
+        expect(findOneAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({ _id: '271828', password: 'weak-hash' }, { $set: { password: 'strong-hash' } }, { new: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if the password was changed in the meantime', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.rehashPasswordById('271828', 'weak-hash', 'strong-hash')).toBe(null);
+    });
+});
+
+describe('#readByPasswordResetToken', () => {
+    test('Should find the user holding the unexpired token', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneSpy = jest.spyOn(User, 'findOne').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const user = await userRepository.readByPasswordResetToken('token-hash');
+
+        // Assert that the findOne function was called correctly.
+        expect(findOneSpy).toHaveBeenCalledTimes(1);
+        expect(findOneSpy).toHaveBeenCalledWith({
+            'passwordReset.token': 'token-hash',
+            'passwordReset.expiresAt': { $gt: expect.any(Date) }
+        });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if no user holds an unexpired token', async () => {
+        jest.spyOn(User, 'findOne').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.readByPasswordResetToken('token-hash')).toBe(null);
+    });
+});
+
+describe('#resetPasswordByToken', () => {
+    test('Should set the password, clear every session and consume the token in one update', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        // userRepository.resetPasswordByToken expects a token hash and a hashed password.
+        const user = await userRepository.resetPasswordByToken('token-hash', 'hashed-password');
+
+        // Assert that the findOneAndUpdate function was called correctly.
+        expect(findOneAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({
+            'passwordReset.token': 'token-hash',
+            'passwordReset.expiresAt': { $gt: expect.any(Date) }
+        }, {
+            $set: { password: 'hashed-password', tokens: [] },
+            $unset: { passwordReset: 1 }
+        }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if no user holds an unexpired token', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.resetPasswordByToken('token-hash', 'hashed-password')).toBe(null);
+    });
+
+    test('Should throw a ValidationError if an error is thrown with that name by the User Model', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.reject(errorFactory('ValidationError')));
+        await expect(userRepository.resetPasswordByToken('token-hash', 'hashed-password')).rejects.toEqual(new ValidationError());
+    });
+});
+
+describe('#updateEmailVerificationById', () => {
+    test('Should call the correct mock functions and return the correct data', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const emailVerification = { token: 'hashed', expiresAt: new Date() };
+
+        // userRepository.updateEmailVerificationById expects an ID and an email verification object.
+        const user = await userRepository.updateEmailVerificationById('271828', emailVerification);
+
+        // Assert that the findByIdAndUpdate function was called correctly.
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('271828', { emailVerification }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+});
+
+describe('#verifyEmailByToken', () => {
+    test('Should mark the email address as verified and consume the token in one update', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        // userRepository.verifyEmailByToken expects a token hash.
+        const user = await userRepository.verifyEmailByToken('token-hash');
+
+        // Assert that the findOneAndUpdate function was called correctly.
+        expect(findOneAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({
+            'emailVerification.token': 'token-hash',
+            'emailVerification.expiresAt': { $gt: expect.any(Date) }
+        }, {
+            $set: { emailVerified: true },
+            $unset: { emailVerification: 1 }
+        }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if no user holds an unexpired token', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.verifyEmailByToken('token-hash')).toBe(null);
+    });
+});
+
+describe('#updateTwoFactorById', () => {
+    test('Should call the correct mock functions and return the correct data', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const twoFactor = { enabled: false, secret: 'SECRET' };
+
+        // userRepository.updateTwoFactorById expects an ID and the two-factor settings.
+        const user = await userRepository.updateTwoFactorById('271828', twoFactor);
+
+        // Assert that the findByIdAndUpdate function was called correctly.
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('271828', { twoFactor }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+});
+
+describe('#removeTwoFactorById', () => {
+    test('Should call the correct mock functions and return the correct data', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const user = await userRepository.removeTwoFactorById('271828');
+
+        // Assert that the findByIdAndUpdate function was called correctly.
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('271828', { $unset: { twoFactor: 1 } }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+});
+
+describe('#updateTwoFactorStepById', () => {
+    test('Should only record the time step if no code of that step or a later one has been accepted', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const user = await userRepository.updateTwoFactorStepById('271828', 42);
+
+        // Assert that the findOneAndUpdate function was called correctly.
+        expect(findOneAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({
+            _id: '271828',
+            'twoFactor.lastUsedStep': { $not: { $gte: 42 } }
+        }, {
+            $set: { 'twoFactor.lastUsedStep': 42 }
+        }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if the code has already been used', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.updateTwoFactorStepById('271828', 42)).toBe(null);
+    });
+});
+
+describe('#consumeRecoveryCodeById', () => {
+    test('Should pull the recovery code only if the user still has it', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const user = await userRepository.consumeRecoveryCodeById('271828', 'code-hash');
+
+        // Assert that the findOneAndUpdate function was called correctly.
+        expect(findOneAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({ _id: '271828', 'twoFactor.recoveryCodes': 'code-hash' }, {
+            $pull: { 'twoFactor.recoveryCodes': 'code-hash' }
+        }, { new: true, runValidators: true });
+
+        // Assert that the user contains the correct data.
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if the user has no such unused code', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.consumeRecoveryCodeById('271828', 'code-hash')).toBe(null);
+    });
+});
+
 describe('#updateAvatarById', () => {
     test('Should call the correct mock functions and return the correct data', async () => {
         // Spys
@@ -268,6 +664,130 @@ describe('#updateAvatarById', () => {
     });
 });
 
+describe('#addApiKeyById', () => {
+    test('Should push the API key record onto the user', async () => {
+        const updateByIdSpy = jest.spyOn(userRepository, 'updateById').mockImplementationOnce(() => Promise.resolve('json'));
+
+        const user = await userRepository.addApiKeyById('123', { name: 'CI', keyHash: 'hash' });
+
+        expect(updateByIdSpy).toHaveBeenCalledWith('123', { $push: { apiKeys: { name: 'CI', keyHash: 'hash' } } });
+        expect(user).toEqual('json');
+    });
+});
+
+describe('#removeApiKeyById', () => {
+    test('Should pull the API key from the user holding it', async () => {
+        const findOneAndUpdateSpy = jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: () => 'json' }));
+
+        const user = await userRepository.removeApiKeyById('123', 'k1');
+
+        expect(findOneAndUpdateSpy).toHaveBeenCalledWith({ _id: '123', 'apiKeys._id': 'k1' }, {
+            $pull: { apiKeys: { _id: 'k1' } }
+        }, { new: true });
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if the user has no such API key', async () => {
+        jest.spyOn(User, 'findOneAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.removeApiKeyById('123', 'k1')).toBe(null);
+    });
+});
+
+describe('#readByApiKey', () => {
+    test('Should only match API keys that have not expired', async () => {
+        const findOneSpy = jest.spyOn(User, 'findOne').mockImplementationOnce(() => Promise.resolve({ toJSON: () => 'json' }));
+
+        const user = await userRepository.readByApiKey('hash');
+
+        expect(findOneSpy).toHaveBeenCalledWith({
+            apiKeys: { $elemMatch: { keyHash: 'hash', $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }] } }
+        });
+        expect(user).toEqual('json');
+    });
+
+    test('Should return null if no user holds the API key', async () => {
+        jest.spyOn(User, 'findOne').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.readByApiKey('hash')).toBe(null);
+    });
+});
+
+describe('#updateApiKeyUsageById', () => {
+    test('Should only record usage on an API key not used since the provided time', async () => {
+        const updateOneSpy = jest.spyOn(User, 'updateOne').mockImplementationOnce(() => Promise.resolve());
+        const lastUsedAt = new Date();
+        const since = new Date(lastUsedAt.getTime() - 60000);
+
+        await userRepository.updateApiKeyUsageById('123', 'k1', lastUsedAt, since);
+
+        expect(updateOneSpy).toHaveBeenCalledWith({
+            _id: '123',
+            apiKeys: { $elemMatch: { _id: 'k1', lastUsedAt: { $not: { $gte: since } } } }
+        }, {
+            $set: { 'apiKeys.$.lastUsedAt': lastUsedAt }
+        });
+    });
+});
+
+describe('#updateDisabledById', () => {
+    test('Should disable the user and remove all of his/her tokens in one update', async () => {
+        // Spys
+        const toJSONSpy = jest.spyOn(User.prototype, 'toJSON').mockImplementationOnce(() => 'json');
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: toJSONSpy }));
+
+        const user = await userRepository.updateDisabledById('123', true);
+
+        // Assert that the findByIdAndUpdate function was called correctly.
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledTimes(1);
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('123', {
+            $set: { disabled: true, tokens: [] }
+        }, { new: true, runValidators: true });
+
+        expect(user).toEqual('json');
+    });
+
+    test('Should leave the tokens alone when re-enabling the user', async () => {
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: () => 'json' }));
+
+        await userRepository.updateDisabledById('123', false);
+
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('123', {
+            $set: { disabled: false }
+        }, { new: true, runValidators: true });
+    });
+
+    test('Should return null if there is no such user', async () => {
+        jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve(null));
+        expect(await userRepository.updateDisabledById('123', true)).toBe(null);
+    });
+});
+
+describe('#updateRolesById', () => {
+    test('Should replace the roles of the user', async () => {
+        const findByIdAndUpdateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.resolve({ toJSON: () => 'json' }));
+
+        const user = await userRepository.updateRolesById('123', ['admin']);
+
+        expect(findByIdAndUpdateSpy).toHaveBeenCalledWith('123', { $set: { roles: ['admin'] } }, { new: true, runValidators: true });
+        expect(user).toEqual('json');
+    });
+
+    test('Should throw a ValidationError if Mongoose throws one', async () => {
+        jest.spyOn(User, 'findByIdAndUpdate').mockImplementationOnce(() => Promise.reject(errorFactory('ValidationError')));
+        await expect(userRepository.updateRolesById('123', ['admin'])).rejects.toEqual(new ValidationError(errorFactory('ValidationError')));
+    });
+});
+
+describe('#readManyByQuery', () => {
+    test('Should find every matching user with the provided options', async () => {
+        const findSpy = jest.spyOn(User, 'find').mockImplementationOnce(() => Promise.resolve([{ toJSON: () => 'one' }, { toJSON: () => 'two' }]));
+
+        const users = await userRepository.readManyByQuery({ disabled: true }, { limit: 10 });
+
+        expect(findSpy).toHaveBeenCalledWith({ disabled: true }, null, { limit: 10 });
+        expect(users).toEqual(['one', 'two']);
+    });
+});
+
 describe('#readByQuery', () => {
     test('Should call the correct mock functions and return the correct data for a non-null result', async () => {
         // Spys
@@ -0,0 +1,223 @@
+/*
+ * File: AuthenticationService.test.js (__tests__/__unit__/src/services/AuthenticationService.test.js)
+ *
+ * Description: Houses unit test cases for the AuthenticationService.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// SUT:
+const AuthenticationService = require('./../../../../src/services/AuthenticationService');
+
+// Dependencies
+const { loadSigningKeyring } = require('./../../../../src/utils/signing-keys');
+const { toPublicKeyPEM } = require('./../../../../src/utils/jwk');
+
+// Custom Exceptions:
+const { AuthenticationError } = require('./../../../../src/custom-exceptions/index');
+
+const appConfigMock = {
+    authentication: {
+        getJWTSecret: () => 'test-secret',
+        accessTokens: {
+            getExpiresIn: () => '15m'
+        },
+        refreshTokens: {
+            getTimeToLive: () => 60000
+        },
+        twoFactor: {
+            challengeTokens: {
+                getExpiresIn: () => '5m'
+            }
+        }
+    }
+};
+
+// Service Factory
+const authenticationServiceFactory = (keyring = [], activeKeyId) => new AuthenticationService({
+    jwt,
+    appConfig: appConfigMock,
+    signingKeyring: loadSigningKeyring(keyring, activeKeyId)
+});
+
+// Keyring entries for the asymmetric algorithms.
+const pemKeyPair = (type, options) => crypto.generateKeyPairSync(type, {
+    ...options,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+const rsaKey = { kid: 'rsa-2024', algorithm: 'RS256', ...pemKeyPair('rsa', { modulusLength: 2048 }) };
+const ecKey = { kid: 'ec-2025', algorithm: 'ES256', privateKey: pemKeyPair('ec', { namedCurve: 'P-256' }).privateKey };
+const hmacKey = { kid: 'hmac', algorithm: 'HS256', secret: 'keyring-secret' };
+
+describe('#generateAuthToken', () => {
+    test('Should sign an expiring token containing the user ID and token family', () => {
+        const token = authenticationServiceFactory().generateAuthToken('123', 'family');
+        const decoded = jwt.verify(token, 'test-secret');
+
+        // Assert that the payload is correct and expires in 15 minutes.
+        expect(decoded).toMatchObject({ _id: '123', fam: 'family' });
+        expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+});
+
+describe('#verifyAuthToken', () => {
+    test('Should return the decoded payload for a valid token', () => {
+        const authenticationService = authenticationServiceFactory();
+        const token = authenticationService.generateAuthToken('123');
+        expect(authenticationService.verifyAuthToken(token)).toMatchObject({ _id: '123' });
+    });
+
+    test('Should throw an AuthenticationError for an expired token', () => {
+        const token = jwt.sign({ _id: '123', exp: Math.floor(Date.now() / 1000) - 10 }, 'test-secret');
+        expect(() => authenticationServiceFactory().verifyAuthToken(token)).toThrow(AuthenticationError);
+    });
+
+    test('Should throw an AuthenticationError for a token signed with another secret', () => {
+        const token = jwt.sign({ _id: '123' }, 'another-secret');
+        expect(() => authenticationServiceFactory().verifyAuthToken(token)).toThrow(AuthenticationError);
+    });
+});
+
+describe('#generateChallengeToken', () => {
+    test('Should sign a short-lived challenge token that can only be used as such', () => {
+        const authenticationService = authenticationServiceFactory();
+        const challengeToken = authenticationService.generateChallengeToken('123');
+        const decoded = authenticationService.verifyChallengeToken(challengeToken);
+
+        // Assert that the payload is correct and expires in 5 minutes.
+        expect(decoded).toMatchObject({ _id: '123' });
+        expect(decoded.exp - decoded.iat).toBe(5 * 60);
+
+        // Assert that the challenge token is not accepted as an access token.
+        expect(() => authenticationService.verifyAuthToken(challengeToken)).toThrow(AuthenticationError);
+    });
+});
+
+describe('#verifyChallengeToken', () => {
+    test('Should throw an AuthenticationError for an access token', () => {
+        const authenticationService = authenticationServiceFactory();
+        expect(() => authenticationService.verifyChallengeToken(authenticationService.generateAuthToken('123'))).toThrow(AuthenticationError);
+    });
+
+    test('Should throw an AuthenticationError for an expired challenge token', () => {
+        const challengeToken = jwt.sign({ _id: '123', typ: '2fa-challenge', exp: Math.floor(Date.now() / 1000) - 10 }, 'test-secret');
+        expect(() => authenticationServiceFactory().verifyChallengeToken(challengeToken)).toThrow(AuthenticationError);
+    });
+});
+
+describe('#generateSession', () => {
+    test('Should start a new token family and only store the hash of the refresh token', () => {
+        const authenticationService = authenticationServiceFactory();
+        const { token, refreshToken, session } = authenticationService.generateSession('123');
+
+        // Assert that the refresh token belongs to the session's family.
+        expect(authenticationService.parseRefreshToken(refreshToken)).toEqual(session.family);
+        expect(jwt.verify(token, 'test-secret')).toMatchObject({ _id: '123', fam: session.family });
+
+        // Assert that the session record contains the correct data.
+        expect(session.token).toEqual(token);
+        expect(session.refreshToken).toEqual(authenticationService.hashToken(refreshToken));
+        expect(session.refreshToken).not.toEqual(refreshToken);
+        expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('Should keep the provided family when rotating', () => {
+        const { refreshToken, session } = authenticationServiceFactory().generateSession('123', 'family');
+        expect(session.family).toEqual('family');
+        expect(refreshToken.startsWith('family.')).toBe(true);
+    });
+});
+
+describe('#parseRefreshToken', () => {
+    test('Should throw an AuthenticationError for a malformed refresh token', () => {
+        expect(() => authenticationServiceFactory().parseRefreshToken('no-separator')).toThrow(AuthenticationError);
+        expect(() => authenticationServiceFactory().parseRefreshToken('a.b.c')).toThrow(AuthenticationError);
+        expect(() => authenticationServiceFactory().parseRefreshToken(undefined)).toThrow(AuthenticationError);
+    });
+});
+
+describe('#generateApiKey', () => {
+    test('Should generate a random, prefixed API key', () => {
+        const authenticationService = authenticationServiceFactory();
+        const key = authenticationService.generateApiKey();
+
+        expect(key).toMatch(/^tak_[0-9a-f]{64}$/);
+        expect(authenticationService.generateApiKey()).not.toEqual(key);
+    });
+});
+
+describe('#isApiKey', () => {
+    test('Should tell API keys apart from access tokens', () => {
+        const authenticationService = authenticationServiceFactory();
+
+        expect(authenticationService.isApiKey(authenticationService.generateApiKey())).toBe(true);
+        expect(authenticationService.isApiKey(authenticationService.generateAuthToken('123'))).toBe(false);
+        expect(authenticationService.isApiKey(undefined)).toBe(false);
+    });
+});
+
+describe('Signing Key Rotation', () => {
+    test('Should sign with the first key of the keyring and name it in the kid header', () => {
+        const token = authenticationServiceFactory([rsaKey, ecKey]).generateAuthToken('123');
+        const { header } = jwt.decode(token, { complete: true });
+
+        expect(header).toMatchObject({ alg: 'RS256', kid: 'rsa-2024' });
+        expect(jwt.verify(token, rsaKey.publicKey, { algorithms: ['RS256'] })).toMatchObject({ _id: '123' });
+    });
+
+    test('Should sign with the active key, and keep verifying tokens signed by the retiring key', () => {
+        const retiringToken = authenticationServiceFactory([rsaKey]).generateAuthToken('123');
+        const authenticationService = authenticationServiceFactory([rsaKey, ecKey], 'ec-2025');
+        const token = authenticationService.generateAuthToken('456');
+
+        // Assert that the new key signs, deriving its public key from the private key to verify.
+        expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: 'ec-2025' });
+        expect(authenticationService.verifyAuthToken(token)).toMatchObject({ _id: '456' });
+
+        // Assert that the old key still verifies until it is removed from the keyring.
+        expect(authenticationService.verifyAuthToken(retiringToken)).toMatchObject({ _id: '123' });
+        expect(() => authenticationServiceFactory([ecKey]).verifyAuthToken(retiringToken)).toThrow(AuthenticationError);
+    });
+
+    test('Should keep verifying tokens without a kid with the shared secret', () => {
+        const legacyToken = jwt.sign({ _id: '123' }, 'test-secret');
+        expect(authenticationServiceFactory([rsaKey]).verifyAuthToken(legacyToken)).toMatchObject({ _id: '123' });
+    });
+
+    test('Should reject a token signed with a public key passed off as an HS256 secret', () => {
+        const forgedToken = jwt.sign({ _id: '123' }, rsaKey.publicKey, { algorithm: 'HS256', keyid: 'rsa-2024' });
+        expect(() => authenticationServiceFactory([rsaKey]).verifyAuthToken(forgedToken)).toThrow(AuthenticationError);
+    });
+
+    test('Should support shared secrets in the keyring too', () => {
+        const authenticationService = authenticationServiceFactory([hmacKey]);
+        const token = authenticationService.generateChallengeToken('123');
+
+        expect(jwt.verify(token, 'keyring-secret')).toMatchObject({ _id: '123' });
+        expect(authenticationService.verifyChallengeToken(token)).toMatchObject({ _id: '123' });
+    });
+});
+
+describe('#getJWKS', () => {
+    test('Should publish the public keys of the asymmetric keys only', () => {
+        const { keys } = authenticationServiceFactory([rsaKey, ecKey, hmacKey]).getJWKS();
+
+        expect(keys.map(({ kid, alg, use, kty }) => ({ kid, alg, use, kty }))).toEqual([
+            { kid: 'rsa-2024', alg: 'RS256', use: 'sig', kty: 'RSA' },
+            { kid: 'ec-2025', alg: 'ES256', use: 'sig', kty: 'EC' }
+        ]);
+
+        // Assert that no private key material was published.
+        keys.forEach(key => expect(key.d).toBeUndefined());
+
+        // Assert that the published keys verify our tokens.
+        const token = authenticationServiceFactory([rsaKey]).generateAuthToken('123');
+        expect(jwt.verify(token, toPublicKeyPEM(keys[0]), { algorithms: ['RS256'] })).toMatchObject({ _id: '123' });
+    });
+
+    test('Should publish an empty key set without a keyring', () => {
+        expect(authenticationServiceFactory().getJWKS()).toEqual({ keys: [] });
+    });
+});
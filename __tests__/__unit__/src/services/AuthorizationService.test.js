@@ -0,0 +1,58 @@
+/*
+ * File: AuthorizationService.test.js (__tests__/__unit__/src/services/AuthorizationService.test.js)
+ *
+ * Description: Houses unit test cases for the AuthorizationService.
+ */
+
+// SUT:
+const AuthorizationService = require('./../../../../src/services/AuthorizationService');
+
+// Custom Exceptions
+const { ValidationError } = require('./../../../../src/custom-exceptions/index');
+
+const rolesMock = {
+    user: [],
+    admin: ['users:read', 'users:disable', 'tasks:read:any'],
+    support: ['users:read']
+};
+
+// Service Factory
+const authorizationServiceFactory = () => new AuthorizationService({ roles: rolesMock });
+
+describe('#getPermissions', () => {
+    test('Should combine the permissions of every role without duplicates', () => {
+        expect(authorizationServiceFactory().getPermissions({ roles: ['user', 'support', 'admin'] }))
+            .toEqual(['users:read', 'users:disable', 'tasks:read:any']);
+    });
+
+    test('Should grant nothing for unknown roles or a user without roles', () => {
+        expect(authorizationServiceFactory().getPermissions({ roles: ['retired-role'] })).toEqual([]);
+        expect(authorizationServiceFactory().getPermissions({})).toEqual([]);
+    });
+});
+
+describe('#hasPermission', () => {
+    test('Should determine whether any of the roles of a user grant the permission', () => {
+        const authorizationService = authorizationServiceFactory();
+
+        expect(authorizationService.hasPermission({ roles: ['support'] }, 'users:read')).toBe(true);
+        expect(authorizationService.hasPermission({ roles: ['support'] }, 'users:disable')).toBe(false);
+        expect(authorizationService.hasPermission({ roles: ['user'] }, 'users:read')).toBe(false);
+    });
+});
+
+describe('#assertValidRoles', () => {
+    test('Should accept configured roles', () => {
+        expect(() => authorizationServiceFactory().assertValidRoles(['user', 'support'])).not.toThrow();
+    });
+
+    test('Should throw a ValidationError for a missing or empty list of roles', () => {
+        expect(() => authorizationServiceFactory().assertValidRoles()).toThrow(new ValidationError(null, 'At least one role is required.'));
+        expect(() => authorizationServiceFactory().assertValidRoles([])).toThrow(new ValidationError(null, 'At least one role is required.'));
+    });
+
+    test('Should throw a ValidationError naming the first unknown role', () => {
+        expect(() => authorizationServiceFactory().assertValidRoles(['user', 'owner']))
+            .toThrow(new ValidationError(null, 'The role "owner" does not exist.'));
+    });
+});
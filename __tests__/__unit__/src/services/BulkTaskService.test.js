@@ -0,0 +1,179 @@
+/*
+ * File: BulkTaskService.test.js (__tests__/__unit__/src/services/BulkTaskService.test.js)
+ *
+ * Description: Houses unit test cases for the BulkTaskService.
+ */
+
+// SUT:
+const BulkTaskService = require('./../../../../src/services/BulkTaskService');
+
+// Dependencies
+const TaskService = require('./../../../../src/services/TaskService');
+const TaskRepository = require('./../../../../src/repositories/TaskRepository');
+
+// Instances of dependencies for spying.
+const taskService = new TaskService({});
+const taskRepository = new TaskRepository();
+
+// Mock dependencies.
+jest.mock('./../../../../src/services/TaskService');
+jest.mock('./../../../../src/repositories/TaskRepository');
+
+// Custom Exceptions:
+const { ValidationError, ResourceNotFoundError } = require('./../../../../src/custom-exceptions/index');
+
+const contextMock = {
+    user: {
+        _id: '123'
+    }
+};
+
+// Service Factory
+const bulkTaskServiceFactory = () => new BulkTaskService({ taskService, taskRepository, context: contextMock });
+
+// Task IDs, which operations on existing tasks are checked for.
+const idOne = '5d6ede6a0ba62570afcedd3a';
+const idTwo = '5d6ede6a0ba62570afcedd3b';
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#performBulkOperations', () => {
+    test('Should perform each operation through the TaskService in order, reporting the outcome of each', async () => {
+        const createNewTaskSpy = jest.spyOn(taskService, 'createNewTask').mockResolvedValueOnce({ _id: idTwo, description: 'Water the plants' });
+        const updateTaskByIdSpy = jest.spyOn(taskService, 'updateTaskById')
+            .mockResolvedValueOnce({ _id: idOne, completed: true })
+            .mockRejectedValueOnce(new ResourceNotFoundError());
+        const deleteTaskByIdSpy = jest.spyOn(taskService, 'deleteTaskById').mockResolvedValueOnce();
+
+        const summary = await bulkTaskServiceFactory().performBulkOperations({
+            operations: [
+                { action: 'create', task: { description: 'Water the plants' } },
+                { action: 'complete', id: idOne },
+                { action: 'update', id: idTwo, updates: { priority: 'high' } },
+                { action: 'delete', id: idOne }
+            ]
+        });
+
+        expect(createNewTaskSpy).toHaveBeenCalledWith({ description: 'Water the plants' });
+        expect(updateTaskByIdSpy).toHaveBeenNthCalledWith(1, idOne, { completed: true });
+        expect(updateTaskByIdSpy).toHaveBeenNthCalledWith(2, idTwo, { priority: 'high' });
+        expect(deleteTaskByIdSpy).toHaveBeenCalledWith(idOne);
+
+        expect(summary).toEqual({
+            results: [
+                { index: 0, action: 'create', id: idTwo, status: 'succeeded', task: { _id: idTwo, description: 'Water the plants' } },
+                { index: 1, action: 'complete', id: idOne, status: 'succeeded', task: { _id: idOne, completed: true } },
+                { index: 2, action: 'update', id: idTwo, status: 'failed', statusCode: 404, error: new ResourceNotFoundError().message },
+                { index: 3, action: 'delete', id: idOne, status: 'succeeded' }
+            ],
+            succeeded: 3,
+            failed: 1
+        });
+        expect(taskRepository.withTransaction).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should fail the whole request on unexpected errors', async () => {
+        jest.spyOn(taskService, 'deleteTaskById').mockRejectedValueOnce(new Error('Connection lost'));
+
+        await expect(bulkTaskServiceFactory().performBulkOperations({ operations: [{ action: 'delete', id: idOne }] })).rejects.toThrow('Connection lost');
+    });
+
+    test('Should perform atomic operations in a transaction', async () => {
+        const withTransactionSpy = jest.spyOn(taskRepository, 'withTransaction').mockImplementationOnce(work => work());
+        jest.spyOn(taskService, 'updateTaskById').mockResolvedValueOnce({ _id: idOne }).mockResolvedValueOnce({ _id: idTwo });
+
+        const summary = await bulkTaskServiceFactory().performBulkOperations({
+            operations: [{ action: 'complete', id: idOne }, { action: 'complete', id: idTwo }],
+            atomic: true
+        });
+
+        expect(withTransactionSpy).toHaveBeenCalledTimes(1);
+        expect(summary).toMatchObject({ succeeded: 2, failed: 0 });
+    });
+
+    test('Should abort the transaction at the first failed atomic operation, reporting the others as rolled back', async () => {
+        jest.spyOn(taskRepository, 'withTransaction').mockImplementationOnce(work => work());
+        jest.spyOn(taskService, 'updateTaskById').mockResolvedValueOnce({ _id: idOne }).mockRejectedValueOnce(new ValidationError(null, 'Invalid.'));
+        const deleteTaskByIdSpy = jest.spyOn(taskService, 'deleteTaskById');
+
+        const err = await bulkTaskServiceFactory().performBulkOperations({
+            operations: [{ action: 'complete', id: idOne }, { action: 'update', id: idTwo, updates: { dueAt: 'soon' } }, { action: 'delete', id: idOne }],
+            atomic: true
+        }).catch(error => error);
+
+        expect(err).toEqual(new ValidationError(null, 'The operation at index 1 failed, so none of the operations were performed.'));
+        expect(err.data.details).toEqual([
+            { index: 0, action: 'complete', id: idOne, status: 'rolledBack' },
+            { index: 1, action: 'update', id: idTwo, status: 'failed', statusCode: 400, error: 'Invalid.' }
+        ]);
+        expect(deleteTaskByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should perform an action on the tasks of the user matching a filter, leaving out those already completed when completing', async () => {
+        const countTasksByQueryForUserSpy = jest.spyOn(taskService, 'countTasksByQueryForUser').mockResolvedValueOnce(1);
+        const retrieveTasksByQueryForUserSpy = jest.spyOn(taskService, 'retrieveTasksByQueryForUser').mockResolvedValueOnce([{ _id: idTwo, completed: false }]);
+        const updateTaskByIdSpy = jest.spyOn(taskService, 'updateTaskById').mockResolvedValueOnce({ _id: idTwo, completed: true });
+
+        const summary = await bulkTaskServiceFactory().performBulkOperations({ filter: { tags: ['work'] }, action: 'complete' });
+
+        expect(countTasksByQueryForUserSpy).toHaveBeenCalledWith({ tags: ['work'], completed: false });
+        expect(retrieveTasksByQueryForUserSpy).toHaveBeenCalledWith({ tags: ['work'], completed: false }, { sort: { createdAt: 1 }, limit: 100 });
+        expect(updateTaskByIdSpy).toHaveBeenCalledTimes(1);
+        expect(updateTaskByIdSpy).toHaveBeenCalledWith(idTwo, { completed: true });
+        expect(summary).toMatchObject({ succeeded: 1, failed: 0 });
+    });
+
+    test('Should complete nothing for a filter of completed tasks', async () => {
+        const summary = await bulkTaskServiceFactory().performBulkOperations({ filter: { completed: true }, action: 'complete' });
+
+        expect(summary).toMatchObject({ results: [], succeeded: 0, failed: 0 });
+        expect(taskService.retrieveTasksByQueryForUser).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should delete the tasks of the user matching a filter', async () => {
+        jest.spyOn(taskService, 'countTasksByQueryForUser').mockResolvedValueOnce(2);
+        jest.spyOn(taskService, 'retrieveTasksByQueryForUser').mockResolvedValueOnce([{ _id: idOne, completed: true }, { _id: idTwo, completed: true }]);
+        const deleteTaskByIdSpy = jest.spyOn(taskService, 'deleteTaskById').mockResolvedValue();
+
+        const summary = await bulkTaskServiceFactory().performBulkOperations({ filter: { completed: true }, action: 'delete' });
+
+        expect(deleteTaskByIdSpy.mock.calls).toEqual([[idOne], [idTwo]]);
+        expect(summary).toMatchObject({ succeeded: 2, failed: 0 });
+    });
+
+    test('Should throw a ValidationError with the number of matching tasks when a filter matches more than 100', async () => {
+        jest.spyOn(taskService, 'countTasksByQueryForUser').mockResolvedValueOnce(101);
+
+        await expect(bulkTaskServiceFactory().performBulkOperations({ filter: { completed: true }, action: 'delete' }))
+            .rejects.toEqual(new ValidationError(null, 'The filter matches 101 tasks, but at most 100 can be changed in one request.'));
+        expect(taskService.retrieveTasksByQueryForUser).toHaveBeenCalledTimes(0);
+        expect(taskService.deleteTaskById).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError for invalid requests before performing any operation', async () => {
+        const bulkTaskService = bulkTaskServiceFactory();
+        const operations = [{ action: 'complete', id: idOne }];
+
+        await expect(bulkTaskService.performBulkOperations()).rejects.toEqual(new ValidationError(null, 'Provide either a list of operations or a filter.'));
+        await expect(bulkTaskService.performBulkOperations({ operations, filter: { completed: true }, action: 'delete' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(bulkTaskService.performBulkOperations({ operations, atomic: 'yes' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(bulkTaskService.performBulkOperations({ operations: [] })).rejects.toBeInstanceOf(ValidationError);
+        await expect(bulkTaskService.performBulkOperations({ operations: new Array(101).fill(operations[0]) }))
+            .rejects.toEqual(new ValidationError(null, 'The operations must be a list of 1 to 100 operations.'));
+        await expect(bulkTaskService.performBulkOperations({ operations: [...operations, { action: 'archive', id: idOne }] }))
+            .rejects.toEqual(new ValidationError(null, 'The operation at index 1 must have an action of create, update, complete, delete.'));
+        await expect(bulkTaskService.performBulkOperations({ operations: [{ action: 'delete', id: { $ne: null } }] }))
+            .rejects.toEqual(new ValidationError(null, 'The operation at index 0 must have the ID of a task.'));
+
+        // Filters must not be empty, so that they can't act on every task by mistake.
+        await expect(bulkTaskService.performBulkOperations({ filter: {}, action: 'delete' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(bulkTaskService.performBulkOperations({ filter: { owner: '456' }, action: 'delete' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(bulkTaskService.performBulkOperations({ filter: { completed: 'true' }, action: 'delete' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(bulkTaskService.performBulkOperations({ filter: { completed: true }, action: 'update' })).rejects.toBeInstanceOf(ValidationError);
+
+        [taskService.createNewTask, taskService.updateTaskById, taskService.deleteTaskById, taskService.retrieveTasksByQueryForUser]
+            .forEach(method => expect(method).toHaveBeenCalledTimes(0));
+    });
+});
@@ -0,0 +1,198 @@
+/*
+ * File: ChecklistService.test.js (__tests__/__unit__/src/services/ChecklistService.test.js)
+ *
+ * Description: Houses unit test cases for the ChecklistService.
+ */
+
+// SUT:
+const ChecklistService = require('./../../../../src/services/ChecklistService');
+
+// Dependencies
+const TaskRepository = require('./../../../../src/repositories/TaskRepository');
+const RevisionService = require('./../../../../src/services/RevisionService');
+const WorkflowService = require('./../../../../src/services/WorkflowService');
+
+// Instances of dependencies for spying.
+const taskRepository = new TaskRepository();
+const revisionService = new RevisionService({});
+const workflowService = new WorkflowService({});
+
+// Mock dependencies.
+jest.mock('./../../../../src/repositories/TaskRepository');
+jest.mock('./../../../../src/services/RevisionService');
+jest.mock('./../../../../src/services/WorkflowService');
+
+// Custom Exceptions:
+const { ValidationError, ResourceNotFoundError } = require('./../../../../src/custom-exceptions/index');
+
+const contextMock = {
+    user: {
+        _id: '123'
+    }
+};
+
+// Service Factory
+const checklistServiceFactory = () => new ChecklistService({ taskRepository, revisionService, workflowService, context: contextMock });
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#retrieveChecklist', () => {
+    test('Should return the checklist of a task of the user, or an empty list if it has none', async () => {
+        const checklist = [{ _id: 'a', text: 'Outline', checked: true }];
+        const readByIdWithQuerySpy = jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ checklist }]).mockResolvedValueOnce([{}]);
+
+        expect(await checklistServiceFactory().retrieveChecklist('id')).toEqual(checklist);
+        expect(await checklistServiceFactory().retrieveChecklist('id')).toEqual([]);
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+    });
+
+    test('Should throw a ResourceNotFoundError if the user owns no task by the ID', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([]);
+
+        await expect(checklistServiceFactory().retrieveChecklist('id')).rejects.toEqual(new ResourceNotFoundError());
+    });
+});
+
+describe('#addChecklistItem', () => {
+    test('Should append an item with trimmed text to the checklist', async () => {
+        const task = { _id: 'id', checklist: [{ _id: 'a', text: 'Outline', checked: false }] };
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(task);
+
+        expect(await checklistServiceFactory().addChecklistItem('id', { text: ' Outline ' })).toBe(task);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, {
+            $push: { checklist: { text: 'Outline', checked: false } }
+        });
+    });
+
+    test('Should throw a ValidationError for items without text or with a checked flag that is not a boolean', async () => {
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery');
+        const checklistService = checklistServiceFactory();
+
+        await expect(checklistService.addChecklistItem('id')).rejects.toEqual(new ValidationError());
+        await expect(checklistService.addChecklistItem('id', {})).rejects.toEqual(new ValidationError(null, 'Checklist items must have text.'));
+        await expect(checklistService.addChecklistItem('id', { text: '  ' })).rejects.toEqual(new ValidationError(null, 'Checklist items must have text.'));
+        await expect(checklistService.addChecklistItem('id', { text: 'Outline', checked: 'yes' }))
+            .rejects.toEqual(new ValidationError(null, 'Whether a checklist item is checked must be true or false.'));
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ResourceNotFoundError if the user owns no task by the ID', async () => {
+        jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(null);
+
+        await expect(checklistServiceFactory().addChecklistItem('id', { text: 'Outline' })).rejects.toEqual(new ResourceNotFoundError());
+    });
+});
+
+describe('#updateChecklistItem', () => {
+    test('Should rename and check an item in place', async () => {
+        const task = { _id: 'id', checklist: [{ _id: 'a', text: 'Draft', checked: true }] };
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(task);
+
+        expect(await checklistServiceFactory().updateChecklistItem('id', 'a', { text: 'Draft ', checked: true })).toBe(task);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id, 'checklist._id': 'a' }, {
+            $set: { 'checklist.$.text': 'Draft', 'checklist.$.checked': true }
+        });
+    });
+
+    test('Should throw a ValidationError for invalid updates, and a ResourceNotFoundError if the task has no item by the ID', async () => {
+        jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(null);
+        const checklistService = checklistServiceFactory();
+
+        await expect(checklistService.updateChecklistItem('id', 'a')).rejects.toEqual(new ValidationError());
+        await expect(checklistService.updateChecklistItem('id', 'a', { _id: 'b' })).rejects.toEqual(new ValidationError());
+        await expect(checklistService.updateChecklistItem('id', 'a', { text: '' })).rejects.toEqual(new ValidationError(null, 'Checklist items must have text.'));
+        await expect(checklistService.updateChecklistItem('id', 'a', { checked: true })).rejects.toEqual(new ResourceNotFoundError(null, 'checklist item'));
+    });
+});
+
+describe('#reorderChecklist', () => {
+    const checklist = [{ _id: 'a', text: 'One' }, { _id: 'b', text: 'Two' }, { _id: 'c', text: 'Three' }];
+
+    test('Should put the listed items first, followed by the others in their current order', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', checklist }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        expect(await checklistServiceFactory().reorderChecklist('id', ['c', 'a'])).toBe('task');
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { checklist: [checklist[2], checklist[0], checklist[1]] });
+    });
+
+    test('Should throw a ValidationError for IDs that are repeated, not strings, or not of items of the checklist', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', checklist }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery');
+        const checklistService = checklistServiceFactory();
+
+        await expect(checklistService.reorderChecklist('id', ['a', 'a'])).rejects.toEqual(new ValidationError(null, 'The item IDs must be a list of distinct IDs.'));
+        await expect(checklistService.reorderChecklist('id', [{ $ne: null }])).rejects.toBeInstanceOf(ValidationError);
+        await expect(checklistService.reorderChecklist('id', ['a', 'd'])).rejects.toEqual(new ValidationError(null, 'The checklist has no items with the IDs d.'));
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#deleteChecklistItem', () => {
+    test('Should pull an item from the checklist', async () => {
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ _id: 'id', checklist: [] });
+
+        await checklistServiceFactory().deleteChecklistItem('id', 'a');
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id, 'checklist._id': 'a' }, { $pull: { checklist: { _id: 'a' } } });
+    });
+
+    test('Should throw a ResourceNotFoundError if the task has no item by the ID', async () => {
+        jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(null);
+
+        await expect(checklistServiceFactory().deleteChecklistItem('id', 'a')).rejects.toEqual(new ResourceNotFoundError(null, 'checklist item'));
+    });
+});
+
+describe('Completing Tasks With Their Checklists', () => {
+    const taskFactory = (completed, ...checked) => ({
+        _id: 'id',
+        completed,
+        completeWithChecklist: true,
+        checklist: checked.map((isChecked, index) => ({ _id: String(index), text: 'Step', checked: isChecked }))
+    });
+
+    test('Should complete a task that follows its checklist once every item is checked, recording the completion in its history', async () => {
+        const completedTask = taskFactory(true, true, true);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery')
+            .mockResolvedValueOnce(taskFactory(false, true, true))
+            .mockResolvedValueOnce(completedTask);
+        const getStatusUpdatesSpy = jest.spyOn(workflowService, 'getStatusUpdates').mockResolvedValueOnce({ status: 'done', completed: true });
+
+        expect(await checklistServiceFactory().updateChecklistItem('id', '1', { checked: true })).toBe(completedTask);
+        expect(getStatusUpdatesSpy).toHaveBeenCalledWith(taskFactory(false, true, true), { completed: true });
+        expect(updateByIdWithQuerySpy).toHaveBeenLastCalledWith('id', { owner: contextMock.user._id }, { completed: true, status: 'done' });
+        expect(revisionService.recordRevision).toHaveBeenCalledWith('complete', taskFactory(false, true, true), completedTask);
+    });
+
+    test('Should reopen a completed task that follows its checklist once an item is not checked', async () => {
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery')
+            .mockResolvedValueOnce(taskFactory(true, true, false))
+            .mockResolvedValueOnce(taskFactory(false, true, false));
+
+        await checklistServiceFactory().addChecklistItem('id', { text: 'Step' });
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(2);
+        expect(updateByIdWithQuerySpy).toHaveBeenLastCalledWith('id', { owner: contextMock.user._id }, { completed: false });
+    });
+
+    test('Should leave tasks alone that do not follow their checklists, have empty checklists, or are already in step', async () => {
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery')
+            .mockResolvedValueOnce({ ...taskFactory(false, true), completeWithChecklist: false })
+            .mockResolvedValueOnce(taskFactory(true))
+            .mockResolvedValueOnce(taskFactory(true, true));
+        const checklistService = checklistServiceFactory();
+
+        await checklistService.updateChecklistItem('id', '0', { checked: true });
+        await checklistService.deleteChecklistItem('id', '0');
+        await checklistService.updateChecklistItem('id', '0', { checked: true });
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(3);
+        expect(revisionService.recordRevision).toHaveBeenCalledTimes(0);
+    });
+});
@@ -0,0 +1,170 @@
+/*
+ * File: LoginThrottleService.test.js (__tests__/__unit__/src/services/LoginThrottleService.test.js)
+ *
+ * Description: Houses unit test cases for the LoginThrottleService.
+ */
+
+// SUT:
+const LoginThrottleService = require('./../../../../src/services/LoginThrottleService');
+
+// Dependencies to the System Under Test.
+const ThrottleRepository = require('./../../../../src/repositories/ThrottleRepository');
+const appConfig = require('./../../../../src/config/application/config');
+
+// Mock dependencies.
+jest.mock('./../../../../src/repositories/ThrottleRepository');
+
+const throttleRepository = new ThrottleRepository();
+
+// Custom Exceptions
+const { TooManyAttemptsError } = require('./../../../../src/custom-exceptions/index');
+
+// Service Factory
+const loginThrottleServiceFactory = () => new LoginThrottleService({ throttleRepository, appConfig });
+
+const attempt = { email: ' Jamie@Domain.com ', ipAddress: '10.0.0.1' };
+const keys = ['account:jamie@domain.com', 'ip:10.0.0.1'];
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('#assertAllowed', () => {
+    test('Should resolve if neither the account nor the IP address is blocked', async () => {
+        const readByKeysSpy = jest.spyOn(throttleRepository, 'readByKeys').mockImplementationOnce(() => Promise.resolve([
+            { key: keys[0], failures: 3 },
+            { key: keys[1], failures: 8, blockedUntil: new Date(Date.now() - 1000) }
+        ]));
+
+        await expect(loginThrottleServiceFactory().assertAllowed(attempt)).resolves.toBe(undefined);
+
+        // Assert that the throttles were looked up by the normalized keys.
+        expect(readByKeysSpy).toHaveBeenCalledWith(keys);
+    });
+
+    test('Should throw a TooManyAttemptsError with the seconds to wait while delayed', async () => {
+        jest.spyOn(throttleRepository, 'readByKeys').mockImplementationOnce(() => Promise.resolve([
+            { key: keys[1], failures: 21, blockedUntil: new Date(Date.now() + 1500) }
+        ]));
+
+        const error = await loginThrottleServiceFactory().assertAllowed(attempt).catch(err => err);
+
+        expect(error).toBeInstanceOf(TooManyAttemptsError);
+        expect(error.data).toMatchObject({ statusCode: 429, retryAfter: 2 });
+    });
+
+    test('Should report a lockout of the account over a delay of the IP address', async () => {
+        jest.spyOn(throttleRepository, 'readByKeys').mockImplementationOnce(() => Promise.resolve([
+            { key: keys[1], failures: 21, blockedUntil: new Date(Date.now() + 1000), locked: false },
+            { key: keys[0], failures: 10, blockedUntil: new Date(Date.now() + 60000), locked: true }
+        ]));
+
+        const error = await loginThrottleServiceFactory().assertAllowed(attempt).catch(err => err);
+
+        expect(error).toEqual(new TooManyAttemptsError(null, 60, true));
+        expect(error.data.statusCode).toBe(423);
+    });
+});
+
+describe('#recordFailure', () => {
+    const mockFailures = (accountFailures, ipFailures) => jest.spyOn(throttleRepository, 'incrementFailuresByKey')
+        .mockImplementation(key => Promise.resolve({ key, failures: key === keys[0] ? accountFailures : ipFailures }));
+
+    test('Should count the failure against both the account and the IP address without blocking within the free attempts', async () => {
+        const incrementFailuresByKeySpy = mockFailures(5, 20);
+        const updateBlockByKeySpy = jest.spyOn(throttleRepository, 'updateBlockByKey');
+
+        await loginThrottleServiceFactory().recordFailure(attempt);
+
+        // Assert that both counters were incremented, and will be forgotten after the window.
+        expect(incrementFailuresByKeySpy).toHaveBeenCalledTimes(2);
+        expect(incrementFailuresByKeySpy).toHaveBeenCalledWith(keys[0], expect.any(Date));
+        expect(incrementFailuresByKeySpy).toHaveBeenCalledWith(keys[1], expect.any(Date));
+        expect(incrementFailuresByKeySpy.mock.calls[0][1].getTime())
+            .toBeGreaterThan(Date.now() + appConfig.authentication.loginThrottling.getWindow() - 1000);
+
+        // Assert that nothing was blocked.
+        expect(updateBlockByKeySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should delay further attempts exponentially once the free attempts are used up', async () => {
+        const updateBlockByKeySpy = jest.spyOn(throttleRepository, 'updateBlockByKey');
+
+        mockFailures(6, 1);
+        await loginThrottleServiceFactory().recordFailure(attempt);
+        const firstDelay = updateBlockByKeySpy.mock.calls[0][1].blockedUntil.getTime() - Date.now();
+
+        mockFailures(8, 1);
+        await loginThrottleServiceFactory().recordFailure(attempt);
+        const thirdDelay = updateBlockByKeySpy.mock.calls[1][1].blockedUntil.getTime() - Date.now();
+
+        // Assert that only the account was blocked, for 1 and then 4 seconds.
+        expect(updateBlockByKeySpy).toHaveBeenCalledTimes(2);
+        expect(updateBlockByKeySpy.mock.calls.map(([key]) => key)).toEqual([keys[0], keys[0]]);
+        expect(updateBlockByKeySpy.mock.calls[0][1].locked).toBe(false);
+        expect(firstDelay).toBeGreaterThan(900);
+        expect(firstDelay).toBeLessThanOrEqual(1000);
+        expect(thirdDelay).toBeGreaterThan(3900);
+        expect(thirdDelay).toBeLessThanOrEqual(4000);
+    });
+
+    test('Should lock the account once it reaches the lockout threshold', async () => {
+        mockFailures(appConfig.authentication.loginThrottling.accounts.getLockoutThreshold(), 1);
+        const updateBlockByKeySpy = jest.spyOn(throttleRepository, 'updateBlockByKey');
+
+        await loginThrottleServiceFactory().recordFailure(attempt);
+
+        // Assert that the account was locked, and that the counters outlive the lockout.
+        const [[key, block]] = updateBlockByKeySpy.mock.calls;
+        expect(key).toEqual(keys[0]);
+        expect(block.locked).toBe(true);
+        expect(block.blockedUntil.getTime())
+            .toBeGreaterThan(Date.now() + appConfig.authentication.loginThrottling.accounts.getLockoutDuration() - 1000);
+        expect(block.expiresAt.getTime()).toBeGreaterThanOrEqual(block.blockedUntil.getTime());
+
+        // Assert that the count of the account restarted, so that the lockout ends with a clean slate.
+        expect(block.failures).toBe(0);
+    });
+
+    test('Should only delay a failure after a lockout ends, rather than lock the account again', async () => {
+        const updateBlockByKeySpy = jest.spyOn(throttleRepository, 'updateBlockByKey');
+
+        // The count restarted with the lockout, so the failure after it is the first.
+        mockFailures(1, 1);
+        await loginThrottleServiceFactory().recordFailure(attempt);
+
+        expect(updateBlockByKeySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should only ever delay an IP address, up to the maximum delay', async () => {
+        mockFailures(1, 1000);
+        const updateBlockByKeySpy = jest.spyOn(throttleRepository, 'updateBlockByKey');
+
+        await loginThrottleServiceFactory().recordFailure(attempt);
+
+        const [[key, block]] = updateBlockByKeySpy.mock.calls;
+        expect(key).toEqual(keys[1]);
+        expect(block.locked).toBe(false);
+        expect(block.blockedUntil.getTime()).toBeLessThanOrEqual(Date.now() + appConfig.authentication.loginThrottling.getMaxDelay());
+        expect(block.failures).toBe(undefined);
+    });
+});
+
+describe('#clear', () => {
+    test('Should remove the throttles of the account and the IP address', async () => {
+        const deleteByKeysSpy = jest.spyOn(throttleRepository, 'deleteByKeys').mockImplementationOnce(() => Promise.resolve());
+
+        await loginThrottleServiceFactory().clear(attempt);
+
+        expect(deleteByKeysSpy).toHaveBeenCalledWith(keys);
+    });
+
+    test('Should only remove the throttle of the account if no IP address is provided', async () => {
+        const deleteByKeysSpy = jest.spyOn(throttleRepository, 'deleteByKeys').mockImplementationOnce(() => Promise.resolve());
+
+        await loginThrottleServiceFactory().clear({ email: 'jamie@domain.com' });
+
+        expect(deleteByKeysSpy).toHaveBeenCalledWith([keys[0]]);
+    });
+});
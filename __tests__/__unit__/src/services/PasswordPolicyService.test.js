@@ -0,0 +1,120 @@
+/*
+ * File: PasswordPolicyService.test.js (__tests__/__unit__/src/services/PasswordPolicyService.test.js)
+ *
+ * Description: Houses unit test cases for the PasswordPolicyService.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// SUT:
+const PasswordPolicyService = require('./../../../../src/services/PasswordPolicyService');
+
+// Custom Exceptions
+const { ValidationError } = require('./../../../../src/custom-exceptions/index');
+
+const appConfigMockFactory = (blocklistFile, minCharacterClasses = 2) => ({
+    authentication: {
+        passwordPolicy: {
+            getMinLength: () => 8,
+            getMaxLength: () => 64,
+            getMinCharacterClasses: () => minCharacterClasses,
+            getBlocklistFile: () => blocklistFile
+        }
+    }
+});
+
+// Service Factory
+const passwordPolicyServiceFactory = (blocklistFile, minCharacterClasses) => new PasswordPolicyService({
+    appConfig: appConfigMockFactory(blocklistFile, minCharacterClasses)
+});
+
+const user = { name: 'Alan M. Turing', email: 'alan.turing@domain.com' };
+
+describe('#validate', () => {
+    test('Should accept a password that breaks no rule', () => {
+        expect(passwordPolicyServiceFactory().validate('correct horse battery staple', user)).toEqual([]);
+    });
+
+    test('Should reject passwords that are too short or too long, counting characters rather than code units', () => {
+        const passwordPolicyService = passwordPolicyServiceFactory();
+
+        expect(passwordPolicyService.validate('sh0rt', user)).toEqual([
+            { rule: 'minLength', message: 'The password must be at least 8 characters long.' }
+        ]);
+        expect(passwordPolicyService.validate('a1'.repeat(33), user)).toEqual([
+            { rule: 'maxLength', message: 'The password must be at most 64 characters long.' }
+        ]);
+        expect(passwordPolicyService.validate('🔑🔑🔑🔑🔑🔑🔑', user).map(({ rule }) => rule)).toContain('minLength');
+    });
+
+    test('Should require the configured number of character classes', () => {
+        expect(passwordPolicyServiceFactory().validate('onlylowercaseletters', user)).toEqual([{
+            rule: 'characterClasses',
+            message: 'The password must contain at least 2 of lowercase letters, uppercase letters, digits, and symbols.'
+        }]);
+        expect(passwordPolicyServiceFactory(undefined, 4).validate('Lower-and-UPPER-and-123', user)).toEqual([]);
+        expect(passwordPolicyServiceFactory(undefined, 4).validate('Lower and UPPER and more', user).map(({ rule }) => rule)).toEqual(['characterClasses']);
+    });
+
+    test('Should reject passwords containing the name or email address, ignoring case and short parts of the name', () => {
+        const passwordPolicyService = passwordPolicyServiceFactory();
+        const violation = { rule: 'personalInformation', message: 'The password must not contain your name or email address.' };
+
+        expect(passwordPolicyService.validate('I-am-TURING-complete', user)).toEqual([violation]);
+        expect(passwordPolicyService.validate('my.alan.turing.pass', user)).toEqual([violation]);
+        expect(passwordPolicyService.validate('Alan-was-here-1912', user)).toEqual([violation]);
+        expect(passwordPolicyService.validate('m-for-mathematics', user)).toEqual([]);
+        expect(passwordPolicyService.validate('Alan-was-here-1912')).toEqual([]);
+    });
+
+    test('Should reject common passwords regardless of case', () => {
+        expect(passwordPolicyServiceFactory().validate('Password123', user)).toEqual([
+            { rule: 'commonPassword', message: 'The password is too common, or has appeared in a data breach.' }
+        ]);
+    });
+
+    test('Should reject passwords on the configured blocklist, ignoring comments and blank lines', () => {
+        const blocklistFile = path.join(os.tmpdir(), `password-blocklist-${process.pid}.txt`);
+        fs.writeFileSync(blocklistFile, '# Breached passwords\n\nBreached-Passw0rd\r\n');
+
+        try {
+            expect(passwordPolicyServiceFactory(blocklistFile).validate('breached-passw0rd', user).map(({ rule }) => rule)).toEqual(['commonPassword']);
+            expect(passwordPolicyServiceFactory(blocklistFile).validate('# Breached passwords', user)).toEqual([]);
+        } finally {
+            fs.unlinkSync(blocklistFile);
+        }
+    });
+
+    test('Should list every rule that a password breaks', () => {
+        expect(passwordPolicyServiceFactory().validate('turing', user).map(({ rule }) => rule))
+            .toEqual(['minLength', 'characterClasses', 'personalInformation']);
+    });
+});
+
+describe('#assertValid', () => {
+    test('Should not throw for an acceptable password', () => {
+        expect(() => passwordPolicyServiceFactory().assertValid('correct horse battery staple', user)).not.toThrow();
+    });
+
+    test('Should throw a ValidationError whose message and details name the broken rules', () => {
+        let error;
+        try {
+            passwordPolicyServiceFactory().assertValid('turing', user);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.message).toEqual('The password must be at least 8 characters long. '
+            + 'The password must contain at least 2 of lowercase letters, uppercase letters, digits, and symbols. '
+            + 'The password must not contain your name or email address.');
+        expect(error.data.statusCode).toBe(400);
+        expect(error.data.details.map(({ rule }) => rule)).toEqual(['minLength', 'characterClasses', 'personalInformation']);
+    });
+
+    test('Should throw a plain ValidationError if the password is not a string', () => {
+        expect(() => passwordPolicyServiceFactory().assertValid({ $gt: '' }, user)).toThrow(new ValidationError());
+    });
+});
@@ -0,0 +1,105 @@
+/*
+ * File: PasswordService.test.js (__tests__/__unit__/src/services/PasswordService.test.js)
+ *
+ * Description: Houses unit test cases for the PasswordService.
+ */
+
+// SUT:
+const PasswordService = require('./../../../../src/services/PasswordService');
+
+// Mocks producing hashes of the formats bcrypt and argon2 produce.
+const bcryptMock = {
+    hash: jest.fn((plainText, cost) => Promise.resolve(bcryptHash(cost))),
+    compare: jest.fn(() => Promise.resolve(true)),
+    getRounds: jest.fn(hashed => Number(hashed.split('$')[2]))
+};
+
+const argon2Mock = {
+    argon2id: 2,
+    hash: jest.fn((plainText, { memoryCost, timeCost, parallelism }) => Promise.resolve(`$argon2id$v=19$m=${memoryCost},t=${timeCost},p=${parallelism}$salt$hash`)),
+    verify: jest.fn(() => Promise.resolve(true))
+};
+
+const appConfigMockFactory = (algorithm = 'bcrypt') => ({
+    authentication: {
+        passwordHashing: {
+            getAlgorithm: () => algorithm,
+            bcrypt: {
+                getCost: () => 5
+            },
+            argon2id: {
+                getMemoryCost: () => 19456,
+                getTimeCost: () => 2,
+                getParallelism: () => 1
+            }
+        }
+    }
+});
+
+// Service Factory
+const passwordServiceFactory = (algorithm, argon2 = argon2Mock) => new PasswordService({
+    bcrypt: bcryptMock,
+    argon2,
+    appConfig: appConfigMockFactory(algorithm)
+});
+
+const bcryptHash = cost => `$2b$${String(cost).padStart(2, '0')}$saltandhash`;
+const argon2Hash = '$argon2id$v=19$m=19456,t=2,p=1$salt$hash';
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#hash', () => {
+    test('Should hash with bcrypt at the configured cost', async () => {
+        expect(await passwordServiceFactory().hash('a-password')).toEqual(bcryptHash(5));
+        expect(bcryptMock.hash).toHaveBeenCalledWith('a-password', 5);
+        expect(argon2Mock.hash).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should hash with argon2id and the configured parameters', async () => {
+        expect(await passwordServiceFactory('argon2id').hash('a-password')).toEqual(argon2Hash);
+        expect(argon2Mock.hash).toHaveBeenCalledWith('a-password', { type: 2, memoryCost: 19456, timeCost: 2, parallelism: 1 });
+    });
+
+    test('Should throw if argon2id is configured but the argon2 package is not installed', async () => {
+        await expect(passwordServiceFactory('argon2id', null).hash('a-password'))
+            .rejects.toEqual(new Error('The argon2 package must be installed to hash passwords with argon2id.'));
+    });
+});
+
+describe('#compare', () => {
+    test('Should compare against bcrypt hashes, whichever algorithm is configured', async () => {
+        expect(await passwordServiceFactory('argon2id').compare('a-password', bcryptHash(4))).toBe(true);
+        expect(bcryptMock.compare).toHaveBeenCalledWith('a-password', bcryptHash(4));
+        expect(argon2Mock.verify).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should compare against argon2 hashes, whichever algorithm is configured', async () => {
+        expect(await passwordServiceFactory().compare('a-password', argon2Hash)).toBe(true);
+        expect(argon2Mock.verify).toHaveBeenCalledWith(argon2Hash, 'a-password');
+        expect(bcryptMock.compare).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#needsRehash', () => {
+    test('Should only re-hash bcrypt hashes of a lower cost, and argon2 hashes, when bcrypt is configured', () => {
+        const passwordService = passwordServiceFactory();
+
+        expect(passwordService.needsRehash(bcryptHash(4))).toBe(true);
+        expect(passwordService.needsRehash(bcryptHash(5))).toBe(false);
+        expect(passwordService.needsRehash(bcryptHash(6))).toBe(false);
+        expect(passwordService.needsRehash(argon2Hash)).toBe(true);
+    });
+
+    test('Should re-hash bcrypt hashes, other argon2 variants, and weaker argon2id hashes when argon2id is configured', () => {
+        const passwordService = passwordServiceFactory('argon2id');
+
+        expect(passwordService.needsRehash(bcryptHash(12))).toBe(true);
+        expect(passwordService.needsRehash('$argon2i$v=19$m=19456,t=2,p=1$salt$hash')).toBe(true);
+        expect(passwordService.needsRehash('$argon2id$v=19$m=4096,t=3,p=1$salt$hash')).toBe(true);
+        expect(passwordService.needsRehash('$argon2id$v=19$m=19456,t=1,p=1$salt$hash')).toBe(true);
+        expect(passwordService.needsRehash(argon2Hash)).toBe(false);
+        expect(passwordService.needsRehash('$argon2id$v=19$m=65536,t=3,p=4$salt$hash')).toBe(false);
+    });
+});
@@ -0,0 +1,234 @@
+/*
+ * File: ProjectService.test.js (__tests__/__unit__/src/services/ProjectService.test.js)
+ *
+ * Description: Houses unit test cases for the ProjectService.
+ */
+
+// SUT:
+const ProjectService = require('./../../../../src/services/ProjectService');
+
+// Dependencies
+const ProjectRepository = require('./../../../../src/repositories/ProjectRepository');
+const TaskRepository = require('./../../../../src/repositories/TaskRepository');
+const RevisionService = require('./../../../../src/services/RevisionService');
+
+// Instances of dependencies for spying.
+const projectRepository = new ProjectRepository();
+const taskRepository = new TaskRepository();
+const revisionService = new RevisionService({});
+
+// Mock dependencies.
+jest.mock('./../../../../src/repositories/ProjectRepository');
+jest.mock('./../../../../src/repositories/TaskRepository');
+jest.mock('./../../../../src/services/RevisionService');
+
+// Custom Exceptions:
+const { ValidationError, ResourceNotFoundError } = require('./../../../../src/custom-exceptions/index');
+
+const contextMock = {
+    user: {
+        _id: '123'
+    }
+};
+
+// The error Mongoose throws for an ID that isn't one.
+const castErrorFactory = () => Object.assign(new Error('Cast to ObjectId failed for value "not-an-id" at path "_id" for model "Project"'), { name: 'CastError' });
+
+// Service Factory
+const projectServiceFactory = () => new ProjectService({ projectRepository, taskRepository, revisionService, context: contextMock });
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#createProject', () => {
+    test('Should create a project after the last project of the user, ignoring other fields', async () => {
+        const readByQuerySpy = jest.spyOn(projectRepository, 'readByQuery').mockResolvedValueOnce([{ position: 4 }]).mockResolvedValueOnce([]);
+        const createSpy = jest.spyOn(projectRepository, 'create').mockResolvedValueOnce('project').mockResolvedValueOnce('project');
+
+        expect(await projectServiceFactory().createProject({ name: 'Thesis', position: 0, archived: true })).toBe('project');
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id }, { sort: { position: -1 }, limit: 1 });
+        expect(createSpy).toHaveBeenCalledWith({ name: 'Thesis', position: 5, owner: contextMock.user._id });
+
+        // The first project of a user comes first.
+        await projectServiceFactory().createProject({ name: 'Garden' });
+        expect(createSpy).toHaveBeenLastCalledWith({ name: 'Garden', position: 0, owner: contextMock.user._id });
+    });
+
+    test('Should throw a ValidationError if no project data is provided', async () => {
+        await expect(projectServiceFactory().createProject()).rejects.toEqual(new ValidationError());
+    });
+});
+
+describe('#retrieveProjects', () => {
+    test('Should list the projects of the user in order, filtering by whether they are archived', async () => {
+        const readByQuerySpy = jest.spyOn(projectRepository, 'readByQuery').mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+
+        await projectServiceFactory().retrieveProjects();
+        await projectServiceFactory().retrieveProjects({ archived: false });
+
+        expect(readByQuerySpy).toHaveBeenNthCalledWith(1, { owner: contextMock.user._id }, { sort: { position: 1 } });
+        expect(readByQuerySpy).toHaveBeenNthCalledWith(2, { owner: contextMock.user._id, archived: false }, { sort: { position: 1 } });
+    });
+});
+
+describe('#retrieveProjectById', () => {
+    test('Should find a project of the user, throwing a ResourceNotFoundError if the user owns no project by the ID', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce('project').mockResolvedValueOnce(null);
+
+        expect(await projectServiceFactory().retrieveProjectById('id')).toBe('project');
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+
+        await expect(projectServiceFactory().retrieveProjectById('id')).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+    });
+
+    test('Should throw a ResourceNotFoundError for an invalid ID', async () => {
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockRejectedValueOnce(castErrorFactory());
+
+        await expect(projectServiceFactory().retrieveProjectById('not-an-id')).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+    });
+});
+
+describe('#updateProjectById', () => {
+    test('Should rename or archive a project of the user', async () => {
+        const updateByIdWithQuerySpy = jest.spyOn(projectRepository, 'updateByIdWithQuery').mockResolvedValueOnce('project');
+
+        expect(await projectServiceFactory().updateProjectById('id', { name: 'Dissertation', archived: true })).toBe('project');
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { name: 'Dissertation', archived: true });
+    });
+
+    test('Should throw a ValidationError for invalid updates, and a ResourceNotFoundError if the user owns no project by the ID', async () => {
+        jest.spyOn(projectRepository, 'updateByIdWithQuery').mockResolvedValueOnce(null);
+
+        await expect(projectServiceFactory().updateProjectById('id')).rejects.toEqual(new ValidationError());
+        await expect(projectServiceFactory().updateProjectById('id', { position: 0 })).rejects.toEqual(new ValidationError());
+        await expect(projectServiceFactory().updateProjectById('id', { name: 'Thesis' })).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+    });
+
+    test('Should throw a ResourceNotFoundError for an invalid ID', async () => {
+        jest.spyOn(projectRepository, 'updateByIdWithQuery').mockRejectedValueOnce(castErrorFactory());
+
+        await expect(projectServiceFactory().updateProjectById('not-an-id', { name: 'Thesis' })).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+    });
+});
+
+describe('#reorderProjects', () => {
+    const projects = [{ _id: 'a', position: 0 }, { _id: 'b', position: 1 }, { _id: 'c', position: 2 }, { _id: 'd', position: 3 }];
+
+    test('Should put the listed projects first, followed by the others in their current order, only moving those that change places', async () => {
+        jest.spyOn(projectRepository, 'readByQuery').mockResolvedValueOnce(projects);
+        const updatePositionsForOwnerSpy = jest.spyOn(projectRepository, 'updatePositionsForOwner').mockResolvedValueOnce();
+
+        const reorderedProjects = await projectServiceFactory().reorderProjects(['c', 'a']);
+
+        expect(reorderedProjects).toEqual([{ _id: 'c', position: 0 }, { _id: 'a', position: 1 }, { _id: 'b', position: 2 }, { _id: 'd', position: 3 }]);
+        expect(updatePositionsForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, { c: 0, a: 1, b: 2 });
+    });
+
+    test('Should throw a ValidationError for IDs that are repeated, not strings, or not of projects of the user', async () => {
+        jest.spyOn(projectRepository, 'readByQuery').mockResolvedValueOnce(projects);
+        const updatePositionsForOwnerSpy = jest.spyOn(projectRepository, 'updatePositionsForOwner');
+        const projectService = projectServiceFactory();
+
+        await expect(projectService.reorderProjects(['a', 'a'])).rejects.toEqual(new ValidationError(null, 'The project IDs must be a list of distinct IDs.'));
+        await expect(projectService.reorderProjects([{ $ne: null }])).rejects.toBeInstanceOf(ValidationError);
+        await expect(projectService.reorderProjects([])).rejects.toBeInstanceOf(ValidationError);
+        await expect(projectService.reorderProjects(['a', 'e'])).rejects.toEqual(new ValidationError(null, 'You have no projects with the IDs e.'));
+
+        expect(updatePositionsForOwnerSpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#deleteProjectById', () => {
+    test('Should move the tasks of the project to the inbox by default, deleting the project once it is empty', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce({ _id: 'id' });
+        const deleteByIdWithQuerySpy = jest.spyOn(projectRepository, 'deleteByIdWithQuery').mockResolvedValueOnce({ _id: 'id' });
+        const moveProjectForOwnerSpy = jest.spyOn(taskRepository, 'moveProjectForOwner').mockResolvedValueOnce(3);
+
+        expect(await projectServiceFactory().deleteProjectById('id')).toEqual({ moved: 3 });
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+        expect(moveProjectForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, 'id', null);
+        expect(deleteByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+        expect(moveProjectForOwnerSpy.mock.invocationCallOrder[0]).toBeLessThan(deleteByIdWithQuerySpy.mock.invocationCallOrder[0]);
+    });
+
+    test('Should move the tasks of the project to another project of the user', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(projectRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce({ _id: 'other', archived: false })
+            .mockResolvedValueOnce({ _id: 'id' });
+        jest.spyOn(projectRepository, 'deleteByIdWithQuery').mockResolvedValueOnce({ _id: 'id' });
+        const moveProjectForOwnerSpy = jest.spyOn(taskRepository, 'moveProjectForOwner').mockResolvedValueOnce(3);
+
+        await projectServiceFactory().deleteProjectById('id', { tasks: 'move', moveTo: 'other' });
+
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('other', { owner: contextMock.user._id });
+        expect(moveProjectForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, 'id', 'other');
+    });
+
+    test('Should move the tasks of the project to the trash, to be restored to the inbox, recording the deletion of each', async () => {
+        const projectTasks = [{ _id: 'a', projectId: 'id', deletedAt: null }, { _id: 'b', projectId: 'id', deletedAt: null }];
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce({ _id: 'id' });
+        const deleteByIdWithQuerySpy = jest.spyOn(projectRepository, 'deleteByIdWithQuery').mockResolvedValueOnce({ _id: 'id' });
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce(projectTasks);
+        const trashByProjectForOwnerSpy = jest.spyOn(taskRepository, 'trashByProjectForOwner').mockResolvedValueOnce(2);
+        const moveProjectForOwnerSpy = jest.spyOn(taskRepository, 'moveProjectForOwner').mockResolvedValueOnce(3);
+        const recordRevisionSpy = jest.spyOn(revisionService, 'recordRevision').mockResolvedValue();
+
+        expect(await projectServiceFactory().deleteProjectById('id', { tasks: 'delete', moveTo: 'other' })).toEqual({ deleted: 2 });
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, projectId: 'id' });
+        expect(trashByProjectForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, 'id', ['a', 'b'], expect.any(Date));
+
+        const [, , , deletedAt] = trashByProjectForOwnerSpy.mock.calls[0];
+        expect(recordRevisionSpy).toHaveBeenCalledTimes(2);
+        expect(recordRevisionSpy).toHaveBeenCalledWith('delete', projectTasks[1], { _id: 'b', projectId: null, deletedAt });
+
+        // Assert that the tasks, including those already in the trash, no longer belong to the project by the time it is deleted.
+        expect(moveProjectForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, 'id', null);
+        expect(trashByProjectForOwnerSpy.mock.invocationCallOrder[0]).toBeLessThan(moveProjectForOwnerSpy.mock.invocationCallOrder[0]);
+        expect(moveProjectForOwnerSpy.mock.invocationCallOrder[0]).toBeLessThan(deleteByIdWithQuerySpy.mock.invocationCallOrder[0]);
+    });
+
+    test('Should keep the project if its tasks can not be moved to the trash', async () => {
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce({ _id: 'id' });
+        const deleteByIdWithQuerySpy = jest.spyOn(projectRepository, 'deleteByIdWithQuery');
+        jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([{ _id: 'a', projectId: 'id' }]);
+        jest.spyOn(taskRepository, 'trashByProjectForOwner').mockRejectedValueOnce(new Error('Lost the connection.'));
+
+        await expect(projectServiceFactory().deleteProjectById('id', { tasks: 'delete' })).rejects.toEqual(new Error('Lost the connection.'));
+        expect(deleteByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError before deleting anything if the tasks can not be moved where asked', async () => {
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'other', archived: true });
+        const deleteByIdWithQuerySpy = jest.spyOn(projectRepository, 'deleteByIdWithQuery');
+        const projectService = projectServiceFactory();
+
+        await expect(projectService.deleteProjectById('id', { tasks: 'archive' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(projectService.deleteProjectById('id', { moveTo: 'id' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(projectService.deleteProjectById('id', { moveTo: 'other' }))
+            .rejects.toEqual(new ValidationError(null, 'The project to move the tasks to does not exist.'));
+        await expect(projectService.deleteProjectById('id', { moveTo: 'other' }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks can not be moved to an archived project.'));
+
+        expect(deleteByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ResourceNotFoundError if the user owns no project by the ID', async () => {
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce(null);
+        const moveProjectForOwnerSpy = jest.spyOn(taskRepository, 'moveProjectForOwner');
+
+        await expect(projectServiceFactory().deleteProjectById('id')).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+        expect(moveProjectForOwnerSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ResourceNotFoundError for an invalid ID, and a ValidationError for an invalid ID to move the tasks to', async () => {
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockRejectedValueOnce(castErrorFactory()).mockRejectedValueOnce(castErrorFactory());
+        const moveProjectForOwnerSpy = jest.spyOn(taskRepository, 'moveProjectForOwner');
+        const projectService = projectServiceFactory();
+
+        await expect(projectService.deleteProjectById('not-an-id')).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+        await expect(projectService.deleteProjectById('id', { moveTo: 'not-an-id' }))
+            .rejects.toEqual(new ValidationError(null, 'The project to move the tasks to does not exist.'));
+        expect(moveProjectForOwnerSpy).toHaveBeenCalledTimes(0);
+    });
+});
@@ -0,0 +1,193 @@
+/*
+ * File: RevisionService.test.js (__tests__/__unit__/src/services/RevisionService.test.js)
+ *
+ * Description: Houses unit test cases for the RevisionService.
+ */
+
+// SUT:
+const RevisionService = require('./../../../../src/services/RevisionService');
+
+// Dependencies
+const RevisionRepository = require('./../../../../src/repositories/RevisionRepository');
+const TaskRepository = require('./../../../../src/repositories/TaskRepository');
+
+// Instances of dependencies for spying.
+const revisionRepository = new RevisionRepository();
+const taskRepository = new TaskRepository();
+
+// Mock dependencies.
+jest.mock('./../../../../src/repositories/RevisionRepository');
+jest.mock('./../../../../src/repositories/TaskRepository');
+
+// Custom Exceptions:
+const { ResourceNotFoundError } = require('./../../../../src/custom-exceptions/index');
+
+const contextMock = {
+    user: {
+        _id: '123'
+    }
+};
+
+// Service Factory
+const revisionServiceFactory = () => new RevisionService({ revisionRepository, taskRepository, context: contextMock });
+
+// A task as the TaskRepository returns it.
+const taskFactory = (overrides = {}) => ({
+    _id: 'id',
+    owner: '123',
+    description: 'Take out the bins',
+    completed: false,
+    status: 'todo',
+    priority: 'none',
+    tags: [],
+    dueAt: new Date('2024-05-06T09:00:00.000Z'),
+    checklist: [{ _id: 'a', text: 'Recycling', checked: false }],
+    createdAt: new Date('2024-05-01T09:00:00.000Z'),
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#recordRevision', () => {
+    test('Should record the fields of a new task as changed from not being set, with a snapshot of them', async () => {
+        const createSpy = jest.spyOn(revisionRepository, 'create').mockResolvedValueOnce('revision');
+
+        expect(await revisionServiceFactory().recordRevision('create', null, taskFactory())).toBe('revision');
+
+        expect(createSpy).toHaveBeenCalledWith({
+            taskId: 'id',
+            owner: '123',
+            actor: '123',
+            action: 'create',
+            changes: [
+                { field: 'description', from: null, to: 'Take out the bins' },
+                { field: 'completed', from: null, to: false },
+                { field: 'status', from: null, to: 'todo' },
+                { field: 'dueAt', from: null, to: '2024-05-06T09:00:00.000Z' },
+                { field: 'priority', from: null, to: 'none' },
+                { field: 'tags', from: null, to: [] }
+            ],
+            snapshot: {
+                description: 'Take out the bins',
+                completed: false,
+                status: 'todo',
+                dueAt: '2024-05-06T09:00:00.000Z',
+                remindAt: null,
+                priority: 'none',
+                tags: [],
+                projectId: null,
+                completeWithChecklist: null,
+                recurrence: null,
+                deletedAt: null
+            }
+        }, {});
+    });
+
+    test('Should record the tracked fields that changed, and nothing if none did', async () => {
+        const createSpy = jest.spyOn(revisionRepository, 'create').mockResolvedValueOnce('revision');
+        const revisionService = revisionServiceFactory();
+        const before = taskFactory({ recurrence: { rule: 'FREQ=DAILY', seriesId: 'id', occurrence: 1 } });
+        const after = taskFactory({ description: 'Take out the recycling', tags: ['home'], recurrence: undefined, remindAt: new Date('2024-05-06T08:00:00.000Z') });
+
+        await revisionService.recordRevision('update', before, after);
+
+        expect(createSpy.mock.calls[0][0].changes).toEqual([
+            { field: 'description', from: 'Take out the bins', to: 'Take out the recycling' },
+            { field: 'remindAt', from: null, to: '2024-05-06T08:00:00.000Z' },
+            { field: 'tags', from: [], to: ['home'] },
+            { field: 'recurrence', from: 'FREQ=DAILY', to: null }
+        ]);
+
+        // Changes of untracked fields, such as the checklist, are not recorded.
+        expect(await revisionService.recordRevision('update', taskFactory(), taskFactory({ checklist: [] }))).toBeNull();
+        expect(createSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should record the revision of a rollback with the revision it rolled back to, in the transaction of the tasks', async () => {
+        const createSpy = jest.spyOn(revisionRepository, 'create').mockResolvedValueOnce('revision');
+        const revisionService = revisionServiceFactory();
+        taskRepository.session = 'session';
+
+        await revisionService.recordRevision('rollback', taskFactory({ completed: true }), taskFactory(), { restoredRevisionId: 'r1' });
+        taskRepository.session = null;
+
+        expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'rollback',
+            changes: [{ field: 'completed', from: true, to: false }],
+            restoredRevisionId: 'r1'
+        }), { session: 'session' });
+    });
+});
+
+describe('#retrieveHistory', () => {
+    test('Should find the revisions of a task of the user, the most recent first', async () => {
+        const readByQuerySpy = jest.spyOn(revisionRepository, 'readByQuery').mockResolvedValueOnce(['revision']);
+
+        expect(await revisionServiceFactory().retrieveHistory('id', { limit: 20, skip: 0 })).toEqual(['revision']);
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: '123', taskId: 'id' }, { sort: { createdAt: -1, _id: -1 }, limit: 20, skip: 0 });
+    });
+});
+
+describe('#retrieveRevision', () => {
+    test('Should find a revision of a task of the user, throwing a ResourceNotFoundError if there is none or the ID is malformed', async () => {
+        const castError = new Error('Cast to ObjectId failed');
+        castError.name = 'CastError';
+        const readByIdWithQuerySpy = jest.spyOn(revisionRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce('revision')
+            .mockResolvedValueOnce(null)
+            .mockRejectedValueOnce(castError);
+        const revisionService = revisionServiceFactory();
+
+        expect(await revisionService.retrieveRevision('id', 'r1')).toBe('revision');
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('r1', { owner: '123', taskId: 'id' });
+
+        await expect(revisionService.retrieveRevision('id', 'r2')).rejects.toEqual(new ResourceNotFoundError(null, 'revision'));
+        await expect(revisionService.retrieveRevision('id', 'r3')).rejects.toEqual(new ResourceNotFoundError(null, 'revision'));
+    });
+});
+
+describe('#getRollbackUpdates', () => {
+    test('Should find the updates of the fields that differ from the snapshot, restoring recurrence by its rule but not the trash', () => {
+        const revision = {
+            snapshot: {
+                description: 'Take out the bins',
+                completed: true,
+                dueAt: '2024-05-06T09:00:00.000Z',
+                remindAt: null,
+                priority: 'high',
+                tags: [],
+                projectId: null,
+                completeWithChecklist: null,
+                recurrence: 'FREQ=DAILY',
+                deletedAt: '2024-05-07T09:00:00.000Z'
+            }
+        };
+
+        expect(revisionServiceFactory().getRollbackUpdates(revision, taskFactory({ remindAt: new Date('2024-05-06T08:00:00.000Z') }))).toEqual({
+            completed: true,
+            remindAt: null,
+            priority: 'high',
+            recurrence: { rule: 'FREQ=DAILY' }
+        });
+    });
+
+    test('Should restore the status of a task, but not take it away from a task that had none then', () => {
+        const revisionService = revisionServiceFactory();
+
+        expect(revisionService.getRollbackUpdates({ snapshot: { completed: true, status: 'done' } }, taskFactory())).toEqual({ completed: true, status: 'done' });
+        expect(revisionService.getRollbackUpdates({ snapshot: { completed: false, status: null } }, taskFactory())).toEqual({});
+    });
+});
+
+describe('#deleteHistoryOfTasks', () => {
+    test('Should delete the revisions of tasks, if there are any tasks', async () => {
+        const deleteByTaskIdsSpy = jest.spyOn(revisionRepository, 'deleteByTaskIds').mockResolvedValueOnce(3);
+        const revisionService = revisionServiceFactory();
+
+        expect(await revisionService.deleteHistoryOfTasks(['t0', 't1'])).toBe(3);
+        expect(await revisionService.deleteHistoryOfTasks([])).toBe(0);
+        expect(deleteByTaskIdsSpy).toHaveBeenCalledTimes(1);
+    });
+});
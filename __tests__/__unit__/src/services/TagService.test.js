@@ -0,0 +1,137 @@
+/*
+ * File: TagService.test.js (__tests__/__unit__/src/services/TagService.test.js)
+ *
+ * Description: Houses unit test cases for the TagService.
+ */
+
+// SUT:
+const TagService = require('./../../../../src/services/TagService');
+
+// Dependencies
+const TagRepository = require('./../../../../src/repositories/TagRepository');
+const TaskRepository = require('./../../../../src/repositories/TaskRepository');
+
+// Instances of dependencies for spying.
+const tagRepository = new TagRepository();
+const taskRepository = new TaskRepository();
+
+// Mock dependencies.
+jest.mock('./../../../../src/repositories/TagRepository');
+jest.mock('./../../../../src/repositories/TaskRepository');
+
+// Custom Exceptions:
+const { ValidationError, ResourceNotFoundError } = require('./../../../../src/custom-exceptions/index');
+
+const contextMock = {
+    user: {
+        _id: '123'
+    }
+};
+
+// Service Factory
+const tagServiceFactory = () => new TagService({ tagRepository, taskRepository, context: contextMock });
+
+// Errors of the kind MongoDB throws for duplicate keys.
+const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#createTag', () => {
+    test('Should create a tag for the signed in user, ignoring other fields', async () => {
+        const createSpy = jest.spyOn(tagRepository, 'create').mockResolvedValueOnce('tag');
+
+        expect(await tagServiceFactory().createTag({ name: 'work', color: '#ff9800', owner: 'someone else' })).toBe('tag');
+        expect(createSpy).toHaveBeenCalledWith({ name: 'work', color: '#ff9800', owner: contextMock.user._id });
+    });
+
+    test('Should throw a ValidationError if no tag data is provided, or the user already has a tag by the name', async () => {
+        jest.spyOn(tagRepository, 'create').mockRejectedValueOnce(duplicateKeyError);
+
+        await expect(tagServiceFactory().createTag()).rejects.toEqual(new ValidationError());
+        await expect(tagServiceFactory().createTag({ name: 'work' })).rejects.toEqual(new ValidationError(null, 'You already have a tag with this name.'));
+    });
+});
+
+describe('#retrieveTags', () => {
+    test('Should list the tags of the signed in user by name', async () => {
+        const readByQuerySpy = jest.spyOn(tagRepository, 'readByQuery').mockResolvedValueOnce(['tag']);
+
+        expect(await tagServiceFactory().retrieveTags()).toEqual(['tag']);
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id }, { sort: { name: 1 } });
+    });
+});
+
+describe('#retrieveTagById', () => {
+    test('Should find a tag of the signed in user, throwing a ResourceNotFoundError if there is none', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(tagRepository, 'readByIdWithQuery').mockResolvedValueOnce('tag').mockResolvedValueOnce(null);
+
+        expect(await tagServiceFactory().retrieveTagById('id')).toBe('tag');
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+
+        await expect(tagServiceFactory().retrieveTagById('id')).rejects.toEqual(new ResourceNotFoundError(null, 'tag'));
+    });
+});
+
+describe('#updateTagById', () => {
+    test('Should rename the tag on the tasks of the signed in user', async () => {
+        jest.spyOn(tagRepository, 'readByIdWithQuery').mockResolvedValueOnce({ name: 'work' });
+        const updateByIdWithQuerySpy = jest.spyOn(tagRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ name: 'office' });
+        const renameTagForOwnerSpy = jest.spyOn(taskRepository, 'renameTagForOwner').mockResolvedValueOnce(2);
+
+        expect(await tagServiceFactory().updateTagById('id', { name: ' office ' })).toEqual({ name: 'office' });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { name: ' office ' });
+        expect(renameTagForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, 'work', 'office');
+    });
+
+    test('Should not touch the tasks when only the color changes', async () => {
+        jest.spyOn(tagRepository, 'readByIdWithQuery').mockResolvedValueOnce({ name: 'work' });
+        jest.spyOn(tagRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ name: 'work', color: '#ff9800' });
+        const renameTagForOwnerSpy = jest.spyOn(taskRepository, 'renameTagForOwner');
+
+        await tagServiceFactory().updateTagById('id', { color: '#ff9800' });
+
+        expect(renameTagForOwnerSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError for invalid updates or a name the user already has', async () => {
+        jest.spyOn(tagRepository, 'readByIdWithQuery').mockResolvedValueOnce({ name: 'work' });
+        jest.spyOn(tagRepository, 'updateByIdWithQuery').mockRejectedValueOnce(duplicateKeyError);
+        const renameTagForOwnerSpy = jest.spyOn(taskRepository, 'renameTagForOwner');
+
+        await expect(tagServiceFactory().updateTagById('id')).rejects.toEqual(new ValidationError());
+        await expect(tagServiceFactory().updateTagById('id', { owner: '456' })).rejects.toEqual(new ValidationError());
+        await expect(tagServiceFactory().updateTagById('id', { name: 'home' })).rejects.toEqual(new ValidationError(null, 'You already have a tag with this name.'));
+
+        expect(renameTagForOwnerSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ResourceNotFoundError if the user owns no tag by the ID', async () => {
+        jest.spyOn(tagRepository, 'readByIdWithQuery').mockResolvedValueOnce(null);
+        const updateByIdWithQuerySpy = jest.spyOn(tagRepository, 'updateByIdWithQuery');
+
+        await expect(tagServiceFactory().updateTagById('id', { name: 'office' })).rejects.toEqual(new ResourceNotFoundError(null, 'tag'));
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#deleteTagById', () => {
+    test('Should delete the tag and remove it from the tasks of the signed in user', async () => {
+        const deleteByIdWithQuerySpy = jest.spyOn(tagRepository, 'deleteByIdWithQuery').mockResolvedValueOnce({ name: 'work' });
+        const removeTagForOwnerSpy = jest.spyOn(taskRepository, 'removeTagForOwner').mockResolvedValueOnce(2);
+
+        await tagServiceFactory().deleteTagById('id');
+
+        expect(deleteByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+        expect(removeTagForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, 'work');
+    });
+
+    test('Should throw a ResourceNotFoundError if the user owns no tag by the ID', async () => {
+        jest.spyOn(tagRepository, 'deleteByIdWithQuery').mockResolvedValueOnce(null);
+        const removeTagForOwnerSpy = jest.spyOn(taskRepository, 'removeTagForOwner');
+
+        await expect(tagServiceFactory().deleteTagById('id')).rejects.toEqual(new ResourceNotFoundError(null, 'tag'));
+        expect(removeTagForOwnerSpy).toHaveBeenCalledTimes(0);
+    });
+});
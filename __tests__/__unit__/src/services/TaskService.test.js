@@ -11,15 +11,30 @@ const TaskService = require('./../../../../src/services/TaskService');
 
 // Dependencies
 const TaskRepository = require('./../../../../src/repositories/TaskRepository');
+const TagRepository = require('./../../../../src/repositories/TagRepository');
+const ProjectRepository = require('./../../../../src/repositories/ProjectRepository');
+const RevisionService = require('./../../../../src/services/RevisionService');
+const WorkflowService = require('./../../../../src/services/WorkflowService');
 
 // Instances of dependencies for spying.
 const taskRepository = new TaskRepository();
+const tagRepository = new TagRepository();
+const projectRepository = new ProjectRepository();
+const revisionService = new RevisionService({});
+const workflowService = new WorkflowService({});
 
 // Mock dependencies.
 jest.mock('./../../../../src/repositories/TaskRepository');
+jest.mock('./../../../../src/repositories/TagRepository');
+jest.mock('./../../../../src/repositories/ProjectRepository');
+jest.mock('./../../../../src/services/RevisionService');
+jest.mock('./../../../../src/services/WorkflowService');
 
 // Custom Exceptions:
-const { ValidationError, ResourceNotFoundError } = require('./../../../../src/custom-exceptions/index');
+const { ValidationError, ResourceNotFoundError, PreconditionFailedError } = require('./../../../../src/custom-exceptions/index');
+
+// Utils
+const { encodeCursor, decodeCursor } = require('./../../../../src/utils/pagination');
 
 const contextMock = {
     user: {
@@ -27,9 +42,28 @@ const contextMock = {
     }
 };
 
+// Tasks are kept in the trash for 30 days.
+const TRASH_RETENTION_PERIOD = 30 * 24 * 60 * 60 * 1000;
+
+const appConfigMock = {
+    tasks: {
+        trash: {
+            getRetentionPeriod: () => TRASH_RETENTION_PERIOD
+        },
+        positions: {
+            getMaxLength: () => 24
+        }
+    }
+};
+
 // Service Factory
 const taskServiceFactory = (contextOverride = {}) => new TaskService({
     taskRepository,
+    tagRepository,
+    projectRepository,
+    revisionService,
+    workflowService,
+    appConfig: appConfigMock,
     context: {
         ...contextMock,
         ...contextOverride
@@ -43,10 +77,11 @@ beforeEach(() => {
 describe('#constructor', () => {
     test('Should correctly set instance variables in the constructor', () => {
         // Call the constructor of the System Under Test.
-        const taskService = new TaskService({ taskRepository: 'data', context: 'data2' });
+        const taskService = new TaskService({ taskRepository: 'data', tagRepository: 'data3', context: 'data2' });
  
         // Assert that instance variables were set correctly.
         expect(taskService.taskRepository).toEqual('data');
+        expect(taskService.tagRepository).toEqual('data3');
         expect(taskService.context).toEqual('data2');
     });
 });
@@ -68,12 +103,67 @@ describe('#createNewTask', () => {
         expect(createSpy).toHaveBeenCalledTimes(1); 
         expect(createSpy).toHaveBeenCalledWith({
             description: 'a task',
+            position: 'i',
             owner: contextMock.user._id
         }); 
 
         // Assert that the response contains the correct data.
         expect(createdTask).toEqual('created');
     });
+
+    test('Should ignore the fields of a task that only the server sets, such as its trash date, version, and checklist', async () => {
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('created');
+
+        await taskServiceFactory().createNewTask({
+            description: 'a task',
+            deletedAt: '2000-01-01',
+            version: 42,
+            checklist: [{ text: 'an item', checked: true }],
+            owner: '456'
+        });
+
+        expect(createSpy).toHaveBeenCalledWith({ description: 'a task', position: 'i', owner: contextMock.user._id });
+    });
+
+    test('Should store the due date and reminder as dates', async () => {
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('created');
+        const remindAt = new Date(Date.now() + 60000);
+
+        await taskServiceFactory().createNewTask({ description: 'a task', dueAt: '2100-01-01T12:00:00.000Z', remindAt: remindAt.toISOString() });
+
+        expect(createSpy).toHaveBeenCalledWith({
+            description: 'a task',
+            dueAt: new Date('2100-01-01T12:00:00.000Z'),
+            remindAt,
+            position: 'i',
+            owner: contextMock.user._id
+        });
+    });
+
+    test('Should throw a ValidationError for an invalid due date or reminder', async () => {
+        const createSpy = jest.spyOn(taskRepository, 'create');
+        const taskService = taskServiceFactory();
+        const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+
+        await expect(taskService.createNewTask({ description: 'a task', dueAt: 'tomorrow' }))
+            .rejects.toEqual(new ValidationError(null, 'The due date must be a date.'));
+        await expect(taskService.createNewTask({ description: 'a task', remindAt: { $gt: '' } }))
+            .rejects.toEqual(new ValidationError(null, 'The reminder must be a date.'));
+        await expect(taskService.createNewTask({ description: 'a task', dueAt: inAnHour, remindAt: new Date(inAnHour.getTime() + 1) }))
+            .rejects.toEqual(new ValidationError(null, 'A reminder can not be set after the task is due.'));
+        await expect(taskService.createNewTask({ description: 'a task', remindAt: new Date(Date.now() - 1000) }))
+            .rejects.toEqual(new ValidationError(null, 'A reminder must be set in the future.'));
+
+        expect(createSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should allow a due date in the past', async () => {
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('created');
+
+        await taskServiceFactory().createNewTask({ description: 'a late task', dueAt: '2019-08-01' });
+
+        expect(createSpy).toHaveBeenCalledWith({ description: 'a late task', dueAt: new Date('2019-08-01'), position: 'i', owner: contextMock.user._id });
+    });
 });
 
 describe('#retrieveTasksByQueryForUser', () => {
@@ -133,6 +223,108 @@ describe('#retrieveTasksByQueryForUser', () => {
     });
 });
 
+describe('Sorting', () => {
+    test('Should sort by the rank of the priority, keeping the order of the sort keys', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([]);
+
+        await taskServiceFactory().retrieveTasksByQueryForUser({}, { limit: 10, sort: { priority: -1, dueAt: 1, createdAt: -1 } });
+
+        const [[, { sort, limit }]] = readByQuerySpy.mock.calls;
+        expect(limit).toBe(10);
+        expect(Object.entries(sort)).toEqual([['priorityRank', -1], ['dueAt', 1], ['createdAt', -1]]);
+    });
+
+    test('Should throw a ValidationError when sorting by a field that is not sortable', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery');
+
+        await expect(taskServiceFactory().retrieveTasksByQueryForUser({}, { sort: { dueAt: 1, priorityRank: -1 } }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks can only be sorted by priority, dueAt, remindAt, description, completed, createdAt, updatedAt, position.'));
+
+        expect(readByQuerySpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('Due Date Filters', () => {
+    const readAndGetMatch = async (query, contextOverride) => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([]);
+        await taskServiceFactory(contextOverride).retrieveTasksByQueryForUser(query, {});
+        return readByQuerySpy.mock.calls[readByQuerySpy.mock.calls.length - 1][0];
+    };
+
+    test('Should find the tasks due between the exclusive bounds', async () => {
+        expect(await readAndGetMatch({ dueAfter: '2019-08-01', dueBefore: '2019-09-01' })).toEqual({
+            owner: contextMock.user._id,
+            $and: [
+                { dueAt: { $lt: new Date('2019-09-01') } },
+                { dueAt: { $gt: new Date('2019-08-01') } }
+            ]
+        });
+    });
+
+    test('Should throw a ValidationError for a bound that is not a date', async () => {
+        await expect(taskServiceFactory().retrieveTasksByQueryForUser({ dueBefore: 'soon' }))
+            .rejects.toEqual(new ValidationError(null, 'The "dueBefore" filter must be a date.'));
+    });
+
+    test('Should find the overdue tasks, which are past due and not completed, or every other task', async () => {
+        const { $and: [overdue] } = await readAndGetMatch({ overdue: true });
+        expect(overdue).toEqual({ dueAt: { $lt: expect.any(Date) }, completed: false });
+        expect(Math.abs(overdue.dueAt.$lt.getTime() - Date.now())).toBeLessThan(1000);
+
+        const { $and: [notOverdue] } = await readAndGetMatch({ overdue: false });
+        expect(notOverdue).toEqual({ $nor: [{ dueAt: { $lt: expect.any(Date) }, completed: false }] });
+    });
+
+    test('Should find the tasks due today in the time zone of the user', async () => {
+        const { $and: [{ dueAt: { $gte: start, $lt: end } }] } = await readAndGetMatch({ dueToday: true }, {
+            user: { _id: '123', timezone: 'Asia/Kolkata' }
+        });
+
+        // Assert that the range is the current day, which starts at 18:30 UTC in India.
+        expect(end.getTime() - start.getTime()).toBe(24 * 60 * 60 * 1000);
+        expect(start.getTime()).toBeLessThanOrEqual(Date.now());
+        expect(end.getTime()).toBeGreaterThan(Date.now());
+        expect([start.getUTCHours(), start.getUTCMinutes()]).toEqual([18, 30]);
+
+        // Assert that the day starts at midnight UTC without a time zone.
+        const { $and: [{ $nor: [{ dueAt: { $gte: utcStart } }] }] } = await readAndGetMatch({ dueToday: false });
+        expect([utcStart.getUTCHours(), utcStart.getUTCMinutes()]).toEqual([0, 0]);
+    });
+});
+
+describe('#retrieveTasksByQueryForOwner', () => {
+    test('Should find the tasks of the provided owner rather than those of the signed in user', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce('read data');
+
+        // System Under Test:
+        const tasks = await taskServiceFactory().retrieveTasksByQueryForOwner('another-user', { completed: false }, { limit: 10 });
+
+        // Assert that the mocks were called correctly.
+        expect(readByQuerySpy).toHaveBeenCalledTimes(1);
+        expect(readByQuerySpy).toHaveBeenCalledWith({
+            owner: 'another-user',
+            completed: false
+        }, {
+            limit: 10
+        });
+
+        expect(tasks).toEqual('read data');
+    });
+});
+
+describe('#countTasksByQueryForUser', () => {
+    test('Should count the tasks of the signed in user matching the query', async () => {
+        const countByQuerySpy = jest.spyOn(taskRepository, 'countByQuery').mockResolvedValueOnce(3);
+
+        // System Under Test:
+        const count = await taskServiceFactory().countTasksByQueryForUser({ completed: false });
+
+        // Assert that the mocks were called correctly.
+        expect(countByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, completed: false });
+        expect(count).toBe(3);
+    });
+});
+
 describe('#retrieveTaskById', () => {
     test('Should throw a ResourceNotFoundError if no task is returned', async () => {
         jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([]);
@@ -166,30 +358,940 @@ describe('#updateTaskById', () => {
     });
 
     test('Should throw a ResourceNotFoundError if no task is updated', async () => {
-        jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(null);
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([]).mockResolvedValueOnce([{ _id: 'id' }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(null);
+
+        await expect(taskServiceFactory().updateTaskById('id', { completed: false })).rejects.toEqual(new ResourceNotFoundError());
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+
+        // The task may also be deleted between reading and updating it.
         await expect(taskServiceFactory().updateTaskById('id', { completed: false })).rejects.toEqual(new ResourceNotFoundError());
     });
 
     test('Should call the mock functions correctly for valid data', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', description: 'old' }]);
         const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
         const task = await taskServiceFactory().updateTaskById('id', { description: 'new' });
 
         // Assert that the mocks were called correctly.
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
         expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
         expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { description: 'new' });
 
         // Assert that the task contains the correct data.
         expect(task).toBe('task');
     });
+
+    test('Should update the priority of a task', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', priority: 'none' }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        await taskServiceFactory().updateTaskById('id', { priority: 'urgent' });
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { priority: 'urgent' });
+    });
+
+    test('Should validate a new reminder against the stored due date', async () => {
+        const dueAt = new Date(Date.now() + 60 * 60 * 1000);
+        const readByIdWithQuerySpy = jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ dueAt }]).mockResolvedValueOnce([{ dueAt }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        await expect(taskServiceFactory().updateTaskById('id', { remindAt: new Date(dueAt.getTime() + 1000) }))
+            .rejects.toEqual(new ValidationError(null, 'A reminder can not be set after the task is due.'));
+
+        const remindAt = new Date(dueAt.getTime() - 1000);
+        await taskServiceFactory().updateTaskById('id', { remindAt: remindAt.toISOString() });
+
+        // Assert that the task was read by its owner, and that only the reminder was updated.
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { remindAt });
+    });
+
+    test('Should not move the due date before a stored reminder, but allow a reminder in the past to stay', async () => {
+        const remindAt = new Date(Date.now() - 60 * 60 * 1000);
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ remindAt }]).mockResolvedValueOnce([{ remindAt }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        await expect(taskServiceFactory().updateTaskById('id', { dueAt: new Date(remindAt.getTime() - 1000) }))
+            .rejects.toEqual(new ValidationError(null, 'A reminder can not be set after the task is due.'));
+
+        await taskServiceFactory().updateTaskById('id', { dueAt: null });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { dueAt: null });
+    });
+
+    test('Should throw a ResourceNotFoundError when scheduling a task the user does not own', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([]);
+        await expect(taskServiceFactory().updateTaskById('id', { dueAt: new Date() })).rejects.toEqual(new ResourceNotFoundError());
+    });
 });
 
 describe('#deleteTaskById', () => {
-    test('Should correctly call the mock function', async () => {
-        const deleteByIdWithQuerySpy = jest.spyOn(taskRepository, 'deleteByIdWithQuery').mockResolvedValueOnce('deleted');
+    test('Should move the task to the trash', async () => {
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ _id: 'id' });
+        const deleteByIdWithQuerySpy = jest.spyOn(taskRepository, 'deleteByIdWithQuery');
         await taskServiceFactory().deleteTaskById('id');
-        
+
         // Assert that the mock was called correctly.
-        expect(deleteByIdWithQuerySpy).toHaveBeenCalledTimes(1);
-        expect(deleteByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { deletedAt: expect.any(Date) });
+        expect(deleteByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ResourceNotFoundError if the user owns no task by the ID outside of the trash', async () => {
+        jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(null);
+
+        await expect(taskServiceFactory().deleteTaskById('id')).rejects.toEqual(new ResourceNotFoundError());
+    });
+});
+
+describe('Trash', () => {
+    test('Should find a page of the trash, the most recently trashed first, with when each task will be purged', async () => {
+        const deletedAt = new Date('2019-09-01T12:00:00.000Z');
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([{ _id: 't0', deletedAt }]);
+
+        const page = await taskServiceFactory().retrieveTrashPageForUser({ limit: 10 });
+
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, deletedAt: { $ne: null } }, {
+            sort: { deletedAt: -1, _id: 1 },
+            skip: 0,
+            limit: 11
+        });
+        expect(page.tasks).toEqual([{ _id: 't0', deletedAt, purgeAt: new Date('2019-10-01T12:00:00.000Z') }]);
+        expect(page).toMatchObject({ hasMore: false, nextCursor: null, prevCursor: null });
+    });
+
+    test('Should restore a task of the user from the trash', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', deletedAt: new Date() }]).mockResolvedValueOnce([]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+        const taskService = taskServiceFactory();
+
+        expect(await taskService.restoreTaskById('id')).toBe('task');
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id, deletedAt: { $ne: null } });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id, deletedAt: { $ne: null } }, { $unset: { deletedAt: 1 } });
+
+        // Tasks that aren't in the trash can't be restored.
+        await expect(taskService.restoreTaskById('id')).rejects.toEqual(new ResourceNotFoundError());
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should empty the trash of the user, along with the history of the tasks', async () => {
+        const deleteTrashedForOwnerSpy = jest.spyOn(taskRepository, 'deleteTrashedForOwner').mockResolvedValueOnce(['t0', 't1', 't2', 't3']);
+
+        expect(await taskServiceFactory().emptyTrash()).toEqual({ deleted: 4 });
+        expect(deleteTrashedForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id);
+        expect(revisionService.deleteHistoryOfTasks).toHaveBeenCalledWith(['t0', 't1', 't2', 't3']);
+    });
+
+    test('Should purge the tasks of every user that have been in the trash for longer than the retention period', async () => {
+        const deleteTrashedBeforeSpy = jest.spyOn(taskRepository, 'deleteTrashedBefore').mockResolvedValueOnce(['t0', 't1']);
+        const now = Date.now();
+
+        expect(await taskServiceFactory({ user: null }).purgeExpiredTrash()).toBe(2);
+        expect(revisionService.deleteHistoryOfTasks).toHaveBeenCalledWith(['t0', 't1']);
+
+        const [cutoff] = deleteTrashedBeforeSpy.mock.calls[0];
+        expect(cutoff.getTime()).toBeGreaterThanOrEqual(now - TRASH_RETENTION_PERIOD);
+        expect(cutoff.getTime()).toBeLessThan(now - TRASH_RETENTION_PERIOD + 1000);
+    });
+});
+
+describe('History', () => {
+    test('Should record the creation, update, completion, and deletion of a task in its history', async () => {
+        const task = { _id: 'id', description: 'Old', completed: false };
+        jest.spyOn(taskRepository, 'create').mockResolvedValueOnce(task);
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([task]).mockResolvedValueOnce([{ ...task, description: 'New' }]);
+        jest.spyOn(taskRepository, 'updateByIdWithQuery')
+            .mockResolvedValueOnce({ ...task, description: 'New' })
+            .mockResolvedValueOnce({ ...task, description: 'New', completed: true })
+            .mockResolvedValueOnce({ ...task, deletedAt: 'now' });
+        const taskService = taskServiceFactory();
+
+        await taskService.createNewTask({ description: 'Old' });
+        await taskService.updateTaskById('id', { description: 'New' });
+        await taskService.updateTaskById('id', { completed: true });
+        await taskService.deleteTaskById('id');
+
+        expect(revisionService.recordRevision.mock.calls).toEqual([
+            ['create', null, task],
+            ['update', task, { ...task, description: 'New' }, { restoredRevisionId: undefined }],
+            ['complete', { ...task, description: 'New' }, { ...task, description: 'New', completed: true }, { restoredRevisionId: undefined }],
+            ['delete', { ...task, deletedAt: null }, { ...task, deletedAt: 'now' }]
+        ]);
+    });
+
+    test('Should find the history of a task of the user, throwing a ResourceNotFoundError if there is no such task', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id' }]).mockResolvedValueOnce([{ _id: 'id' }]).mockResolvedValueOnce([]);
+        const retrieveHistorySpy = jest.spyOn(revisionService, 'retrieveHistory').mockResolvedValueOnce(['revision']);
+        const taskService = taskServiceFactory();
+
+        expect(await taskService.retrieveTaskHistory('id', { limit: 500, skip: 10 })).toEqual(['revision']);
+        expect(retrieveHistorySpy).toHaveBeenCalledWith('id', { limit: 100, skip: 10 });
+
+        await expect(taskService.retrieveTaskHistory('id', { limit: 0 })).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.retrieveTaskHistory('id')).rejects.toEqual(new ResourceNotFoundError());
+    });
+
+    test('Should roll a task back to a revision by updating the fields that differ, recording the rollback', async () => {
+        const task = { _id: 'id', description: 'New', tags: ['home'] };
+        const revision = { _id: 'r1', snapshot: { description: 'Old', tags: [] } };
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([task]).mockResolvedValueOnce([task]);
+        const retrieveRevisionSpy = jest.spyOn(revisionService, 'retrieveRevision').mockResolvedValueOnce(revision);
+        jest.spyOn(revisionService, 'getRollbackUpdates').mockReturnValueOnce({ description: 'Old', tags: [] });
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ ...task, description: 'Old', tags: [] });
+
+        expect(await taskServiceFactory().rollbackToRevision('id', 'r1')).toEqual({ ...task, description: 'Old', tags: [] });
+
+        expect(retrieveRevisionSpy).toHaveBeenCalledWith('id', 'r1');
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { description: 'Old', tags: [] });
+        expect(revisionService.recordRevision).toHaveBeenCalledWith('rollback', task, { ...task, description: 'Old', tags: [] }, { restoredRevisionId: 'r1' });
+    });
+
+    test('Should leave a task alone that is already as it was at a revision', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id' }]);
+        jest.spyOn(revisionService, 'retrieveRevision').mockResolvedValueOnce({ _id: 'r1', snapshot: {} });
+        jest.spyOn(revisionService, 'getRollbackUpdates').mockReturnValueOnce({});
+
+        expect(await taskServiceFactory().rollbackToRevision('id', 'r1')).toEqual({ _id: 'id' });
+        expect(taskRepository.updateByIdWithQuery).toHaveBeenCalledTimes(0);
+        expect(revisionService.recordRevision).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('Versions', () => {
+    test('Should only update a task at a version the client expects, and only if it does not change in between', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([{ _id: 'id', version: 3 }])
+            .mockResolvedValueOnce([{ _id: 'id', version: 4 }])
+            .mockResolvedValueOnce([{ _id: 'id', version: 3 }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ _id: 'id', version: 4 }).mockResolvedValueOnce(null);
+        const taskService = taskServiceFactory();
+
+        expect(await taskService.updateTaskById('id', { completed: true }, { expectedVersions: [2, 3] })).toEqual({ _id: 'id', version: 4 });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id, version: 3 }, { completed: true });
+
+        await expect(taskService.updateTaskById('id', { completed: true }, { expectedVersions: [3] })).rejects.toEqual(new PreconditionFailedError());
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+
+        // Another request may change the task between reading and updating it.
+        await expect(taskService.updateTaskById('id', { completed: true }, { expectedVersions: [3] })).rejects.toEqual(new PreconditionFailedError());
+    });
+
+    test('Should only trash a task at a version the client expects, taking tasks without a version to be at version 0', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id' }]).mockResolvedValueOnce([{ _id: 'id', version: 1 }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ _id: 'id', deletedAt: 'now' });
+        const taskService = taskServiceFactory();
+
+        await taskService.deleteTaskById('id', { expectedVersions: [0] });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', {
+            owner: contextMock.user._id,
+            version: { $in: [0, null] }
+        }, { deletedAt: expect.any(Date) });
+
+        await expect(taskService.deleteTaskById('id', { expectedVersions: [0] })).rejects.toEqual(new PreconditionFailedError());
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Manual Ordering', () => {
+    test('Should put a new task after the last task of the user', async () => {
+        const readLastPositionForOwnerSpy = jest.spyOn(taskRepository, 'readLastPositionForOwner').mockResolvedValueOnce('az');
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('created');
+
+        await taskServiceFactory().createNewTask({ description: 'a task' });
+
+        expect(readLastPositionForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id);
+        expect(createSpy).toHaveBeenCalledWith({ description: 'a task', position: 'b', owner: contextMock.user._id });
+    });
+
+    test('Should move a task between another task and its neighbour on that side', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([{ _id: 'id', position: 'a' }])
+            .mockResolvedValueOnce([{ _id: 'anchor', position: 'm' }])
+            .mockResolvedValueOnce([{ _id: 'id', position: 'a' }])
+            .mockResolvedValueOnce([{ _id: 'anchor', position: 'm' }]);
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([{ _id: 'previous', position: 'k' }]).mockResolvedValueOnce([]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('moved').mockResolvedValueOnce('moved');
+        const taskService = taskServiceFactory();
+
+        expect(await taskService.moveTask('id', { before: 'anchor' })).toBe('moved');
+        expect(readByQuerySpy).toHaveBeenCalledWith({
+            owner: contextMock.user._id,
+            _id: { $nin: ['id', 'anchor'] },
+            position: { $lte: 'm' }
+        }, { sort: { position: -1 }, limit: 1 });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { position: 'l' });
+
+        // Moving a task after the last task moves it to the end.
+        await taskService.moveTask('id', { after: 'anchor' });
+        expect(updateByIdWithQuerySpy).toHaveBeenLastCalledWith('id', { owner: contextMock.user._id }, { position: 'n' });
+        expect(taskRepository.updatePositionsForOwner).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should rebalance the positions of the tasks of the user if there is no position next to the other task', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([{ _id: 'id' }])
+            .mockResolvedValueOnce([{ _id: 'anchor' }])
+            .mockResolvedValueOnce([{ _id: 'anchor', position: 'i' }]);
+        jest.spyOn(taskRepository, 'readByQuery')
+            .mockResolvedValueOnce([{ _id: 'id' }, { _id: 'anchor' }, { _id: 'other', position: 'o' }])
+            .mockResolvedValueOnce([{ _id: 'other', position: 'r' }]);
+        const updatePositionsForOwnerSpy = jest.spyOn(taskRepository, 'updatePositionsForOwner').mockResolvedValueOnce();
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('moved');
+
+        await taskServiceFactory().moveTask('id', { after: 'anchor' });
+
+        // The tasks without a position come first.
+        expect(taskRepository.readByQuery).toHaveBeenNthCalledWith(1, { owner: contextMock.user._id }, {
+            sort: { position: 1, _id: 1 },
+            projection: { position: 1 }
+        });
+        expect(updatePositionsForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, { id: '9', anchor: 'i', other: 'r' });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { position: 'n' });
+    });
+
+    test('Should throw a ValidationError unless a task is moved either before or after another task of the user', async () => {
+        const castError = new Error('Cast to ObjectId failed');
+        castError.name = 'CastError';
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([{ _id: 'id' }])
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([{ _id: 'id' }])
+            .mockRejectedValueOnce(castError);
+        const taskService = taskServiceFactory();
+        const message = 'Provide the ID of a task to move the task either "before" or "after".';
+
+        await expect(taskService.moveTask('id')).rejects.toEqual(new ValidationError(null, message));
+        await expect(taskService.moveTask('id', { before: 'a', after: 'b' })).rejects.toEqual(new ValidationError(null, message));
+        await expect(taskService.moveTask('id', { after: { $ne: null } })).rejects.toEqual(new ValidationError(null, message));
+        await expect(taskService.moveTask('id', { after: 'id' })).rejects.toEqual(new ValidationError(null, 'A task can not be moved next to itself.'));
+
+        await expect(taskService.moveTask('id', { after: 'trashed' }))
+            .rejects.toEqual(new ValidationError(null, 'The task to move the task next to does not exist.'));
+        await expect(taskService.moveTask('id', { after: 'not-an-id' })).rejects.toBeInstanceOf(ValidationError);
+        expect(taskRepository.updateByIdWithQuery).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should rebalance the positions of every user who has one that has grown too long', async () => {
+        const readOwnersWithPositionsLongerThanSpy = jest.spyOn(taskRepository, 'readOwnersWithPositionsLongerThan').mockResolvedValueOnce(['u1', 'u2']);
+        jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([{ _id: 't0', position: 'zzzzzzzzzzzzzzzzzzzzzzzzz' }]).mockResolvedValueOnce([]);
+
+        expect(await taskServiceFactory({ user: null }).rebalanceLongPositions()).toBe(2);
+
+        expect(readOwnersWithPositionsLongerThanSpy).toHaveBeenCalledWith(24);
+        expect(taskRepository.updatePositionsForOwner.mock.calls).toEqual([['u1', { t0: 'i' }], ['u2', {}]]);
+    });
+});
+
+describe('Workflows', () => {
+    const STATUS_HISTORY = [{ status: 'todo', enteredAt: new Date('2024-05-06T09:00:00.000Z') }];
+
+    test('Should create a task in the status its workflow gives it', async () => {
+        const getNewTaskStatusSpy = jest.spyOn(workflowService, 'getNewTaskStatus').mockResolvedValueOnce({
+            status: 'todo',
+            completed: false,
+            statusHistory: STATUS_HISTORY
+        });
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('created');
+
+        await taskServiceFactory().createNewTask({ description: 'a task', status: 'todo', statusHistory: [] });
+
+        // The status history is the server's to record, not the client's.
+        expect(getNewTaskStatusSpy).toHaveBeenCalledWith({ description: 'a task', status: 'todo' });
+        expect(createSpy).toHaveBeenCalledWith({
+            description: 'a task',
+            status: 'todo',
+            completed: false,
+            statusHistory: STATUS_HISTORY,
+            position: 'i',
+            owner: contextMock.user._id
+        });
+    });
+
+    test('Should move a task to another status, completing it in the last status of its workflow', async () => {
+        const task = { _id: 'id', status: 'in-progress', completed: false };
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([task]);
+        const statusUpdates = { status: 'done', completed: true, $push: { statusHistory: { status: 'done', enteredAt: new Date() } } };
+        const getStatusUpdatesSpy = jest.spyOn(workflowService, 'getStatusUpdates').mockResolvedValueOnce(statusUpdates);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce({ ...task, status: 'done', completed: true });
+
+        await taskServiceFactory().updateTaskById('id', { status: 'done' });
+
+        expect(getStatusUpdatesSpy).toHaveBeenCalledWith(task, expect.objectContaining({ status: 'done' }), { enforceTransitions: true });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, statusUpdates);
+        expect(revisionService.recordRevision).toHaveBeenCalledWith('complete', task, { ...task, status: 'done', completed: true }, { restoredRevisionId: undefined });
+    });
+
+    test('Should only find the status updates of a task whose status, completion, or project changes, and not enforce transitions for rollbacks', async () => {
+        const task = { _id: 'id', status: 'blocked', completed: false };
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([task])
+            .mockResolvedValueOnce([task])
+            .mockResolvedValueOnce([task])
+            .mockResolvedValueOnce([task]);
+        jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce(task).mockResolvedValueOnce(task).mockResolvedValueOnce(task);
+        jest.spyOn(revisionService, 'retrieveRevision').mockResolvedValueOnce({ _id: 'r1', snapshot: { status: 'done', completed: true } });
+        jest.spyOn(revisionService, 'getRollbackUpdates').mockReturnValueOnce({ status: 'done', completed: true });
+        const taskService = taskServiceFactory();
+
+        await taskService.updateTaskById('id', { description: 'Renamed' });
+        expect(workflowService.getStatusUpdates).toHaveBeenCalledTimes(0);
+
+        await taskService.updateTaskById('id', { projectId: null });
+        expect(workflowService.getStatusUpdates).toHaveBeenCalledWith(task, { projectId: null }, { enforceTransitions: true });
+
+        await taskService.rollbackToRevision('id', 'r1');
+        expect(workflowService.getStatusUpdates).toHaveBeenLastCalledWith(task, { status: 'done', completed: true }, { enforceTransitions: false });
+    });
+
+    test('Should show the tasks of the user in the columns of their statuses, the first in each column up to the limit', async () => {
+        const workflow = [{ key: 'todo', name: 'To do' }, { key: 'review', name: 'Review' }, { key: 'done', name: 'Done' }];
+        const retrieveWorkflowSpy = jest.spyOn(workflowService, 'retrieveWorkflow').mockResolvedValueOnce(workflow);
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery')
+            .mockResolvedValueOnce([{ _id: 't3', status: 'blocked', completed: false }])
+            .mockResolvedValueOnce([{ _id: 't0', status: 'review' }])
+            .mockResolvedValueOnce([{ _id: 't1', completed: true }]);
+        const countByQuerySpy = jest.spyOn(taskRepository, 'countByQuery').mockResolvedValueOnce(1).mockResolvedValueOnce(2).mockResolvedValueOnce(1);
+
+        expect(await taskServiceFactory().retrieveBoard({ project: 'p1', limit: 1 })).toEqual({
+            columns: [
+                { key: 'todo', name: 'To do', tasks: [{ _id: 't3', status: 'blocked', completed: false }], total: 1 },
+                { key: 'review', name: 'Review', tasks: [{ _id: 't0', status: 'review' }], total: 2 },
+                { key: 'done', name: 'Done', tasks: [{ _id: 't1', completed: true }], total: 1 }
+            ]
+        });
+        expect(retrieveWorkflowSpy).toHaveBeenCalledWith('p1');
+
+        // Each column is found and counted on its own, where tasks without a status of the workflow go by whether they are completed.
+        const otherStatus = { $nin: ['todo', 'review', 'done'] };
+        const columnMatches = [
+            { $or: [{ status: 'todo' }, { status: otherStatus, completed: { $ne: true } }] },
+            { status: 'review' },
+            { $or: [{ status: 'done' }, { status: otherStatus, completed: true }] }
+        ].map(condition => ({ owner: contextMock.user._id, projectId: 'p1', $and: [condition] }));
+
+        expect(readByQuerySpy.mock.calls).toEqual(columnMatches.map(match => [match, { sort: { position: 1, _id: 1 }, limit: 1 }]));
+        expect(countByQuerySpy.mock.calls).toEqual(columnMatches.map(match => [match]));
+    });
+
+    test('Should show the tasks of the inbox, or all tasks of the user, in the workflow of the user', async () => {
+        jest.spyOn(workflowService, 'retrieveWorkflow').mockResolvedValueOnce([{ key: 'todo' }, { key: 'done' }]).mockResolvedValueOnce([{ key: 'todo' }, { key: 'done' }]);
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery')
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([]);
+        jest.spyOn(taskRepository, 'countByQuery')
+            .mockResolvedValueOnce(0)
+            .mockResolvedValueOnce(0)
+            .mockResolvedValueOnce(0)
+            .mockResolvedValueOnce(0);
+        const taskService = taskServiceFactory();
+
+        expect(await taskService.retrieveBoard({ project: 'inbox' })).toEqual({
+            columns: [{ key: 'todo', tasks: [], total: 0 }, { key: 'done', tasks: [], total: 0 }]
+        });
+        await taskService.retrieveBoard();
+
+        expect(workflowService.retrieveWorkflow.mock.calls).toEqual([[null], [null]]);
+        expect(readByQuerySpy.mock.calls.map(([{ $and, ...match }]) => match)).toEqual([
+            { owner: contextMock.user._id, projectId: null },
+            { owner: contextMock.user._id, projectId: null },
+            { owner: contextMock.user._id },
+            { owner: contextMock.user._id }
+        ]);
+        expect(readByQuerySpy.mock.calls[0][1]).toEqual({ sort: { position: 1, _id: 1 }, limit: 20 });
+
+        await expect(taskService.retrieveBoard({ limit: 1.5 })).rejects.toBeInstanceOf(ValidationError);
+    });
+});
+
+describe('Tags', () => {
+    test('Should create a task with tags the user has', async () => {
+        const readByQuerySpy = jest.spyOn(tagRepository, 'readByQuery').mockResolvedValueOnce([{ name: 'work' }, { name: 'home' }]);
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('created');
+
+        await taskServiceFactory().createNewTask({ description: 'a task', tags: ['work', 'home'] });
+
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, name: { $in: ['work', 'home'] } });
+        expect(createSpy).toHaveBeenCalledWith({ description: 'a task', tags: ['work', 'home'], position: 'i', owner: contextMock.user._id });
+    });
+
+    test('Should throw a ValidationError naming the tags the user does not have, or for tags that are not distinct names', async () => {
+        jest.spyOn(tagRepository, 'readByQuery').mockResolvedValueOnce([{ name: 'work' }]);
+        const createSpy = jest.spyOn(taskRepository, 'create');
+        const taskService = taskServiceFactory();
+
+        await expect(taskService.createNewTask({ description: 'a task', tags: ['work', 'hobbies', 'errands'] }))
+            .rejects.toEqual(new ValidationError(null, 'You have no tags named "hobbies", "errands".'));
+        await expect(taskService.createNewTask({ description: 'a task', tags: 'work' }))
+            .rejects.toEqual(new ValidationError(null, 'The tags must be a list of distinct tag names.'));
+        await expect(taskService.updateTaskById('id', { tags: ['work', 'work'] }))
+            .rejects.toEqual(new ValidationError(null, 'The tags must be a list of distinct tag names.'));
+
+        expect(createSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should clear the tags of a task without looking them up', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', tags: ['work'] }]);
+        const readByQuerySpy = jest.spyOn(tagRepository, 'readByQuery');
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        await taskServiceFactory().updateTaskById('id', { tags: [] });
+
+        expect(readByQuerySpy).toHaveBeenCalledTimes(0);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { tags: [] });
+    });
+
+    test('Should add tags to a task of the user, keeping those it has', async () => {
+        jest.spyOn(tagRepository, 'readByQuery').mockResolvedValueOnce([{ name: 'work' }]);
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', tags: [] }]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        expect(await taskServiceFactory().addTagsToTask('id', ['work'])).toBe('task');
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { $addToSet: { tags: { $each: ['work'] } } });
     });
-});
\ No newline at end of file
+
+    test('Should remove a tag from a task of the user, throwing a ResourceNotFoundError if there is no such task', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', tags: ['work'] }]).mockResolvedValueOnce([]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        expect(await taskServiceFactory().removeTagFromTask('id', 'work')).toBe('task');
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { $pull: { tags: 'work' } });
+
+        await expect(taskServiceFactory().removeTagFromTask('id', 'work')).rejects.toEqual(new ResourceNotFoundError());
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should find tasks having any or all of the tags', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+        const taskService = taskServiceFactory();
+
+        await taskService.retrieveTasksByQueryForUser({ tags: ['work', 'home'] }, {});
+        await taskService.retrieveTasksByQueryForUser({ tags: ['work', 'home'], tagsMatch: 'all' }, {});
+
+        expect(readByQuerySpy.mock.calls.map(([query]) => query)).toEqual([
+            { owner: contextMock.user._id, tags: { $in: ['work', 'home'] } },
+            { owner: contextMock.user._id, tags: { $all: ['work', 'home'] } }
+        ]);
+
+        await expect(taskService.retrieveTasksByQueryForUser({ tags: ['work'], tagsMatch: 'most' }))
+            .rejects.toEqual(new ValidationError(null, 'The "tagsMatch" filter must be "any" or "all".'));
+    });
+});
+
+describe('Projects', () => {
+    test('Should create a task in a project of the user that is not archived', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce({ _id: 'p1', archived: false });
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('created');
+
+        await taskServiceFactory().createNewTask({ description: 'a task', projectId: 'p1' });
+
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('p1', { owner: contextMock.user._id });
+        expect(createSpy).toHaveBeenCalledWith({ description: 'a task', projectId: 'p1', position: 'i', owner: contextMock.user._id });
+    });
+
+    test('Should throw a ValidationError for a project that is archived, not of the user, or not an ID', async () => {
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce({ _id: 'p1', archived: true }).mockResolvedValueOnce(null);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery');
+        const taskService = taskServiceFactory();
+
+        await expect(taskService.updateTaskById('id', { projectId: 'p1' }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks can not be added to an archived project.'));
+        await expect(taskService.updateTaskById('id', { projectId: 'p2' })).rejects.toEqual(new ValidationError(null, 'The project does not exist.'));
+        await expect(taskService.updateTaskById('id', { projectId: { $ne: null } })).rejects.toEqual(new ValidationError(null, 'The project does not exist.'));
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError for a project ID that is not valid', async () => {
+        const castError = Object.assign(new Error('Cast to ObjectId failed'), { name: 'CastError', path: '_id' });
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockRejectedValueOnce(castError).mockRejectedValueOnce(castError);
+        const createSpy = jest.spyOn(taskRepository, 'create');
+        const taskService = taskServiceFactory();
+
+        await expect(taskService.createNewTask({ description: 'a task', projectId: 'not-an-id' }))
+            .rejects.toEqual(new ValidationError(null, 'The project does not exist.'));
+        await expect(taskService.updateTaskById('id', { projectId: 'not-an-id' })).rejects.toEqual(new ValidationError(null, 'The project does not exist.'));
+
+        expect(createSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should move a task to the inbox without looking up a project', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([{ _id: 'id', projectId: 'p1' }]);
+        const readByIdWithQuerySpy = jest.spyOn(projectRepository, 'readByIdWithQuery');
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        await taskServiceFactory().updateTaskById('id', { projectId: null });
+
+        expect(readByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, { projectId: null });
+    });
+
+    test('Should find the tasks in a project, or in the inbox', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+        const taskService = taskServiceFactory();
+
+        await taskService.retrieveTasksByQueryForUser({ project: 'p1' }, {});
+        await taskService.retrieveTasksByQueryForUser({ project: 'inbox' }, {});
+
+        expect(readByQuerySpy.mock.calls.map(([query]) => query)).toEqual([
+            { owner: contextMock.user._id, projectId: 'p1' },
+            { owner: contextMock.user._id, projectId: null }
+        ]);
+
+        await expect(taskService.retrieveTasksByQueryForUser({ project: ['p1', 'p2'] })).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    test('Should throw a ValidationError when filtering by a project ID that is not valid', async () => {
+        const castError = Object.assign(new Error('Cast to ObjectId failed'), { name: 'CastError', path: 'projectId' });
+        jest.spyOn(taskRepository, 'readByQuery').mockRejectedValueOnce(castError).mockRejectedValueOnce(castError);
+        const taskService = taskServiceFactory();
+        const error = new ValidationError(null, 'The "project" filter must be a project ID or "inbox".');
+
+        await expect(taskService.retrieveTasksByQueryForUser({ project: 'not-an-id' }, {})).rejects.toEqual(error);
+        await expect(taskService.retrieveTaskPageForUser({ project: 'not-an-id' })).rejects.toEqual(error);
+    });
+});
+
+describe('Recurrence', () => {
+    const HOUR = 60 * 60 * 1000;
+    const dueAt = new Date('2024-05-06T09:00:00.000Z');
+
+    const recurringTaskFactory = (overrides = {}) => ({
+        _id: 'id',
+        description: 'Take out the bins',
+        completed: false,
+        priority: 'low',
+        tags: ['home'],
+        dueAt,
+        remindAt: new Date(dueAt.getTime() - HOUR),
+        recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO,TH', seriesId: 'series', occurrence: 1 },
+        ...overrides
+    });
+
+    test('Should create a recurring task with its rule in normal form', async () => {
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce('task');
+
+        await taskServiceFactory().createNewTask({ description: 'Water the plants', dueAt, recurrence: { rule: 'rrule:freq=weekly;byday=mo,th' } });
+
+        expect(createSpy).toHaveBeenCalledWith({
+            description: 'Water the plants',
+            dueAt,
+            recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO,TH' },
+            position: 'i',
+            owner: contextMock.user._id
+        });
+    });
+
+    test('Should throw a ValidationError for recurring tasks without a due date or with an invalid rule', async () => {
+        const createSpy = jest.spyOn(taskRepository, 'create');
+        const taskService = taskServiceFactory();
+
+        await expect(taskService.createNewTask({ description: 'A task', recurrence: { rule: 'FREQ=DAILY' } }))
+            .rejects.toEqual(new ValidationError(null, 'Recurring tasks must have a due date.'));
+        await expect(taskService.createNewTask({ description: 'A task', dueAt, recurrence: { rule: 'FREQ=HOURLY' } })).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.createNewTask({ description: 'A task', dueAt, recurrence: 'FREQ=DAILY' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.createNewTask({ description: 'A task', dueAt, recurrence: { rule: 'FREQ=DAILY', occurrence: 5 } }))
+            .rejects.toEqual(new ValidationError(null, 'The recurrence of a task must only have a "rule".'));
+
+        expect(createSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should create the next occurrence once when completing a recurring task, shifting its schedule', async () => {
+        const completedTask = recurringTaskFactory({ completed: true, checklist: [{ _id: 'a', text: 'Recycling', checked: true }] });
+        const linkedTask = { ...completedTask, recurrence: { ...completedTask.recurrence, nextTaskId: 'next' } };
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([recurringTaskFactory()]).mockResolvedValueOnce([linkedTask]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery')
+            .mockResolvedValueOnce(completedTask)
+            .mockResolvedValueOnce(linkedTask)
+            .mockResolvedValueOnce(linkedTask);
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce({ _id: 'next' });
+        const taskService = taskServiceFactory();
+
+        expect(await taskService.updateTaskById('id', { completed: true })).toBe(linkedTask);
+
+        const nextDueAt = new Date('2024-05-09T09:00:00.000Z');
+        expect(createSpy).toHaveBeenCalledWith({
+            description: 'Take out the bins',
+            priority: 'low',
+            tags: ['home'],
+            projectId: undefined,
+            checklist: [{ text: 'Recycling' }],
+            completeWithChecklist: undefined,
+            dueAt: nextDueAt,
+            remindAt: new Date(nextDueAt.getTime() - HOUR),
+            recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO,TH', seriesId: 'series', occurrence: 2 },
+            position: 'i',
+            owner: contextMock.user._id
+        });
+        expect(updateByIdWithQuerySpy).toHaveBeenNthCalledWith(2, 'id', { owner: contextMock.user._id }, { 'recurrence.nextTaskId': 'next' });
+
+        // Completing the task again doesn't create another occurrence.
+        await taskService.updateTaskById('id', { completed: true });
+        expect(createSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should follow the time zone of the user, and not create an occurrence after the series ends', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([recurringTaskFactory()]).mockResolvedValueOnce([recurringTaskFactory()]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery')
+            .mockResolvedValueOnce(recurringTaskFactory({
+                completed: true,
+                remindAt: undefined,
+                dueAt: new Date('2024-03-09T14:00:00.000Z'),
+                recurrence: { rule: 'FREQ=DAILY;COUNT=3', seriesId: 'series', occurrence: 2 }
+            }))
+            .mockResolvedValueOnce('task')
+            .mockResolvedValueOnce(recurringTaskFactory({ completed: true, recurrence: { rule: 'FREQ=DAILY;COUNT=3', seriesId: 'series', occurrence: 3 } }));
+        const createSpy = jest.spyOn(taskRepository, 'create').mockResolvedValueOnce({ _id: 'next' });
+        const taskService = taskServiceFactory({ user: { _id: '123', timezone: 'America/New_York' } });
+
+        await taskService.updateTaskById('id', { completed: true });
+
+        // 9 AM in New York is an hour earlier in UTC once daylight saving time starts.
+        expect(createSpy.mock.calls[0][0]).toMatchObject({ dueAt: new Date('2024-03-10T13:00:00.000Z'), recurrence: { occurrence: 3 } });
+        expect(createSpy.mock.calls[0][0]).not.toHaveProperty('remindAt');
+
+        await taskService.updateTaskById('id', { completed: true });
+
+        expect(createSpy).toHaveBeenCalledTimes(1);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(3);
+    });
+
+    test('Should change the rule of a task, keeping it in its series, or stop it recurring', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([recurringTaskFactory()]).mockResolvedValueOnce([recurringTaskFactory()]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task').mockResolvedValueOnce('task');
+        const taskService = taskServiceFactory();
+
+        await taskService.updateTaskById('id', { recurrence: { rule: 'FREQ=DAILY' } });
+        await taskService.updateTaskById('id', { recurrence: null });
+
+        expect(updateByIdWithQuerySpy).toHaveBeenNthCalledWith(1, 'id', { owner: contextMock.user._id }, {
+            recurrence: { rule: 'FREQ=DAILY', seriesId: 'series', occurrence: 1 }
+        });
+        expect(updateByIdWithQuerySpy).toHaveBeenNthCalledWith(2, 'id', { owner: contextMock.user._id }, { $unset: { recurrence: 1 } });
+    });
+
+    test('Should start a series when a task starts recurring, and keep recurring tasks due', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([recurringTaskFactory({ recurrence: undefined })])
+            .mockResolvedValueOnce([recurringTaskFactory()]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+        const taskService = taskServiceFactory();
+
+        await taskService.updateTaskById('id', { recurrence: { rule: 'FREQ=DAILY' } });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, {
+            recurrence: { rule: 'FREQ=DAILY', seriesId: 'id', occurrence: 1 }
+        });
+
+        await expect(taskService.updateTaskById('id', { dueAt: null })).rejects.toEqual(new ValidationError(null, 'Recurring tasks must have a due date.'));
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should skip an occurrence, moving the task to the next one with its checklist unchecked', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery').mockResolvedValueOnce([recurringTaskFactory({ checklist: [] })]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery').mockResolvedValueOnce('task');
+
+        expect(await taskServiceFactory().skipOccurrence('id')).toBe('task');
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('id', { owner: contextMock.user._id }, {
+            dueAt: new Date('2024-05-09T09:00:00.000Z'),
+            remindAt: new Date('2024-05-09T08:00:00.000Z'),
+            'recurrence.occurrence': 2,
+            'checklist.$[].checked': false
+        });
+    });
+
+    test('Should throw a ValidationError when skipping a task that does not recur, is completed, or is the last occurrence', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([recurringTaskFactory({ recurrence: undefined })])
+            .mockResolvedValueOnce([recurringTaskFactory({ completed: true })])
+            .mockResolvedValueOnce([recurringTaskFactory({ recurrence: { rule: 'FREQ=DAILY;UNTIL=20240506', seriesId: 'series', occurrence: 1 } })])
+            .mockResolvedValueOnce([]);
+        const updateByIdWithQuerySpy = jest.spyOn(taskRepository, 'updateByIdWithQuery');
+        const taskService = taskServiceFactory();
+
+        await expect(taskService.skipOccurrence('id')).rejects.toEqual(new ValidationError(null, 'The task does not recur.'));
+        await expect(taskService.skipOccurrence('id')).rejects.toEqual(new ValidationError(null, 'Completed tasks can not be skipped.'));
+        await expect(taskService.skipOccurrence('id')).rejects.toEqual(new ValidationError(null, 'The task is the last occurrence of its series.'));
+        await expect(taskService.skipOccurrence('id')).rejects.toEqual(new ResourceNotFoundError());
+
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should stop the series of a task', async () => {
+        jest.spyOn(taskRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce([recurringTaskFactory()])
+            .mockResolvedValueOnce([recurringTaskFactory({ recurrence: undefined })])
+            .mockResolvedValueOnce([recurringTaskFactory({ recurrence: undefined })]);
+        const stopSeriesForOwnerSpy = jest.spyOn(taskRepository, 'stopSeriesForOwner').mockResolvedValueOnce(1);
+        const taskService = taskServiceFactory();
+
+        expect(await taskService.stopRecurrence('id')).toEqual(recurringTaskFactory({ recurrence: undefined }));
+        expect(stopSeriesForOwnerSpy).toHaveBeenCalledWith(contextMock.user._id, 'series');
+
+        await expect(taskService.stopRecurrence('id')).rejects.toEqual(new ValidationError(null, 'The task does not recur.'));
+    });
+});
+
+describe('Search', () => {
+    test('Should search the text of the tasks of the user, most relevant first, with highlighted snippets', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([
+            { _id: 'a', description: 'Take out the bins', score: 1.5 },
+            { _id: 'b', description: 'Clean the garage', score: 0.75 }
+        ]);
+
+        const tasks = await taskServiceFactory().retrieveTasksByQueryForUser({ q: ' bin -shed ', completed: false }, { limit: 10 });
+
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, completed: false, $text: { $search: 'bin -shed' } }, {
+            limit: 10,
+            sort: { score: { $meta: 'textScore' } },
+            projection: { score: { $meta: 'textScore' } }
+        });
+        expect(tasks).toEqual([
+            { _id: 'a', description: 'Take out the bins', search: { score: 1.5, snippet: 'Take out the bins', highlights: [{ start: 13, end: 17 }] } },
+            { _id: 'b', description: 'Clean the garage', search: { score: 0.75, snippet: 'Clean the garage', highlights: [] } }
+        ]);
+    });
+
+    test('Should sort searches by relevance among other keys, and only searches', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([]);
+        const taskService = taskServiceFactory();
+
+        await taskService.retrieveTasksByQueryForUser({ q: 'bins' }, { sort: { priority: -1, relevance: 1 } });
+
+        expect(readByQuerySpy.mock.calls[0][1].sort).toEqual({ priorityRank: -1, score: { $meta: 'textScore' } });
+        expect(Object.keys(readByQuerySpy.mock.calls[0][1].sort)).toEqual(['priorityRank', 'score']);
+
+        await expect(taskService.retrieveTasksByQueryForUser({}, { sort: { relevance: -1 } }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks can only be sorted by relevance when searching.'));
+    });
+
+    test('Should throw a ValidationError for searches that are empty, too long, or not text', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery');
+        const taskService = taskServiceFactory();
+
+        await expect(taskService.retrieveTasksByQueryForUser({ q: '  ' }, {}))
+            .rejects.toEqual(new ValidationError(null, 'The search must be between 1 and 200 characters long.'));
+        await expect(taskService.retrieveTasksByQueryForUser({ q: 'a'.repeat(201) }, {})).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.retrieveTasksByQueryForUser({ q: ['bins', 'shed'] }, {})).rejects.toBeInstanceOf(ValidationError);
+
+        expect(readByQuerySpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('Pagination', () => {
+    // Tasks `t0`, `t1`, ... in ascending order of ID.
+    const tasksFactory = (count, from = 0) => Array.from({ length: count }, (value, index) => ({ _id: `t${from + index}`, priority: 'high' }));
+
+    test('Should find every task, as before the task list was paged, when given neither a page size nor a cursor', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce(tasksFactory(150));
+
+        const page = await taskServiceFactory().retrieveTaskPageForUser({ completed: false });
+
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, completed: false }, { sort: { _id: 1 }, skip: 0 });
+        expect(page).toEqual({ tasks: tasksFactory(150), nextCursor: null, prevCursor: null, hasMore: false });
+    });
+
+    test('Should find the first page, one task longer to tell whether there is another, in a total order', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce(tasksFactory(21));
+
+        const page = await taskServiceFactory().retrieveTaskPageForUser({ completed: false }, { limit: 20 });
+
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, completed: false }, { sort: { _id: 1 }, skip: 0, limit: 21 });
+        expect(page.tasks).toEqual(tasksFactory(20));
+        expect(page).toMatchObject({ hasMore: true, prevCursor: null });
+        expect(decodeCursor(page.nextCursor, [['_id', 1]])).toEqual(['t19']);
+        expect(page).not.toHaveProperty('total');
+    });
+
+    test('Should find the page after a cursor, breaking ties by ID', async () => {
+        const sortKeys = [['priorityRank', -1], ['_id', 1]];
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce(tasksFactory(2, 5));
+
+        const page = await taskServiceFactory().retrieveTaskPageForUser({}, { sort: { priority: -1 }, limit: 5, after: encodeCursor(sortKeys, [3, 't4']) });
+
+        expect(readByQuerySpy).toHaveBeenCalledWith({
+            owner: contextMock.user._id,
+            $and: [{
+                $or: [
+                    { $and: [{ $or: [{ priorityRank: { $lt: 3 } }, { priorityRank: null }] }] },
+                    { $and: [{ priorityRank: 3 }, { _id: { $gt: 't4' } }] }
+                ]
+            }]
+        }, { sort: { priorityRank: -1, _id: 1 }, skip: 0, limit: 6 });
+        expect(page).toMatchObject({ hasMore: false, nextCursor: null });
+
+        // The cursors carry the rank of the priority, which isn't part of the JSON of a task.
+        expect(decodeCursor(page.prevCursor, sortKeys)).toEqual([3, 't5']);
+    });
+
+    test('Should find the page before a cursor by reversing the sort, keeping due date filters', async () => {
+        const sortKeys = [['dueAt', 1], ['_id', 1]];
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce(tasksFactory(3).reverse());
+
+        const page = await taskServiceFactory().retrieveTaskPageForUser({ dueBefore: '2019-09-01' }, {
+            sort: { dueAt: 1 },
+            limit: 2,
+            before: encodeCursor(sortKeys, [null, 't9'])
+        });
+
+        const [query, options] = readByQuerySpy.mock.calls[0];
+        expect(query.$and).toEqual([
+            { dueAt: { $lt: new Date('2019-09-01') } },
+            { $or: [{ $and: [{ dueAt: null }, { $or: [{ _id: { $lt: 't9' } }, { _id: null }] }] }] }
+        ]);
+        expect(options).toEqual({ sort: { dueAt: -1, _id: -1 }, skip: 0, limit: 3 });
+
+        expect(page.tasks.map(({ _id }) => _id)).toEqual(['t1', 't2']);
+        expect(decodeCursor(page.prevCursor, sortKeys)).toEqual([null, 't1']);
+        expect(decodeCursor(page.nextCursor, sortKeys)).toEqual([null, 't2']);
+        expect(page.hasMore).toBe(true);
+    });
+
+    test('Should still skip tasks, limit the page size, and count the tasks matching the query', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce(tasksFactory(3));
+        const countByQuerySpy = jest.spyOn(taskRepository, 'countByQuery').mockResolvedValueOnce(250);
+
+        const page = await taskServiceFactory().retrieveTaskPageForUser({ completed: true }, { limit: 500, skip: 40, total: true });
+
+        expect(readByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, completed: true }, { sort: { _id: 1 }, skip: 40, limit: 101 });
+        expect(countByQuerySpy).toHaveBeenCalledWith({ owner: contextMock.user._id, completed: true });
+        expect(page).toMatchObject({ total: 250, hasMore: false });
+        expect(decodeCursor(page.prevCursor, [['_id', 1]])).toEqual(['t0']);
+    });
+
+    test('Should page searches sorted by relevance with skip only', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery').mockResolvedValueOnce([{ _id: 't0', description: 'Take out the bins', score: 1 }]);
+        const taskService = taskServiceFactory();
+
+        const page = await taskService.retrieveTaskPageForUser({ q: 'bins' }, { limit: 10 });
+
+        expect(readByQuerySpy.mock.calls[0][1]).toEqual({
+            sort: { score: { $meta: 'textScore' }, _id: 1 },
+            skip: 0,
+            limit: 11,
+            projection: { score: { $meta: 'textScore' } }
+        });
+        expect(page.tasks[0].search).toMatchObject({ score: 1, snippet: 'Take out the bins' });
+
+        await expect(taskService.retrieveTaskPageForUser({ q: 'bins' }, { after: encodeCursor([['_id', 1]], ['t0']) }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks sorted by relevance can only be paged with "skip".'));
+    });
+
+    test('Should throw a ValidationError for invalid page sizes, offsets, and cursors', async () => {
+        const readByQuerySpy = jest.spyOn(taskRepository, 'readByQuery');
+        const taskService = taskServiceFactory();
+        const cursor = encodeCursor([['_id', 1]], ['t0']);
+
+        await expect(taskService.retrieveTaskPageForUser({}, { limit: NaN })).rejects.toEqual(new ValidationError(null, 'The "limit" must be a whole number of at least 1.'));
+        await expect(taskService.retrieveTaskPageForUser({}, { limit: 0 })).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.retrieveTaskPageForUser({}, { skip: 1.5 })).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.retrieveTaskPageForUser({}, { after: cursor, before: cursor })).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.retrieveTaskPageForUser({}, { after: cursor, skip: 10 })).rejects.toBeInstanceOf(ValidationError);
+        await expect(taskService.retrieveTaskPageForUser({}, { after: cursor, sort: { dueAt: 1 } }))
+            .rejects.toEqual(new ValidationError(null, 'The cursor was made for a different sort order.'));
+        await expect(taskService.retrieveTaskPageForUser({}, { before: 'not a cursor' })).rejects.toEqual(new ValidationError(null, 'The cursor is invalid.'));
+
+        expect(readByQuerySpy).toHaveBeenCalledTimes(0);
+    });
+});
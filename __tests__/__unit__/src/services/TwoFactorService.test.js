@@ -0,0 +1,123 @@
+/*
+ * File: TwoFactorService.test.js (__tests__/__unit__/src/services/TwoFactorService.test.js)
+ *
+ * Description: Houses unit test cases for the TwoFactorService.
+ */
+
+// SUT:
+const TwoFactorService = require('./../../../../src/services/TwoFactorService');
+
+const appConfigMockFactory = (digits = 6) => ({
+    authentication: {
+        twoFactor: {
+            getIssuer: () => 'Task App',
+            getPeriod: () => 30,
+            getDigits: () => digits,
+            getWindow: () => 1,
+            getRecoveryCodeCount: () => 10
+        }
+    }
+});
+
+// Service Factory
+const twoFactorServiceFactory = digits => new TwoFactorService({ appConfig: appConfigMockFactory(digits) });
+
+// The SHA-1 secret from the test vectors in RFC 6238, Appendix B.
+const rfcSecret = TwoFactorService._encodeBase32(Buffer.from('12345678901234567890'));
+
+describe('#generateSecret', () => {
+    test('Should generate a random 160-bit Base32 secret', () => {
+        const twoFactorService = twoFactorServiceFactory();
+        const secret = twoFactorService.generateSecret();
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(TwoFactorService._decodeBase32(secret).length).toBe(20);
+        expect(twoFactorService.generateSecret()).not.toEqual(secret);
+    });
+});
+
+describe('#generateCode', () => {
+    test('Should match the test vectors of RFC 6238', () => {
+        const twoFactorService = twoFactorServiceFactory(8);
+
+        [
+            [59, '94287082'],
+            [1111111109, '07081804'],
+            [1111111111, '14050471'],
+            [1234567890, '89005924'],
+            [2000000000, '69279037'],
+            [20000000000, '65353130']
+        ].forEach(([seconds, code]) => {
+            expect(twoFactorService.generateCode(rfcSecret, twoFactorService.getTimeStep(seconds * 1000))).toEqual(code);
+        });
+    });
+
+    test('Should zero-pad codes to the configured number of digits', () => {
+        const twoFactorService = twoFactorServiceFactory();
+        expect(twoFactorService.generateCode(rfcSecret, twoFactorService.getTimeStep(1111111109 * 1000))).toEqual('081804');
+    });
+});
+
+describe('#verifyCode', () => {
+    const time = 1111111111 * 1000;
+
+    test('Should return the time step of a valid code', () => {
+        const twoFactorService = twoFactorServiceFactory();
+        const step = twoFactorService.getTimeStep(time);
+
+        expect(twoFactorService.verifyCode(rfcSecret, twoFactorService.generateCode(rfcSecret, step), time)).toBe(step);
+    });
+
+    test('Should accept codes within the window for clock drift, but not beyond it', () => {
+        const twoFactorService = twoFactorServiceFactory();
+        const step = twoFactorService.getTimeStep(time);
+
+        expect(twoFactorService.verifyCode(rfcSecret, twoFactorService.generateCode(rfcSecret, step - 1), time)).toBe(step - 1);
+        expect(twoFactorService.verifyCode(rfcSecret, twoFactorService.generateCode(rfcSecret, step + 1), time)).toBe(step + 1);
+        expect(twoFactorService.verifyCode(rfcSecret, twoFactorService.generateCode(rfcSecret, step - 2), time)).toBe(null);
+    });
+
+    test('Should return null for malformed codes', () => {
+        const twoFactorService = twoFactorServiceFactory();
+
+        expect(twoFactorService.verifyCode(rfcSecret, undefined, time)).toBe(null);
+        expect(twoFactorService.verifyCode(rfcSecret, 50471, time)).toBe(null);
+        expect(twoFactorService.verifyCode(rfcSecret, '12345', time)).toBe(null);
+        expect(twoFactorService.verifyCode(rfcSecret, 'abcdef', time)).toBe(null);
+    });
+});
+
+describe('#generateOtpauthURI', () => {
+    test('Should build an otpauth URI with the issuer, account, and parameters', () => {
+        const uri = twoFactorServiceFactory().generateOtpauthURI('SECRET', 'alan@domain.com');
+
+        expect(uri).toEqual('otpauth://totp/Task%20App:alan%40domain.com?secret=SECRET&issuer=Task%20App&algorithm=SHA1&digits=6&period=30');
+    });
+});
+
+describe('#generateRecoveryCodes', () => {
+    test('Should generate the configured number of unique recovery codes', () => {
+        const recoveryCodes = twoFactorServiceFactory().generateRecoveryCodes();
+
+        expect(recoveryCodes.length).toBe(10);
+        expect(new Set(recoveryCodes).size).toBe(10);
+        recoveryCodes.forEach(recoveryCode => expect(recoveryCode).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+});
+
+describe('#normalizeRecoveryCode', () => {
+    test('Should normalize case, whitespace, and dashes', () => {
+        const twoFactorService = twoFactorServiceFactory();
+
+        expect(twoFactorService.normalizeRecoveryCode('3F9A1-C07E2')).toEqual('3f9a1-c07e2');
+        expect(twoFactorService.normalizeRecoveryCode(' 3f9a1c07e2 ')).toEqual('3f9a1-c07e2');
+    });
+
+    test('Should return null for anything that cannot be a recovery code', () => {
+        const twoFactorService = twoFactorServiceFactory();
+
+        expect(twoFactorService.normalizeRecoveryCode('123456')).toBe(null);
+        expect(twoFactorService.normalizeRecoveryCode('3f9a1-c07e2-00')).toBe(null);
+        expect(twoFactorService.normalizeRecoveryCode()).toBe(null);
+    });
+});
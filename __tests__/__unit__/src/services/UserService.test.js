@@ -12,29 +12,47 @@ const UserService = require('../../../../src/services/UserService');
 const UserRepository = require('./../../../../src/repositories/UserRepository');
 const AuthenticationService = require('./../../../../src/services/AuthenticationService');
 const PasswordService = require('./../../../../src/services/PasswordService');
+const PasswordPolicyService = require('./../../../../src/services/PasswordPolicyService');
 const FileStorageService = require('./../../../../src/services/FileStorageService');
 const FileStorageAdapter = require('./../../../../src/adapters/AWS/FileStorageAdapter');
+const MailService = require('./../../../../src/services/MailService');
+const TwoFactorService = require('./../../../../src/services/TwoFactorService');
+const LoginThrottleService = require('./../../../../src/services/LoginThrottleService');
+const AuthorizationService = require('./../../../../src/services/AuthorizationService');
 const appConfig = require('./../../../../src/config/application/config');
 
 // Mock dependencies.
 jest.mock('./../../../../src/repositories/UserRepository');
 jest.mock('./../../../../src/services/AuthenticationService');
 jest.mock('./../../../../src/services/PasswordService');
+jest.mock('./../../../../src/services/PasswordPolicyService');
 jest.mock('./../../../../src/services/FileStorageService');
 jest.mock('./../../../../src/adapters/AWS/FileStorageAdapter');
+jest.mock('./../../../../src/services/MailService');
+jest.mock('./../../../../src/services/TwoFactorService');
+jest.mock('./../../../../src/services/LoginThrottleService');
+jest.mock('./../../../../src/services/AuthorizationService');
 
 // Access instance methods with constructor invocation.
 const userRepository = new UserRepository();
 const authenticationService = new AuthenticationService();
 const passwordService = new PasswordService();
+const passwordPolicyService = new PasswordPolicyService();
 const fileStorageService = new FileStorageService();
 const fileStorageAdapter = new FileStorageAdapter();
+const mailService = new MailService();
+const twoFactorService = new TwoFactorService();
+const loginThrottleService = new LoginThrottleService();
+const authorizationService = new AuthorizationService();
 
 // Custom Exceptions
 const {
     ValidationError,
     ResourceNotFoundError,
-    AuthenticationError
+    AuthenticationError,
+    AuthorizationError,
+    TooManyAttemptsError,
+    PreconditionFailedError
 } = require('./../../../../src/custom-exceptions/index');
 
 // Enumerations
@@ -56,12 +74,29 @@ const userServiceFactory = (contextOverride = {}) => new UserService({
     userRepository,
     authenticationService,
     passwordService,
+    passwordPolicyService,
     fileStorageService,
     fileStorageAdapter,
+    mailService,
+    twoFactorService,
+    loginThrottleService,
+    authorizationService,
     appConfig,
     context: { ...context, ...contextOverride }
 });
 
+// The token pair and session record returned by AuthenticationService#generateSession.
+const sessionMock = {
+    token: 'token',
+    refreshToken: 'family.secret',
+    session: {
+        token: 'token',
+        refreshToken: 'hashed-refresh-token',
+        family: 'family',
+        expiresAt: new Date(Date.now() + 60000)
+    }
+};
+
 // Factory to dynamically created named errors.
 const errorFactory = (name, code) => {
     const error = new Error('Mocked Failure');
@@ -83,7 +118,7 @@ describe('#signUpNewUser', () => {
             _id: '314', 
             username: 'Jamie',
         }));
-        const generateAuthTokenSpy = jest.spyOn(authenticationService, 'generateAuthToken').mockImplementationOnce(() => 'token');
+        const generateSessionSpy = jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
         const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById').mockImplementationOnce(() => Promise.resolve({ 
             _id: '314',
             username: 'Jamie', 
@@ -95,6 +130,9 @@ describe('#signUpNewUser', () => {
             password: 'hashed'
         }));
         const getAbsoluteFileURISpy = jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+        jest.spyOn(authenticationService, 'generateOpaqueToken').mockImplementationOnce(() => 'verification-token');
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-verification-token');
+        const sendEmailVerificationEmailSpy = jest.spyOn(mailService, 'sendEmailVerificationEmail').mockImplementationOnce(() => Promise.resolve());
 
         const userData = {
             username: 'Grant Thompson - The King of Random', // RIP
@@ -112,14 +150,20 @@ describe('#signUpNewUser', () => {
         expect(createSpy).toHaveBeenCalledWith({
             ...userData,
             avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths(),
-            password: 'hashed'
+            password: 'hashed',
+            emailVerified: false,
+            emailVerification: { token: 'hashed-verification-token', expiresAt: expect.any(Date) }
         });
 
-        // Assert that the token was created correctly and the user was updated with that token in the database.
-        expect(generateAuthTokenSpy).toHaveBeenCalledTimes(1);
-        expect(generateAuthTokenSpy).toHaveBeenCalledWith('314');
+        // Assert that the tokens were created correctly and the user was updated with that session in the database.
+        expect(generateSessionSpy).toHaveBeenCalledTimes(1);
+        expect(generateSessionSpy).toHaveBeenCalledWith('314');
         expect(updateTokensByIdSpy).toHaveBeenCalledTimes(1);
-        expect(updateTokensByIdSpy).toHaveBeenCalledWith('314', 'token');
+        expect(updateTokensByIdSpy).toHaveBeenCalledWith('314', sessionMock.session);
+
+        // Assert that the plain-text verification token was emailed to the user.
+        expect(sendEmailVerificationEmailSpy).toHaveBeenCalledTimes(1);
+        expect(sendEmailVerificationEmailSpy).toHaveBeenCalledWith(expect.objectContaining({ _id: '314' }), 'verification-token');
 
         // Assert that the user contains the correct data.
         expect(result).toEqual({
@@ -132,7 +176,8 @@ describe('#signUpNewUser', () => {
                     large: 'absolute'
                 }
             },
-            token: 'token'
+            token: 'token',
+            refreshToken: 'family.secret'
         });
     });
 
@@ -144,6 +189,19 @@ describe('#signUpNewUser', () => {
         await expect(userServiceFactory().signUpNewUser({})).rejects.toEqual(new ValidationError());
     });
 
+    test('Should throw the ValidationError of the password policy before hashing the password', async () => {
+        const policyError = new ValidationError(null, 'The password must be at least 8 characters long.', [{ rule: 'minLength', message: 'msg' }]);
+        const assertValidSpy = jest.spyOn(passwordPolicyService, 'assertValid').mockImplementationOnce(() => { throw policyError; });
+        const hashSpy = jest.spyOn(passwordService, 'hash');
+
+        const userData = { name: 'Jamie', email: 'jamie@domain.com', password: 'short' };
+        await expect(userServiceFactory().signUpNewUser(userData)).rejects.toBe(policyError);
+
+        // Assert that the password was checked against the user's details, and never hashed.
+        expect(assertValidSpy).toHaveBeenCalledWith('short', userData);
+        expect(hashSpy).toHaveBeenCalledTimes(0);
+    });
+
     test('Should throw a ValidationError with a message if an email exists', async () => {
         jest.spyOn(passwordService, 'hash').mockImplementationOnce(() => 'hashed');
         jest.spyOn(userRepository, 'create').mockImplementationOnce(() => Promise.reject(errorFactory(undefined, 11000)));
@@ -171,7 +229,7 @@ describe('#loginUser', () => {
             password: 'some-hashed-password'
         }));
         const compareSpy = jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(true));
-        const generateAuthTokenSpy = jest.spyOn(authenticationService, 'generateAuthToken').mockImplementationOnce(() => 'token');
+        const generateSessionSpy = jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
         const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById').mockImplementationOnce(() => ({
             username: 'Jamie',
             password: 'some-hashed-password',
@@ -193,11 +251,11 @@ describe('#loginUser', () => {
         expect(compareSpy).toHaveBeenCalledTimes(1);
         expect(compareSpy).toHaveBeenCalledWith('password', 'some-hashed-password');
 
-        // Assert that the auth token was created and database was updated.
-        expect(generateAuthTokenSpy).toHaveBeenCalledTimes(1);
-        expect(generateAuthTokenSpy).toHaveBeenCalledWith('id');
+        // Assert that the tokens were created and database was updated.
+        expect(generateSessionSpy).toHaveBeenCalledTimes(1);
+        expect(generateSessionSpy).toHaveBeenCalledWith('id');
         expect(updateTokensByIdSpy).toHaveBeenCalledTimes(1);
-        expect(updateTokensByIdSpy).toHaveBeenCalledWith('id', 'token');
+        expect(updateTokensByIdSpy).toHaveBeenCalledWith('id', sessionMock.session);
 
         // Assert that getAbsoluteFileURISpy was called correctly.
         expect(getAbsoluteFileURISpy).toHaveBeenCalledTimes(3);
@@ -213,7 +271,8 @@ describe('#loginUser', () => {
                     large: 'absolute'
                 }
             },
-            token: 'token'
+            token: 'token',
+            refreshToken: 'family.secret'
         });
     });
 
@@ -224,7 +283,7 @@ describe('#loginUser', () => {
             password: 'some-hashed-password'
         }));
         const compareSpy = jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(true));
-        const generateAuthTokenSpy = jest.spyOn(authenticationService, 'generateAuthToken').mockImplementationOnce(() => 'token');
+        const generateSessionSpy = jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
         const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById').mockImplementationOnce(() => ({
             username: 'Jamie',
             password: 'some-hashed-password',
@@ -242,11 +301,11 @@ describe('#loginUser', () => {
         expect(compareSpy).toHaveBeenCalledTimes(1);
         expect(compareSpy).toHaveBeenCalledWith('password', 'some-hashed-password');
 
-        // Assert that the auth token was created and database was updated.
-        expect(generateAuthTokenSpy).toHaveBeenCalledTimes(1);
-        expect(generateAuthTokenSpy).toHaveBeenCalledWith('id');
+        // Assert that the tokens were created and database was updated.
+        expect(generateSessionSpy).toHaveBeenCalledTimes(1);
+        expect(generateSessionSpy).toHaveBeenCalledWith('id');
         expect(updateTokensByIdSpy).toHaveBeenCalledTimes(1);
-        expect(updateTokensByIdSpy).toHaveBeenCalledWith('id', 'token');
+        expect(updateTokensByIdSpy).toHaveBeenCalledWith('id', sessionMock.session);
 
         // Assert that getAbsoluteFileURISpy was called correctly.
         expect(getAbsoluteFileURISpy).toHaveBeenCalledTimes(3);
@@ -262,10 +321,120 @@ describe('#loginUser', () => {
                     large: 'absolute'
                 }
             },
-            token: 'token'
+            token: 'token',
+            refreshToken: 'family.secret'
         });
     });
 
+    test('Should record the device on the new session', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => ({ _id: 'id', password: 'some-hashed-password' }));
+        jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(true));
+        jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
+        const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById').mockImplementationOnce(() => ({
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        await userServiceFactory().loginUser('email', 'password', { userAgent: 'Mozilla/5.0', ipAddress: '10.0.0.1' });
+
+        // Assert that the session was saved with the device information.
+        expect(updateTokensByIdSpy).toHaveBeenCalledWith('id', {
+            ...sessionMock.session,
+            userAgent: 'Mozilla/5.0',
+            ipAddress: '10.0.0.1'
+        });
+    });
+
+    test('Should only return a challenge token, without starting a session, for a user with two-factor authentication enabled', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => ({
+            _id: 'id',
+            password: 'some-hashed-password',
+            twoFactor: { enabled: true, secret: 'SECRET' }
+        }));
+        jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(true));
+        const generateChallengeTokenSpy = jest.spyOn(authenticationService, 'generateChallengeToken').mockImplementationOnce(() => 'challenge-token');
+        const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById');
+
+        const result = await userServiceFactory().loginUser('email', 'password');
+
+        // Assert that no session was started.
+        expect(generateChallengeTokenSpy).toHaveBeenCalledWith('id');
+        expect(updateTokensByIdSpy).toHaveBeenCalledTimes(0);
+        expect(result).toEqual({ challengeToken: 'challenge-token' });
+    });
+
+    test('Should clear the failed attempts of the account, but not those of the IP address, after a successful login', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => ({ _id: 'id', password: 'some-hashed-password' }));
+        jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(true));
+        jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
+        jest.spyOn(userRepository, 'updateTokensById').mockImplementationOnce(() => ({ avatarPaths: {} }));
+        const assertAllowedSpy = jest.spyOn(loginThrottleService, 'assertAllowed');
+        const clearSpy = jest.spyOn(loginThrottleService, 'clear');
+
+        await userServiceFactory().loginUser('email', 'password', { ipAddress: '10.0.0.1' });
+
+        // Assert that the attempt was checked and then cleared.
+        expect(assertAllowedSpy).toHaveBeenCalledWith({ email: 'email', ipAddress: '10.0.0.1' });
+        expect(clearSpy).toHaveBeenCalledWith({ email: 'email' });
+    });
+
+    test('Should re-hash a password whose hash is weaker than the configured hashing, keeping the hash otherwise', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementation(() => ({ _id: 'id', password: 'weak-hash' })); // Not mocked once.
+        jest.spyOn(passwordService, 'compare').mockImplementation(() => Promise.resolve(true)); // Not mocked once.
+        jest.spyOn(authenticationService, 'generateSession').mockImplementation(() => sessionMock); // Not mocked once.
+        jest.spyOn(userRepository, 'updateTokensById').mockImplementation(() => ({ avatarPaths: {} })); // Not mocked once.
+        const needsRehashSpy = jest.spyOn(passwordService, 'needsRehash').mockImplementationOnce(() => true);
+        const hashSpy = jest.spyOn(passwordService, 'hash').mockImplementationOnce(() => Promise.resolve('strong-hash'));
+        const rehashPasswordByIdSpy = jest.spyOn(userRepository, 'rehashPasswordById').mockImplementationOnce(() => Promise.resolve({}));
+
+        await userServiceFactory().loginUser('email', 'password');
+
+        // Assert that the password was re-hashed and the weak hash replaced.
+        expect(needsRehashSpy).toHaveBeenCalledWith('weak-hash');
+        expect(hashSpy).toHaveBeenCalledWith('password');
+        expect(rehashPasswordByIdSpy).toHaveBeenCalledTimes(1);
+        expect(rehashPasswordByIdSpy).toHaveBeenCalledWith('id', 'weak-hash', 'strong-hash');
+
+        // Assert that a hash as strong as configured is kept.
+        jest.spyOn(passwordService, 'needsRehash').mockImplementationOnce(() => false);
+        await userServiceFactory().loginUser('email', 'password');
+
+        expect(hashSpy).toHaveBeenCalledTimes(1);
+        expect(rehashPasswordByIdSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('Should never re-hash the password after a failed attempt', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve({ _id: 'id', password: 'weak-hash' }));
+        jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(false));
+        jest.spyOn(passwordService, 'needsRehash').mockImplementationOnce(() => true);
+        const rehashPasswordByIdSpy = jest.spyOn(userRepository, 'rehashPasswordById');
+
+        await expect(userServiceFactory().loginUser('email', 'wrong-password')).rejects.toEqual(new AuthenticationError());
+        expect(rehashPasswordByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should record a failed attempt for a wrong password', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve({ password: 'hashed-db-value' }));
+        jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(false));
+        const recordFailureSpy = jest.spyOn(loginThrottleService, 'recordFailure');
+        const clearSpy = jest.spyOn(loginThrottleService, 'clear');
+
+        await expect(userServiceFactory().loginUser('email', 'password', { ipAddress: '10.0.0.1' })).rejects.toEqual(new AuthenticationError());
+
+        // Assert that the failure was recorded.
+        expect(recordFailureSpy).toHaveBeenCalledTimes(1);
+        expect(recordFailureSpy).toHaveBeenCalledWith({ email: 'email', ipAddress: '10.0.0.1' });
+        expect(clearSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should re-throw the TooManyAttemptsError without checking the password while throttled', async () => {
+        jest.spyOn(loginThrottleService, 'assertAllowed').mockImplementationOnce(() => Promise.reject(new TooManyAttemptsError(null, 60, true)));
+        const compareSpy = jest.spyOn(passwordService, 'compare');
+
+        await expect(userServiceFactory().loginUser('email', 'password')).rejects.toEqual(new TooManyAttemptsError(null, 60, true));
+        expect(compareSpy).toHaveBeenCalledTimes(0);
+    });
+
     // Validation Error - no email.
     test('Should throw a ValidationError if no email is provided', async () => {
         await expect(userServiceFactory().loginUser(undefined, 'password')).rejects.toEqual(new ValidationError());
@@ -288,6 +457,234 @@ describe('#loginUser', () => {
         jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(false));
         await expect(userServiceFactory().loginUser('an email', 'a password')).rejects.toEqual(new AuthenticationError());
     }); 
+
+    test('Should refuse to log in a disabled user once the password has been checked', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => ({ _id: 'id', password: 'some-hashed-password', disabled: true }));
+        jest.spyOn(passwordService, 'compare').mockImplementationOnce(() => Promise.resolve(true));
+        const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById');
+
+        await expect(userServiceFactory().loginUser('email', 'password')).rejects.toEqual(new AuthorizationError(null, 'This account has been disabled.'));
+
+        // Assert that no session was started.
+        expect(updateTokensByIdSpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#completeTwoFactorLogin', () => {
+    const storedUser = {
+        _id: 'id',
+        twoFactor: { enabled: true, secret: 'SECRET', lastUsedStep: 1 }
+    };
+
+    test('Should start a session for a valid TOTP code and record its time step', async () => {
+        // Spys
+        const verifyChallengeTokenSpy = jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => ({ _id: 'id' }));
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve(storedUser));
+        const verifyCodeSpy = jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => 42);
+        const updateTwoFactorStepByIdSpy = jest.spyOn(userRepository, 'updateTwoFactorStepById').mockImplementationOnce(() => Promise.resolve(storedUser));
+        jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
+        const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById').mockImplementationOnce(() => Promise.resolve({
+            _id: 'id',
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        const result = await userServiceFactory().completeTwoFactorLogin('challenge-token', '123456', { userAgent: 'Mozilla/5.0' });
+
+        // Assert that the mocks were called correctly.
+        expect(verifyChallengeTokenSpy).toHaveBeenCalledWith('challenge-token');
+        expect(verifyCodeSpy).toHaveBeenCalledWith('SECRET', '123456');
+        expect(updateTwoFactorStepByIdSpy).toHaveBeenCalledWith('id', 42);
+        expect(updateTokensByIdSpy).toHaveBeenCalledWith('id', { ...sessionMock.session, userAgent: 'Mozilla/5.0', ipAddress: undefined });
+
+        // Assert that the result contains the correct data.
+        expect(result).toEqual({
+            user: { _id: 'id', avatarPaths: { original: 'absolute', small: 'absolute', large: 'absolute' } },
+            token: 'token',
+            refreshToken: 'family.secret'
+        });
+    });
+
+    test('Should start a session for an unused recovery code and consume it', async () => {
+        jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => ({ _id: 'id' }));
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({ ...storedUser, email: 'jamie@domain.com' }));
+        jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => null);
+        jest.spyOn(twoFactorService, 'normalizeRecoveryCode').mockImplementationOnce(() => 'abcde-12345');
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-recovery-code');
+        const consumeRecoveryCodeByIdSpy = jest.spyOn(userRepository, 'consumeRecoveryCodeById').mockImplementationOnce(() => Promise.resolve(storedUser));
+        jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
+        const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById').mockImplementationOnce(() => Promise.resolve({ avatarPaths: {} }));
+        const clearSpy = jest.spyOn(loginThrottleService, 'clear');
+
+        await userServiceFactory().completeTwoFactorLogin('challenge-token', 'ABCDE12345', { ipAddress: '10.0.0.1' });
+
+        // Assert that the recovery code was consumed and a session was started.
+        expect(consumeRecoveryCodeByIdSpy).toHaveBeenCalledWith('id', 'hashed-recovery-code');
+        expect(updateTokensByIdSpy).toHaveBeenCalledTimes(1);
+
+        // Assert that only the failed attempts of the account were cleared.
+        expect(clearSpy).toHaveBeenCalledWith({ email: 'jamie@domain.com' });
+    });
+
+    test('Should throw an AuthenticationError for a code that has already been used', async () => {
+        jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => ({ _id: 'id' }));
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve(storedUser));
+        jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => 42);
+        jest.spyOn(userRepository, 'updateTwoFactorStepById').mockImplementationOnce(() => Promise.resolve(null));
+        const updateTokensByIdSpy = jest.spyOn(userRepository, 'updateTokensById');
+
+        await expect(userServiceFactory().completeTwoFactorLogin('challenge-token', '123456'))
+            .rejects.toEqual(new AuthenticationError(null, 'The two-factor code is invalid.'));
+        expect(updateTokensByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw an AuthenticationError and record a failed attempt for an invalid code', async () => {
+        jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => ({ _id: 'id' }));
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({ ...storedUser, email: 'jamie@domain.com' }));
+        jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => null);
+        jest.spyOn(twoFactorService, 'normalizeRecoveryCode').mockImplementationOnce(() => null);
+        const recordFailureSpy = jest.spyOn(loginThrottleService, 'recordFailure');
+
+        await expect(userServiceFactory().completeTwoFactorLogin('challenge-token', '000000', { ipAddress: '10.0.0.1' }))
+            .rejects.toEqual(new AuthenticationError(null, 'The two-factor code is invalid.'));
+        expect(recordFailureSpy).toHaveBeenCalledWith({ email: 'jamie@domain.com', ipAddress: '10.0.0.1' });
+    });
+
+    test('Should re-throw the TooManyAttemptsError without checking the code while throttled', async () => {
+        jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => ({ _id: 'id' }));
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve(storedUser));
+        jest.spyOn(loginThrottleService, 'assertAllowed').mockImplementationOnce(() => Promise.reject(new TooManyAttemptsError(null, 2)));
+        const verifyCodeSpy = jest.spyOn(twoFactorService, 'verifyCode');
+
+        await expect(userServiceFactory().completeTwoFactorLogin('challenge-token', '123456')).rejects.toEqual(new TooManyAttemptsError(null, 2));
+        expect(verifyCodeSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw an AuthenticationError if the user no longer has two-factor authentication enabled', async () => {
+        jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => ({ _id: 'id' }));
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({ _id: 'id' }));
+        await expect(userServiceFactory().completeTwoFactorLogin('challenge-token', '123456')).rejects.toEqual(new AuthenticationError());
+    });
+
+    test('Should re-throw the AuthenticationError for an invalid challenge token', async () => {
+        jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => { throw new AuthenticationError(); });
+        await expect(userServiceFactory().completeTwoFactorLogin('challenge-token', '123456')).rejects.toEqual(new AuthenticationError());
+    });
+
+    test('Should throw a ValidationError if the challenge token or code is missing', async () => {
+        await expect(userServiceFactory().completeTwoFactorLogin(undefined, '123456')).rejects.toEqual(new ValidationError());
+        await expect(userServiceFactory().completeTwoFactorLogin('challenge-token', 123456)).rejects.toEqual(new ValidationError());
+    });
+
+    test('Should refuse to complete the login of a user who was disabled in the meantime', async () => {
+        jest.spyOn(authenticationService, 'verifyChallengeToken').mockImplementationOnce(() => ({ _id: 'id' }));
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({ ...storedUser, disabled: true }));
+        const verifyCodeSpy = jest.spyOn(twoFactorService, 'verifyCode');
+
+        await expect(userServiceFactory().completeTwoFactorLogin('challenge-token', '123456'))
+            .rejects.toEqual(new AuthorizationError(null, 'This account has been disabled.'));
+        expect(verifyCodeSpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#refreshAuthToken', () => {
+    const storedUser = {
+        _id: 'id',
+        username: 'Jamie',
+        tokens: [{ token: 'old-token', refreshToken: 'hashed-refresh-token', family: 'family', expiresAt: new Date(Date.now() + 60000) }],
+        avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+    };
+
+    test('Should rotate the session and return the new tokens for a current refresh token', async () => {
+        // Spys
+        const parseRefreshTokenSpy = jest.spyOn(authenticationService, 'parseRefreshToken').mockImplementationOnce(() => 'family');
+        const readByQuerySpy = jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve(storedUser));
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-refresh-token');
+        const generateSessionSpy = jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
+        const rotateTokenByIdSpy = jest.spyOn(userRepository, 'rotateTokenById').mockImplementationOnce(() => Promise.resolve(storedUser));
+        const removeTokenFamilyByIdSpy = jest.spyOn(userRepository, 'removeTokenFamilyById');
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        const result = await userServiceFactory().refreshAuthToken('family.old-secret', { userAgent: 'agent', ipAddress: '127.0.0.1' });
+
+        // Assert that the session was looked up by its family and rotated within that family.
+        expect(parseRefreshTokenSpy).toHaveBeenCalledWith('family.old-secret');
+        expect(readByQuerySpy).toHaveBeenCalledWith({ 'tokens.family': 'family' });
+        expect(generateSessionSpy).toHaveBeenCalledWith('id', 'family');
+        expect(rotateTokenByIdSpy).toHaveBeenCalledTimes(1);
+        expect(rotateTokenByIdSpy).toHaveBeenCalledWith('id', 'family', 'hashed-refresh-token', {
+            ...sessionMock.session,
+            lastUsedAt: expect.any(Date),
+            userAgent: 'agent',
+            ipAddress: '127.0.0.1'
+        });
+        expect(removeTokenFamilyByIdSpy).toHaveBeenCalledTimes(0);
+
+        // Assert that the return value contains the correct data.
+        expect(result).toEqual({
+            user: {
+                _id: 'id',
+                username: 'Jamie',
+                avatarPaths: {
+                    original: 'absolute',
+                    small: 'absolute',
+                    large: 'absolute'
+                }
+            },
+            token: 'token',
+            refreshToken: 'family.secret'
+        });
+    });
+
+    test('Should revoke the whole token family if a refresh token is reused', async () => {
+        jest.spyOn(authenticationService, 'parseRefreshToken').mockImplementationOnce(() => 'family');
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve(storedUser));
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hash-of-an-already-rotated-token');
+        const rotateTokenByIdSpy = jest.spyOn(userRepository, 'rotateTokenById');
+        const removeTokenFamilyByIdSpy = jest.spyOn(userRepository, 'removeTokenFamilyById').mockImplementationOnce(() => Promise.resolve());
+
+        await expect(userServiceFactory().refreshAuthToken('family.reused')).rejects.toEqual(new AuthenticationError());
+
+        // Assert that the family was revoked and nothing was rotated.
+        expect(removeTokenFamilyByIdSpy).toHaveBeenCalledTimes(1);
+        expect(removeTokenFamilyByIdSpy).toHaveBeenCalledWith('id', 'family');
+        expect(rotateTokenByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should revoke the session if it has expired', async () => {
+        jest.spyOn(authenticationService, 'parseRefreshToken').mockImplementationOnce(() => 'family');
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve({
+            ...storedUser,
+            tokens: [{ ...storedUser.tokens[0], expiresAt: new Date(Date.now() - 1000) }]
+        }));
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-refresh-token');
+        const removeTokenFamilyByIdSpy = jest.spyOn(userRepository, 'removeTokenFamilyById').mockImplementationOnce(() => Promise.resolve());
+
+        await expect(userServiceFactory().refreshAuthToken('family.expired')).rejects.toEqual(new AuthenticationError());
+        expect(removeTokenFamilyByIdSpy).toHaveBeenCalledWith('id', 'family');
+    });
+
+    test('Should revoke the whole token family if the rotation loses a race with another refresh', async () => {
+        jest.spyOn(authenticationService, 'parseRefreshToken').mockImplementationOnce(() => 'family');
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve(storedUser));
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-refresh-token');
+        jest.spyOn(authenticationService, 'generateSession').mockImplementationOnce(() => sessionMock);
+        jest.spyOn(userRepository, 'rotateTokenById').mockImplementationOnce(() => Promise.resolve(null));
+        const removeTokenFamilyByIdSpy = jest.spyOn(userRepository, 'removeTokenFamilyById').mockImplementationOnce(() => Promise.resolve());
+
+        await expect(userServiceFactory().refreshAuthToken('family.secret')).rejects.toEqual(new AuthenticationError());
+        expect(removeTokenFamilyByIdSpy).toHaveBeenCalledWith('id', 'family');
+    });
+
+    test('Should throw an AuthenticationError if no user owns the token family', async () => {
+        jest.spyOn(authenticationService, 'parseRefreshToken').mockImplementationOnce(() => 'family');
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().refreshAuthToken('family.secret')).rejects.toEqual(new AuthenticationError());
+    });
+
+    test('Should throw a ValidationError if no refresh token is provided', async () => {
+        await expect(userServiceFactory().refreshAuthToken()).rejects.toEqual(new ValidationError());
+    });
 });
 
 describe('#logoutUser', () => {
@@ -432,6 +829,240 @@ describe('#logoutUserAll', () => {
     });
 });
 
+describe('#retrieveSessions', () => {
+    test('Should return the sessions without their tokens and flag the current one', async () => {
+        const createdAt = new Date();
+        const readByIdSpy = jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({
+            _id: '123',
+            tokens: [
+                { _id: 's1', token: 'current', refreshToken: 'hash', family: 'f1', createdAt, lastUsedAt: createdAt, userAgent: 'phone', ipAddress: '1.1.1.1' },
+                { _id: 's2', token: 'other', refreshToken: 'hash', family: 'f2', createdAt, lastUsedAt: createdAt, userAgent: 'laptop', ipAddress: '2.2.2.2' }
+            ]
+        }));
+
+        const sessions = await userServiceFactory().retrieveSessions('current');
+
+        // Assert that the mocks were called correctly.
+        expect(readByIdSpy).toHaveBeenCalledTimes(1);
+        expect(readByIdSpy).toHaveBeenCalledWith('123');
+
+        // Assert that the sessions contain the correct data.
+        expect(sessions).toEqual([
+            { _id: 's1', createdAt, lastUsedAt: createdAt, userAgent: 'phone', ipAddress: '1.1.1.1', current: true },
+            { _id: 's2', createdAt, lastUsedAt: createdAt, userAgent: 'laptop', ipAddress: '2.2.2.2', current: false }
+        ]);
+    });
+
+    test('Should throw a ResourceNotFoundError if the user no longer exists', async () => {
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().retrieveSessions('current')).rejects.toEqual(new ResourceNotFoundError());
+    });
+});
+
+describe('#revokeSession', () => {
+    test('Should call the mock functions correctly and return the safe user', async () => {
+        const removeTokenBySessionIdSpy = jest.spyOn(userRepository, 'removeTokenBySessionId').mockImplementationOnce(() => Promise.resolve({
+            username: 'Jamie',
+            tokens: [],
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        const user = await userServiceFactory().revokeSession('s1');
+
+        // Assert that the mocks were called correctly.
+        expect(removeTokenBySessionIdSpy).toHaveBeenCalledTimes(1);
+        expect(removeTokenBySessionIdSpy).toHaveBeenCalledWith('123', 's1');
+
+        // Assert that the user is safe.
+        expect(user).toEqual({
+            username: 'Jamie',
+            avatarPaths: {
+                original: 'absolute',
+                small: 'absolute',
+                large: 'absolute'
+            }
+        });
+    });
+
+    test('Should throw a ResourceNotFoundError if the user has no such session', async () => {
+        jest.spyOn(userRepository, 'removeTokenBySessionId').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().revokeSession('s1')).rejects.toEqual(new ResourceNotFoundError(null, 'session'));
+    });
+
+    test('Should throw a ResourceNotFoundError for a malformed session ID', async () => {
+        jest.spyOn(userRepository, 'removeTokenBySessionId').mockImplementationOnce(() => Promise.reject(errorFactory('CastError')));
+        await expect(userServiceFactory().revokeSession('not-an-id')).rejects.toEqual(new ResourceNotFoundError(null, 'session'));
+    });
+
+    test('Should re-throw other errors thrown by the dependencies', async () => {
+        jest.spyOn(userRepository, 'removeTokenBySessionId').mockImplementationOnce(() => Promise.reject(new Error('Mocked Failure')));
+        await expect(userServiceFactory().revokeSession('s1')).rejects.toEqual(new Error('Mocked Failure'));
+    });
+});
+
+describe('#recordSessionActivity', () => {
+    test('Should record the activity for sessions not used within the activity resolution', async () => {
+        const updateTokenActivityByIdSpy = jest.spyOn(userRepository, 'updateTokenActivityById').mockImplementationOnce(() => Promise.resolve());
+
+        const before = Date.now();
+        await userServiceFactory().recordSessionActivity('token', { ipAddress: '127.0.0.1' });
+
+        // Assert that the mock was called correctly.
+        expect(updateTokenActivityByIdSpy).toHaveBeenCalledTimes(1);
+        const [id, token, activity, since] = updateTokenActivityByIdSpy.mock.calls[0];
+        expect(id).toEqual('123');
+        expect(token).toEqual('token');
+        expect(activity).toEqual({ lastUsedAt: expect.any(Date), ipAddress: '127.0.0.1' });
+        expect(activity.lastUsedAt.getTime() - since.getTime()).toBe(appConfig.authentication.sessions.getActivityResolution());
+        expect(activity.lastUsedAt.getTime()).toBeGreaterThanOrEqual(before);
+    });
+});
+
+describe('#createApiKey', () => {
+    const storedApiKey = {
+        _id: 'k1',
+        name: 'CI',
+        keyHash: 'key-hash',
+        prefix: 'tak_01234567',
+        scopes: ['tasks:read'],
+        createdAt: 'now'
+    };
+
+    test('Should store only the hash of a new API key and return the key once', async () => {
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({ _id: '123', apiKeys: [] }));
+        jest.spyOn(authenticationService, 'generateApiKey').mockImplementationOnce(() => 'tak_0123456789abcdef');
+        const hashTokenSpy = jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'key-hash');
+        const addApiKeyByIdSpy = jest.spyOn(userRepository, 'addApiKeyById').mockImplementationOnce(() => Promise.resolve({ apiKeys: [storedApiKey] }));
+
+        const expiresAt = new Date(Date.now() + 60000).toISOString();
+        const result = await userServiceFactory().createApiKey({ name: 'CI', scopes: ['tasks:read', 'tasks:read'], expiresAt });
+
+        // Assert that the mocks were called correctly.
+        expect(hashTokenSpy).toHaveBeenCalledWith('tak_0123456789abcdef');
+        expect(addApiKeyByIdSpy).toHaveBeenCalledWith('123', {
+            name: 'CI',
+            keyHash: 'key-hash',
+            prefix: 'tak_01234567',
+            scopes: ['tasks:read'],
+            expiresAt: new Date(expiresAt)
+        });
+
+        // Assert that the API key is returned without its hash, along with the plain-text key.
+        expect(result).toEqual({
+            apiKey: {
+                _id: 'k1',
+                name: 'CI',
+                prefix: 'tak_01234567',
+                scopes: ['tasks:read'],
+                expiresAt: undefined,
+                createdAt: 'now',
+                lastUsedAt: undefined
+            },
+            key: 'tak_0123456789abcdef'
+        });
+    });
+
+    test('Should throw a ValidationError for a missing name, missing or unknown scopes, or an expiry in the past', async () => {
+        const userService = userServiceFactory();
+
+        await expect(userService.createApiKey()).rejects.toEqual(new ValidationError(null, 'An API key needs a name.'));
+        await expect(userService.createApiKey({ name: ' ', scopes: ['tasks:read'] })).rejects.toEqual(new ValidationError(null, 'An API key needs a name.'));
+        await expect(userService.createApiKey({ name: 'CI' })).rejects.toEqual(new ValidationError(null, 'An API key needs at least one scope.'));
+        await expect(userService.createApiKey({ name: 'CI', scopes: ['users:read'] }))
+            .rejects.toEqual(new ValidationError(null, 'The scope "users:read" does not exist.'));
+        await expect(userService.createApiKey({ name: 'CI', scopes: ['tasks:read'], expiresAt: '2000-01-01' }))
+            .rejects.toEqual(new ValidationError(null, 'The expiry of an API key must be a date in the future.'));
+        await expect(userService.createApiKey({ name: 'CI', scopes: ['tasks:read'], expiresAt: 'tomorrow' }))
+            .rejects.toEqual(new ValidationError(null, 'The expiry of an API key must be a date in the future.'));
+    });
+
+    test('Should throw a ValidationError once the user has as many API keys as allowed', async () => {
+        const maxPerUser = appConfig.authentication.apiKeys.getMaxPerUser();
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({ _id: '123', apiKeys: new Array(maxPerUser).fill(storedApiKey) }));
+        const addApiKeyByIdSpy = jest.spyOn(userRepository, 'addApiKeyById');
+
+        await expect(userServiceFactory().createApiKey({ name: 'CI', scopes: ['tasks:write'] }))
+            .rejects.toEqual(new ValidationError(null, `You can not have more than ${maxPerUser} API keys.`));
+        expect(addApiKeyByIdSpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#retrieveApiKeys', () => {
+    test('Should list the API keys of the signed in user without their hashes', async () => {
+        const readByIdSpy = jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({
+            apiKeys: [{ _id: 'k1', name: 'CI', keyHash: 'hash', prefix: 'tak_01234567', scopes: ['tasks:read'] }]
+        }));
+
+        const apiKeys = await userServiceFactory().retrieveApiKeys();
+
+        expect(readByIdSpy).toHaveBeenCalledWith('123');
+        expect(apiKeys).toEqual([{ _id: 'k1', name: 'CI', prefix: 'tak_01234567', scopes: ['tasks:read'] }]);
+    });
+});
+
+describe('#revokeApiKey', () => {
+    test('Should remove the API key from the signed in user', async () => {
+        const removeApiKeyByIdSpy = jest.spyOn(userRepository, 'removeApiKeyById').mockImplementationOnce(() => Promise.resolve({}));
+
+        await userServiceFactory().revokeApiKey('k1');
+
+        expect(removeApiKeyByIdSpy).toHaveBeenCalledWith('123', 'k1');
+    });
+
+    test('Should throw a ResourceNotFoundError for an unknown or malformed API key ID', async () => {
+        jest.spyOn(userRepository, 'removeApiKeyById').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().revokeApiKey('k1')).rejects.toEqual(new ResourceNotFoundError(null, 'API key'));
+
+        jest.spyOn(userRepository, 'removeApiKeyById').mockImplementationOnce(() => Promise.reject(errorFactory('CastError')));
+        await expect(userServiceFactory().revokeApiKey('not-an-id')).rejects.toEqual(new ResourceNotFoundError(null, 'API key'));
+    });
+});
+
+describe('#authenticateApiKey', () => {
+    const storedUser = {
+        _id: 'id',
+        password: 'hash',
+        apiKeys: [
+            { _id: 'k0', name: 'Other', keyHash: 'other-hash', scopes: ['tasks:write'] },
+            { _id: 'k1', name: 'CI', keyHash: 'key-hash', scopes: ['tasks:read'] }
+        ]
+    };
+
+    test('Should return the safe user and the matching API key', async () => {
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'key-hash');
+        const readByApiKeySpy = jest.spyOn(userRepository, 'readByApiKey').mockImplementationOnce(() => Promise.resolve(storedUser));
+
+        const { user, apiKey } = await userServiceFactory().authenticateApiKey('tak_key');
+
+        expect(readByApiKeySpy).toHaveBeenCalledWith('key-hash');
+        expect(user).toEqual({ _id: 'id' });
+        expect(apiKey).toMatchObject({ _id: 'k1', scopes: ['tasks:read'] });
+        expect(apiKey.keyHash).toBeUndefined();
+    });
+
+    test('Should throw an AuthenticationError for an unknown or expired API key, or a disabled user', async () => {
+        jest.spyOn(userRepository, 'readByApiKey').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().authenticateApiKey('tak_key')).rejects.toEqual(new AuthenticationError());
+
+        jest.spyOn(userRepository, 'readByApiKey').mockImplementationOnce(() => Promise.resolve({ ...storedUser, disabled: true }));
+        await expect(userServiceFactory().authenticateApiKey('tak_key')).rejects.toEqual(new AuthenticationError());
+    });
+});
+
+describe('#recordApiKeyUsage', () => {
+    test('Should record the usage for API keys not used within the usage resolution', async () => {
+        const updateApiKeyUsageByIdSpy = jest.spyOn(userRepository, 'updateApiKeyUsageById').mockImplementationOnce(() => Promise.resolve());
+
+        await userServiceFactory().recordApiKeyUsage('k1');
+
+        const [id, apiKeyId, lastUsedAt, since] = updateApiKeyUsageByIdSpy.mock.calls[0];
+        expect(id).toEqual('123');
+        expect(apiKeyId).toEqual('k1');
+        expect(lastUsedAt.getTime() - since.getTime()).toBe(appConfig.authentication.apiKeys.getUsageResolution());
+    });
+});
+
 describe('#retrieveUserByQuery', () => {
     // Return correct data non-default avatar.
     test('Should call the mock functions correctly and return the correct data for a user with non-default avatars', async () => {
@@ -521,6 +1152,9 @@ describe('#updateUser', () => {
             avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
         }));
         const getAbsoluteFileURISpy = jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+        jest.spyOn(authenticationService, 'generateOpaqueToken').mockImplementationOnce(() => 'verification-token');
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-verification-token');
+        const sendEmailVerificationEmailSpy = jest.spyOn(mailService, 'sendEmailVerificationEmail').mockImplementationOnce(() => Promise.resolve());
 
         const requestedUpdates = {
             name: 'John Reese',
@@ -536,7 +1170,16 @@ describe('#updateUser', () => {
         expect(hashSpy).toHaveBeenCalledTimes(1);
         expect(hashSpy).toHaveBeenCalledWith(requestedUpdates.password);
         expect(updateByIdSpy).toHaveBeenCalledTimes(1);
-        expect(updateByIdSpy).toHaveBeenCalledWith('123', { ...requestedUpdates, password: 'hashed' });
+        expect(updateByIdSpy).toHaveBeenCalledWith('123', {
+            ...requestedUpdates,
+            password: 'hashed',
+            emailVerified: false,
+            emailVerification: { token: 'hashed-verification-token', expiresAt: expect.any(Date) }
+        });
+
+        // Assert that the new email address was sent a verification token.
+        expect(sendEmailVerificationEmailSpy).toHaveBeenCalledTimes(1);
+        expect(sendEmailVerificationEmailSpy).toHaveBeenCalledWith({ username: 'Jamie', avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths() }, 'verification-token');
 
         // Assert that getAbsoluteFileURISpy was called correctly.
         expect(getAbsoluteFileURISpy).toHaveBeenCalledTimes(3);
@@ -573,6 +1216,299 @@ describe('#updateUser', () => {
         jest.spyOn(userRepository, 'updateById').mockImplementationOnce(() => Promise.reject(new Error('Mocked Failure')));
         await expect(userServiceFactory().updateUser({ email: 'email' })).rejects.toEqual(new Error('Mocked Failure'));
     });
+
+    test('Should check a new password against the password policy with the new name and email address', async () => {
+        const policyError = new ValidationError(null, 'The password must not contain your name or email address.');
+        const assertValidSpy = jest.spyOn(passwordPolicyService, 'assertValid').mockImplementationOnce(() => { throw policyError; });
+        const updateByIdSpy = jest.spyOn(userRepository, 'updateById');
+
+        await expect(userServiceFactory({ user: { ...context.user, name: 'Jamie', email: 'jamie@domain.com' } })
+            .updateUser({ email: 'reese@domain.com', password: 'reese-password' })).rejects.toBe(policyError);
+
+        // Assert that the password was checked, and that nothing was updated.
+        expect(assertValidSpy).toHaveBeenCalledWith('reese-password', { name: 'Jamie', email: 'reese@domain.com' });
+        expect(updateByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should leave the email address verified if it is not actually changing', async () => {
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+        const updateByIdSpy = jest.spyOn(userRepository, 'updateById').mockImplementationOnce(() => Promise.resolve({ avatarPaths: {} }));
+        const sendEmailVerificationEmailSpy = jest.spyOn(mailService, 'sendEmailVerificationEmail');
+
+        await userServiceFactory({ user: { ...context.user, email: 'john@domain.com' } }).updateUser({ email: ' John@Domain.com ' });
+
+        // Assert that the verification state was not touched and no email was sent.
+        expect(updateByIdSpy).toHaveBeenCalledWith('123', { email: ' John@Domain.com ' });
+        expect(sendEmailVerificationEmailSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should only update the profile at a version the client expects, and only if it does not change in between', async () => {
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+        const updateByIdWithQuerySpy = jest.spyOn(userRepository, 'updateByIdWithQuery')
+            .mockImplementationOnce(() => Promise.resolve({ avatarPaths: {}, version: 3 }))
+            .mockImplementationOnce(() => Promise.resolve(null));
+        const userService = userServiceFactory({ user: { ...context.user, version: 2 } });
+
+        expect(await userService.updateUser({ age: 41 }, { expectedVersions: [2] })).toEqual({ avatarPaths: {}, version: 3 });
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('123', { version: 2 }, { age: 41 });
+
+        await expect(userService.updateUser({ age: 42 }, { expectedVersions: [1] })).rejects.toEqual(new PreconditionFailedError());
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledTimes(1);
+
+        // Another request may change the profile between signing in and updating it.
+        await expect(userService.updateUser({ age: 42 }, { expectedVersions: [2] })).rejects.toEqual(new PreconditionFailedError());
+        expect(userRepository.updateById).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#verifyEmail', () => {
+    test('Should verify the email address by the hash of the token', async () => {
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-verification-token');
+        const verifyEmailByTokenSpy = jest.spyOn(userRepository, 'verifyEmailByToken').mockImplementationOnce(() => Promise.resolve({ _id: 'id' }));
+
+        await userServiceFactory().verifyEmail('verification-token');
+
+        // Assert that the repository was called correctly.
+        expect(verifyEmailByTokenSpy).toHaveBeenCalledTimes(1);
+        expect(verifyEmailByTokenSpy).toHaveBeenCalledWith('hashed-verification-token');
+    });
+
+    test('Should throw a ValidationError if the token is unknown, used, or expired', async () => {
+        jest.spyOn(userRepository, 'verifyEmailByToken').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().verifyEmail('verification-token'))
+            .rejects.toEqual(new ValidationError(null, 'The email verification token is invalid or has expired.'));
+    });
+
+    test('Should throw a ValidationError if no token is provided', async () => {
+        await expect(userServiceFactory().verifyEmail()).rejects.toEqual(new ValidationError());
+    });
+});
+
+describe('#resendEmailVerification', () => {
+    test('Should replace the outstanding verification token and email the new one', async () => {
+        const user = { _id: '123', email: 'jamie@domain.com' };
+
+        // Spys
+        jest.spyOn(authenticationService, 'generateOpaqueToken').mockImplementationOnce(() => 'verification-token');
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-verification-token');
+        const updateEmailVerificationByIdSpy = jest.spyOn(userRepository, 'updateEmailVerificationById').mockImplementationOnce(() => Promise.resolve(user));
+        const sendEmailVerificationEmailSpy = jest.spyOn(mailService, 'sendEmailVerificationEmail').mockImplementationOnce(() => Promise.resolve());
+
+        await userServiceFactory().resendEmailVerification();
+
+        // Assert that the mocks were called correctly.
+        expect(updateEmailVerificationByIdSpy).toHaveBeenCalledTimes(1);
+        expect(updateEmailVerificationByIdSpy).toHaveBeenCalledWith('123', { token: 'hashed-verification-token', expiresAt: expect.any(Date) });
+        expect(sendEmailVerificationEmailSpy).toHaveBeenCalledTimes(1);
+        expect(sendEmailVerificationEmailSpy).toHaveBeenCalledWith(user, 'verification-token');
+    });
+
+    test('Should throw a ValidationError if the email address is already verified', async () => {
+        const updateEmailVerificationByIdSpy = jest.spyOn(userRepository, 'updateEmailVerificationById');
+
+        await expect(userServiceFactory({ user: { ...context.user, emailVerified: true } }).resendEmailVerification())
+            .rejects.toEqual(new ValidationError(null, 'The email address is already verified.'));
+        expect(updateEmailVerificationByIdSpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#requestPasswordReset', () => {
+    test('Should store the hash of a new reset token and email the plain-text token to the user', async () => {
+        const user = { _id: 'id', name: 'Jamie', email: 'jamie@domain.com' };
+
+        // Spys
+        const readByQuerySpy = jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve(user));
+        jest.spyOn(authenticationService, 'generateOpaqueToken').mockImplementationOnce(() => 'reset-token');
+        const hashTokenSpy = jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-reset-token');
+        const updatePasswordResetByIdSpy = jest.spyOn(userRepository, 'updatePasswordResetById').mockImplementationOnce(() => Promise.resolve());
+        const sendPasswordResetEmailSpy = jest.spyOn(mailService, 'sendPasswordResetEmail').mockImplementationOnce(() => Promise.resolve());
+
+        await userServiceFactory().requestPasswordReset(' Jamie@Domain.com ');
+
+        // Assert that the user was looked up by the normalized email.
+        expect(readByQuerySpy).toHaveBeenCalledWith({ email: 'jamie@domain.com' });
+
+        // Assert that only the hash of the token was stored, with an expiry.
+        expect(hashTokenSpy).toHaveBeenCalledWith('reset-token');
+        expect(updatePasswordResetByIdSpy).toHaveBeenCalledTimes(1);
+        expect(updatePasswordResetByIdSpy).toHaveBeenCalledWith('id', { token: 'hashed-reset-token', expiresAt: expect.any(Date) });
+        expect(updatePasswordResetByIdSpy.mock.calls[0][1].expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+        // Assert that the plain-text token was emailed.
+        expect(sendPasswordResetEmailSpy).toHaveBeenCalledTimes(1);
+        expect(sendPasswordResetEmailSpy).toHaveBeenCalledWith(user, 'reset-token');
+    });
+
+    test('Should silently do nothing for an email that has no account', async () => {
+        jest.spyOn(userRepository, 'readByQuery').mockImplementationOnce(() => Promise.resolve(null));
+        const updatePasswordResetByIdSpy = jest.spyOn(userRepository, 'updatePasswordResetById');
+        const sendPasswordResetEmailSpy = jest.spyOn(mailService, 'sendPasswordResetEmail');
+
+        await expect(userServiceFactory().requestPasswordReset('nobody@domain.com')).resolves.toBe(undefined);
+
+        // Assert that nothing was stored or sent.
+        expect(updatePasswordResetByIdSpy).toHaveBeenCalledTimes(0);
+        expect(sendPasswordResetEmailSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError if no email is provided', async () => {
+        await expect(userServiceFactory().requestPasswordReset()).rejects.toEqual(new ValidationError());
+    });
+});
+
+describe('#resetPassword', () => {
+    test('Should hash the new password and reset it by the hash of the token', async () => {
+        // Spys
+        const hashSpy = jest.spyOn(passwordService, 'hash').mockImplementationOnce(() => Promise.resolve('hashed-password'));
+        jest.spyOn(authenticationService, 'hashToken').mockImplementationOnce(() => 'hashed-reset-token');
+        const readByPasswordResetTokenSpy = jest.spyOn(userRepository, 'readByPasswordResetToken')
+            .mockImplementationOnce(() => Promise.resolve({ _id: 'id', name: 'Jamie', email: 'jamie@domain.com' }));
+        const assertValidSpy = jest.spyOn(passwordPolicyService, 'assertValid');
+        const resetPasswordByTokenSpy = jest.spyOn(userRepository, 'resetPasswordByToken').mockImplementationOnce(() => Promise.resolve({ _id: 'id' }));
+
+        await userServiceFactory().resetPassword('reset-token', 'a-new-password');
+
+        // Assert that the mocks were called correctly.
+        expect(readByPasswordResetTokenSpy).toHaveBeenCalledWith('hashed-reset-token');
+        expect(assertValidSpy).toHaveBeenCalledWith('a-new-password', { _id: 'id', name: 'Jamie', email: 'jamie@domain.com' });
+        expect(hashSpy).toHaveBeenCalledWith('a-new-password');
+        expect(resetPasswordByTokenSpy).toHaveBeenCalledTimes(1);
+        expect(resetPasswordByTokenSpy).toHaveBeenCalledWith('hashed-reset-token', 'hashed-password');
+    });
+
+    test('Should clear the failed login attempts against the account', async () => {
+        jest.spyOn(userRepository, 'readByPasswordResetToken').mockImplementationOnce(() => Promise.resolve({ _id: 'id', email: 'jamie@domain.com' }));
+        jest.spyOn(passwordService, 'hash').mockImplementationOnce(() => Promise.resolve('hashed-password'));
+        jest.spyOn(userRepository, 'resetPasswordByToken').mockImplementationOnce(() => Promise.resolve({ _id: 'id', email: 'jamie@domain.com' }));
+        const clearSpy = jest.spyOn(loginThrottleService, 'clear');
+
+        await userServiceFactory().resetPassword('reset-token', 'a-new-password');
+
+        expect(clearSpy).toHaveBeenCalledWith({ email: 'jamie@domain.com' });
+    });
+
+    test('Should throw a ValidationError if the token is unknown, used, or expired', async () => {
+        const hashSpy = jest.spyOn(passwordService, 'hash');
+        jest.spyOn(userRepository, 'readByPasswordResetToken').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().resetPassword('reset-token', 'a-new-password'))
+            .rejects.toEqual(new ValidationError(null, 'The password reset token is invalid or has expired.'));
+        expect(hashSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError if the token is used or expires while the password is being reset', async () => {
+        jest.spyOn(userRepository, 'readByPasswordResetToken').mockImplementationOnce(() => Promise.resolve({ _id: 'id' }));
+        jest.spyOn(passwordService, 'hash').mockImplementationOnce(() => Promise.resolve('hashed-password'));
+        jest.spyOn(userRepository, 'resetPasswordByToken').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().resetPassword('reset-token', 'a-new-password'))
+            .rejects.toEqual(new ValidationError(null, 'The password reset token is invalid or has expired.'));
+    });
+
+    test('Should throw the ValidationError of the password policy without resetting the password', async () => {
+        const policyError = new ValidationError(null, 'The password is too common, or has appeared in a data breach.');
+        jest.spyOn(userRepository, 'readByPasswordResetToken').mockImplementationOnce(() => Promise.resolve({ _id: 'id' }));
+        jest.spyOn(passwordPolicyService, 'assertValid').mockImplementationOnce(() => { throw policyError; });
+        const resetPasswordByTokenSpy = jest.spyOn(userRepository, 'resetPasswordByToken');
+
+        await expect(userServiceFactory().resetPassword('reset-token', 'password1')).rejects.toBe(policyError);
+        expect(resetPasswordByTokenSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError if the token or password is missing', async () => {
+        await expect(userServiceFactory().resetPassword(undefined, 'a-new-password')).rejects.toEqual(new ValidationError());
+        await expect(userServiceFactory().resetPassword('reset-token')).rejects.toEqual(new ValidationError());
+    });
+});
+
+describe('#enrollTwoFactor', () => {
+    test('Should store a new pending secret and return it with the otpauth URI', async () => {
+        // Spys
+        jest.spyOn(twoFactorService, 'generateSecret').mockImplementationOnce(() => 'SECRET');
+        const generateOtpauthURISpy = jest.spyOn(twoFactorService, 'generateOtpauthURI').mockImplementationOnce(() => 'otpauth://totp/uri');
+        const updateTwoFactorByIdSpy = jest.spyOn(userRepository, 'updateTwoFactorById').mockImplementationOnce(() => Promise.resolve());
+
+        const result = await userServiceFactory({ user: { ...context.user, email: 'jamie@domain.com' } }).enrollTwoFactor();
+
+        // Assert that the secret was stored without enabling two-factor authentication.
+        expect(updateTwoFactorByIdSpy).toHaveBeenCalledWith('123', { enabled: false, secret: 'SECRET' });
+        expect(generateOtpauthURISpy).toHaveBeenCalledWith('SECRET', 'jamie@domain.com');
+        expect(result).toEqual({ secret: 'SECRET', uri: 'otpauth://totp/uri' });
+    });
+
+    test('Should throw a ValidationError if two-factor authentication is already enabled', async () => {
+        await expect(userServiceFactory({ user: { ...context.user, twoFactor: { enabled: true } } }).enrollTwoFactor())
+            .rejects.toEqual(new ValidationError(null, 'Two-factor authentication is already enabled.'));
+    });
+});
+
+describe('#confirmTwoFactor', () => {
+    const pendingContext = { user: { ...context.user, twoFactor: { enabled: false, secret: 'SECRET' } } };
+
+    test('Should enable two-factor authentication, storing only the hashes of the recovery codes, and return the plain-text codes', async () => {
+        // Spys
+        const verifyCodeSpy = jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => 42);
+        jest.spyOn(twoFactorService, 'generateRecoveryCodes').mockImplementationOnce(() => ['aaaaa-11111', 'bbbbb-22222']);
+        jest.spyOn(authenticationService, 'hashToken').mockImplementation(code => `hashed-${code}`);
+        const updateTwoFactorByIdSpy = jest.spyOn(userRepository, 'updateTwoFactorById').mockImplementationOnce(() => Promise.resolve());
+
+        const recoveryCodes = await userServiceFactory(pendingContext).confirmTwoFactor('123456');
+
+        // Assert that the mocks were called correctly.
+        expect(verifyCodeSpy).toHaveBeenCalledWith('SECRET', '123456');
+        expect(updateTwoFactorByIdSpy).toHaveBeenCalledWith('123', {
+            enabled: true,
+            secret: 'SECRET',
+            recoveryCodes: ['hashed-aaaaa-11111', 'hashed-bbbbb-22222'],
+            lastUsedStep: 42
+        });
+        expect(recoveryCodes).toEqual(['aaaaa-11111', 'bbbbb-22222']);
+    });
+
+    test('Should throw a ValidationError for an invalid code', async () => {
+        jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => null);
+        const updateTwoFactorByIdSpy = jest.spyOn(userRepository, 'updateTwoFactorById');
+
+        await expect(userServiceFactory(pendingContext).confirmTwoFactor('000000'))
+            .rejects.toEqual(new ValidationError(null, 'The two-factor code is invalid.'));
+        expect(updateTwoFactorByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError if there is no pending enrollment', async () => {
+        const error = new ValidationError(null, 'There is no pending two-factor authentication enrollment to confirm.');
+
+        await expect(userServiceFactory().confirmTwoFactor('123456')).rejects.toEqual(error);
+        await expect(userServiceFactory({ user: { ...context.user, twoFactor: { enabled: true, secret: 'SECRET' } } }).confirmTwoFactor('123456'))
+            .rejects.toEqual(error);
+    });
+});
+
+describe('#disableTwoFactor', () => {
+    const enabledContext = { user: { ...context.user, twoFactor: { enabled: true, secret: 'SECRET' } } };
+
+    test('Should disable two-factor authentication given a valid code', async () => {
+        jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => 42);
+        jest.spyOn(userRepository, 'updateTwoFactorStepById').mockImplementationOnce(() => Promise.resolve({}));
+        const removeTwoFactorByIdSpy = jest.spyOn(userRepository, 'removeTwoFactorById').mockImplementationOnce(() => Promise.resolve());
+
+        await userServiceFactory(enabledContext).disableTwoFactor('123456');
+
+        // Assert that the two-factor settings were removed.
+        expect(removeTwoFactorByIdSpy).toHaveBeenCalledWith('123');
+    });
+
+    test('Should throw a ValidationError for an invalid code', async () => {
+        jest.spyOn(twoFactorService, 'verifyCode').mockImplementationOnce(() => null);
+        jest.spyOn(twoFactorService, 'normalizeRecoveryCode').mockImplementationOnce(() => null);
+        const removeTwoFactorByIdSpy = jest.spyOn(userRepository, 'removeTwoFactorById');
+
+        await expect(userServiceFactory(enabledContext).disableTwoFactor('000000'))
+            .rejects.toEqual(new ValidationError(null, 'The two-factor code is invalid.'));
+        expect(removeTwoFactorByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ValidationError if two-factor authentication is not enabled', async () => {
+        await expect(userServiceFactory().disableTwoFactor('123456'))
+            .rejects.toEqual(new ValidationError(null, 'Two-factor authentication is not enabled.'));
+    });
 });
 
 describe('#deleteUser', () => {
@@ -594,6 +1530,170 @@ describe('#deleteUser', () => {
         jest.spyOn(userRepository, 'deleteById').mockImplementation(() => Promise.reject(new Error('Mocked Failure')));
         await expect(userServiceFactory().deleteUser()).rejects.toEqual(new Error('Mocked Failure'));
     });
+
+    test('Should throw a PreconditionFailedError if the profile is at none of the versions the client expects', async () => {
+        const deleteByIdSpy = jest.spyOn(userRepository, 'deleteById');
+
+        await expect(userServiceFactory().deleteUser({ expectedVersions: [1] })).rejects.toEqual(new PreconditionFailedError());
+        expect(deleteByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should only delete the version of the profile that was checked, should it change in between', async () => {
+        const deleteByIdWithQuerySpy = jest.spyOn(userRepository, 'deleteByIdWithQuery').mockResolvedValueOnce('user').mockResolvedValueOnce(null);
+        const userService = userServiceFactory();
+
+        expect(await userService.deleteUser({ expectedVersions: [0] })).toBe('user');
+        expect(deleteByIdWithQuerySpy).toHaveBeenCalledWith('123', { version: { $in: [0, null] } });
+
+        await expect(userService.deleteUser({ expectedVersions: [0] })).rejects.toEqual(new PreconditionFailedError());
+        expect(userRepository.deleteById).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#retrieveUsers', () => {
+    test('Should search names and email addresses case-insensitively, treating the search text literally', async () => {
+        const readManyByQuerySpy = jest.spyOn(userRepository, 'readManyByQuery').mockImplementationOnce(() => Promise.resolve([{
+            name: 'Alan',
+            password: 'hash',
+            tokens: [],
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }]));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        const users = await userServiceFactory().retrieveUsers({ search: 'alan+', role: 'admin', disabled: false }, { limit: 10 });
+
+        // Assert that the repository was queried correctly.
+        const [[query, options]] = readManyByQuerySpy.mock.calls;
+        expect(query.roles).toEqual('admin');
+        expect(query.disabled).toBe(false);
+        expect(query.$or.map(condition => Object.keys(condition)[0])).toEqual(['name', 'email']);
+        expect(query.$or[0].name.test('ALAN+ Turing')).toBe(true);
+        expect(query.$or[0].name.test('Alann')).toBe(false);
+        expect(options).toEqual({ limit: 10 });
+
+        // Assert that the users are safe.
+        expect(users).toEqual([{ name: 'Alan', avatarPaths: { original: 'absolute', small: 'absolute', large: 'absolute' } }]);
+    });
+
+    test('Should not filter at all without a query', async () => {
+        const readManyByQuerySpy = jest.spyOn(userRepository, 'readManyByQuery').mockImplementationOnce(() => Promise.resolve([]));
+
+        await userServiceFactory().retrieveUsers();
+
+        expect(readManyByQuerySpy).toHaveBeenCalledWith({}, {});
+    });
+
+    test('Should throw a ValidationError when sorting by a field that is not sortable', async () => {
+        await expect(userServiceFactory().retrieveUsers({}, { sort: { password: 1 } }))
+            .rejects.toEqual(new ValidationError(null, 'Users can only be sorted by name, email, createdAt, updatedAt.'));
+    });
+});
+
+describe('#retrieveUserById', () => {
+    test('Should return the safe user', async () => {
+        const readByIdSpy = jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({
+            name: 'Alan',
+            password: 'hash',
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        const user = await userServiceFactory().retrieveUserById('456');
+
+        expect(readByIdSpy).toHaveBeenCalledWith('456');
+        expect(user).toEqual({ name: 'Alan', avatarPaths: { original: 'absolute', small: 'absolute', large: 'absolute' } });
+    });
+
+    test('Should throw a ResourceNotFoundError for an unknown or malformed ID', async () => {
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().retrieveUserById('456')).rejects.toEqual(new ResourceNotFoundError(null, 'user'));
+
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.reject(errorFactory('CastError')));
+        await expect(userServiceFactory().retrieveUserById('not-an-id')).rejects.toEqual(new ResourceNotFoundError(null, 'user'));
+    });
+});
+
+describe('#updateUserDisabledById', () => {
+    test('Should disable the user and return the safe user', async () => {
+        const updateDisabledByIdSpy = jest.spyOn(userRepository, 'updateDisabledById').mockImplementationOnce(() => Promise.resolve({
+            name: 'Alan',
+            disabled: true,
+            tokens: [],
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        const user = await userServiceFactory().updateUserDisabledById('456', true);
+
+        expect(updateDisabledByIdSpy).toHaveBeenCalledWith('456', true);
+        expect(user).toEqual({ name: 'Alan', disabled: true, avatarPaths: { original: 'absolute', small: 'absolute', large: 'absolute' } });
+    });
+
+    test('Should not let an administrator disable his/her own account', async () => {
+        const updateDisabledByIdSpy = jest.spyOn(userRepository, 'updateDisabledById');
+
+        await expect(userServiceFactory().updateUserDisabledById('123', true)).rejects.toEqual(new ValidationError(null, 'You cannot disable your own account.'));
+        expect(updateDisabledByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ResourceNotFoundError if there is no such user', async () => {
+        jest.spyOn(userRepository, 'updateDisabledById').mockImplementationOnce(() => Promise.resolve(null));
+        await expect(userServiceFactory().updateUserDisabledById('456', false)).rejects.toEqual(new ResourceNotFoundError(null, 'user'));
+    });
+});
+
+describe('#logoutUserAllById', () => {
+    test('Should remove all tokens of an existing user', async () => {
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve({ _id: '456' }));
+        const removeAllTokensByIdSpy = jest.spyOn(userRepository, 'removeAllTokensById').mockImplementationOnce(() => Promise.resolve({
+            _id: '456',
+            tokens: [],
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        await userServiceFactory().logoutUserAllById('456');
+
+        expect(removeAllTokensByIdSpy).toHaveBeenCalledWith('456');
+    });
+
+    test('Should throw a ResourceNotFoundError if there is no such user', async () => {
+        jest.spyOn(userRepository, 'readById').mockImplementationOnce(() => Promise.resolve(null));
+        const removeAllTokensByIdSpy = jest.spyOn(userRepository, 'removeAllTokensById');
+
+        await expect(userServiceFactory().logoutUserAllById('456')).rejects.toEqual(new ResourceNotFoundError(null, 'user'));
+        expect(removeAllTokensByIdSpy).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('#updateUserRolesById', () => {
+    test('Should validate and de-duplicate the roles before assigning them', async () => {
+        const assertValidRolesSpy = jest.spyOn(authorizationService, 'assertValidRoles');
+        const updateRolesByIdSpy = jest.spyOn(userRepository, 'updateRolesById').mockImplementationOnce(() => Promise.resolve({
+            roles: ['user', 'admin'],
+            avatarPaths: appConfig.cloudStorage.avatars.getDefaultAvatarPaths()
+        }));
+        jest.spyOn(fileStorageAdapter, 'getAbsoluteFileURI').mockImplementation(() => 'absolute'); // Not mocked once.
+
+        const user = await userServiceFactory().updateUserRolesById('456', ['user', 'admin', 'user']);
+
+        expect(assertValidRolesSpy).toHaveBeenCalledWith(['user', 'admin', 'user']);
+        expect(updateRolesByIdSpy).toHaveBeenCalledWith('456', ['user', 'admin']);
+        expect(user.roles).toEqual(['user', 'admin']);
+    });
+
+    test('Should re-throw the ValidationError for invalid roles without updating the user', async () => {
+        jest.spyOn(authorizationService, 'assertValidRoles').mockImplementationOnce(() => { throw new ValidationError(null, 'The role "owner" does not exist.'); });
+        const updateRolesByIdSpy = jest.spyOn(userRepository, 'updateRolesById');
+
+        await expect(userServiceFactory().updateUserRolesById('456', ['owner'])).rejects.toEqual(new ValidationError(null, 'The role "owner" does not exist.'));
+        expect(updateRolesByIdSpy).toHaveBeenCalledTimes(0);
+    });
+
+    test('Should throw a ResourceNotFoundError for a malformed ID', async () => {
+        jest.spyOn(userRepository, 'updateRolesById').mockImplementationOnce(() => Promise.reject(errorFactory('CastError')));
+        await expect(userServiceFactory().updateUserRolesById('not-an-id', ['user'])).rejects.toEqual(new ResourceNotFoundError(null, 'user'));
+    });
 });
 
 describe('#uploadUserAvatar', () => {
@@ -780,13 +1880,22 @@ describe('#_stripSensitiveData', () => {
             username: 'jamie',
             _id: '123',
             password: 'hashed',
-            tokens: []
+            tokens: [],
+            apiKeys: [{ name: 'CI', keyHash: 'hashed' }],
+            passwordReset: { token: 'hashed', expiresAt: new Date() },
+            emailVerification: { token: 'hashed', expiresAt: new Date() },
+            emailVerified: false,
+            twoFactor: { enabled: true, secret: 'SECRET', recoveryCodes: ['hashed'] }
         };
 
         const cleanUser = UserService._stripSensitiveData(originalUser);
 
         delete originalUser.password;
         delete originalUser.tokens;
+        delete originalUser.apiKeys;
+        delete originalUser.passwordReset;
+        delete originalUser.emailVerification;
+        delete originalUser.twoFactor;
         expect(cleanUser).toEqual(originalUser);
     });
 });
@@ -0,0 +1,197 @@
+/*
+ * File: WorkflowService.test.js (__tests__/__unit__/src/services/WorkflowService.test.js)
+ *
+ * Description: Houses unit test cases for the WorkflowService.
+ */
+
+// SUT:
+const WorkflowService = require('./../../../../src/services/WorkflowService');
+
+// Dependencies
+const UserRepository = require('./../../../../src/repositories/UserRepository');
+const ProjectRepository = require('./../../../../src/repositories/ProjectRepository');
+
+// Instances of dependencies for spying.
+const userRepository = new UserRepository();
+const projectRepository = new ProjectRepository();
+
+// Mock dependencies.
+jest.mock('./../../../../src/repositories/UserRepository');
+jest.mock('./../../../../src/repositories/ProjectRepository');
+
+// Custom Exceptions:
+const { ValidationError, ResourceNotFoundError } = require('./../../../../src/custom-exceptions/index');
+
+// Task Enumerations
+const { DEFAULT_WORKFLOW } = require('./../../../../src/constants/task');
+
+// A workflow that a user or project defined, which only lets tasks be shipped once they have been reviewed.
+const REVIEW_WORKFLOW = [
+    { key: 'backlog', name: 'Backlog', transitions: ['review'] },
+    { key: 'review', name: 'Review' },
+    { key: 'shipped', name: 'Shipped' }
+];
+
+// Service Factory
+const workflowServiceFactory = (user = {}) => new WorkflowService({ userRepository, projectRepository, context: { user: { _id: '123', ...user } } });
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('#retrieveWorkflow', () => {
+    test('Should find the workflow of the user, or the default workflow if they have not defined one', async () => {
+        expect(await workflowServiceFactory().retrieveWorkflow()).toBe(DEFAULT_WORKFLOW);
+        expect(await workflowServiceFactory({ workflow: [] }).retrieveWorkflow()).toBe(DEFAULT_WORKFLOW);
+        expect(await workflowServiceFactory({ workflow: REVIEW_WORKFLOW }).retrieveWorkflow()).toEqual(REVIEW_WORKFLOW);
+    });
+
+    test('Should find the workflow of a project of the user, which is that of the user unless the project has its own', async () => {
+        const castError = new Error('Cast to ObjectId failed');
+        castError.name = 'CastError';
+        const readByIdWithQuerySpy = jest.spyOn(projectRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce({ _id: 'p1', workflow: REVIEW_WORKFLOW })
+            .mockResolvedValueOnce({ _id: 'p2' })
+            .mockResolvedValueOnce(null)
+            .mockRejectedValueOnce(castError);
+        const workflowService = workflowServiceFactory();
+
+        expect(await workflowService.retrieveWorkflow('p1')).toBe(REVIEW_WORKFLOW);
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('p1', { owner: '123' });
+        expect(await workflowService.retrieveWorkflow('p2')).toBe(DEFAULT_WORKFLOW);
+
+        await expect(workflowService.retrieveWorkflow('p3')).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+        await expect(workflowService.retrieveWorkflow('not-an-id')).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+    });
+});
+
+describe('#updateUserWorkflow', () => {
+    test('Should replace the workflow of the user once validated, or return them to the default workflow', async () => {
+        const updateByIdSpy = jest.spyOn(userRepository, 'updateById').mockResolvedValueOnce({ workflow: REVIEW_WORKFLOW }).mockResolvedValueOnce({});
+        const workflowService = workflowServiceFactory();
+
+        expect(await workflowService.updateUserWorkflow(REVIEW_WORKFLOW)).toEqual(REVIEW_WORKFLOW);
+        expect(updateByIdSpy).toHaveBeenCalledWith('123', { workflow: REVIEW_WORKFLOW });
+
+        expect(await workflowService.updateUserWorkflow(null)).toBe(DEFAULT_WORKFLOW);
+        expect(updateByIdSpy).toHaveBeenLastCalledWith('123', { $unset: { workflow: 1 } });
+
+        await expect(workflowService.updateUserWorkflow([{ key: 'done' }])).rejects.toBeInstanceOf(ValidationError);
+        expect(updateByIdSpy).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('#updateProjectWorkflow', () => {
+    test('Should replace the workflow of a project of the user, or make it follow the workflow of the user', async () => {
+        const updateByIdWithQuerySpy = jest.spyOn(projectRepository, 'updateByIdWithQuery')
+            .mockResolvedValueOnce({ _id: 'p1', workflow: REVIEW_WORKFLOW })
+            .mockResolvedValueOnce({ _id: 'p1' })
+            .mockResolvedValueOnce(null);
+        const workflowService = workflowServiceFactory();
+
+        expect(await workflowService.updateProjectWorkflow('p1', REVIEW_WORKFLOW)).toEqual(REVIEW_WORKFLOW);
+        expect(updateByIdWithQuerySpy).toHaveBeenCalledWith('p1', { owner: '123' }, { workflow: REVIEW_WORKFLOW });
+
+        expect(await workflowService.updateProjectWorkflow('p1', null)).toBe(DEFAULT_WORKFLOW);
+        expect(updateByIdWithQuerySpy).toHaveBeenLastCalledWith('p1', { owner: '123' }, { $unset: { workflow: 1 } });
+
+        await expect(workflowService.updateProjectWorkflow('p2', null)).rejects.toEqual(new ResourceNotFoundError(null, 'project'));
+    });
+});
+
+describe('#getNewTaskStatus', () => {
+    test('Should start a new task in the first status of its workflow, or in the one it is given, recording when it entered it', async () => {
+        jest.spyOn(projectRepository, 'readByIdWithQuery').mockResolvedValueOnce({ _id: 'p1', workflow: REVIEW_WORKFLOW });
+        const workflowService = workflowServiceFactory();
+
+        expect(await workflowService.getNewTaskStatus({})).toEqual({
+            status: 'todo',
+            completed: false,
+            statusHistory: [{ status: 'todo', enteredAt: expect.any(Date) }]
+        });
+        expect(await workflowService.getNewTaskStatus({ completed: true })).toMatchObject({ status: 'done', completed: true });
+
+        // New tasks can start in any status of the workflow of their project.
+        expect(await workflowService.getNewTaskStatus({ projectId: 'p1', status: 'shipped' })).toMatchObject({ status: 'shipped', completed: true });
+    });
+
+    test('Should throw a ValidationError for a status the workflow does not have, or one that disagrees with the completed flag', async () => {
+        const workflowService = workflowServiceFactory();
+
+        await expect(workflowService.getNewTaskStatus({ status: 'shipped' }))
+            .rejects.toEqual(new ValidationError(null, 'The status must be one of "todo", "in-progress", "blocked", "done".'));
+        await expect(workflowService.getNewTaskStatus({ status: 'todo', completed: true }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks are completed in the "done" status, and only in it.'));
+    });
+});
+
+describe('#getStatusUpdates', () => {
+    test('Should move a task to a status its status allows, keeping it completed only in the last status, and record that it entered it', async () => {
+        const workflowService = workflowServiceFactory();
+
+        expect(await workflowService.getStatusUpdates({ status: 'todo', completed: false }, { status: 'in-progress' })).toEqual({
+            status: 'in-progress',
+            completed: false,
+            $push: { statusHistory: { status: 'in-progress', enteredAt: expect.any(Date) } }
+        });
+        expect(await workflowService.getStatusUpdates({ status: 'in-progress', completed: false }, { status: 'done' })).toMatchObject({
+            status: 'done',
+            completed: true
+        });
+
+        // Staying in a status doesn't record it again.
+        expect(await workflowService.getStatusUpdates({ status: 'done', completed: true }, { status: 'done' })).toEqual({ status: 'done', completed: true });
+    });
+
+    test('Should throw a ValidationError for a move that the status of the task does not allow, unless rolling it back', async () => {
+        const workflowService = workflowServiceFactory();
+        const blockedTask = { status: 'blocked', completed: false };
+
+        await expect(workflowService.getStatusUpdates(blockedTask, { status: 'done' }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks can not move from "blocked" to "done".'));
+        expect(await workflowService.getStatusUpdates(blockedTask, { status: 'done' }, { enforceTransitions: false })).toMatchObject({ status: 'done' });
+    });
+
+    test('Should move tasks that are completed or reopened without a status to the last or first status, whatever their status allows', async () => {
+        const workflowService = workflowServiceFactory();
+
+        expect(await workflowService.getStatusUpdates({ status: 'blocked', completed: false }, { completed: true })).toMatchObject({
+            status: 'done',
+            completed: true,
+            $push: { statusHistory: { status: 'done' } }
+        });
+        expect(await workflowService.getStatusUpdates({ status: 'done', completed: true }, { completed: false })).toMatchObject({
+            status: 'todo',
+            completed: false
+        });
+        expect(await workflowService.getStatusUpdates({ status: 'in-progress', completed: false }, { completed: false })).toEqual({
+            status: 'in-progress',
+            completed: false
+        });
+    });
+
+    test('Should give tasks from before workflows the status their completion maps to, without recording that they entered it', async () => {
+        expect(await workflowServiceFactory().getStatusUpdates({ completed: true }, { completed: true })).toEqual({ status: 'done', completed: true });
+    });
+
+    test('Should follow the workflow of the project a task is moved to, where its status maps to another if the workflow does not have it', async () => {
+        const readByIdWithQuerySpy = jest.spyOn(projectRepository, 'readByIdWithQuery')
+            .mockResolvedValueOnce({ _id: 'p1', workflow: REVIEW_WORKFLOW })
+            .mockResolvedValueOnce({ _id: 'p1', workflow: REVIEW_WORKFLOW });
+        const workflowService = workflowServiceFactory();
+
+        expect(await workflowService.getStatusUpdates({ status: 'done', completed: true }, { projectId: 'p1' })).toEqual({
+            status: 'shipped',
+            completed: true,
+            $push: { statusHistory: { status: 'shipped', enteredAt: expect.any(Date) } }
+        });
+        expect(readByIdWithQuerySpy).toHaveBeenCalledWith('p1', { owner: '123' });
+
+        await expect(workflowService.getStatusUpdates({ status: 'backlog', projectId: 'p1' }, { status: 'shipped' }))
+            .rejects.toEqual(new ValidationError(null, 'Tasks can not move from "backlog" to "shipped".'));
+
+        // Moving a task to the inbox makes it follow the workflow of the user.
+        expect(await workflowService.getStatusUpdates({ status: 'review', projectId: 'p1' }, { projectId: null })).toMatchObject({ status: 'todo' });
+        expect(readByIdWithQuerySpy).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,49 @@
+/*
+ * File: etag.test.js (__tests__/__unit__/src/utils/etag.test.js)
+ *
+ * Description: Houses unit test cases for the ETags of versioned documents and checking their `If-Match` preconditions.
+ */
+
+// SUT:
+const { formatETag, parseIfMatch, assertVersionMatches, getVersionCondition } = require('./../../../../src/utils/etag');
+
+// Custom Exceptions
+const { PreconditionFailedError } = require('./../../../../src/custom-exceptions/index');
+
+describe('#formatETag', () => {
+    test('Should format the version of a document as a strong ETag, taking documents without a version to be at version 0', () => {
+        expect(formatETag({ version: 7 })).toBe('"7"');
+        expect(formatETag({})).toBe('"0"');
+    });
+});
+
+describe('#parseIfMatch', () => {
+    test('Should parse the versions of the strong ETags listed, leaving out weak and foreign ones', () => {
+        expect(parseIfMatch('"3"')).toEqual([3]);
+        expect(parseIfMatch(' "3", W/"4" , "abc",   "5"')).toEqual([3, 5]);
+        expect(parseIfMatch('W/"4"')).toEqual([]);
+    });
+
+    test('Should expect no particular version without the header or with a wildcard', () => {
+        expect(parseIfMatch(undefined)).toBeUndefined();
+        expect(parseIfMatch('*')).toBeUndefined();
+    });
+});
+
+describe('#assertVersionMatches', () => {
+    test('Should throw a PreconditionFailedError unless the document is at one of the expected versions', () => {
+        expect(() => assertVersionMatches({ version: 2 }, [1, 2])).not.toThrow();
+        expect(() => assertVersionMatches({ version: 2 }, undefined)).not.toThrow();
+        expect(() => assertVersionMatches({}, [0])).not.toThrow();
+
+        expect(() => assertVersionMatches({ version: 3 }, [1, 2])).toThrow(PreconditionFailedError);
+        expect(() => assertVersionMatches({ version: 3 }, [])).toThrow(PreconditionFailedError);
+    });
+});
+
+describe('#getVersionCondition', () => {
+    test('Should match the version of the document, including a missing version for version 0', () => {
+        expect(getVersionCondition({ version: 4 })).toEqual({ version: 4 });
+        expect(getVersionCondition({})).toEqual({ version: { $in: [0, null] } });
+    });
+});
@@ -0,0 +1,100 @@
+/*
+ * File: pagination.test.js (__tests__/__unit__/src/utils/pagination.test.js)
+ *
+ * Description: Houses unit test cases for page sizes and offsets, and for encoding cursors and building the conditions and Link headers of cursor
+ * pagination.
+ */
+
+// SUT:
+const { toPageSize, toOffset, encodeCursor, decodeCursor, getCursorCondition, formatLinkHeader } = require('./../../../../src/utils/pagination');
+
+// Dependencies
+const { encodeBase64Url } = require('./../../../../src/utils/base64url');
+
+// Custom Exceptions
+const { ValidationError } = require('./../../../../src/custom-exceptions/index');
+
+const sortKeys = [['dueAt', 1], ['_id', 1]];
+
+describe('#toPageSize, #toOffset', () => {
+    test('Should default and cap the page size, and start at the first document', () => {
+        expect(toPageSize()).toBe(20);
+        expect(toPageSize(5)).toBe(5);
+        expect(toPageSize(1000)).toBe(100);
+        expect(toOffset()).toBe(0);
+        expect(toOffset(40)).toBe(40);
+    });
+
+    test('Should throw a ValidationError for a page size or offset that is not a whole number', () => {
+        [NaN, 0, 1.5, '10'].forEach(limit => expect(() => toPageSize(limit))
+            .toThrow(new ValidationError(null, 'The "limit" must be a whole number of at least 1.')));
+        [NaN, -1, 1.5, '10'].forEach(skip => expect(() => toOffset(skip))
+            .toThrow(new ValidationError(null, 'The "skip" must be a whole number of at least 0.')));
+    });
+});
+
+describe('#encodeCursor, #decodeCursor', () => {
+    test('Should encode the sort values of a document in a URL-safe cursor', () => {
+        const dueAt = new Date('2019-09-01T12:00:00.000Z');
+        const cursor = encodeCursor(sortKeys, [dueAt, 'abc']);
+
+        expect(cursor).toMatch(/^[\w-]+$/);
+        expect(decodeCursor(cursor, sortKeys)).toEqual([dueAt.toISOString(), 'abc']);
+    });
+
+    test('Should replace the characters of Base64 that are not URL-safe, and drop its padding', () => {
+        // Encoded as plain Base64, these values contain `+`, `/`, and `=`.
+        const values = ['~~~???~~~???', 'ab'];
+        const cursor = encodeCursor(sortKeys, values);
+
+        expect(Buffer.from(JSON.stringify({ sort: 'dueAt:1,_id:1', values })).toString('base64')).toMatch(/[+/=]/);
+        expect(cursor).toMatch(/^[\w-]+$/);
+        expect(decodeCursor(cursor, sortKeys)).toEqual(values);
+    });
+
+    test('Should throw a ValidationError for tampered cursors, or cursors of another sort', () => {
+        const tamper = decoded => encodeBase64Url(JSON.stringify(decoded));
+
+        expect(() => decodeCursor('%%%', sortKeys)).toThrow(new ValidationError(null, 'The cursor is invalid.'));
+        expect(() => decodeCursor(tamper({ sort: 'dueAt:1,_id:1', values: [{ $ne: null }, 'abc'] }), sortKeys)).toThrow(ValidationError);
+        expect(() => decodeCursor(tamper({ sort: 'dueAt:1,_id:1', values: ['abc'] }), sortKeys)).toThrow(ValidationError);
+        expect(() => decodeCursor(tamper(null), sortKeys)).toThrow(ValidationError);
+        expect(() => decodeCursor(encodeCursor([['dueAt', -1], ['_id', 1]], [null, 'abc']), sortKeys))
+            .toThrow(new ValidationError(null, 'The cursor was made for a different sort order.'));
+    });
+});
+
+describe('#getCursorCondition', () => {
+    test('Should match documents after the cursor by the first sort key, or tied on it and after it by the next', () => {
+        expect(getCursorCondition(sortKeys, ['2019-09-01', 'abc'])).toEqual({
+            $or: [
+                { $and: [{ dueAt: { $gt: '2019-09-01' } }] },
+                { $and: [{ dueAt: '2019-09-01' }, { _id: { $gt: 'abc' } }] }
+            ]
+        });
+    });
+
+    test('Should place missing values first in ascending order and last in descending order', () => {
+        expect(getCursorCondition(sortKeys, [null, 'abc']).$or[0]).toEqual({ $and: [{ dueAt: { $ne: null } }] });
+
+        expect(getCursorCondition([['dueAt', -1], ['_id', 1]], ['2019-09-01', 'abc']).$or[0])
+            .toEqual({ $and: [{ $or: [{ dueAt: { $lt: '2019-09-01' } }, { dueAt: null }] }] });
+        expect(getCursorCondition([['dueAt', -1], ['_id', 1]], [null, 'abc'])).toEqual({ $or: [{ $and: [{ dueAt: null }, { _id: { $gt: 'abc' } }] }] });
+    });
+});
+
+describe('#formatLinkHeader', () => {
+    test('Should link to the pages next to a page, keeping the other parameters of the request', () => {
+        const link = formatLinkHeader('https://example.com/api/v1/tasks', { completed: 'true', tags: ['work', 'home'], after: 'old', skip: '20' }, {
+            next: 'next-cursor',
+            previous: 'previous-cursor'
+        });
+
+        expect(link).toBe([
+            '<https://example.com/api/v1/tasks?completed=true&tags=work&tags=home&after=next-cursor>; rel="next"',
+            '<https://example.com/api/v1/tasks?completed=true&tags=work&tags=home&before=previous-cursor>; rel="prev"'
+        ].join(', '));
+
+        expect(formatLinkHeader('https://example.com/api/v1/tasks', {}, { next: null, previous: null })).toBe(null);
+    });
+});
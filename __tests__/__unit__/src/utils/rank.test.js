@@ -0,0 +1,57 @@
+/*
+ * File: rank.test.js (__tests__/__unit__/src/utils/rank.test.js)
+ *
+ * Description: Houses unit test cases for the lexicographic ranks by which tasks are ordered by hand.
+ */
+
+// SUT:
+const { getRankBetween, getEvenRanks } = require('./../../../../src/utils/rank');
+
+describe('#getRankBetween', () => {
+    test('Should find a rank between two ranks, or next to one', () => {
+        expect(getRankBetween()).toBe('i');
+        expect(getRankBetween('a', 'c')).toBe('b');
+        expect(getRankBetween('a', 'b')).toBe('ai');
+        expect(getRankBetween('a5', 'a5b')).toBe('a56');
+        expect(getRankBetween(null, 'i')).toBe('9');
+        expect(getRankBetween(null, '1')).toBe('0i');
+    });
+
+    test('Should step to the end by the last digit, adding one only once the digits run out', () => {
+        expect(getRankBetween('i', null)).toBe('j');
+        expect(getRankBetween('az', null)).toBe('b');
+        expect(getRankBetween('zz', null)).toBe('zz1');
+    });
+
+    test('Should find no rank between ranks that are not in order', () => {
+        expect(getRankBetween('b', 'a')).toBeNull();
+        expect(getRankBetween('a', 'a')).toBeNull();
+    });
+
+    test('Should keep finding ranks in order wherever tasks are moved', () => {
+        const ranks = [getRankBetween()];
+
+        for (let move = 0; move < 1000; move += 1) {
+            const index = (move * 7) % (ranks.length + 1);
+            ranks.splice(index, 0, getRankBetween(ranks[index - 1] || null, ranks[index] || null));
+        }
+
+        expect([...ranks].sort()).toEqual(ranks);
+        expect(new Set(ranks).size).toBe(ranks.length);
+        expect(ranks.some(rank => rank.endsWith('0'))).toBe(false);
+    });
+});
+
+describe('#getEvenRanks', () => {
+    test('Should make evenly spread ranks in order, with room between them', () => {
+        expect(getEvenRanks(0)).toEqual([]);
+        expect(getEvenRanks(2)).toEqual(['c', 'o']);
+
+        const ranks = getEvenRanks(1000);
+
+        expect(ranks).toHaveLength(1000);
+        expect([...ranks].sort()).toEqual(ranks);
+        expect(new Set(ranks).size).toBe(1000);
+        expect(ranks.every(rank => rank.length <= 3 && !rank.endsWith('0'))).toBe(true);
+    });
+});
@@ -0,0 +1,95 @@
+/*
+ * File: recurrence.test.js (__tests__/__unit__/src/utils/recurrence.test.js)
+ *
+ * Description: Houses unit test cases for parsing recurrence rules and finding the occurrences of recurring tasks.
+ */
+
+// SUT:
+const { parseRecurrenceRule, getNextOccurrence } = require('./../../../../src/utils/recurrence');
+
+// Custom Exceptions
+const { ValidationError } = require('./../../../../src/custom-exceptions/index');
+
+// Finds the next occurrence as an ISO string, for readability.
+const next = (rule, after, options = {}) => {
+    const occurrence = getNextOccurrence(rule, { after: new Date(after), ...options });
+    return occurrence && occurrence.toISOString();
+};
+
+describe('#parseRecurrenceRule', () => {
+    test('Should parse a rule case-insensitively into its parts and normal form', () => {
+        expect(parseRecurrenceRule('RRULE:freq=monthly;byday=+2mo,-1FR;interval=1')).toEqual({
+            freq: 'MONTHLY',
+            interval: 1,
+            byDay: [{ weekday: 1, ordinal: 2 }, { weekday: 5, ordinal: -1 }],
+            byMonthDay: [],
+            count: undefined,
+            until: undefined,
+            rule: 'FREQ=MONTHLY;BYDAY=2MO,-1FR'
+        });
+
+        expect(parseRecurrenceRule('COUNT=5;INTERVAL=2;FREQ=WEEKLY').rule).toBe('FREQ=WEEKLY;INTERVAL=2;COUNT=5');
+    });
+
+    test('Should throw a ValidationError for malformed, unsupported, or contradictory rules', () => {
+        expect(() => parseRecurrenceRule()).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=HOURLY')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('INTERVAL=2')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=DAILY;INTERVAL=0')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=DAILY;FREQ=WEEKLY')).toThrow(new ValidationError(null, 'The recurrence rule can not have FREQ twice.'));
+        expect(() => parseRecurrenceRule('FREQ=DAILY;WKST=SU')).toThrow(new ValidationError(null, 'The recurrence rule parts WKST are not supported.'));
+        expect(() => parseRecurrenceRule('FREQ=DAILY;COUNT=2;UNTIL=20240101')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=DAILY;UNTIL=20240230')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=WEEKLY;BYDAY=1MO')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=MONTHLY;BYDAY=6MO')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=WEEKLY;BYMONTHDAY=1')).toThrow(ValidationError);
+        expect(() => parseRecurrenceRule('FREQ=MONTHLY;BYMONTHDAY=32')).toThrow(ValidationError);
+    });
+});
+
+describe('#getNextOccurrence', () => {
+    test('Should find the next day, or the next of the weekdays of a daily rule', () => {
+        expect(next('FREQ=DAILY;INTERVAL=3', '2024-05-06T09:00:00.000Z')).toBe('2024-05-09T09:00:00.000Z');
+        expect(next('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', '2024-05-10T09:00:00.000Z')).toBe('2024-05-13T09:00:00.000Z');
+    });
+
+    test('Should find the next of the weekdays of a weekly rule, skipping weeks by the interval', () => {
+        expect(next('FREQ=WEEKLY', '2024-05-09T09:00:00.000Z')).toBe('2024-05-16T09:00:00.000Z');
+        expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2024-05-06T09:00:00.000Z')).toBe('2024-05-09T09:00:00.000Z');
+        expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2024-05-09T09:00:00.000Z')).toBe('2024-05-13T09:00:00.000Z');
+        expect(next('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2024-05-09T09:00:00.000Z')).toBe('2024-05-20T09:00:00.000Z');
+    });
+
+    test('Should find the next day of the month of a monthly rule, skipping months without it', () => {
+        expect(next('FREQ=MONTHLY', '2024-01-31T09:00:00.000Z')).toBe('2024-03-31T09:00:00.000Z');
+        expect(next('FREQ=MONTHLY;BYMONTHDAY=1,-1', '2024-02-01T09:00:00.000Z')).toBe('2024-02-29T09:00:00.000Z');
+        expect(next('FREQ=MONTHLY;BYDAY=2MO', '2024-05-13T09:00:00.000Z')).toBe('2024-06-10T09:00:00.000Z');
+        expect(next('FREQ=MONTHLY;BYDAY=-1FR', '2024-05-31T09:00:00.000Z')).toBe('2024-06-28T09:00:00.000Z');
+        expect(next('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13', '2024-09-13T09:00:00.000Z')).toBe('2024-12-13T09:00:00.000Z');
+    });
+
+    test('Should find the same date in a later year, skipping years without it', () => {
+        expect(next('FREQ=YEARLY', '2024-05-06T09:00:00.000Z')).toBe('2025-05-06T09:00:00.000Z');
+        expect(next('FREQ=YEARLY', '2024-02-29T09:00:00.000Z')).toBe('2028-02-29T09:00:00.000Z');
+    });
+
+    test('Should keep the wall-clock time in the time zone across daylight saving time', () => {
+        // 9 AM in New York is 2 PM in UTC before daylight saving time starts on March 10th, and 1 PM after.
+        expect(next('FREQ=DAILY', '2024-03-09T14:00:00.000Z', { timeZone: 'America/New_York' })).toBe('2024-03-10T13:00:00.000Z');
+
+        // 11 PM on a Monday in New York is already Tuesday in UTC.
+        expect(next('FREQ=WEEKLY;BYDAY=MO', '2024-05-07T03:00:00.000Z', { timeZone: 'America/New_York' })).toBe('2024-05-14T03:00:00.000Z');
+    });
+
+    test('Should end the series after COUNT occurrences, or UNTIL a date or time', () => {
+        expect(next('FREQ=DAILY;COUNT=3', '2024-05-06T09:00:00.000Z', { occurrence: 2 })).toBe('2024-05-07T09:00:00.000Z');
+        expect(next('FREQ=DAILY;COUNT=3', '2024-05-07T09:00:00.000Z', { occurrence: 3 })).toBe(null);
+        expect(next('FREQ=DAILY;UNTIL=20240507', '2024-05-06T09:00:00.000Z')).toBe('2024-05-07T09:00:00.000Z');
+        expect(next('FREQ=DAILY;UNTIL=20240507', '2024-05-07T09:00:00.000Z')).toBe(null);
+        expect(next('FREQ=DAILY;UNTIL=20240507T080000Z', '2024-05-06T09:00:00.000Z')).toBe(null);
+    });
+
+    test('Should end the series if the days of the rule never line up', () => {
+        expect(next('FREQ=DAILY;INTERVAL=7;BYDAY=MO', '2024-05-05T09:00:00.000Z')).toBe(null);
+    });
+});
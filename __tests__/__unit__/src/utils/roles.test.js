@@ -0,0 +1,34 @@
+/*
+ * File: roles.test.js (__tests__/__unit__/src/utils/roles.test.js)
+ *
+ * Description: Houses unit test cases for loading the roles that grant users their permissions.
+ */
+
+// SUT:
+const { loadRoles } = require('./../../../../src/utils/roles');
+
+// Authorization Enumerations
+const { Permission } = require('./../../../../src/constants/authorization');
+
+describe('#loadRoles', () => {
+    test('Should combine the custom roles with the built-in roles', () => {
+        const roles = loadRoles({ support: ['users:read', 'tasks:read:any'] });
+
+        expect(roles).toEqual({ support: ['users:read', 'tasks:read:any'], user: [], admin: Object.values(Permission) });
+        expect(Object.isFrozen(roles)).toBe(true);
+        expect(loadRoles()).toEqual({ user: [], admin: Object.values(Permission) });
+    });
+
+    test('Should throw for custom roles that are not a map of roles to known permissions', () => {
+        expect(() => loadRoles(['support'])).toThrow('The custom roles must be a JSON object mapping each role to its permissions.');
+        expect(() => loadRoles(null)).toThrow('The custom roles must be a JSON object mapping each role to its permissions.');
+
+        const error = `The custom role "support" must be a list of the permissions ${Object.values(Permission).join(', ')}.`;
+        expect(() => loadRoles({ support: 'users:read' })).toThrow(error);
+        expect(() => loadRoles({ support: ['users:reed'] })).toThrow(error);
+    });
+
+    test('Should throw for a custom role that redefines a built-in role', () => {
+        expect(() => loadRoles({ admin: [] })).toThrow('The custom role "admin" can not redefine a built-in role.');
+    });
+});
@@ -0,0 +1,57 @@
+/*
+ * File: search.test.js (__tests__/__unit__/src/utils/search.test.js)
+ *
+ * Description: Houses unit test cases for parsing searches and building highlighted snippets of the text they matched.
+ */
+
+// SUT:
+const { parseSearch, getSnippet } = require('./../../../../src/utils/search');
+
+// Reads the highlighted parts of a snippet, for readability.
+const highlightsOf = ({ snippet, highlights }) => highlights.map(({ start, end }) => snippet.slice(start, end));
+
+describe('#parseSearch', () => {
+    test('Should split a search into words and phrases, leaving out negated ones and punctuation', () => {
+        expect(parseSearch('Bins, "Recycling  day" -garden -"old shed" bins')).toEqual({ terms: ['bins'], phrases: ['recycling  day'] });
+        expect(parseSearch('"unclosed phrase')).toEqual({ terms: [], phrases: ['unclosed phrase'] });
+        expect(parseSearch('-only -negated')).toEqual({ terms: [], phrases: [] });
+    });
+});
+
+describe('#getSnippet', () => {
+    test('Should highlight words at the start of words, and phrases, case-insensitively', () => {
+        const snippet = getSnippet('Take out the Bins on recycling day, not the cabinets', 'bin "Recycling Day"');
+
+        expect(snippet.snippet).toBe('Take out the Bins on recycling day, not the cabinets');
+        expect(highlightsOf(snippet)).toEqual(['Bins', 'recycling day']);
+    });
+
+    test('Should highlight words in any script', () => {
+        expect(highlightsOf(getSnippet('Mülltonne rausstellen', 'mülltonne'))).toEqual(['Mülltonne']);
+    });
+
+    test('Should cut long texts to a window around the first highlight, between words and marked with ellipses', () => {
+        const text = `${'Lorem ipsum dolor sit amet. '.repeat(6)}Put the bins out on Tuesday. ${'Sed do eiusmod tempor. '.repeat(6)}`;
+        const snippet = getSnippet(text, 'tuesday bins');
+
+        expect(snippet.snippet.startsWith('…')).toBe(true);
+        expect(snippet.snippet.endsWith('…')).toBe(true);
+        expect(snippet.snippet.length).toBeLessThanOrEqual(122);
+
+        // The snippet starts and ends between words.
+        const start = text.indexOf(snippet.snippet.slice(1, -1));
+        const end = start + snippet.snippet.length - 2;
+        expect(start).toBeGreaterThan(0);
+        expect([text[start - 1], text[end]]).toEqual([' ', ' ']);
+        expect(highlightsOf(snippet)).toEqual(['bins', 'Tuesday']);
+    });
+
+    test('Should start long texts without highlights at the beginning', () => {
+        const text = 'Lorem ipsum dolor sit amet. '.repeat(10);
+        const snippet = getSnippet(text, 'garage');
+
+        expect(snippet.snippet.startsWith('Lorem ipsum')).toBe(true);
+        expect(snippet.snippet.endsWith('…')).toBe(true);
+        expect(snippet.highlights).toEqual([]);
+    });
+});
@@ -0,0 +1,65 @@
+/*
+ * File: signing-keys.test.js (__tests__/__unit__/src/utils/signing-keys.test.js)
+ *
+ * Description: Houses unit test cases for loading the keyring with which JSON Web Tokens are signed and verified.
+ */
+
+const crypto = require('crypto');
+
+// SUT:
+const { loadSigningKeyring } = require('./../../../../src/utils/signing-keys');
+
+// Keyring entries for each algorithm.
+const pemKeyPair = (type, options) => crypto.generateKeyPairSync(type, {
+    ...options,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+const rsaKeyPair = pemKeyPair('rsa', { modulusLength: 2048 });
+const rsaKey = { kid: 'rsa-2024', algorithm: 'RS256', privateKey: rsaKeyPair.privateKey };
+const ecKey = { kid: 'ec-2025', algorithm: 'ES256', privateKey: pemKeyPair('ec', { namedCurve: 'P-256' }).privateKey };
+const hmacKey = { kid: 'hmac', algorithm: 'HS256', secret: 'keyring-secret' };
+
+describe('#loadSigningKeyring', () => {
+    test('Should find keys by their kid, with the public key of asymmetric keys to verify with', () => {
+        const keyring = loadSigningKeyring([rsaKey, hmacKey]);
+
+        expect(keyring.findKey('rsa-2024')).toMatchObject({ algorithm: 'RS256', signingKey: rsaKey.privateKey, verificationKey: rsaKeyPair.publicKey });
+        expect(keyring.findKey('hmac')).toMatchObject({ algorithm: 'HS256', signingKey: 'keyring-secret', verificationKey: 'keyring-secret' });
+        expect(keyring.findKey('missing')).toBeNull();
+    });
+
+    test('Should make the first key, or the key named, the active key, and have none without a keyring', () => {
+        expect(loadSigningKeyring([rsaKey, ecKey]).getActiveKey()).toMatchObject({ kid: 'rsa-2024' });
+        expect(loadSigningKeyring([rsaKey, ecKey], 'ec-2025').getActiveKey()).toMatchObject({ kid: 'ec-2025' });
+        expect(loadSigningKeyring([]).getActiveKey()).toBeNull();
+
+        expect(() => loadSigningKeyring([rsaKey], 'missing')).toThrow(new Error('The active signing key "missing" is not in the keyring.'));
+    });
+
+    test('Should list the public keys of the asymmetric keys only, as JWKs', () => {
+        expect(loadSigningKeyring([rsaKey, ecKey, hmacKey]).getPublicJWKs()).toEqual([
+            { kty: 'RSA', n: expect.any(String), e: 'AQAB', kid: 'rsa-2024', alg: 'RS256', use: 'sig' },
+            { kty: 'EC', crv: 'P-256', x: expect.any(String), y: expect.any(String), kid: 'ec-2025', alg: 'ES256', use: 'sig' }
+        ]);
+    });
+
+    test('Should throw for keys without a kid, a supported algorithm, or the key that their algorithm needs', () => {
+        expect(() => loadSigningKeyring({ kid: 'rsa-2024' })).toThrow(new Error('The signing keyring must be a JSON array of keys.'));
+        expect(() => loadSigningKeyring([{ ...hmacKey, kid: undefined }])).toThrow(new Error('Each key of the signing keyring must have a `kid`.'));
+        expect(() => loadSigningKeyring([{ ...hmacKey, algorithm: 'none' }]))
+            .toThrow(new Error('The signing key "hmac" must use one of the algorithms HS256, RS256, ES256.'));
+        expect(() => loadSigningKeyring([{ kid: 'hmac', algorithm: 'HS256' }])).toThrow(new Error('The signing key "hmac" must have a `secret`.'));
+        expect(() => loadSigningKeyring([{ ...rsaKey, privateKey: 'not-a-key' }]))
+            .toThrow(new Error('The `privateKey` of the signing key "rsa-2024" is invalid: The key must be an unencrypted PEM-encoded RSA or P-256 key.'));
+        expect(() => loadSigningKeyring([{ ...ecKey, algorithm: 'RS256' }])).toThrow(new Error('The signing key "ec-2025" must be an RSA key to use RS256.'));
+    });
+
+    test('Should throw for a public key that does not match the private key, or for two keys with the same kid', () => {
+        expect(loadSigningKeyring([{ ...rsaKey, publicKey: rsaKeyPair.publicKey }]).getPublicJWKs()).toHaveLength(1);
+
+        expect(() => loadSigningKeyring([{ ...rsaKey, publicKey: pemKeyPair('rsa', { modulusLength: 1024 }).publicKey }]))
+            .toThrow(new Error('The `publicKey` of the signing key "rsa-2024" does not match its `privateKey`.'));
+        expect(() => loadSigningKeyring([rsaKey, { ...hmacKey, kid: 'rsa-2024' }])).toThrow(new Error('The signing keyring has more than one key "rsa-2024".'));
+    });
+});
@@ -0,0 +1,29 @@
+/*
+ * File: sort.test.js (__tests__/__unit__/src/utils/sort.test.js)
+ *
+ * Description: Houses unit test cases for parsing sort keys.
+ */
+
+// SUT:
+const { parseSortBy } = require('./../../../../src/utils/sort');
+
+// Custom Exceptions
+const { ValidationError } = require('./../../../../src/custom-exceptions/index');
+
+describe('#parseSortBy', () => {
+    test('Should parse comma-separated sort keys in order of precedence, ascending by default', () => {
+        const sort = parseSortBy('priority_desc, dueAt_asc,createdAt,');
+
+        expect(sort).toEqual({ priority: -1, dueAt: 1, createdAt: 1 });
+        expect(Object.keys(sort)).toEqual(['priority', 'dueAt', 'createdAt']);
+        expect(parseSortBy('')).toEqual({});
+    });
+
+    test('Should throw a ValidationError for malformed or repeated sort keys', () => {
+        expect(() => parseSortBy('priority_sideways')).toThrow(ValidationError);
+        expect(() => parseSortBy('_desc')).toThrow(ValidationError);
+        expect(() => parseSortBy('priority_desc_asc')).toThrow(ValidationError);
+        expect(() => parseSortBy('dueAt,dueAt_desc')).toThrow(new ValidationError(null, 'Can not sort by "dueAt" twice.'));
+        expect(() => parseSortBy(['dueAt', 'createdAt'])).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,38 @@
+/*
+ * File: time-zone.test.js (__tests__/__unit__/src/utils/time-zone.test.js)
+ *
+ * Description: Houses unit test cases for working with IANA time zones.
+ */
+
+// SUT:
+const { getZonedParts, zonedTimeToDate, getZonedDayRange } = require('./../../../../src/utils/time-zone');
+
+describe('#getZonedParts', () => {
+    test('Should read the calendar date and wall-clock time in a time zone, with midnight as hour 0', () => {
+        expect(getZonedParts(new Date('2019-09-01T22:30:15.000Z'), 'Europe/Berlin')).toEqual({
+            year: 2019,
+            month: 9,
+            day: 2,
+            hour: 0,
+            minute: 30,
+            second: 15
+        });
+        expect(getZonedParts(new Date('2019-09-01T00:00:00.000Z'), 'UTC')).toMatchObject({ day: 1, hour: 0, minute: 0 });
+    });
+});
+
+describe('#zonedTimeToDate', () => {
+    test('Should find the instant at which a wall clock shows a time, on either side of daylight saving time', () => {
+        expect(zonedTimeToDate({ year: 2019, month: 3, day: 31, hour: 1 }, 'Europe/Berlin')).toEqual(new Date('2019-03-31T00:00:00.000Z'));
+        expect(zonedTimeToDate({ year: 2019, month: 3, day: 31, hour: 3 }, 'Europe/Berlin')).toEqual(new Date('2019-03-31T01:00:00.000Z'));
+    });
+});
+
+describe('#getZonedDayRange', () => {
+    test('Should find the start and end of the calendar day in a time zone', () => {
+        expect(getZonedDayRange(new Date('2019-09-01T22:30:00.000Z'), 'America/New_York')).toEqual({
+            start: new Date('2019-09-01T04:00:00.000Z'),
+            end: new Date('2019-09-02T04:00:00.000Z')
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/*
+ * File: workflow.test.js (__tests__/__unit__/src/utils/workflow.test.js)
+ *
+ * Description: Houses unit test cases for the workflows that tasks move through.
+ */
+
+// SUT:
+const { validateWorkflow, getInitialStatus, getTerminalStatus, getEffectiveStatus, canTransition } = require('./../../../../src/utils/workflow');
+
+// Custom Exceptions:
+const { ValidationError } = require('./../../../../src/custom-exceptions/index');
+
+// Task Enumerations
+const { DEFAULT_WORKFLOW } = require('./../../../../src/constants/task');
+
+describe('#validateWorkflow', () => {
+    test('Should keep the statuses in order, naming those without a name by their key', () => {
+        expect(validateWorkflow([
+            { key: 'backlog', name: ' Backlog ', colour: 'grey' },
+            { key: 'review', transitions: ['backlog', 'shipped'] },
+            { key: 'shipped', name: 'Shipped' }
+        ])).toEqual([
+            { key: 'backlog', name: 'Backlog' },
+            { key: 'review', name: 'review', transitions: ['backlog', 'shipped'] },
+            { key: 'shipped', name: 'Shipped' }
+        ]);
+
+        expect(validateWorkflow(DEFAULT_WORKFLOW)).toEqual(DEFAULT_WORKFLOW);
+    });
+
+    test('Should throw a ValidationError for workflows without enough statuses, or with invalid or duplicate keys', () => {
+        expect(() => validateWorkflow(undefined)).toThrow(new ValidationError(null, 'A workflow must be a list of 2 to 20 statuses.'));
+        expect(() => validateWorkflow([{ key: 'done' }])).toThrow(ValidationError);
+        expect(() => validateWorkflow(Array.from({ length: 21 }, (value, index) => ({ key: `step-${index}` })))).toThrow(ValidationError);
+
+        const invalidKeyError = new ValidationError(null, 'The key of a status must be lowercase letters and digits joined by hyphens, such as "in-progress".');
+        expect(() => validateWorkflow([{ key: 'To Do' }, { key: 'done' }])).toThrow(invalidKeyError);
+        expect(() => validateWorkflow([{ key: 'todo-' }, { key: 'done' }])).toThrow(invalidKeyError);
+        expect(() => validateWorkflow(['todo', 'done'])).toThrow(invalidKeyError);
+
+        expect(() => validateWorkflow([{ key: 'todo', name: ' ' }, { key: 'done' }]))
+            .toThrow(new ValidationError(null, 'The name of the status "todo" must be between 1 and 50 characters long.'));
+        expect(() => validateWorkflow([{ key: 'todo' }, { key: 'todo' }]))
+            .toThrow(new ValidationError(null, 'The keys of the statuses of a workflow must be distinct.'));
+    });
+
+    test('Should throw a ValidationError for transitions to statuses that are not other statuses of the workflow', () => {
+        const error = new ValidationError(null, 'The status "todo" can only allow moving to other statuses of the workflow, each once.');
+
+        expect(() => validateWorkflow([{ key: 'todo', transitions: ['blocked'] }, { key: 'done' }])).toThrow(error);
+        expect(() => validateWorkflow([{ key: 'todo', transitions: ['todo', 'done'] }, { key: 'done' }])).toThrow(error);
+        expect(() => validateWorkflow([{ key: 'todo', transitions: ['done', 'done'] }, { key: 'done' }])).toThrow(error);
+        expect(() => validateWorkflow([{ key: 'todo', transitions: 'done' }, { key: 'done' }])).toThrow(error);
+
+        // A status that allows moving nowhere is the end of the workflow.
+        expect(validateWorkflow([{ key: 'todo' }, { key: 'done', transitions: [] }])).toEqual([{ key: 'todo', name: 'todo' }, { key: 'done', name: 'done', transitions: [] }]);
+    });
+});
+
+describe('#getEffectiveStatus', () => {
+    test('Should find the status of a task, mapping tasks without a status in the workflow by whether they are completed', () => {
+        expect(getInitialStatus(DEFAULT_WORKFLOW)).toBe('todo');
+        expect(getTerminalStatus(DEFAULT_WORKFLOW)).toBe('done');
+
+        expect(getEffectiveStatus(DEFAULT_WORKFLOW, { status: 'blocked', completed: false })).toBe('blocked');
+        expect(getEffectiveStatus(DEFAULT_WORKFLOW, { completed: true })).toBe('done');
+        expect(getEffectiveStatus(DEFAULT_WORKFLOW, { status: 'review', completed: false })).toBe('todo');
+    });
+});
+
+describe('#canTransition', () => {
+    test('Should allow moving to any status, unless the status limits where tasks move to from it', () => {
+        expect(canTransition(DEFAULT_WORKFLOW, 'todo', 'done')).toBe(true);
+        expect(canTransition(DEFAULT_WORKFLOW, 'blocked', 'in-progress')).toBe(true);
+        expect(canTransition(DEFAULT_WORKFLOW, 'blocked', 'done')).toBe(false);
+        expect(canTransition(DEFAULT_WORKFLOW, 'blocked', 'blocked')).toBe(true);
+    });
+});
@@ -0,0 +1,45 @@
+/*
+ * File: MailAdapter.js (src/adapters/mail/MailAdapter.js)
+ *
+ * Description: Implements an adapter interface to wrap whichever mail transport is configured (see src/config/mail/mail.js).
+ */
+
+/**
+ * @description Adapter interface to wrap the configured mail transport.
+ *
+ * @class MailAdapter
+ */
+class MailAdapter {
+    constructor({ mailTransport, appConfig }) {
+        // Dependency Injection
+        this.mailTransport = mailTransport;
+        this.appConfig = appConfig;
+    }
+
+    /**
+     * @description Sends a plain-text email from the application's address.
+     *
+     * @param   mailParams         The required parameters to send the email.
+     * @param   mailParams.to      The recipient's email address.
+     * @param   mailParams.subject The subject line.
+     * @param   mailParams.text    The plain-text body.
+     * @returns {Promise<Object|Error>} A promise settling with the result of the transport.
+     * @memberof MailAdapter
+     */
+    async sendMail(mailParams) {
+        const { to, subject, text } = mailParams;
+
+        // A recipient and some content are required.
+        if (!to) throw new Error('A recipient is required!');
+        if (!subject || !text) throw new Error('A subject and body are required!');
+
+        return this.mailTransport.send({
+            from: this.appConfig.mail.getFromAddress(),
+            to,
+            subject,
+            text
+        });
+    }
+}
+
+module.exports = MailAdapter;
@@ -0,0 +1,16 @@
+/*
+ * File: accept-api-key.js (src/api/middleware/accept-api-key.js)
+ *
+ * Description: Exports a factory for middleware that, placed before `verifyAuth`, lets a route be called with a personal API key holding the provided
+ * scope, such as `acceptApiKey(ApiKeyScope.TasksRead)`. Routes without it only accept access tokens, so an API key can never be used to, for example,
+ * create further API keys.
+ */
+
+const acceptApiKey = scope => (req, res, next) => {
+    req.apiKeyScope = scope;
+
+    // Proceed.
+    next();
+};
+
+module.exports = acceptApiKey;
@@ -0,0 +1,21 @@
+/*
+ * File: authorize.js (src/api/middleware/authorize.js)
+ *
+ * Description: Exports a factory for middleware that, placed after `verifyAuth`, rejects users whose roles don't grant the provided permission with an
+ * AuthorizationError (403). For example, `authorize(Permission.ReadUsers)`.
+ */
+
+// Dependency Injection
+const { inject } = require('awilix-express');
+
+// Custom Exceptions
+const { AuthorizationError } = require('./../../custom-exceptions/index');
+
+const authorize = permission => inject(({ authorizationService }) => (req, res, next) => {
+    if (!authorizationService.hasPermission(req.user, permission)) throw new AuthorizationError();
+
+    // Proceed.
+    next();
+});
+
+module.exports = authorize;
@@ -16,8 +16,11 @@
 const handleErrors = (err, req, res, next) => {
     // If the err object has an err.data.custom property, it's one of ours.
     if (err.data && err.data.custom && err.data.custom === true) {
-        // The err object already contains the status code and message we want to respond with.
-        res.status(err.data.statusCode).send({ error: err.data.message });
+        // Tell the client when to try again, where applicable.
+        if (err.data.retryAfter !== undefined) res.set('Retry-After', String(err.data.retryAfter));
+
+        // The err object already contains the status code and message we want to respond with, and sometimes details on what was invalid.
+        res.status(err.data.statusCode).send({ error: err.data.message, ...(err.data.details && { details: err.data.details }) });
     } else {
         console.log(err)
         // This err is not one of ours.
@@ -1,9 +1,15 @@
 const handleErrors = require('./handle-errors');
 const stripBearerToken = require('./strip-bearer-token');
 const verifyAuth = require('./verify-auth');
+const requireVerifiedEmail = require('./require-verified-email');
+const authorize = require('./authorize');
+const acceptApiKey = require('./accept-api-key');
 
 module.exports = {
     handleErrors,
     stripBearerToken,
-    verifyAuth
-};
\ No newline at end of file
+    verifyAuth,
+    requireVerifiedEmail,
+    authorize,
+    acceptApiKey
+};
@@ -0,0 +1,23 @@
+/*
+ * File: require-verified-email.js (src/api/middleware/require-verified-email.js)
+ *
+ * Description: Placed after `verifyAuth`, rejects users who haven't verified their email address with an AuthorizationError (403), but only when
+ * `authentication.emailVerification.isRequired()` is enabled in the application config. Otherwise, every authenticated user may proceed.
+ */
+
+// Dependency Injection
+const { inject } = require('awilix-express');
+
+// Custom Exceptions
+const { AuthorizationError } = require('./../../custom-exceptions/index');
+
+const requireVerifiedEmail = inject(({ appConfig }) => (req, res, next) => {
+    if (appConfig.authentication.emailVerification.isRequired() && !req.user.emailVerified) {
+        throw new AuthorizationError(null, 'Please verify your email address!');
+    }
+
+    // Proceed.
+    next();
+});
+
+module.exports = requireVerifiedEmail;
@@ -1,7 +1,8 @@
 /*
  * File: strip-bearer-token.js (src/api/middleware/strip-bearer-token.js)
  *
- * Description: Strips the bearer token off the header of the request and puts it on req.locals.
+ * Description: Strips the bearer token off the header of the request and puts it on req.locals. The token may be an access token or a personal API key;
+ * scripts that would rather not build an Authorization header can send an API key in the `X-API-Key` header instead.
  * 
  * Created by Jamie Corkhill on 07/28/2019 at 04:48 PM (Local), 09:48 PM (Zulu)
  */
@@ -13,7 +14,7 @@ const stripBearerToken = (req, res, next) => {
         next();
     } catch (e) {
         // We are not concerned with the implications of having no token here. (That'll be handled by other middleware).
-        req.token = '';
+        req.token = req.header('X-API-Key') || '';
         next();
     }
 };
@@ -3,6 +3,10 @@
  *
  * Description: Handles ensuring a user is authenticated to view a resource by checking if their data exists in the database. The exported function
  * additionally places the user on `req` and places it on the container context from Awilix.
+ *
+ * Personal API keys are accepted in place of access tokens, but only on routes that opted in with the `acceptApiKey` middleware, and only if the key
+ * holds the scope that route requires. Otherwise, an AuthorizationError (403) is thrown. For API keys, the key (without its hash) is placed on
+ * `req.apiKey`.
  * 
  * Created by Jamie Corkhill on 07/28/2019 at 05:01 PM (Local), 10:01 PM (Zulu)
  */
@@ -11,27 +15,62 @@
 const { inject } = require('awilix-express');
 
 // Custom Exceptions
-const { AuthenticationError } = require('./../../custom-exceptions/index');
+const { AuthenticationError, AuthorizationError } = require('./../../custom-exceptions/index');
 
 const verifyAuth = inject(({ authenticationService, userService }) => async (req, res, next) => {
+    if (authenticationService.isApiKey(req.token)) {
+        let authenticated;
+
+        try {
+            // Find the (enabled) user holding the API key, provided it hasn't expired.
+            authenticated = await userService.authenticateApiKey(req.token);
+        } catch (err) {
+            // Throw an AuthenticationError (401)
+            throw new AuthenticationError();
+        }
+
+        const { user, apiKey } = authenticated;
+
+        // The key is genuine, but may not be good for this route.
+        if (!req.apiKeyScope || !apiKey.scopes.includes(req.apiKeyScope)) {
+            throw new AuthorizationError(null, 'This API key is not permitted to perform this action!');
+        }
+
+        req.user = user;
+        req.apiKey = apiKey;
+        req.container.resolve('context').user = user;
+
+        // Keep the API key's last-used-at time current for the API key listing.
+        await userService.recordApiKeyUsage(apiKey._id);
+
+        return next();
+    }
+
     try {
         // Ensure that the Authorization Bearer Token is valid - if so, decode it.
         const decoded = authenticationService.verifyAuthToken(req.token);
 
-        // Ensure that the user exists in the database by their ID and current token.
+        // Ensure that the user exists in the database by their ID and current token. Each session record only holds the latest access token of its
+        // family, so a token that has been rotated out by a refresh, or whose session has been revoked, is rejected here even before it expires.
         // A ResourceNotFoundError will be thrown if the user does not exist, which will be caught below and an AuthenticationError will be thrown.
         const user = await userService.retrieveUserByQuery({ _id: decoded._id, 'tokens.token': req.token }, true);
 
+        // Disabling a user removes his/her tokens, but never let a disabled user through regardless.
+        if (user.disabled) throw new AuthenticationError();
+
         // We have the user now, so register it on the request and in the container (so we can use it in services).
         req.user = user;
         req.container.resolve('context').user = user;
 
+        // Keep the session's last-used-at time and IP address current for the session listing.
+        await userService.recordSessionActivity(req.token, { ipAddress: req.ip });
+
         // Proceed.
-        next();
+        return next();
     } catch (err) {
         // Throw an AuthenticationError (401)
         throw new AuthenticationError();
     }
 });
 
-module.exports = verifyAuth;
\ No newline at end of file
+module.exports = verifyAuth;
@@ -0,0 +1,135 @@
+/*
+ * File: admin.js (src/api/routes/admin.js)
+ *
+ * Description: This file contains the endpoints with which administrators manage other users. Each endpoint is guarded by `authorize`, placed after
+ * `verifyAuth`, which rejects users whose roles don't grant the required permission with HTTP 403 Forbidden.
+ */
+
+const express = require('express');
+const { inject } = require('awilix-express');
+
+// Middleware
+const { stripBearerToken, verifyAuth, authorize } = require('./../middleware/index');
+
+// Authorization Enumerations
+const { Permission } = require('./../../constants/authorization');
+
+// Utilities
+const { parseSortBy } = require('./../../utils/sort');
+const { toPageSize, toOffset } = require('./../../utils/pagination');
+
+// Router
+const router = new express.Router();
+
+// Maps a numeric query string parameter to a number, or `undefined` if it is absent. `toOptions` rejects those that aren't whole numbers.
+const toNumber = value => (typeof value !== 'undefined' && value !== '' ? Number(value) : undefined);
+
+/**
+ * @description Builds sorting and pagination options from a query string, such as `?limit=10&skip=20&sortBy=name_asc,createdAt_desc`, throwing a
+ *     ValidationError for a `limit` or `skip` that isn't a whole number. Pages hold 20 results unless asked for fewer, and at most 100.
+ *
+ * @param    {Object} query The parsed query string.
+ * @returns  {Object} The options.
+ */
+const toOptions = ({ limit, skip, sortBy }) => {
+    const options = { limit: toPageSize(toNumber(limit)), skip: toOffset(toNumber(skip)) };
+
+    if (sortBy) options.sort = parseSortBy(sortBy);
+
+    return options;
+};
+
+// GET /api/v1/admin/users?search=alan&role=admin&disabled=true/false
+// GET /api/v1/admin/users?limit=10&skip=20&sortBy=createdAt_desc
+/*
+ * Description:
+ * 1.) Call the UserService to list the users matching the filters.
+ * 2.) Respond with the users.
+ */
+router.get('/users', stripBearerToken, verifyAuth, authorize(Permission.ReadUsers), inject(({ userService }) => async (req, res) => {
+    const { search, role, disabled } = req.query;
+
+    const users = await userService.retrieveUsers({
+        search,
+        role,
+        disabled: typeof disabled !== 'undefined' ? disabled === 'true' : undefined
+    }, toOptions(req.query));
+
+    return res.send({ users });
+}));
+
+// GET /api/v1/admin/users/:id
+/*
+ * Description:
+ * 1.) Call the UserService to find any user by his/her ID.
+ * 2.) Respond with the user.
+ */
+router.get('/users/:id', stripBearerToken, verifyAuth, authorize(Permission.ReadUsers), inject(({ userService }) => async (req, res) => {
+    const user = await userService.retrieveUserById(req.params.id);
+    return res.send({ user });
+}));
+
+// POST /api/v1/admin/users/:id/disable
+/*
+ * Description:
+ * 1.) Call the UserService to disable the user, which also logs him/her out everywhere.
+ * 2.) Respond with the user.
+ */
+router.post('/users/:id/disable', stripBearerToken, verifyAuth, authorize(Permission.DisableUsers), inject(({ userService }) => async (req, res) => {
+    const user = await userService.updateUserDisabledById(req.params.id, true);
+    return res.send({ user });
+}));
+
+// POST /api/v1/admin/users/:id/enable
+/*
+ * Description:
+ * 1.) Call the UserService to re-enable the user.
+ * 2.) Respond with the user.
+ */
+router.post('/users/:id/enable', stripBearerToken, verifyAuth, authorize(Permission.DisableUsers), inject(({ userService }) => async (req, res) => {
+    const user = await userService.updateUserDisabledById(req.params.id, false);
+    return res.send({ user });
+}));
+
+// POST /api/v1/admin/users/:id/logoutAll
+/*
+ * Description:
+ * 1.) Call the UserService to log the user out of all sessions across devices.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.post('/users/:id/logoutAll', stripBearerToken, verifyAuth, authorize(Permission.LogoutUsers), inject(({ userService }) => async (req, res) => {
+    await userService.logoutUserAllById(req.params.id);
+    return res.send();
+}));
+
+// PUT /api/v1/admin/users/:id/roles
+/*
+ * Description:
+ * 1.) Call the UserService to replace the user's roles with those in the request body.
+ * 2.) Respond with the user.
+ */
+router.put('/users/:id/roles', stripBearerToken, verifyAuth, authorize(Permission.AssignRoles), inject(({ userService }) => async (req, res) => {
+    const user = await userService.updateUserRolesById(req.params.id, req.body.roles);
+    return res.send({ user });
+}));
+
+// GET /api/v1/admin/users/:id/tasks?completed=true/false
+// GET /api/v1/admin/users/:id/tasks?limit=10&skip=20&sortBy=createdAt_asc
+/*
+ * Description:
+ * 1.) Call the UserService to ensure that the user exists.
+ * 2.) Call the TaskService to find the user's tasks.
+ * 3.) Respond with the tasks.
+ */
+router.get('/users/:id/tasks', stripBearerToken, verifyAuth, authorize(Permission.ReadAnyTasks), inject(({ userService, taskService }) => async (req, res) => {
+    const { completed } = req.query;
+
+    const user = await userService.retrieveUserById(req.params.id);
+    const tasks = await taskService.retrieveTasksByQueryForOwner(user._id, {
+        completed: typeof completed !== 'undefined' ? completed === 'true' : undefined
+    }, toOptions(req.query));
+
+    return res.send({ tasks });
+}));
+
+module.exports = router;
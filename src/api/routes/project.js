@@ -0,0 +1,116 @@
+/*
+ * File: project.js (src/api/routes/project.js)
+ *
+ * Description: This file contains the endpoints with which users manage the projects they group their tasks into. Projects belong to the tasks domain,
+ * so these endpoints accept personal API keys with the task scopes.
+ */
+
+const express = require('express');
+const { inject } = require('awilix-express');
+
+// Middleware
+const { stripBearerToken, acceptApiKey, verifyAuth, requireVerifiedEmail } = require('./../middleware/index');
+
+// Authorization Enumerations
+const { ApiKeyScope } = require('./../../constants/authorization');
+
+// Router
+const router = new express.Router();
+
+// POST /api/v1/projects
+/*
+ * Description:
+ * 1.) Call the ProjectService to create a new project at the end of the user's list.
+ * 2.) Return HTTP 201 with the new project.
+ */
+router.post('/', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ projectService }) => async (req, res) => {
+    const project = await projectService.createProject(req.body.project);
+    return res.status(201).send({ project });
+}));
+
+// GET /api/v1/projects?archived=true/false
+/*
+ * Description:
+ * 1.) Call the ProjectService to list the user's projects in their order.
+ * 2.) Respond with the projects.
+ */
+router.get('/', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ projectService }) => async (req, res) => {
+    const { archived } = req.query;
+
+    const projects = await projectService.retrieveProjects({
+        archived: typeof archived !== 'undefined' ? archived === 'true' : undefined
+    });
+
+    return res.send({ projects });
+}));
+
+// POST /api/v1/projects/reorder
+/*
+ * Description:
+ * 1.) Call the ProjectService to put the projects in the order of the IDs in the request body.
+ * 2.) Respond with the projects in their new order.
+ */
+router.post('/reorder', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ projectService }) => async (req, res) => {
+    const projects = await projectService.reorderProjects(req.body.projectIds);
+    return res.send({ projects });
+}));
+
+// GET /api/v1/projects/:id
+/*
+ * Description:
+ * 1.) Call the ProjectService to find a project by its ID.
+ * 2.) Respond with the project.
+ */
+router.get('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ projectService }) => async (req, res) => {
+    const project = await projectService.retrieveProjectById(req.params.id);
+    return res.send({ project });
+}));
+
+// PATCH /api/v1/projects/:id
+/*
+ * Description:
+ * 1.) Call the ProjectService to rename, archive, or restore a project.
+ * 2.) Respond with the updated project.
+ */
+router.patch('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ projectService }) => async (req, res) => {
+    const project = await projectService.updateProjectById(req.params.id, req.body.updates);
+    return res.send({ project });
+}));
+
+// GET /api/v1/projects/:id/workflow
+/*
+ * Description:
+ * 1.) Call the WorkflowService to find the workflow of the tasks of a project, which is the user's unless the project has its own.
+ * 2.) Respond with the statuses of the workflow, in order.
+ */
+router.get('/:id/workflow', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ workflowService }) => async (req, res) => {
+    const workflow = await workflowService.retrieveWorkflow(req.params.id);
+    return res.send({ workflow });
+}));
+
+// PUT /api/v1/projects/:id/workflow
+/*
+ * Description:
+ * 1.) Call the WorkflowService to replace the workflow of the tasks of a project, or to make them follow the user's workflow with `null`.
+ * 2.) Respond with the workflow the tasks of the project now follow.
+ */
+router.put('/:id/workflow', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ workflowService }) => async (req, res) => {
+    const workflow = await workflowService.updateProjectWorkflow(req.params.id, req.body.workflow);
+    return res.send({ workflow });
+}));
+
+// DELETE /api/v1/projects/:id?tasks=move&moveTo=inbox/<projectId>
+// DELETE /api/v1/projects/:id?tasks=delete
+/*
+ * Description:
+ * 1.) Call the ProjectService to delete a project, moving its tasks to the inbox or another project, or deleting them too.
+ * 2.) Respond with the number of tasks moved or deleted.
+ */
+router.delete('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ projectService }) => async (req, res) => {
+    const { tasks, moveTo } = req.query;
+
+    const result = await projectService.deleteProjectById(req.params.id, { tasks, moveTo });
+    return res.send(result);
+}));
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/*
+ * File: tag.js (src/api/routes/tag.js)
+ *
+ * Description: This file contains the endpoints with which users manage the tags they label their tasks with. Tags belong to the tasks domain, so these
+ * endpoints accept personal API keys with the task scopes.
+ */
+
+const express = require('express');
+const { inject } = require('awilix-express');
+
+// Middleware
+const { stripBearerToken, acceptApiKey, verifyAuth, requireVerifiedEmail } = require('./../middleware/index');
+
+// Authorization Enumerations
+const { ApiKeyScope } = require('./../../constants/authorization');
+
+// Router
+const router = new express.Router();
+
+// POST /api/v1/tags
+/*
+ * Description:
+ * 1.) Call the TagService to create a new tag.
+ * 2.) Return HTTP 201 with the new tag.
+ */
+router.post('/', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ tagService }) => async (req, res) => {
+    const tag = await tagService.createTag(req.body.tag);
+    return res.status(201).send({ tag });
+}));
+
+// GET /api/v1/tags
+/*
+ * Description:
+ * 1.) Call the TagService to list the user's tags.
+ * 2.) Respond with the tags.
+ */
+router.get('/', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ tagService }) => async (req, res) => {
+    const tags = await tagService.retrieveTags();
+    return res.send({ tags });
+}));
+
+// GET /api/v1/tags/:id
+/*
+ * Description:
+ * 1.) Call the TagService to find a tag by its ID.
+ * 2.) Respond with the tag.
+ */
+router.get('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ tagService }) => async (req, res) => {
+    const tag = await tagService.retrieveTagById(req.params.id);
+    return res.send({ tag });
+}));
+
+// PATCH /api/v1/tags/:id
+/*
+ * Description:
+ * 1.) Call the TagService to rename or recolor a tag, which renames it on the user's tasks too.
+ * 2.) Respond with the updated tag.
+ */
+router.patch('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ tagService }) => async (req, res) => {
+    const tag = await tagService.updateTagById(req.params.id, req.body.updates);
+    return res.send({ tag });
+}));
+
+// DELETE /api/v1/tags/:id
+/*
+ * Description:
+ * 1.) Call the TagService to delete a tag, which removes it from the user's tasks too.
+ */
+router.delete('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ tagService }) => async (req, res) => {
+    await tagService.deleteTagById(req.params.id);
+    return res.send();
+}));
+
+module.exports = router;
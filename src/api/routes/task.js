@@ -15,7 +15,15 @@ const express = require('express');
 const { inject } = require('awilix-express');
 
 // Middleware
-const { stripBearerToken, verifyAuth } = require('./../middleware/index');
+const { stripBearerToken, acceptApiKey, verifyAuth, requireVerifiedEmail } = require('./../middleware/index');
+
+// Authorization Enumerations
+const { ApiKeyScope } = require('./../../constants/authorization');
+
+// Utilities
+const { parseSortBy } = require('./../../utils/sort');
+const { formatLinkHeader } = require('./../../utils/pagination');
+const { formatETag, parseIfMatch } = require('./../../utils/etag');
  
 // Router 
 const router = new express.Router();
@@ -26,75 +34,321 @@ const router = new express.Router();
  * 1.) Call the TaskService to create a new task.
  * 2.) Return HTTP 201 with the new task.
  */
-router.post('/', stripBearerToken, verifyAuth, inject(({ taskService }) => async (req, res) => {
+router.post('/', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
     const task = await taskService.createNewTask(req.body.task);
     return res.status(201).send({ task });
 }));
 
+// POST /api/v1/tasks/bulk
+/*
+ * Description:
+ * 1.) Call the BulkTaskService to perform the listed operations, or the action on the tasks matching the filter, optionally all or nothing.
+ * 2.) Respond with the result of each operation, which succeed or fail on their own unless atomic.
+ */
+router.post('/bulk', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ bulkTaskService }) => async (req, res) => {
+    const { operations, filter, action, atomic } = req.body;
+
+    const summary = await bulkTaskService.performBulkOperations({ operations, filter, action, atomic });
+    return res.send(summary);
+}));
+
+// Maps a boolean query string parameter to `true` or `false`, or `undefined` if it is absent.
+const toBoolean = value => (typeof value !== 'undefined' ? value === 'true' : undefined);
+
+// Maps a numeric query string parameter to a number, or `undefined` if it is absent. The service rejects those that aren't numbers.
+const toNumber = value => (typeof value !== 'undefined' && value !== '' ? Number(value) : undefined);
+
 // GET /api/v1/tasks?completed=true/false
+// GET /api/v1/tasks?dueBefore=2019-09-01&dueAfter=2019-08-01
+// GET /api/v1/tasks?overdue=true/false&dueToday=true/false
+// GET /api/v1/tasks?tags=work,urgent&tagsMatch=any/all
+// GET /api/v1/tasks?project=<projectId>/inbox
+// GET /api/v1/tasks?q=bins "recycling day" -garden&sortBy=relevance
+// GET /api/v1/tasks?limit=10&after=<cursor>/before=<cursor>&total=true
 // GET /api/v1/tasks?limit=10&skip=20
-// GET /api/v1/tasks?sortBy=createdAt_asc
+// GET /api/v1/tasks?sortBy=priority_desc,dueAt_asc,createdAt_desc
+// GET /api/v1/tasks?sortBy=position
 /*
  * Description:
  * 1.) Destructure the fields from req.query.
- * 2.) Create a temporary sort object filled with the sort parameters.
+ * 2.) Create a temporary sort object filled with the sort keys, in order of precedence.
  * 3.) Call the Service passing into it query and options data.
- * 4.) Return the new tasks to the client.
+ * 4.) Link to the pages before and after the page with the Link header.
+ * 5.) Return the page of tasks to the client.
  */
-router.get('/', stripBearerToken, verifyAuth, inject(({ taskService }) => async (req, res) => {
-    const { completed, sortBy, limit, skip } = req.query;
-
-    // Temporary sort object.
-    const sort = {};
+router.get('/', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const { completed, dueBefore, dueAfter, overdue, dueToday, tags, tagsMatch, project, q, sortBy, limit, skip, after, before, total } = req.query;
 
     // Strip HTTP Specific data and build a new sort object.
-    if (sortBy) {
-        const parts = req.query.sortBy.split('_');
-        sort[parts[0]] = parts[1] === 'desc' ? -1 : 1;
-    }
-
-    // Attain all tasks based on query data.
-    const tasks = await taskService.retrieveTasksByQueryForUser({ 
-        completed: typeof completed !== 'undefined' ? completed === 'true' : undefined, 
+    const sort = typeof sortBy !== 'undefined' ? parseSortBy(sortBy) : {};
+
+    // Attain a page of tasks based on query data.
+    const page = await taskService.retrieveTaskPageForUser({ 
+        completed: toBoolean(completed),
+        dueBefore,
+        dueAfter,
+        overdue: toBoolean(overdue),
+        dueToday: toBoolean(dueToday),
+        tags: tags ? String(tags).split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+        tagsMatch,
+        project,
+        q
     }, {
-        limit: parseInt(limit, 10), 
-        skip: parseInt(skip, 10),
+        limit: toNumber(limit),
+        skip: toNumber(skip),
+        after,
+        before,
+        total: toBoolean(total),
         sort 
     });
 
-    return res.send({ tasks });
+    const link = formatLinkHeader(`${req.protocol}://${req.get('host')}${req.baseUrl}`, req.query, { next: page.nextCursor, previous: page.prevCursor });
+    if (link) res.set('Link', link);
+
+    return res.send(page);
+}));
+
+// GET /api/v1/tasks/trash?limit=10&after=<cursor>/before=<cursor>&total=true
+/*
+ * Description:
+ * 1.) Call the TaskService to find a page of the tasks in the trash, the most recently trashed first.
+ * 2.) Link to the pages before and after the page with the Link header.
+ * 3.) Return the page of tasks, each with when it will be purged.
+ */
+router.get('/trash', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const { limit, skip, after, before, total } = req.query;
+
+    const page = await taskService.retrieveTrashPageForUser({ limit: toNumber(limit), skip: toNumber(skip), after, before, total: toBoolean(total) });
+
+    const link = formatLinkHeader(`${req.protocol}://${req.get('host')}${req.baseUrl}/trash`, req.query, { next: page.nextCursor, previous: page.prevCursor });
+    if (link) res.set('Link', link);
+
+    return res.send(page);
+}));
+
+// DELETE /api/v1/tasks/trash
+/*
+ * Description:
+ * 1.) Call the TaskService to permanently delete every task in the trash.
+ * 2.) Respond with the number of tasks deleted.
+ */
+router.delete('/trash', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const result = await taskService.emptyTrash();
+    return res.send(result);
+}));
+
+// GET /api/v1/tasks/board?project=<projectId>/inbox&limit=10
+/*
+ * Description:
+ * 1.) Call the TaskService to find the board of the user's tasks, or those of a project or the inbox, in the order the user put them in.
+ * 2.) Respond with a column for each status of the workflow, with the first tasks in it and how many there are.
+ */
+router.get('/board', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const { project, limit } = req.query;
+
+    const board = await taskService.retrieveBoard({ project, limit: toNumber(limit) });
+    return res.send(board);
+}));
+
+// GET /api/v1/tasks/workflow
+/*
+ * Description:
+ * 1.) Call the WorkflowService to find the workflow of the user's tasks.
+ * 2.) Respond with the statuses of the workflow, in order.
+ */
+router.get('/workflow', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ workflowService }) => async (req, res) => {
+    const workflow = await workflowService.retrieveWorkflow();
+    return res.send({ workflow });
+}));
+
+// PUT /api/v1/tasks/workflow
+/*
+ * Description:
+ * 1.) Call the WorkflowService to replace the workflow of the user's tasks, or to return to the default workflow with `null`.
+ * 2.) Respond with the workflow the user's tasks now follow.
+ */
+router.put('/workflow', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ workflowService }) => async (req, res) => {
+    const workflow = await workflowService.updateUserWorkflow(req.body.workflow);
+    return res.send({ workflow });
 }));
 
 // POST /api/v1/tasks
 /*
  * Description:
  * 1.) Call the Service to find a task by its ID.
- * 2.) Respond with the task to the client.
+ * 2.) Respond with the task to the client, and its version as the ETag. Express responds with 304 if it matches `If-None-Match`.
  */
-router.get('/:id', stripBearerToken, verifyAuth, inject(({ taskService }) => async (req, res) => {
+router.get('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
     const task = await taskService.retrieveTaskById(req.params.id);
-    return res.send({ task });
+    return res.set('ETag', formatETag(task)).send({ task });
 }));
 
 // POST /api/v1/tasks
 /*
  * Description:
- * 1.) Call the Service to update a task via an updates object.
- * 2.) Respond with the updated task.
+ * 1.) Call the Service to update a task via an updates object, unless it changed since the version in `If-Match`.
+ * 2.) Respond with the updated task and its new ETag.
  */
-router.patch('/:id', stripBearerToken, verifyAuth, inject(({ taskService }) => async (req, res) => {
-    const updatedTask = await taskService.updateTaskById(req.params.id, req.body.updates);
-    return res.send({ task: updatedTask });
+router.patch('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const updatedTask = await taskService.updateTaskById(req.params.id, req.body.updates, { expectedVersions: parseIfMatch(req.get('If-Match')) });
+    return res.set('ETag', formatETag(updatedTask)).send({ task: updatedTask });
 }));
 
 // POST /api/v1/tasks
 /*
  * Description:
- * 1.) Call the Service to delete a task by its ID.
+ * 1.) Call the Service to delete a task by its ID, which moves it to the trash, unless it changed since the version in `If-Match`.
  */
-router.delete('/:id', stripBearerToken, verifyAuth, inject(({ taskService }) => async (req, res) => {
-    await taskService.deleteTaskById(req.params.id);
+router.delete('/:id', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    await taskService.deleteTaskById(req.params.id, { expectedVersions: parseIfMatch(req.get('If-Match')) });
     return res.send();
 }));
 
+// POST /api/v1/tasks/:id/restore
+/*
+ * Description:
+ * 1.) Call the Service to restore a task from the trash.
+ * 2.) Respond with the restored task.
+ */
+router.post('/:id/restore', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const task = await taskService.restoreTaskById(req.params.id);
+    return res.send({ task });
+}));
+
+// POST /api/v1/tasks/:id/move
+/*
+ * Description:
+ * 1.) Call the TaskService to move the task right before or after another task, in the order the user put their tasks in.
+ * 2.) Respond with the moved task.
+ */
+router.post('/:id/move', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const { before, after } = req.body;
+
+    const task = await taskService.moveTask(req.params.id, { before, after });
+    return res.send({ task });
+}));
+
+// GET /api/v1/tasks/:id/history?limit=10&skip=20
+/*
+ * Description:
+ * 1.) Call the TaskService to find the revisions of the task, the most recent first.
+ * 2.) Respond with the revisions.
+ */
+router.get('/:id/history', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const { limit, skip } = req.query;
+
+    const revisions = await taskService.retrieveTaskHistory(req.params.id, { limit: toNumber(limit), skip: toNumber(skip) });
+    return res.send({ revisions });
+}));
+
+// POST /api/v1/tasks/:id/history/:revisionId/restore
+/*
+ * Description:
+ * 1.) Call the TaskService to roll the task back to the revision.
+ * 2.) Respond with the rolled back task.
+ */
+router.post('/:id/history/:revisionId/restore', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const task = await taskService.rollbackToRevision(req.params.id, req.params.revisionId);
+    return res.send({ task });
+}));
+
+// POST /api/v1/tasks/:id/tags
+/*
+ * Description:
+ * 1.) Call the Service to add the tags named in the request body to the task.
+ * 2.) Respond with the updated task.
+ */
+router.post('/:id/tags', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const task = await taskService.addTagsToTask(req.params.id, req.body.tags);
+    return res.send({ task });
+}));
+
+// DELETE /api/v1/tasks/:id/tags/:tag
+/*
+ * Description:
+ * 1.) Call the Service to remove the tag from the task.
+ * 2.) Respond with the updated task.
+ */
+router.delete('/:id/tags/:tag', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const task = await taskService.removeTagFromTask(req.params.id, req.params.tag);
+    return res.send({ task });
+}));
+
+// GET /api/v1/tasks/:id/checklist
+/*
+ * Description:
+ * 1.) Call the ChecklistService to find the checklist of the task.
+ * 2.) Respond with the items of the checklist.
+ */
+router.get('/:id/checklist', stripBearerToken, acceptApiKey(ApiKeyScope.TasksRead), verifyAuth, requireVerifiedEmail, inject(({ checklistService }) => async (req, res) => {
+    const checklist = await checklistService.retrieveChecklist(req.params.id);
+    return res.send({ checklist });
+}));
+
+// POST /api/v1/tasks/:id/checklist
+/*
+ * Description:
+ * 1.) Call the ChecklistService to add an item to the end of the checklist.
+ * 2.) Return HTTP 201 with the updated task.
+ */
+router.post('/:id/checklist', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ checklistService }) => async (req, res) => {
+    const task = await checklistService.addChecklistItem(req.params.id, req.body.item);
+    return res.status(201).send({ task });
+}));
+
+// POST /api/v1/tasks/:id/checklist/reorder
+/*
+ * Description:
+ * 1.) Call the ChecklistService to put the items in the order of the IDs in the request body.
+ * 2.) Respond with the updated task.
+ */
+router.post('/:id/checklist/reorder', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ checklistService }) => async (req, res) => {
+    const task = await checklistService.reorderChecklist(req.params.id, req.body.itemIds);
+    return res.send({ task });
+}));
+
+// PATCH /api/v1/tasks/:id/checklist/:itemId
+/*
+ * Description:
+ * 1.) Call the ChecklistService to rename, check, or uncheck an item.
+ * 2.) Respond with the updated task.
+ */
+router.patch('/:id/checklist/:itemId', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ checklistService }) => async (req, res) => {
+    const task = await checklistService.updateChecklistItem(req.params.id, req.params.itemId, req.body.updates);
+    return res.send({ task });
+}));
+
+// DELETE /api/v1/tasks/:id/checklist/:itemId
+/*
+ * Description:
+ * 1.) Call the ChecklistService to delete an item.
+ * 2.) Respond with the updated task.
+ */
+router.delete('/:id/checklist/:itemId', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ checklistService }) => async (req, res) => {
+    const task = await checklistService.deleteChecklistItem(req.params.id, req.params.itemId);
+    return res.send({ task });
+}));
+
+// POST /api/v1/tasks/:id/recurrence/skip
+/*
+ * Description:
+ * 1.) Call the TaskService to move a recurring task to its next occurrence without completing it.
+ * 2.) Respond with the updated task.
+ */
+router.post('/:id/recurrence/skip', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const task = await taskService.skipOccurrence(req.params.id);
+    return res.send({ task });
+}));
+
+// DELETE /api/v1/tasks/:id/recurrence
+/*
+ * Description:
+ * 1.) Call the TaskService to stop the series the task belongs to.
+ * 2.) Respond with the task.
+ */
+router.delete('/:id/recurrence', stripBearerToken, acceptApiKey(ApiKeyScope.TasksWrite), verifyAuth, requireVerifiedEmail, inject(({ taskService }) => async (req, res) => {
+    const task = await taskService.stopRecurrence(req.params.id);
+    return res.send({ task });
+}));
+
 module.exports = router;
\ No newline at end of file
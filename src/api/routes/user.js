@@ -22,6 +22,9 @@ const { stripBearerToken, verifyAuth } = require('./../middleware/index');
 
 // Custom Exceptions
 const { ValidationError } = require('./../../custom-exceptions/index');
+
+// Utilities
+const { formatETag, parseIfMatch } = require('./../../utils/etag');
 const fs = require('fs');
  
 // Router 
@@ -30,25 +33,107 @@ const router = new express.Router();
 // POST /api/v1/users
 /*
  * 1.) Call the UserService function to sign up a new user.
- * 2.) Respond with HTTP 201 Created with the user object and his/her token.
+ * 2.) Respond with HTTP 201 Created with the user object and his/her access and refresh tokens.
  */
 router.post('/', inject(({ userService }) => async (req, res) => {
     // Destructing to be explicit in what data is within the HTTP Response for secure coding purposes.
-    const { user, token } = await userService.signUpNewUser(req.body.user);
-    return res.status(201).send({ user, token });
+    const { user, token, refreshToken } = await userService.signUpNewUser(req.body.user, { userAgent: req.get('User-Agent'), ipAddress: req.ip });
+    return res.status(201).send({ user, token, refreshToken });
 }));
 
 // POST /api/v1/users/login
 /*
  * 1.) Call the UserService function to log in a user.
- * 2.) Respond with HTTP 200 with a user object and his/her token.
+ * 2.) If the user has two-factor authentication enabled, respond with HTTP 200 and a challenge token to exchange at POST /users/login/2fa.
+ * 3.) Otherwise, respond with HTTP 200 with a user object and his/her access and refresh tokens.
  */
 router.post('/login', inject(({ userService }) => async (req, res) => {
     const { email, password } = req.body.credentials ? req.body.credentials : { user: null, password: null };
 
     // Destructing to be explicit in what data is within the HTTP Response for secure coding purposes.
-    const { user, token } = await userService.loginUser(email, password);
-    return res.send({ user, token });
+    const { user, token, refreshToken, challengeToken } = await userService.loginUser(email, password, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+    });
+
+    if (challengeToken) return res.send({ twoFactorRequired: true, challengeToken });
+
+    return res.send({ user, token, refreshToken });
+}));
+
+// POST /api/v1/users/login/2fa
+/*
+ * 1.) Call the UserService function to exchange the challenge token from POST /users/login and a two-factor code (or recovery code) for a session.
+ * 2.) Respond with HTTP 200 with a user object and his/her access and refresh tokens.
+ */
+router.post('/login/2fa', inject(({ userService }) => async (req, res) => {
+    // Destructing to be explicit in what data is within the HTTP Response for secure coding purposes.
+    const { user, token, refreshToken } = await userService.completeTwoFactorLogin(req.body.challengeToken, req.body.code, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+    });
+    return res.send({ user, token, refreshToken });
+}));
+
+// POST /api/v1/users/token/refresh
+/*
+ * 1.) Call the UserService function to exchange the refresh token for a new token pair. The access token may well have expired, so no auth here.
+ * 2.) Respond with HTTP 200 with a user object and his/her new access and refresh tokens.
+ */
+router.post('/token/refresh', inject(({ userService }) => async (req, res) => {
+    // Destructing to be explicit in what data is within the HTTP Response for secure coding purposes.
+    const { user, token, refreshToken } = await userService.refreshAuthToken(req.body.refreshToken, { userAgent: req.get('User-Agent'), ipAddress: req.ip });
+    return res.send({ user, token, refreshToken });
+}));
+
+// POST /api/v1/users/password/forgot
+/*
+ * 1.) Call the UserService function to email a password reset token to the address, if it belongs to an account.
+ * 2.) Respond with HTTP 200 and no data either way, so as not to reveal which addresses have accounts.
+ */
+router.post('/password/forgot', inject(({ userService }) => async (req, res) => {
+    await userService.requestPasswordReset(req.body.email);
+    return res.send();
+}));
+
+// POST /api/v1/users/password/reset
+/*
+ * 1.) Call the UserService function to set a new password with the emailed token. All existing sessions are logged out.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.post('/password/reset', inject(({ userService }) => async (req, res) => {
+    await userService.resetPassword(req.body.token, req.body.password);
+    return res.send();
+}));
+
+// GET /api/v1/users/verify-email?token=
+/*
+ * 1.) Call the UserService function to verify the email address with the token from the link in the verification email.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.get('/verify-email', inject(({ userService }) => async (req, res) => {
+    await userService.verifyEmail(req.query.token);
+    return res.send();
+}));
+
+// POST /api/v1/users/verify-email
+/*
+ * 1.) Call the UserService function to verify the email address with the token from the verification email.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.post('/verify-email', inject(({ userService }) => async (req, res) => {
+    await userService.verifyEmail(req.body.token);
+    return res.send();
+}));
+
+// POST /api/v1/users/verify-email/resend
+/*
+ * 1.) Call the UserService function to email the signed in user a new verification token.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.post('/verify-email/resend', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    await userService.resendEmailVerification();
+    return res.send();
 }));
 
 // POST /api/v1/users/logout
@@ -71,33 +156,124 @@ router.post('/logoutAll', stripBearerToken, verifyAuth, inject(({ userService })
     return res.send();
 }));
 
+// GET /api/v1/users/me/sessions
+/*
+ * Description:
+ * 1.) Call the UserService function to list the user's sessions (one per device), flagging the one making this request.
+ * 2.) Respond with HTTP 200 and the sessions.
+ */
+router.get('/me/sessions', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    const sessions = await userService.retrieveSessions(req.token);
+    return res.send({ sessions });
+}));
+
+// DELETE /api/v1/users/me/sessions/:sessionId
+/*
+ * Description:
+ * 1.) Call the UserService function to revoke a single session, such as that of a lost device.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.delete('/me/sessions/:sessionId', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    await userService.revokeSession(req.params.sessionId);
+    return res.send();
+}));
+
+// GET /api/v1/users/me/api-keys
+/*
+ * Description:
+ * 1.) Call the UserService function to list the user's API keys, without the keys themselves.
+ * 2.) Respond with HTTP 200 and the API keys.
+ */
+router.get('/me/api-keys', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    const apiKeys = await userService.retrieveApiKeys();
+    return res.send({ apiKeys });
+}));
+
+// POST /api/v1/users/me/api-keys
+/*
+ * Description:
+ * 1.) Call the UserService function to create a named, scoped API key.
+ * 2.) Respond with HTTP 201 Created, the API key, and the plain-text key, which is only ever shown this once.
+ */
+router.post('/me/api-keys', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    const { apiKey, key } = await userService.createApiKey(req.body.apiKey);
+    return res.status(201).send({ apiKey, key });
+}));
+
+// DELETE /api/v1/users/me/api-keys/:apiKeyId
+/*
+ * Description:
+ * 1.) Call the UserService function to revoke an API key.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.delete('/me/api-keys/:apiKeyId', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    await userService.revokeApiKey(req.params.apiKeyId);
+    return res.send();
+}));
+
+// POST /api/v1/users/me/2fa
+/*
+ * Description:
+ * 1.) Call the UserService function to begin two-factor enrollment.
+ * 2.) Respond with HTTP 200 and the secret and otpauth:// URI for the user's authenticator app.
+ */
+router.post('/me/2fa', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    const { secret, uri } = await userService.enrollTwoFactor();
+    return res.send({ secret, uri });
+}));
+
+// POST /api/v1/users/me/2fa/confirm
+/*
+ * Description:
+ * 1.) Call the UserService function to confirm two-factor enrollment with a first code, enabling two-factor authentication.
+ * 2.) Respond with HTTP 200 and the recovery codes, which are only ever shown here.
+ */
+router.post('/me/2fa/confirm', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    const recoveryCodes = await userService.confirmTwoFactor(req.body.code);
+    return res.send({ recoveryCodes });
+}));
+
+// DELETE /api/v1/users/me/2fa
+/*
+ * Description:
+ * 1.) Call the UserService function to disable two-factor authentication, given a current code or recovery code.
+ * 2.) Respond with HTTP 200 and no data.
+ */
+router.delete('/me/2fa', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
+    await userService.disableTwoFactor(req.body.code);
+    return res.send();
+}));
+
 // GET /api/v1/users/me
 /*
  * Description:
  * 1.) Call the UserService function to retrieve the logged in user.
- * 2.) Respond with HTTP 200 and the user object.
+ * 2.) Respond with HTTP 200 and the user object, and its version as the ETag. Express responds with 304 if it matches `If-None-Match`.
  */
-router.get('/me', stripBearerToken, verifyAuth, inject(({ userService }) => (req, res) => res.send({ user: userService.retrieveSignedInUser() })));
+router.get('/me', stripBearerToken, verifyAuth, inject(({ userService }) => (req, res) => {
+    const user = userService.retrieveSignedInUser();
+    return res.set('ETag', formatETag(user)).send({ user });
+}));
 
 // PATCH /api/v1/users/me
 /*
  * Description:
- * 1.) Call the UserService function to update the user.
- * 2.) Respond with HTTP 200 and the user object.
+ * 1.) Call the UserService function to update the user, unless the profile changed since the version in `If-Match`.
+ * 2.) Respond with HTTP 200 and the user object, and its new ETag.
  */
 router.patch('/me', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
-    const updatedUser = await userService.updateUser(req.body.updates);
-    return res.send({ user: updatedUser });
+    const updatedUser = await userService.updateUser(req.body.updates, { expectedVersions: parseIfMatch(req.get('If-Match')) });
+    return res.set('ETag', formatETag(updatedUser)).send({ user: updatedUser });
 }));
 
 // DELETE /api/v1/users/me
 /*
  * Description: 
- * 1.) Call the UserService function to delete the user.
+ * 1.) Call the UserService function to delete the user, unless the profile changed since the version in `If-Match`.
  * 2.) Respond with HTTP 200 and no data.
  */
 router.delete('/me', stripBearerToken, verifyAuth, inject(({ userService }) => async (req, res) => {
-    await userService.deleteUser();
+    await userService.deleteUser({ expectedVersions: parseIfMatch(req.get('If-Match')) });
     return res.send();
 }));
 
@@ -0,0 +1,25 @@
+/*
+ * File: well-known.js (src/api/routes/well-known.js)
+ *
+ * Description: This file contains the public, unauthenticated endpoints under `/.well-known`, such as the JSON Web Key Set with which other services
+ * verify the tokens we sign.
+ */
+
+const express = require('express');
+const { inject } = require('awilix-express');
+
+// Router
+const router = new express.Router();
+
+// GET /.well-known/jwks.json
+/*
+ * Description:
+ * 1.) Call the AuthenticationService to build the JSON Web Key Set from the public keys of the keyring.
+ * 2.) Respond with the JWKS, which verifiers may cache for a few minutes.
+ */
+router.get('/jwks.json', inject(({ authenticationService }) => async (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.send(authenticationService.getJWKS());
+}));
+
+module.exports = router;
@@ -19,9 +19,13 @@ const handleErrors = require('./api/middleware/handle-errors');
 // Delegate errors in async endpoints to be handled by middleware.
 require('express-async-errors');
 
-// Routes - User & Task
+// Routes - User, Task, Admin & Well-Known
 const userRoutes = require('./api/routes/user');
 const taskRoutes = require('./api/routes/task');
+const tagRoutes = require('./api/routes/tag');
+const projectRoutes = require('./api/routes/project');
+const adminRoutes = require('./api/routes/admin');
+const wellKnownRoutes = require('./api/routes/well-known');
 
 // Application Factory to ease Dependency Injection in tests.
 module.exports = container => {
@@ -36,9 +40,13 @@ module.exports = container => {
     // Awilix Dependency Injection.
     app.use(scopePerRequest(container));
 
-    // Routes - Users & Task
+    // Routes - Users, Task, Admin & Well-Known
     app.use('/api/v1/users', userRoutes);
     app.use('/api/v1/tasks', taskRoutes);
+    app.use('/api/v1/tags', tagRoutes);
+    app.use('/api/v1/projects', projectRoutes);
+    app.use('/api/v1/admin', adminRoutes);
+    app.use('/.well-known', wellKnownRoutes);
 
     // This needs to come last to handle errors.
     app.use(handleErrors);
@@ -12,6 +12,8 @@
  * Created by Jamie Corkhill on 07/28/2019 at 10:45 PM (Local), 07/29/2019 at 03:45 AM (Zulu)
  */
 
+const fs = require('fs');
+
 /**
  * @description Exposes an interface to access all application configuration, including business logic config and dev/prod config.
  * @returns {*} Frozen API
@@ -20,6 +22,135 @@ const applicationConfigurationAPI = Object.freeze({
     server: {
         getPort: () => process.env.PORT
     },
+    authentication: {
+        // Signs tokens (HS256) when there is no keyring, and verifies tokens without a `kid` header either way.
+        getJWTSecret: () => process.env.JWT_SECRET,
+        signingKeys: {
+            // The keyring, as a JSON array read from the file at `JWT_KEYRING_FILE` or from `JWT_KEYRING` itself. Each key has a `kid`, an `algorithm`
+            // (RS256, ES256, or HS256), and either a PEM-encoded `privateKey` (with an optional `publicKey`) or, for HS256, a `secret`. Every key verifies
+            // tokens naming its `kid`, so keys being retired should stay in the keyring until the tokens they signed have expired. The keyring is read
+            // and validated once, when the container is created.
+            getKeyring: () => {
+                const keyring = process.env.JWT_KEYRING_FILE ? fs.readFileSync(process.env.JWT_KEYRING_FILE, 'utf8') : process.env.JWT_KEYRING;
+                return keyring ? JSON.parse(keyring) : [];
+            },
+            // The `kid` of the key that signs new tokens. Defaults to the first key of the keyring.
+            getActiveKeyId: () => process.env.JWT_ACTIVE_KEY_ID
+        },
+        accessTokens: {
+            // Any value understood by jsonwebtoken's `expiresIn` option, such as '15m' or 900.
+            getExpiresIn: () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
+        },
+        refreshTokens: {
+            // In milliseconds, so 30 days.
+            getTimeToLive: () => 30 * 24 * 60 * 60 * 1000
+        },
+        sessions: {
+            // In milliseconds, so 1 minute. A session's last-used-at time is written at most this often.
+            getActivityResolution: () => 60 * 1000
+        },
+        passwordResetTokens: {
+            // In milliseconds, so 1 hour.
+            getTimeToLive: () => 60 * 60 * 1000
+        },
+        emailVerificationTokens: {
+            // In milliseconds, so 1 day.
+            getTimeToLive: () => 24 * 60 * 60 * 1000
+        },
+        emailVerification: {
+            // When enabled, routes guarded by the `requireVerifiedEmail` middleware reject users who haven't verified their email address.
+            isRequired: () => process.env.REQUIRE_VERIFIED_EMAIL === 'true'
+        },
+        twoFactor: {
+            // Shown as the account's issuer in authenticator apps.
+            getIssuer: () => 'Task App',
+            // The period (in seconds) and number of digits of TOTP codes. Most authenticator apps only support 30 and 6.
+            getPeriod: () => 30,
+            getDigits: () => 6,
+            // The number of periods either side of the current one for which a code is still accepted, to allow for clock drift.
+            getWindow: () => 1,
+            getRecoveryCodeCount: () => 10,
+            challengeTokens: {
+                // The time a user has to submit a code after entering his/her password, in a format understood by jsonwebtoken's `expiresIn`.
+                getExpiresIn: () => '5m'
+            }
+        },
+        apiKeys: {
+            // The most API keys a user may have at once.
+            getMaxPerUser: () => 20,
+            // In milliseconds, so 1 minute. An API key's last-used-at time is written at most this often.
+            getUsageResolution: () => 60 * 1000
+        },
+        passwordHashing: {
+            // `bcrypt` or `argon2id`, which requires the optional `argon2` package (the server refuses to start without it). Passwords hashed
+            // otherwise, or with weaker parameters than those below, are re-hashed the next time their owner logs in.
+            getAlgorithm: () => process.env.PASSWORD_HASHING_ALGORITHM || 'bcrypt',
+            bcrypt: {
+                // Each increment doubles the time it takes to hash (and to guess) a password.
+                getCost: () => Number(process.env.BCRYPT_COST) || 10
+            },
+            argon2id: {
+                // The memory (in KiB, so 19 MiB), iterations, and threads used to hash a password, as recommended by OWASP.
+                getMemoryCost: () => Number(process.env.ARGON2_MEMORY_COST) || 19 * 1024,
+                getTimeCost: () => Number(process.env.ARGON2_TIME_COST) || 2,
+                getParallelism: () => Number(process.env.ARGON2_PARALLELISM) || 1
+            }
+        },
+        passwordPolicy: {
+            getMinLength: () => 8,
+            // Long enough for any passphrase, short enough that hashing a password can't be abused to tie up the server.
+            getMaxLength: () => 128,
+            // Of lowercase letters, uppercase letters, digits, and symbols (including spaces).
+            getMinCharacterClasses: () => 2,
+            // Optionally, a file of further passwords to reject, one per line, such as a list of breached passwords. The most common passwords are always
+            // rejected, see src/constants/common-passwords.txt.
+            getBlocklistFile: () => process.env.PASSWORD_BLOCKLIST_FILE
+        },
+        loginThrottling: {
+            // In milliseconds, so 1 hour. Failed attempts are forgotten once there hasn't been another for this long.
+            getWindow: () => 60 * 60 * 1000,
+            // In milliseconds. Past the free attempts, each failure delays the next attempt, starting at the base delay and doubling up to the maximum.
+            getBaseDelay: () => 1000,
+            getMaxDelay: () => 15 * 60 * 1000,
+            accounts: {
+                getFreeAttempts: () => 5,
+                // Reaching this many failures locks the account for the lockout duration (in milliseconds, so 15 minutes).
+                getLockoutThreshold: () => 10,
+                getLockoutDuration: () => 15 * 60 * 1000
+            },
+            // IP addresses are shared, so they get more free attempts, and are only ever delayed, never locked.
+            ipAddresses: {
+                getFreeAttempts: () => 20
+            }
+        }
+    },
+    authorization: {
+        // Maps each custom role to its permissions, as the JSON object in the `CUSTOM_ROLES` environment variable, such as `{"support":["users:read"]}`.
+        // Custom roles can't redefine the built-in roles. They are read and validated once, when the container is created.
+        getCustomRoles: () => (process.env.CUSTOM_ROLES ? JSON.parse(process.env.CUSTOM_ROLES) : {})
+    },
+    tasks: {
+        trash: {
+            // In milliseconds, so 30 days by default. Tasks are purged once they have been in the trash this long.
+            getRetentionPeriod: () => (Number(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+            // In milliseconds, so 1 hour. How often the background job purges tasks past the retention period.
+            getPurgeInterval: () => 60 * 60 * 1000
+        },
+        positions: {
+            // The longest a position may grow, as tasks are moved between close neighbours, before the positions of the user's tasks are rebalanced.
+            getMaxLength: () => 24,
+            // In milliseconds, so 1 hour. How often the background job rebalances positions that have grown too long.
+            getRebalanceInterval: () => 60 * 60 * 1000
+        }
+    },
+    mail: {
+        // One of the transports defined in src/config/mail/mail.js.
+        getTransport: () => process.env.MAIL_TRANSPORT || 'console',
+        getFromAddress: () => process.env.MAIL_FROM || 'no-reply@task-app.local',
+        getFileTransportDirectory: () => `${process.cwd()}/tmp/mail`,
+        // Links in emails point here.
+        getApplicationURL: () => process.env.APPLICATION_URL || `http://localhost:${process.env.PORT}`
+    },
     AWS: {
         getAccessKeyID: () => process.env.AWS_ACCESS_KEY_ID,
         getSecretAccessKey: () => process.env.AWS_SECRET_ACCESS_KEY
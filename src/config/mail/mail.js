@@ -0,0 +1,31 @@
+/*
+ * File: mail.js (src/config/mail/mail.js)
+ *
+ * Description: Configures the transport through which the MailAdapter delivers email, as chosen by `mail.getTransport()` in the application config.
+ * Every transport exposes the same `send(message)` function returning a promise, so that a real provider can be plugged in here without touching the
+ * adapter. The `console` transport prints messages to stdout and the `file` transport writes each message as JSON to disk, for local development and
+ * tests respectively.
+ */
+
+const fs = require('fs-extra');
+
+// Application config
+const applicationConfig = require('./../../config/application/config');
+
+const transports = {
+    console: {
+        send: async message => console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n\n${message.text}\n`)
+    },
+    file: {
+        send: async message => {
+            const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+            await fs.outputJson(`${applicationConfig.mail.getFileTransportDirectory()}/${filename}`, message, { spaces: 4 });
+        }
+    }
+};
+
+const transport = transports[applicationConfig.mail.getTransport()];
+
+if (!transport) throw new Error(`${applicationConfig.mail.getTransport()} is not a valid mail transport!`);
+
+module.exports = transport;
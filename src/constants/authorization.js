@@ -0,0 +1,22 @@
+// Houses enumerations for role-based access control.
+
+// Enumerations - Built-In Roles. Custom roles can be added through the application config.
+module.exports.Role = Object.freeze({
+    User: 'user',
+    Admin: 'admin'
+});
+
+// Enumerations - Permissions, checked by the `authorize` middleware.
+module.exports.Permission = Object.freeze({
+    ReadUsers: 'users:read',
+    DisableUsers: 'users:disable',
+    LogoutUsers: 'users:logout',
+    AssignRoles: 'users:roles',
+    ReadAnyTasks: 'tasks:read:any'
+});
+
+// Enumerations - API Key Scopes, which limit what a personal API key may be used for. Routes opt in to API keys with the `acceptApiKey` middleware.
+module.exports.ApiKeyScope = Object.freeze({
+    TasksRead: 'tasks:read',
+    TasksWrite: 'tasks:write'
+});
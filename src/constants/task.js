@@ -0,0 +1,38 @@
+// Houses enumerations for tasks.
+
+// Enumerations - Task Priorities, from lowest to highest.
+module.exports.TaskPriority = Object.freeze({
+    None: 'none',
+    Low: 'low',
+    Medium: 'medium',
+    High: 'high',
+    Urgent: 'urgent'
+});
+
+// Enumerations - Task Revision Actions, the changes of a task that its history records.
+module.exports.TaskRevisionAction = Object.freeze({
+    Create: 'create',
+    Update: 'update',
+    Complete: 'complete',
+    Delete: 'delete',
+    Restore: 'restore',
+    Rollback: 'rollback'
+});
+
+// Enumerations - Task Statuses, those of the workflow that tasks follow unless their owner or project defines another.
+const TaskStatus = Object.freeze({
+    Todo: 'todo',
+    InProgress: 'in-progress',
+    Blocked: 'blocked',
+    Done: 'done'
+});
+
+module.exports.TaskStatus = TaskStatus;
+
+// The default workflow, in the order of its statuses. Blocked tasks have to be unblocked before they can be done.
+module.exports.DEFAULT_WORKFLOW = Object.freeze([
+    { key: TaskStatus.Todo, name: 'To do' },
+    { key: TaskStatus.InProgress, name: 'In progress' },
+    { key: TaskStatus.Blocked, name: 'Blocked', transitions: [TaskStatus.Todo, TaskStatus.InProgress] },
+    { key: TaskStatus.Done, name: 'Done' }
+].map(status => Object.freeze(status)));
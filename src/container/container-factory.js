@@ -13,12 +13,35 @@ const sharp = require('sharp');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 
+/**
+ * @description Determines whether an optional NPM module is installed, as the `optionalDependencies` in package.json may fail to install.
+ *
+ * @param    {String} moduleName The name of the module.
+ * @returns  {Boolean} Whether the module can be required.
+ */
+const isInstalled = (moduleName) => {
+    try {
+        require.resolve(moduleName);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Optional Third-party NPM Modules, `null` when not installed.
+const argon2 = isInstalled('argon2') ? require('argon2') : null;
+
 // Third-party pre-configured SDKs:
 const aws = require('./../config/AWS/aws');
+const mailTransport = require('./../config/mail/mail');
 
 // Configuration
 const appConfig = require('./../config/application/config');
 
+// Utilities
+const { loadSigningKeyring } = require('./../utils/signing-keys');
+const { loadRoles } = require('./../utils/roles');
+
 // Default Factory Function
 module.exports = () => {
     // Create the DI Container.
@@ -68,14 +91,35 @@ module.exports = () => {
             formatName: name => `${name.charAt(0).toUpperCase()}${name.substring(1)}`
     });
 
-    
+    // Refuse to start if passwords can't be hashed as configured, rather than failing every sign up and login.
+    const passwordHashingAlgorithm = appConfig.authentication.passwordHashing.getAlgorithm();
+
+    if (!['bcrypt', 'argon2id'].includes(passwordHashingAlgorithm)) {
+        throw new Error(`The password hashing algorithm must be bcrypt or argon2id, not "${passwordHashingAlgorithm}".`);
+    }
+
+    if (passwordHashingAlgorithm === 'argon2id' && !argon2) {
+        throw new Error('The optional argon2 package must be installed to hash passwords with argon2id.');
+    }
+
+    // Load the signing keyring once, so that the server refuses to start with an invalid keyring.
+    const { signingKeys } = appConfig.authentication;
+    const signingKeyring = loadSigningKeyring(signingKeys.getKeyring(), signingKeys.getActiveKeyId());
+
+    // Load the roles once, so that the server refuses to start with malformed custom roles.
+    const roles = loadRoles(appConfig.authorization.getCustomRoles());
+
     container.register({
         // Register third-party NPM Modules.
         sharp: awilix.asValue(sharp),
         aws: awilix.asValue(aws),
+        mailTransport: awilix.asValue(mailTransport),
         jwt: awilix.asValue(jwt),
         bcrypt: awilix.asValue(bcrypt),
-        appConfig: awilix.asValue(appConfig)
+        argon2: awilix.asValue(argon2),
+        appConfig: awilix.asValue(appConfig),
+        signingKeyring: awilix.asValue(signingKeyring),
+        roles: awilix.asValue(roles)
     });
 
     // User context
@@ -71,6 +71,22 @@ class AuthenticationError extends ApplicationError {
     }
 }
 
+/**
+ * @description Handles errors relating to Authorization with status code 403, that is, the user is authenticated but may not perform the action.
+ *
+ * @class   AuthorizationError
+ * @extends {ApplicationError}
+ */
+class AuthorizationError extends ApplicationError {
+    constructor(err, message) {
+        const msg = message !== undefined ? message : 'You are not permitted to perform this action!';
+        super(err, msg);
+
+        // Provide the error details, we have 403.
+        this.data = { type: 'Authorization', statusCode: 403, ...super.getGlobalProperties() };
+    }
+}
+
 /**
  * @description Handles errors having to do with Validation with status code 400.
  *
@@ -78,11 +94,11 @@ class AuthenticationError extends ApplicationError {
  * @extends {ApplicationError}
  */
 class ValidationError extends ApplicationError {
-    constructor(err, msg) {
+    constructor(err, msg, details) {
         super(err, !msg ? 'A field is missing or invalid, or updates are invalid, or a file is invalid! The action can not be completed with the data or request body provided.' : msg);
 
-        // Provide the error details, we have 400.
-        this.data = { type: 'Validation', statusCode: 400, ...super.getGlobalProperties() };
+        // Provide the error details, we have 400. `details` optionally lists what exactly was invalid, such as the rules a password broke.
+        this.data = { type: 'Validation', statusCode: 400, ...(details && { details }), ...super.getGlobalProperties() };
     }
 }
 
@@ -102,6 +118,41 @@ class ResourceNotFoundError extends ApplicationError {
     }
 }
 
+/**
+ * @description Handles errors having to do with requests made on a stale version of a resource, whose `If-Match` precondition failed, with status
+ *     code 412.
+ *
+ * @class   PreconditionFailedError
+ * @extends {ApplicationError}
+ */
+class PreconditionFailedError extends ApplicationError {
+    constructor(err) {
+        super(err, 'The resource has changed since it was last read. Read it again, and retry the request with its current ETag.');
+
+        // Provide the error details, we have 412.
+        this.data = { type: 'Precondition Failed', statusCode: 412, ...super.getGlobalProperties() };
+    }
+}
+
+/**
+ * @description Handles errors having to do with too many failed attempts, with status code 429 while attempts are delayed, or 423 while an account is
+ *     locked. `retryAfter` is the number of seconds until the next attempt is allowed.
+ *
+ * @class   TooManyAttemptsError
+ * @extends {ApplicationError}
+ */
+class TooManyAttemptsError extends ApplicationError {
+    constructor(err, retryAfter, locked = false) {
+        const msg = locked
+            ? 'This account has been temporarily locked after too many failed attempts. Please try again later.'
+            : 'Too many failed attempts. Please try again later.';
+        super(err, msg);
+
+        // Provide the error details, we have 423 or 429.
+        this.data = { type: 'Too Many Attempts', statusCode: locked ? 423 : 429, retryAfter, ...super.getGlobalProperties() };
+    }
+}
+
 /**
  * @description Handles errors having to do with Resources Not Found with status code 404.
  *
@@ -120,7 +171,10 @@ class ImageProcessingError extends ApplicationError {
 module.exports = {
     ApplicationError,
     AuthenticationError,
+    AuthorizationError,
     ValidationError,
     ResourceNotFoundError,
+    TooManyAttemptsError,
+    PreconditionFailedError,
     ImageProcessingError,
 };
@@ -1 +1,21 @@
-// Jobs placeholder file for git. (Cron-Jobs)
\ No newline at end of file
+/*
+ * File: index.js (src/jobs/index.js)
+ *
+ * Description: Starts the background jobs of the server. They are not started by the Express Application itself, so that tests don't run them.
+ */
+
+// Jobs
+const startTrashPurgeJob = require('./purge-trash');
+const startPositionRebalanceJob = require('./rebalance-positions');
+
+/**
+ * @description Starts every background job.
+ *
+ * @param    {Object} container The Awilix Dependency Injection Container.
+ */
+const startJobs = (container) => {
+    startTrashPurgeJob(container);
+    startPositionRebalanceJob(container);
+};
+
+module.exports = startJobs;
@@ -0,0 +1,33 @@
+/*
+ * File: purge-trash.js (src/jobs/purge-trash.js)
+ *
+ * Description: This job permanently deletes the tasks that have been in the trash for longer than the retention period. It runs once when the server
+ * starts and then on an interval, each time in its own Dependency Injection scope, just as a request would, but without a signed in user.
+ */
+
+/**
+ * @description Starts purging expired trashed tasks on an interval. The interval doesn't keep the process alive on its own.
+ *
+ * @param    {Object} container The Awilix Dependency Injection Container.
+ * @returns  {Object} The interval, to stop the job with `clearInterval`.
+ */
+const startTrashPurgeJob = (container) => {
+    const purgeExpiredTrash = async () => {
+        try {
+            const purged = await container.createScope().resolve('taskService').purgeExpiredTrash();
+            if (purged > 0) console.log(`Purged ${purged} tasks from the trash.`);
+        } catch (err) {
+            // A failed purge is retried on the next run.
+            console.log(err);
+        }
+    };
+
+    purgeExpiredTrash();
+
+    const interval = setInterval(purgeExpiredTrash, container.resolve('appConfig').tasks.trash.getPurgeInterval());
+    interval.unref();
+
+    return interval;
+};
+
+module.exports = startTrashPurgeJob;
@@ -0,0 +1,31 @@
+/*
+ * File: rebalance-positions.js (src/jobs/rebalance-positions.js)
+ *
+ * Description: This job rebalances the positions of the tasks of users whose positions have grown too long from moving tasks between close neighbours.
+ * It runs on an interval, each time in its own Dependency Injection scope, just as a request would, but without a signed in user.
+ */
+
+/**
+ * @description Starts rebalancing positions that have grown too long on an interval. The interval doesn't keep the process alive on its own.
+ *
+ * @param    {Object} container The Awilix Dependency Injection Container.
+ * @returns  {Object} The interval, to stop the job with `clearInterval`.
+ */
+const startPositionRebalanceJob = (container) => {
+    const rebalanceLongPositions = async () => {
+        try {
+            const rebalanced = await container.createScope().resolve('taskService').rebalanceLongPositions();
+            if (rebalanced > 0) console.log(`Rebalanced the task positions of ${rebalanced} users.`);
+        } catch (err) {
+            // Positions that are still too long are rebalanced on the next run.
+            console.log(err);
+        }
+    };
+
+    const interval = setInterval(rebalanceLongPositions, container.resolve('appConfig').tasks.positions.getRebalanceInterval());
+    interval.unref();
+
+    return interval;
+};
+
+module.exports = startPositionRebalanceJob;
@@ -0,0 +1,49 @@
+/*
+ * File: project.js (src/models/project.js)
+ *
+ * Description: This file contains the Schema and Model Definition for Projects, the lists into which users group their tasks. Tasks that belong to no
+ * project are in the user's inbox.
+ */
+
+const mongoose = require('mongoose');
+
+// Embedded Schemas
+const workflowStatusSchema = require('./workflow');
+
+const projectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Archived projects keep their tasks, but no more tasks can be added to them.
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    // The place of the project in the user's list of projects, from 0.
+    position: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // The workflow of the tasks of the project. Projects without one follow the workflow of their owner.
+    workflow: {
+        type: [workflowStatusSchema],
+        default: undefined
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+projectSchema.index({ owner: 1, position: 1 });
+
+// Create the model.
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
@@ -0,0 +1,71 @@
+/*
+ * File: revision.js (src/models/revision.js)
+ *
+ * Description: This file contains the Schema and Model Definition for Revisions, which make up the history of a task. A revision records who changed the
+ * task and when, how each tracked field changed, and a snapshot of the tracked fields afterwards, from which the task can be rolled back to it.
+ */
+
+const mongoose = require('mongoose');
+
+// Task Enumerations
+const { TaskRevisionAction } = require('./../constants/task');
+
+// A field that changed, with its values as JSON, where `null` stands for a field that wasn't set.
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    to: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    _id: false
+});
+
+const revisionSchema = new mongoose.Schema({
+    taskId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // The user who made the change.
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: Object.values(TaskRevisionAction)
+    },
+    changes: {
+        type: [changeSchema],
+        default: []
+    },
+    // The tracked fields of the task after the change.
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // The revision that a rollback rolled the task back to.
+    restoredRevisionId: {
+        type: mongoose.Schema.Types.ObjectId
+    }
+}, {
+    // Revisions are never changed once recorded.
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Serves the history of a task, the most recent revision first.
+revisionSchema.index({ owner: 1, taskId: 1, createdAt: -1 });
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = Revision;
@@ -0,0 +1,43 @@
+/*
+ * File: tag.js (src/models/tag.js)
+ *
+ * Description: This file contains the Schema and Model Definition for Tags, with which users label and categorize their tasks. Tasks refer to their tags
+ * by name, so that they can be filtered by tags without looking the tags up first.
+ */
+
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+    // Names can't contain commas, as tags are filtered by comma-separated names.
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50,
+        validate(value) {
+            if (value.includes(',')) throw new Error('Tag names can not contain commas.');
+        }
+    },
+    // A hexadecimal color, such as `#ff9800`.
+    color: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '#9e9e9e',
+        match: /^#[0-9a-f]{6}$/
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Each user's tag names are unique.
+tagSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Create the model.
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
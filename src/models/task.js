@@ -9,6 +9,65 @@
 
 const mongoose = require('mongoose');
 
+// Task Enumerations
+const { TaskPriority } = require('./../constants/task');
+
+// Priorities are stored along with their position from lowest to highest, as sorting by the names would sort them alphabetically.
+const PRIORITIES = Object.values(TaskPriority);
+
+// The items of a task's checklist, in the order the owner put them in.
+const checklistItemSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    checked: {
+        type: Boolean,
+        default: false
+    }
+});
+
+// When a task entered a status of its workflow, from which the time it spent in each status is measured.
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    enteredAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+// How a recurring task repeats, shared by each occurrence of the series.
+const recurrenceSchema = new mongoose.Schema({
+    // The RFC 5545 recurrence rule, such as `FREQ=WEEKLY;BYDAY=MO`.
+    rule: {
+        type: String,
+        required: true
+    },
+    // The ID of the first task of the series.
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // The number of the occurrence in the series, counting from 1.
+    occurrence: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // The next occurrence, once completing this one has created it.
+    nextTaskId: {
+        type: mongoose.Schema.Types.ObjectId
+    }
+}, {
+    _id: false
+});
+
 const taskSchema = mongoose.Schema({
     description: {
         type: String,
@@ -19,14 +78,140 @@ const taskSchema = mongoose.Schema({
         type: Boolean,
         default: false,
     },
+    // The key of the status of the task in its workflow, which it is completed in if it is the last one. Tasks created before workflows were added
+    // don't have the field until their status changes.
+    status: {
+        type: String,
+        trim: true
+    },
+    // The statuses the task entered, oldest first, for measuring cycle times.
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: undefined
+    },
     owner: {
         type: mongoose.Schema.Types.ObjectId,
         required: true,
+    },
+    dueAt: {
+        type: Date
+    },
+    // When to remind the owner of the task, which can't be after it is due.
+    remindAt: {
+        type: Date
+    },
+    priority: {
+        type: String,
+        required: true,
+        enum: PRIORITIES,
+        default: TaskPriority.None
+    },
+    priorityRank: {
+        type: Number,
+        default: 0
+    },
+    // The project the task belongs to, if it isn't in the owner's inbox.
+    projectId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // The names of the owner's tags that the task has.
+    tags: [{
+        type: String,
+        trim: true
+    }],
+    // Tasks without a checklist don't have the field at all.
+    checklist: {
+        type: [checklistItemSchema],
+        default: undefined
+    },
+    // Whether checking every item of the checklist completes the task, and unchecking one reopens it.
+    completeWithChecklist: {
+        type: Boolean
+    },
+    // Tasks that don't recur don't have the field at all.
+    recurrence: {
+        type: recurrenceSchema
+    },
+    // When the task was moved to the trash. Tasks that aren't trashed don't have the field at all.
+    deletedAt: {
+        type: Date
+    },
+    // The rank of the task in the order the user put their tasks in, compared as a string. Tasks created before tasks could be ordered by hand don't
+    // have the field until they are rebalanced, and come first.
+    position: {
+        type: String
+    },
+    // Incremented by each change of the task, and exposed as its ETag, so that clients can't overwrite changes they haven't seen.
+    version: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
 });
 
+// Serves the due date filters of the task list.
+taskSchema.index({ owner: 1, dueAt: 1 });
+
+// Serves the tag filters of the task list, and renaming and removing tags.
+taskSchema.index({ owner: 1, tags: 1 });
+
+// Serves the project filter of the task list, and moving the tasks of deleted projects.
+taskSchema.index({ owner: 1, projectId: 1 });
+
+// Serves the full-text search of the task list. Searches always match an owner, which lets the index be split by owner.
+taskSchema.index({ owner: 1, description: 'text', tags: 'text' }, { name: 'TaskTextIndex', weights: { description: 2, tags: 1 } });
+
+// Serves stopping a series of recurring tasks.
+taskSchema.index({ owner: 1, 'recurrence.seriesId': 1 });
+
+// Serves the order the user put their tasks in.
+taskSchema.index({ owner: 1, position: 1 });
+
+// Serves the trash of a user.
+taskSchema.index({ owner: 1, deletedAt: 1 });
+
+// Serves purging the tasks that have been in the trash for longer than the retention period.
+taskSchema.index({ deletedAt: 1 }, { sparse: true });
+
+// A new series starts with its first task.
+taskSchema.pre('validate', function startSeries() {
+    if (this.recurrence && !this.recurrence.seriesId) this.recurrence.seriesId = this._id;
+});
+
+// Keep the rank of new and changed priorities in step.
+taskSchema.pre('validate', function rankPriority() {
+    if (this.isNew || this.isModified('priority')) this.priorityRank = PRIORITIES.indexOf(this.priority);
+});
+
+taskSchema.pre('findOneAndUpdate', function rankUpdatedPriority() {
+    const update = this.getUpdate() || {};
+    const priority = update.$set && update.$set.priority !== undefined ? update.$set.priority : update.priority;
+
+    if (priority !== undefined) this.set('priorityRank', PRIORITIES.indexOf(priority));
+});
+
+// Every update of tasks changes their version, including updates of many tasks at once, such as renaming a tag.
+taskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function incrementVersion() {
+    const update = this.getUpdate() || {};
+
+    this.setUpdate({ ...update, $inc: { ...update.$inc, version: 1 } });
+});
+
+// Trashed tasks are left out of finding, counting, and updating tasks, unless the query asks for them by when they were trashed. Updates of many tasks
+// at once, such as renaming a tag, still reach them, so that they are consistent with the other tasks of their owner once restored.
+taskSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function excludeTrashed() {
+    if (!('deletedAt' in this.getQuery())) this.where({ deletedAt: null });
+});
+
+// The rank is an implementation detail of sorting. Tasks with a checklist show how much of it is done.
+taskSchema.set('toJSON', {
+    transform: (doc, { priorityRank, ...ret }) => (Array.isArray(ret.checklist) ? {
+        ...ret,
+        checklistProgress: { checked: ret.checklist.filter(item => item.checked).length, total: ret.checklist.length }
+    } : ret)
+});
+
 const Task = mongoose.model('Task', taskSchema);
 
 module.exports = Task;
\ No newline at end of file
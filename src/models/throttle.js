@@ -0,0 +1,41 @@
+/*
+ * File: throttle.js (src/models/throttle.js)
+ *
+ * Description: This file contains the Schema and Model Definition for Throttles, which count the failed login attempts made against an account or from
+ * an IP address (identified by `key`), and record until when further attempts are blocked.
+ */
+
+const mongoose = require('mongoose');
+
+const throttleSchema = new mongoose.Schema({
+    // Such as `account:<email>` or `ip:<address>`.
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    blockedUntil: {
+        type: Date
+    },
+    // Whether the block is a lockout of the account, rather than a backoff delay.
+    locked: {
+        type: Boolean,
+        default: false
+    },
+    // The counters are forgotten (and the document removed by MongoDB) once this passes.
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+throttleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create the model.
+const Throttle = mongoose.model('Throttle', throttleSchema);
+
+module.exports = Throttle;
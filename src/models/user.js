@@ -10,6 +10,15 @@
 const mongoose = require('mongoose');
 const validator = require('validator');
 
+// Embedded Schemas
+const workflowStatusSchema = require('./workflow');
+
+// Authorization Enumerations
+const { Role } = require('./../constants/authorization');
+
+// Utilities
+const { isValidTimeZone } = require('./../utils/time-zone');
+
 // Define the schema.
 const userSchema = new mongoose.Schema({
     name: {
@@ -29,11 +38,46 @@ const userSchema = new mongoose.Schema({
             }
         }
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // An IANA time zone, such as `Europe/Berlin`, which decides when the user's days start, such as for the tasks due today.
+    timezone: {
+        type: String,
+        default: 'UTC',
+        trim: true,
+        validate(value) {
+            if (!isValidTimeZone(value)) {
+                throw new Error('Time zone is invalid');
+            }
+        }
+    },
+    // Only ever holds the hash of an outstanding email verification token, which is removed once used.
+    emailVerification: {
+        token: {
+            type: String,
+            index: true
+        },
+        expiresAt: {
+            type: Date
+        }
+    },
     password: {
         type: String,
         required: true,
         minlength: 7,
     },
+    // New users get the `user` role. Permissions are granted by role, see `authorization` in the application config.
+    roles: {
+        type: [String],
+        default: () => [Role.User]
+    },
+    // A disabled user can't log in, and is logged out of every session when disabled.
+    disabled: {
+        type: Boolean,
+        default: false
+    },
     age: {
         type: Number,
         default: 0,
@@ -48,17 +92,126 @@ const userSchema = new mongoose.Schema({
         small: { type: String, default: 'no-profile' },
         large: { type: String, default: 'no-profile' }
     },
+    // The workflow of the user's tasks, unless their project has its own. Users who haven't defined one follow the default workflow.
+    workflow: {
+        type: [workflowStatusSchema],
+        default: undefined
+    },
+    // Only ever holds the hash of an outstanding password reset token, which is removed once used.
+    passwordReset: {
+        token: {
+            type: String,
+            index: true
+        },
+        expiresAt: {
+            type: Date
+        }
+    },
+    // Two-factor authentication. The secret is kept while enrollment is pending, but `enabled` is only set once the user has confirmed a code.
+    twoFactor: {
+        enabled: {
+            type: Boolean
+        },
+        secret: {
+            type: String
+        },
+        // Hashes of the unused recovery codes.
+        recoveryCodes: {
+            type: [String],
+            default: undefined
+        },
+        // The time step of the last accepted code, so that a code can't be replayed.
+        lastUsedStep: {
+            type: Number
+        }
+    },
+    // Personal API keys for scripts and integrations. Only the hash of each key is stored, along with its first characters so that the user can tell
+    // keys apart.
+    apiKeys: {
+        type: [{
+            name: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            keyHash: {
+                type: String,
+                required: true,
+                index: true
+            },
+            prefix: {
+                type: String
+            },
+            scopes: {
+                type: [String]
+            },
+            expiresAt: {
+                type: Date
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            },
+            lastUsedAt: {
+                type: Date
+            }
+        }],
+        // Users without API keys don't get an empty array.
+        default: undefined
+    },
+    // Each entry is a session (one per device): the current access token and the hash of the current refresh token of one token family, along with
+    // what is needed for the user to recognize the device.
     tokens: [{
         token: {
             type: String,
             required: true
+        },
+        refreshToken: {
+            type: String
+        },
+        family: {
+            type: String,
+            index: true
+        },
+        expiresAt: {
+            type: Date
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        userAgent: {
+            type: String
+        },
+        ipAddress: {
+            type: String
         }
-    }]
+    }],
+    // Incremented by each change of the profile, and exposed as its ETag, so that clients can't overwrite changes they haven't seen.
+    version: {
+        type: Number,
+        default: 0
+    }
 }, {
     // Keep track of last updates and the Unix Timestamp when the profile was created.
     timestamps: true
 });
 
+// The fields of the profile, which a user sees of themselves. Other changes, such as to the sessions on every request, don't change the version.
+const PROFILE_FIELDS = ['name', 'email', 'emailVerified', 'timezone', 'roles', 'disabled', 'age', 'avatarPaths', 'workflow'];
+
+userSchema.pre(['findOneAndUpdate', 'updateOne'], function incrementVersion() {
+    const update = this.getUpdate() || {};
+    const paths = [update, update.$set || {}, update.$unset || {}]
+        .reduce((all, fields) => [...all, ...Object.keys(fields).filter(path => !path.startsWith('$'))], []);
+
+    if (paths.some(path => PROFILE_FIELDS.includes(path.split('.')[0]))) this.setUpdate({ ...update, $inc: { ...update.$inc, version: 1 } });
+});
+
 // Create the model.
 const User = mongoose.model('User', userSchema);
 
@@ -0,0 +1,32 @@
+/*
+ * File: workflow.js (src/models/workflow.js)
+ *
+ * Description: This file contains the Schema of workflows, the statuses that tasks move through. Workflows are not a model of their own, but are
+ * embedded in the users and projects that define them, as a list of statuses in order.
+ */
+
+const mongoose = require('mongoose');
+
+const workflowStatusSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 40
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    // The keys of the statuses that tasks can move to from this one. Statuses without the field allow moving to any other.
+    transitions: {
+        type: [String],
+        default: undefined
+    }
+}, {
+    _id: false
+});
+
+module.exports = workflowStatusSchema;
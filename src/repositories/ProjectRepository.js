@@ -0,0 +1,123 @@
+// Custom Errors
+const { ValidationError } = require('../custom-exceptions/index');
+
+/**
+ * @description - The ProjectRepository class handles CRUD-related operations on the projects of users.
+ *
+ * @class ProjectRepository
+ */
+class ProjectRepository {
+    constructor({ Project }) {
+        // Dependency Injection
+        this.Project = Project;
+    }
+
+    /**
+     * @description Creates a new project.
+     *
+     * @param    {Object} projectData The name, position, and owner of the project.
+     * @returns  {Object} The JSON version of the created project.
+     * @memberof ProjectRepository
+     */
+    async create(projectData) {
+        try {
+            const project = new this.Project(projectData);
+            await project.save();
+
+            return project.toJSON();
+        } catch (err) {
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Finds the projects matching a query.
+     *
+     * @param    {Object} query        The match constraints.
+     * @param    {Object} [options={}] Sorting and pagination options.
+     * @returns  {Array<Object>} The JSON versions of the found projects.
+     * @memberof ProjectRepository
+     */
+    async readByQuery(query, options = {}) {
+        try {
+            const projects = await this.Project.find(query, null, options);
+            return projects.map(project => project.toJSON());
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Finds a project by its ID and further match constraints, such as its owner.
+     *
+     * @param    {String} id    The ID of the project.
+     * @param    {Object} query The further match constraints.
+     * @returns  {Object} The JSON version of the found project, or `null` if there is none.
+     * @memberof ProjectRepository
+     */
+    async readByIdWithQuery(id, query) {
+        try {
+            const project = await this.Project.findOne({ _id: id, ...query });
+            return project ? project.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Updates a project by its ID and further match constraints.
+     *
+     * @param    {String} id      The ID of the project.
+     * @param    {Object} query   The further match constraints.
+     * @param    {Object} updates The updates.
+     * @returns  {Object} The JSON version of the updated project, or `null` if there is none.
+     * @memberof ProjectRepository
+     */
+    async updateByIdWithQuery(id, query, updates) {
+        try {
+            // MongoDB won't validate if runValidators is not set to true.
+            const project = await this.Project.findOneAndUpdate({ _id: id, ...query }, updates, { new: true, runValidators: true });
+            return project ? project.toJSON() : null;
+        } catch (err) {
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Moves projects of a user to new positions in a single round trip.
+     *
+     * @param    {String} owner     The ID of the user.
+     * @param    {Object} positions The new position of each project, by project ID.
+     * @memberof ProjectRepository
+     */
+    async updatePositionsForOwner(owner, positions) {
+        try {
+            const operations = Object.keys(positions).map(id => ({
+                updateOne: { filter: { _id: id, owner }, update: { $set: { position: positions[id] } } }
+            }));
+
+            if (operations.length > 0) await this.Project.bulkWrite(operations);
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Deletes a project by its ID and further match constraints.
+     *
+     * @param    {String} id    The ID of the project.
+     * @param    {Object} query The further match constraints.
+     * @returns  {Object} The JSON version of the deleted project, or `null` if there was none.
+     * @memberof ProjectRepository
+     */
+    async deleteByIdWithQuery(id, query) {
+        try {
+            const project = await this.Project.findOneAndDelete({ _id: id, ...query });
+            return project ? project.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+}
+
+module.exports = ProjectRepository;
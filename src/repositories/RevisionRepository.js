@@ -0,0 +1,85 @@
+// Custom Errors
+const { ValidationError } = require('../custom-exceptions/index');
+
+/**
+ * @description - The RevisionRepository class handles CRUD-related operations on the revisions that make up the history of tasks.
+ *
+ * @class RevisionRepository
+ */
+class RevisionRepository {
+    constructor({ Revision }) {
+        // Dependency Injection
+        this.Revision = Revision;
+    }
+
+    /**
+     * @description Records a new revision.
+     *
+     * @param    {Object} revisionData The task, owner, actor, action, changes, and snapshot of the revision.
+     * @param    {Object} [options={}] Options of the operation, such as the `session` of a transaction in progress.
+     * @returns  {Object} The JSON version of the created revision.
+     * @memberof RevisionRepository
+     */
+    async create(revisionData, options = {}) {
+        try {
+            const revision = new this.Revision(revisionData);
+            await revision.save(options);
+
+            return revision.toJSON();
+        } catch (err) {
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Finds the revisions matching a query.
+     *
+     * @param    {Object} query        The match constraints.
+     * @param    {Object} [options={}] Sorting and pagination options.
+     * @returns  {Array<Object>} The JSON versions of the found revisions.
+     * @memberof RevisionRepository
+     */
+    async readByQuery(query, options = {}) {
+        try {
+            const revisions = await this.Revision.find(query, null, options);
+            return revisions.map(revision => revision.toJSON());
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Finds a revision by its ID, if it also matches a query.
+     *
+     * @param    {String} id    The ID of the revision.
+     * @param    {Object} query The match constraints.
+     * @returns  {Object} The JSON version of the found revision, or `null` if there is none.
+     * @memberof RevisionRepository
+     */
+    async readByIdWithQuery(id, query) {
+        try {
+            const revision = await this.Revision.findOne({ _id: id, ...query });
+            return revision ? revision.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Deletes the revisions of tasks.
+     *
+     * @param    {Array<String>} taskIds The IDs of the tasks.
+     * @returns  {Number} The number of revisions deleted.
+     * @memberof RevisionRepository
+     */
+    async deleteByTaskIds(taskIds) {
+        try {
+            const { deletedCount } = await this.Revision.deleteMany({ taskId: { $in: taskIds } });
+            return deletedCount;
+        } catch (err) {
+            throw err;
+        }
+    }
+}
+
+module.exports = RevisionRepository;
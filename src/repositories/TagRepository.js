@@ -0,0 +1,104 @@
+// Custom Errors
+const { ValidationError } = require('../custom-exceptions/index');
+
+/**
+ * @description - The TagRepository class handles CRUD-related operations on the tags of users.
+ *
+ * @class TagRepository
+ */
+class TagRepository {
+    constructor({ Tag }) {
+        // Dependency Injection
+        this.Tag = Tag;
+    }
+
+    /**
+     * @description Creates a new tag.
+     *
+     * @param    {Object} tagData The name, color, and owner of the tag.
+     * @returns  {Object} The JSON version of the created tag.
+     * @memberof TagRepository
+     */
+    async create(tagData) {
+        try {
+            const tag = new this.Tag(tagData);
+            await tag.save();
+
+            return tag.toJSON();
+        } catch (err) {
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Finds the tags matching a query.
+     *
+     * @param    {Object} query        The match constraints.
+     * @param    {Object} [options={}] Sorting and pagination options.
+     * @returns  {Array<Object>} The JSON versions of the found tags.
+     * @memberof TagRepository
+     */
+    async readByQuery(query, options = {}) {
+        try {
+            const tags = await this.Tag.find(query, null, options);
+            return tags.map(tag => tag.toJSON());
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Finds a tag by its ID and further match constraints, such as its owner.
+     *
+     * @param    {String} id    The ID of the tag.
+     * @param    {Object} query The further match constraints.
+     * @returns  {Object} The JSON version of the found tag, or `null` if there is none.
+     * @memberof TagRepository
+     */
+    async readByIdWithQuery(id, query) {
+        try {
+            const tag = await this.Tag.findOne({ _id: id, ...query });
+            return tag ? tag.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Updates a tag by its ID and further match constraints.
+     *
+     * @param    {String} id      The ID of the tag.
+     * @param    {Object} query   The further match constraints.
+     * @param    {Object} updates The updates.
+     * @returns  {Object} The JSON version of the updated tag, or `null` if there is none.
+     * @memberof TagRepository
+     */
+    async updateByIdWithQuery(id, query, updates) {
+        try {
+            // MongoDB won't validate if runValidators is not set to true.
+            const tag = await this.Tag.findOneAndUpdate({ _id: id, ...query }, updates, { new: true, runValidators: true });
+            return tag ? tag.toJSON() : null;
+        } catch (err) {
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Deletes a tag by its ID and further match constraints.
+     *
+     * @param    {String} id    The ID of the tag.
+     * @param    {Object} query The further match constraints.
+     * @returns  {Object} The JSON version of the deleted tag, or `null` if there was none.
+     * @memberof TagRepository
+     */
+    async deleteByIdWithQuery(id, query) {
+        try {
+            const tag = await this.Tag.findOneAndDelete({ _id: id, ...query });
+            return tag ? tag.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+}
+
+module.exports = TagRepository;
@@ -6,13 +6,47 @@ class TaskRepository {
     constructor({ Task }) {
         // Dependency Injection
         this.Task = Task;
+
+        // The session of the transaction in progress, if any, in which every operation of this repository takes part.
+        this.session = null;
+    }
+
+    /*
+     * Description:
+     * 1.) Start a session and run the work in a transaction, which MongoDB retries if it fails transiently, and aborts if the work throws.
+     * 2.) Every operation of this repository takes part in the transaction while it runs. Repositories are scoped to a request, so other requests are not
+     *     affected.
+     */
+    /**
+     * @description Performs work on tasks all or nothing. Transactions need MongoDB to run as a replica set.
+     *
+     * @param    {Function} work An async function performing the operations of the transaction.
+     * @returns  {*} The result of the work.
+     * @memberof TaskRepository
+     */
+    async withTransaction(work) {
+        const session = await this.Task.startSession();
+
+        try {
+            let result;
+
+            await session.withTransaction(async () => {
+                this.session = session;
+                result = await work();
+            });
+
+            return result;
+        } finally {
+            this.session = null;
+            session.endSession();
+        }
     }
 
     async create(taskData) {
         try {
             // Create the new User Document and attempt to save.
             const task = new this.Task(taskData);
-            await task.save();
+            await task.save(this._inSession());
 
             return task.toJSON();
         } catch (err) {
@@ -22,7 +56,7 @@ class TaskRepository {
 
     async readByIdWithQuery(id, query, options = {}) {
         try {
-            const tasks = await this.Task.find({ _id: id, ...query }, null, options);
+            const tasks = await this.Task.find({ _id: id, ...query }, null, this._inSession(options));
             return tasks.map(task => task ? task.toJSON() : null);
         } catch (err) {
             throw err;
@@ -31,23 +65,212 @@ class TaskRepository {
 
     async readByQuery(query, options = {}) {
         try {
-            const tasks = await this.Task.find(query, null, options);
+            // The projection can add computed fields, such as the relevance of a search.
+            const { projection = null, ...findOptions } = options || {};
+            const tasks = await this.Task.find(query, projection, this._inSession(findOptions));
             return tasks.map(task => task ? task.toJSON() : null);
         } catch (err) {
             throw err;
         }
     }
 
+    /**
+     * @description Counts the tasks matching a query.
+     *
+     * @param    {Object} query The match constraints.
+     * @returns  {Number} The number of tasks.
+     * @memberof TaskRepository
+     */
+    async countByQuery(query) {
+        try {
+            return await this.Task.countDocuments(query).setOptions(this._inSession());
+        } catch (err) {
+            throw err;
+        }
+    }
+
     async updateByIdWithQuery(id, query, updates) {
         try {
             // Update and attempt to save. MongoDB won't validate if runValidators is not set to true.
-            const task = await this.Task.findOneAndUpdate({ _id: id, ...query }, updates, { new: true, runValidators: true });
+            const task = await this.Task.findOneAndUpdate({ _id: id, ...query }, updates, this._inSession({ new: true, runValidators: true }));
             return task ? task.toJSON() : null;
         } catch (err) {
             throw err.name === 'ValidationError' ? new ValidationError(err) : err;
         }
     }
 
+    /**
+     * @description Finds the position of the last task of a user in the order they put their tasks in.
+     *
+     * @param    {String} owner The ID of the user.
+     * @returns  {String} The position, or `null` if no task of the user has one.
+     * @memberof TaskRepository
+     */
+    async readLastPositionForOwner(owner) {
+        try {
+            const task = await this.Task.findOne({ owner, position: { $ne: null } }, { position: 1 }, this._inSession({ sort: { position: -1 } }));
+            return task ? task.position : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Finds the users who have a task whose position is longer than a number of characters, leaving out the trash.
+     *
+     * @param    {Number} length The number of characters.
+     * @returns  {Array<String>} The IDs of the users.
+     * @memberof TaskRepository
+     */
+    async readOwnersWithPositionsLongerThan(length) {
+        try {
+            const owners = await this.Task.distinct('owner', {
+                deletedAt: null,
+                $expr: { $gt: [{ $strLenCP: { $ifNull: ['$position', ''] } }, length] }
+            });
+
+            return owners.map(owner => owner.toString());
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Moves tasks of a user to new positions in a single round trip. Each moved task gets a new version, as a single update would.
+     *
+     * @param    {String} owner     The ID of the user.
+     * @param    {Object} positions The new position of each task, by task ID.
+     * @memberof TaskRepository
+     */
+    async updatePositionsForOwner(owner, positions) {
+        try {
+            const operations = Object.keys(positions).map(id => ({
+                updateOne: { filter: { _id: id, owner }, update: { $set: { position: positions[id] }, $inc: { version: 1 } } }
+            }));
+
+            if (operations.length > 0) await this.Task.bulkWrite(operations, this._inSession());
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Renames a tag on every task of a user that has it.
+     *
+     * @param    {String} owner The ID of the user.
+     * @param    {String} from  The current name of the tag.
+     * @param    {String} to    The new name of the tag.
+     * @returns  {Number} The number of tasks changed.
+     * @memberof TaskRepository
+     */
+    async renameTagForOwner(owner, from, to) {
+        try {
+            const { nModified } = await this.Task.updateMany({ owner, tags: from }, { $set: { 'tags.$': to } }, this._inSession());
+            return nModified;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Removes a tag from every task of a user that has it.
+     *
+     * @param    {String} owner The ID of the user.
+     * @param    {String} name  The name of the tag.
+     * @returns  {Number} The number of tasks changed.
+     * @memberof TaskRepository
+     */
+    async removeTagForOwner(owner, name) {
+        try {
+            const { nModified } = await this.Task.updateMany({ owner, tags: name }, { $pull: { tags: name } }, this._inSession());
+            return nModified;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Moves every task of a user from one project to another, or to the inbox.
+     *
+     * @param    {String} owner The ID of the user.
+     * @param    {String} from  The ID of the project the tasks are in.
+     * @param    {String} to    The ID of the project to move the tasks to, or `null` for the inbox.
+     * @returns  {Number} The number of tasks moved.
+     * @memberof TaskRepository
+     */
+    async moveProjectForOwner(owner, from, to) {
+        try {
+            const { nModified } = await this.Task.updateMany({ owner, projectId: from }, to ? { $set: { projectId: to } } : { $unset: { projectId: 1 } }, this._inSession());
+            return nModified;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Stops a series of recurring tasks of a user, so that completing its open tasks doesn't create further occurrences. Completed tasks
+     *     keep their recurrence as a record of the series.
+     *
+     * @param    {String} owner    The ID of the user.
+     * @param    {String} seriesId The ID of the series.
+     * @returns  {Number} The number of tasks that no longer recur.
+     * @memberof TaskRepository
+     */
+    async stopSeriesForOwner(owner, seriesId) {
+        try {
+            const { nModified } = await this.Task.updateMany({ owner, 'recurrence.seriesId': seriesId, completed: false }, { $unset: { recurrence: 1 } }, this._inSession());
+            return nModified;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Moves tasks of a user in a project to the trash and out of the project, leaving the tasks already in the trash, and any that have
+     *     left the project since, as they are.
+     *
+     * @param    {String}        owner     The ID of the user.
+     * @param    {String}        projectId The ID of the project.
+     * @param    {Array<String>} taskIds   The IDs of the tasks.
+     * @param    {Date}          deletedAt When the tasks were moved to the trash.
+     * @returns  {Number} The number of tasks moved to the trash.
+     * @memberof TaskRepository
+     */
+    async trashByProjectForOwner(owner, projectId, taskIds, deletedAt) {
+        try {
+            const { nModified } = await this.Task.updateMany({ owner, projectId, _id: { $in: taskIds }, deletedAt: null }, {
+                $set: { deletedAt },
+                $unset: { projectId: 1 }
+            }, this._inSession());
+
+            return nModified;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Deletes every task in the trash of a user.
+     *
+     * @param    {String} owner The ID of the user.
+     * @returns  {Array<String>} The IDs of the tasks deleted.
+     * @memberof TaskRepository
+     */
+    async deleteTrashedForOwner(owner) {
+        return this._deleteTrashedByQuery({ owner, deletedAt: { $ne: null } });
+    }
+
+    /**
+     * @description Deletes the tasks of every user that were moved to the trash before a date.
+     *
+     * @param    {Date} date The date.
+     * @returns  {Array<String>} The IDs of the tasks deleted.
+     * @memberof TaskRepository
+     */
+    async deleteTrashedBefore(date) {
+        return this._deleteTrashedByQuery({ deletedAt: { $lt: date } });
+    }
+
      /**
      * @description Attempts to delete a task by its ID, throwing an error if none is found.
      *
@@ -58,7 +281,7 @@ class TaskRepository {
     async deleteByIdWithQuery(id, query) {
         try {
             // Call the task model.
-            const task = await this.Task.findOne({ _id: id, ...query });
+            const task = await this.Task.findOne({ _id: id, ...query }, null, this._inSession());
 
             // Throwing if there is no user.
             if (!task) throw new ResourceNotFoundError();
@@ -71,6 +294,42 @@ class TaskRepository {
             throw err;
         }
     }
+
+    /*
+     * Description:
+     * 1.) Find the IDs of the trashed tasks matching the query, so that the caller can clean up what refers to them.
+     * 2.) Delete those tasks by their IDs, and only if they still match, so that tasks trashed or restored in the meantime are left alone.
+     */
+    /**
+     * @description Private member function as noted by the '_' prefix. Deletes the trashed tasks matching a query.
+     *
+     * @param    {Object} query The match constraints, which must match by `deletedAt` to reach trashed tasks.
+     * @returns  {Array<String>} The IDs of the tasks deleted.
+     * @memberof TaskRepository
+     */
+    async _deleteTrashedByQuery(query) {
+        try {
+            const tasks = await this.Task.find(query, { _id: 1 }, this._inSession());
+            const ids = tasks.map(task => task._id.toString());
+
+            if (ids.length > 0) await this.Task.deleteMany({ ...query, _id: { $in: ids } }, this._inSession());
+
+            return ids;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Private member function as noted by the '_' prefix. Adds the session of the transaction in progress to the options of an operation.
+     *
+     * @param    {Object} [options={}] The options of the operation.
+     * @returns  {Object} The options, with the session if there is a transaction in progress.
+     * @memberof TaskRepository
+     */
+    _inSession(options = {}) {
+        return this.session ? { ...options, session: this.session } : options;
+    }
 }
 
 module.exports = TaskRepository;
\ No newline at end of file
@@ -0,0 +1,105 @@
+// Custom Errors
+const { ValidationError } = require('../custom-exceptions/index');
+
+/**
+ * @description - The ThrottleRepository class handles CRUD-related operations on the failed login attempt counters.
+ *
+ * @class ThrottleRepository
+ */
+class ThrottleRepository {
+    constructor({ Throttle }) {
+        // Dependency Injection
+        this.Throttle = Throttle;
+    }
+
+    /**
+     * @description Finds the throttles for the provided keys that have not expired yet.
+     *
+     * @param    {Array<String>} keys The keys of the throttles.
+     * @returns  {Array<Object>} The JSON versions of the found throttles.
+     * @memberof ThrottleRepository
+     */
+    async readByKeys(keys) {
+        try {
+            // MongoDB only removes expired documents periodically, so ignore those that are waiting to be removed.
+            const throttles = await this.Throttle.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } });
+            return throttles.map(throttle => throttle.toJSON());
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /*
+     * Description:
+     * 1.) Restart the count of a throttle that has expired but that MongoDB hasn't removed yet, as its failures have been forgotten.
+     * 2.) Increment the failure count of the throttle in place, creating the throttle if there is none, so that concurrent failures are all counted.
+     * 3.) Push back the time at which the throttle expires.
+     */
+    /**
+     * @description Counts a failed attempt against a key.
+     *
+     * @param    {String} key       The key of the throttle.
+     * @param    {Date}   expiresAt The time at which the throttle should now expire.
+     * @returns  {Object} The JSON version of the updated throttle.
+     * @memberof ThrottleRepository
+     */
+    async incrementFailuresByKey(key, expiresAt) {
+        try {
+            // Only a throttle that is still expired is restarted, so a concurrent failure that has since pushed back its expiry isn't lost.
+            await this.Throttle.updateOne({ key, expiresAt: { $lte: new Date() } }, {
+                $set: { failures: 0, locked: false },
+                $unset: { blockedUntil: 1 }
+            });
+
+            const throttle = await this.Throttle.findOneAndUpdate({ key }, {
+                $inc: { failures: 1 },
+                $set: { expiresAt }
+            }, { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true });
+
+            return throttle.toJSON();
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Blocks further attempts against a key until the provided time.
+     *
+     * @param    {String} key   The key of the throttle.
+     * @param    {Object} block The `blockedUntil` time, whether the block is a lockout (`locked`), and the new `expiresAt` time.
+     * @returns  {Object} The JSON version of the updated throttle, or `null` if there is no such throttle.
+     * @memberof ThrottleRepository
+     */
+    async updateBlockByKey(key, block) {
+        try {
+            // Only a throttle that is still expired is restarted, so a concurrent failure that has since pushed back its expiry isn't lost.
+            await this.Throttle.updateOne({ key, expiresAt: { $lte: new Date() } }, {
+                $set: { failures: 0, locked: false },
+                $unset: { blockedUntil: 1 }
+            });
+
+            const throttle = await this.Throttle.findOneAndUpdate({ key }, { $set: block }, { new: true, runValidators: true });
+            return throttle ? throttle.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Removes the throttles for the provided keys, clearing their counters.
+     *
+     * @param    {Array<String>} keys The keys of the throttles.
+     * @memberof ThrottleRepository
+     */
+    async deleteByKeys(keys) {
+        try {
+            await this.Throttle.deleteMany({ key: { $in: keys } });
+        } catch (err) {
+            throw err;
+        }
+    }
+}
+
+module.exports = ThrottleRepository;
@@ -60,18 +60,37 @@ class UserRepository {
     }
 
     /**
-     * @description Updates a user's tokens array.
+     * @description Updates a user by their ID, if they also match a query, validating the updates, and converting to JSON.
      *
-     * @param    {String} id    The UD of the user to update.
-     * @param    {String} token The new token.
+     * @param    {String} id      The ID of the user to update.
+     * @param    {Object} query   The match constraints, such as the version of the user.
+     * @param    {Object} updates The updates object.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the user doesn't match.
+     * @memberof UserRepository
+     */
+    async updateByIdWithQuery(id, query, updates) {
+        try {
+            const user = await this.User.findOneAndUpdate({ _id: id, ...query }, updates, { new: true, runValidators: true });
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Adds a new session record to a user's tokens array.
+     *
+     * @param    {String} id      The ID of the user to update.
+     * @param    {Object} session The session record (access token, refresh token hash, family, and expiry).
      * @returns  The JSON version of the updated user.
      * @memberof UserRepository
      */
-    async updateTokensById(id, token) {
+    async updateTokensById(id, session) {
         try {
             // Push the new item into the array. toJSON already called in member method.
             return await this.updateById(id, {
-                $push: { tokens: { token } }
+                $push: { tokens: session }
             });
         } catch (err) {
             // Not determining error here for it will be caught and thrown by `this.updateById` and then re-thrown here.
@@ -80,10 +99,10 @@ class UserRepository {
     }
 
     /**
-     * @description Updates a user's tokens array.
+     * @description Removes the session record holding the provided access token, which also revokes that session's refresh token.
      *
-     * @param    {String} id    The UD of the user to update.
-     * @param    {String} token The new token.
+     * @param    {String} id    The ID of the user to update.
+     * @param    {String} token The access token of the session to remove.
      * @returns  The JSON version of the updated user.
      * @memberof UserRepository
      */
@@ -99,6 +118,107 @@ class UserRepository {
         }
     }
 
+    /*
+     * Description:
+     * 1.) Match the user only if the session of the given family still holds the refresh token hash that was presented.
+     * 2.) Replace the provided session fields (tokens, expiry, and activity) in place, so that two concurrent refreshes can't both succeed.
+     * 3.) Return `null` if nothing matched.
+     */
+    /**
+     * @description Rotates the tokens of a session, provided the session still holds the expected refresh token hash.
+     *
+     * @param    {String} id               The ID of the user to update.
+     * @param    {String} family           The token family of the session to rotate.
+     * @param    {String} refreshTokenHash The hash of the refresh token being exchanged.
+     * @param    {Object} session          The new session record.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the session did not match.
+     * @memberof UserRepository
+     */
+    async rotateTokenById(id, family, refreshTokenHash, session) {
+        try {
+            const user = await this.User.findOneAndUpdate({
+                _id: id,
+                tokens: { $elemMatch: { family, refreshToken: refreshTokenHash } }
+            }, {
+                $set: UserRepository._toMatchedSessionUpdate(session)
+            }, { new: true, runValidators: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Removes the session belonging to a token family, revoking both its access token and its refresh token.
+     *
+     * @param    {String} id     The ID of the user to update.
+     * @param    {String} family The token family to revoke.
+     * @returns  {Object} The JSON version of the updated user.
+     * @memberof UserRepository
+     */
+    async removeTokenFamilyById(id, family) {
+        try {
+            // Pull the session for the family from the array. toJSON already called in member method.
+            return await this.updateById(id, {
+                $pull: { tokens: { family } }
+            });
+        } catch (err) {
+            // Not determining error here for it will be caught and thrown by `this.updateById` and then re-thrown here.
+            throw err;
+        }
+    }
+
+    /**
+     * @description Removes a session by its ID, revoking both its access token and its refresh token.
+     *
+     * @param    {String} id        The ID of the user to update.
+     * @param    {String} sessionId The ID of the session to remove.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the user has no such session.
+     * @memberof UserRepository
+     */
+    async removeTokenBySessionId(id, sessionId) {
+        try {
+            // Only match the user if the session exists, so that the caller can tell a missing session apart.
+            const user = await this.User.findOneAndUpdate({ _id: id, 'tokens._id': sessionId }, {
+                $pull: { tokens: { _id: sessionId } }
+            }, { new: true, runValidators: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /*
+     * Description:
+     * 1.) Match the session by its access token, but only if it has not been marked as used since `since` (or never has been).
+     * 2.) Record the activity on that session. Nothing is written if the session was used recently, which keeps this cheap on every request.
+     */
+    /**
+     * @description Records activity (last-used-at time and IP address) on the session holding the provided access token.
+     *
+     * @param    {String} id       The ID of the user to update.
+     * @param    {String} token    The access token of the session.
+     * @param    {Object} activity The activity to record, containing `lastUsedAt` and optionally `ipAddress`.
+     * @param    {Date}   since    Sessions used after this time are left untouched.
+     * @memberof UserRepository
+     */
+    async updateTokenActivityById(id, token, activity, since) {
+        try {
+            await this.User.updateOne({
+                _id: id,
+                tokens: { $elemMatch: { token, lastUsedAt: { $not: { $gte: since } } } }
+            }, {
+                $set: UserRepository._toMatchedSessionUpdate(activity)
+            });
+        } catch (err) {
+            throw err;
+        }
+    }
+
     /**
      * @description Removes all tokens from the database for a user.
      *
@@ -118,6 +238,225 @@ class UserRepository {
         }
     }
 
+    /**
+     * @description Stores the hash and expiry of a newly issued password reset token, replacing any outstanding one.
+     *
+     * @param    {String} id            The ID of the user to update.
+     * @param    {Object} passwordReset An object containing the `token` hash and `expiresAt`.
+     * @returns  {Object} The JSON version of the updated user.
+     * @memberof UserRepository
+     */
+    async updatePasswordResetById(id, passwordReset) {
+        try {
+            // Update the password reset. toJSON already called in member method.
+            return await this.updateById(id, { passwordReset });
+        } catch (err) {
+            // Not determining error here for it will be caught and thrown by `this.updateById` and then re-thrown here.
+            throw err;
+        }
+    }
+
+    /**
+     * @description Replaces a user's password hash with a stronger hash of the same password, unless the password was changed in the meantime.
+     *
+     * @param    {String} id            The ID of the user to update.
+     * @param    {String} currentHash   The hash the new hash replaces.
+     * @param    {String} password      The new hash.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the password was changed in the meantime.
+     * @memberof UserRepository
+     */
+    async rehashPasswordById(id, currentHash, password) {
+        try {
+            const user = await this.User.findOneAndUpdate({ _id: id, password: currentHash }, { $set: { password } }, { new: true });
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Attempts to find the user holding an unexpired password reset token, returning `null` if there is none.
+     *
+     * @param    {String} tokenHash The hash of the password reset token.
+     * @returns  {Object} The JSON version of the found user or `null`.
+     * @memberof UserRepository
+     */
+    async readByPasswordResetToken(tokenHash) {
+        try {
+            // toJSON already called in member method.
+            return await this.readByQuery({ 'passwordReset.token': tokenHash, 'passwordReset.expiresAt': { $gt: new Date() } });
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /*
+     * Description:
+     * 1.) Match the user holding the unexpired password reset token.
+     * 2.) In the same operation, set the new password, remove every session, and remove the token so that it can't be used twice.
+     * 3.) Return `null` if no user holds the token.
+     */
+    /**
+     * @description Resets a user's password by a password reset token, consuming the token and revoking all of the user's sessions.
+     *
+     * @param    {String} tokenHash The hash of the password reset token.
+     * @param    {String} password  The new, already hashed, password.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the token is unknown or has expired.
+     * @memberof UserRepository
+     */
+    async resetPasswordByToken(tokenHash, password) {
+        try {
+            const user = await this.User.findOneAndUpdate({
+                'passwordReset.token': tokenHash,
+                'passwordReset.expiresAt': { $gt: new Date() }
+            }, {
+                $set: { password, tokens: [] },
+                $unset: { passwordReset: 1 }
+            }, { new: true, runValidators: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Stores the hash and expiry of a newly issued email verification token, replacing any outstanding one.
+     *
+     * @param    {String} id                The ID of the user to update.
+     * @param    {Object} emailVerification An object containing the `token` hash and `expiresAt`.
+     * @returns  {Object} The JSON version of the updated user.
+     * @memberof UserRepository
+     */
+    async updateEmailVerificationById(id, emailVerification) {
+        try {
+            // Update the email verification. toJSON already called in member method.
+            return await this.updateById(id, { emailVerification });
+        } catch (err) {
+            // Not determining error here for it will be caught and thrown by `this.updateById` and then re-thrown here.
+            throw err;
+        }
+    }
+
+    /*
+     * Description:
+     * 1.) Match the user holding the unexpired email verification token.
+     * 2.) In the same operation, mark the email address as verified and remove the token so that it can't be used twice.
+     * 3.) Return `null` if no user holds the token.
+     */
+    /**
+     * @description Verifies a user's email address by an email verification token, consuming the token.
+     *
+     * @param    {String} tokenHash The hash of the email verification token.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the token is unknown or has expired.
+     * @memberof UserRepository
+     */
+    async verifyEmailByToken(tokenHash) {
+        try {
+            const user = await this.User.findOneAndUpdate({
+                'emailVerification.token': tokenHash,
+                'emailVerification.expiresAt': { $gt: new Date() }
+            }, {
+                $set: { emailVerified: true },
+                $unset: { emailVerification: 1 }
+            }, { new: true, runValidators: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Replaces a user's two-factor authentication settings.
+     *
+     * @param    {String} id        The ID of the user to update.
+     * @param    {Object} twoFactor The two-factor settings (`enabled`, `secret`, `recoveryCodes` hashes, and `lastUsedStep`).
+     * @returns  {Object} The JSON version of the updated user.
+     * @memberof UserRepository
+     */
+    async updateTwoFactorById(id, twoFactor) {
+        try {
+            // Update the two-factor settings. toJSON already called in member method.
+            return await this.updateById(id, { twoFactor });
+        } catch (err) {
+            // Not determining error here for it will be caught and thrown by `this.updateById` and then re-thrown here.
+            throw err;
+        }
+    }
+
+    /**
+     * @description Removes a user's two-factor authentication settings, disabling two-factor authentication.
+     *
+     * @param    {String} id The ID of the user to update.
+     * @returns  {Object} The JSON version of the updated user.
+     * @memberof UserRepository
+     */
+    async removeTwoFactorById(id) {
+        try {
+            // Unset the two-factor settings. toJSON already called in member method.
+            return await this.updateById(id, {
+                $unset: { twoFactor: 1 }
+            });
+        } catch (err) {
+            // Not determining error here for it will be caught and thrown by `this.updateById` and then re-thrown here.
+            throw err;
+        }
+    }
+
+    /*
+     * Description:
+     * 1.) Match the user only if no code of this time step or a later one has been accepted yet.
+     * 2.) Record the time step, so that two requests can't both accept the same code.
+     * 3.) Return `null` if nothing matched.
+     */
+    /**
+     * @description Records the time step of an accepted two-factor code, provided no code of that step or a later one has been accepted before.
+     *
+     * @param    {String} id   The ID of the user to update.
+     * @param    {Number} step The time step of the accepted code.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the code has already been used.
+     * @memberof UserRepository
+     */
+    async updateTwoFactorStepById(id, step) {
+        try {
+            const user = await this.User.findOneAndUpdate({
+                _id: id,
+                'twoFactor.lastUsedStep': { $not: { $gte: step } }
+            }, {
+                $set: { 'twoFactor.lastUsedStep': step }
+            }, { new: true, runValidators: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Removes a recovery code from a user, provided the user still has it, so that each code can only be used once.
+     *
+     * @param    {String} id       The ID of the user to update.
+     * @param    {String} codeHash The hash of the recovery code.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the user has no such unused code.
+     * @memberof UserRepository
+     */
+    async consumeRecoveryCodeById(id, codeHash) {
+        try {
+            const user = await this.User.findOneAndUpdate({ _id: id, 'twoFactor.recoveryCodes': codeHash }, {
+                $pull: { 'twoFactor.recoveryCodes': codeHash }
+            }, { new: true, runValidators: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
     /**
      * @description Updates the paths that point to a user's avatar.
      *
@@ -136,6 +475,149 @@ class UserRepository {
         }
     }
 
+    /**
+     * @description Adds a new API key record to a user's API keys.
+     *
+     * @param    {String} id     The ID of the user to update.
+     * @param    {Object} apiKey The API key record (name, key hash, prefix, scopes, and expiry).
+     * @returns  The JSON version of the updated user.
+     * @memberof UserRepository
+     */
+    async addApiKeyById(id, apiKey) {
+        try {
+            // Push the new item into the array. toJSON already called in member method.
+            return await this.updateById(id, {
+                $push: { apiKeys: apiKey }
+            });
+        } catch (err) {
+            // Not determining error here for it will be caught and thrown by `this.updateById` and then re-thrown here.
+            throw err;
+        }
+    }
+
+    /**
+     * @description Removes a single API key from a user by the API key's ID.
+     *
+     * @param    {String} id       The ID of the user.
+     * @param    {String} apiKeyId The ID of the API key.
+     * @returns  {Object} The JSON version of the updated user, or `null` if the user has no such API key.
+     * @memberof UserRepository
+     */
+    async removeApiKeyById(id, apiKeyId) {
+        try {
+            const user = await this.User.findOneAndUpdate({ _id: id, 'apiKeys._id': apiKeyId }, {
+                $pull: { apiKeys: { _id: apiKeyId } }
+            }, { new: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Finds the user holding an API key, as long as the key hasn't expired.
+     *
+     * @param    {String} keyHash The hash of the API key.
+     * @returns  {Object} The JSON version of the found user, or `null` if the key is unknown or has expired.
+     * @memberof UserRepository
+     */
+    async readByApiKey(keyHash) {
+        try {
+            const user = await this.User.findOne({
+                apiKeys: { $elemMatch: { keyHash, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] } }
+            });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description Records the last-used-at time of an API key, unless it has already been recorded since `since`.
+     *
+     * @param    {String} id         The ID of the user.
+     * @param    {String} apiKeyId   The ID of the API key.
+     * @param    {Date}   lastUsedAt The time at which the API key was used.
+     * @param    {Date}   since      API keys used after this time are left untouched.
+     * @memberof UserRepository
+     */
+    async updateApiKeyUsageById(id, apiKeyId, lastUsedAt, since) {
+        try {
+            await this.User.updateOne({
+                _id: id,
+                apiKeys: { $elemMatch: { _id: apiKeyId, lastUsedAt: { $not: { $gte: since } } } }
+            }, {
+                $set: { 'apiKeys.$.lastUsedAt': lastUsedAt }
+            });
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /*
+     * Description:
+     * 1.) Set whether the user is disabled.
+     * 2.) In the same operation, remove all of a user's tokens when disabling him/her, so that no session outlives the account being disabled.
+     * 3.) Return `null` if there is no such user.
+     */
+    /**
+     * @description Disables or re-enables a user.
+     *
+     * @param    {String}  id       The ID of the user to update.
+     * @param    {Boolean} disabled Whether the user should be disabled.
+     * @returns  {Object} The JSON version of the updated user, or `null` if not found.
+     * @memberof UserRepository
+     */
+    async updateDisabledById(id, disabled) {
+        try {
+            const user = await this.User.findByIdAndUpdate(id, {
+                $set: disabled ? { disabled, tokens: [] } : { disabled }
+            }, { new: true, runValidators: true });
+
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Replaces the roles of a user.
+     *
+     * @param    {String}        id    The ID of the user to update.
+     * @param    {Array<String>} roles The new roles.
+     * @returns  {Object} The JSON version of the updated user, or `null` if not found.
+     * @memberof UserRepository
+     */
+    async updateRolesById(id, roles) {
+        try {
+            const user = await this.User.findByIdAndUpdate(id, { $set: { roles } }, { new: true, runValidators: true });
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            if (!err.name) throw err;
+            throw err.name === 'ValidationError' ? new ValidationError(err) : err;
+        }
+    }
+
+    /**
+     * @description Attempts to find all users matching a query object.
+     *
+     * @param    {Object} query        The query object with which to perform a search.
+     * @param    {Object} [options={}] Sorting and pagination options.
+     * @returns  {Array} The JSON versions of the found users.
+     * @memberof UserRepository
+     */
+    async readManyByQuery(query, options = {}) {
+        try {
+            const users = await this.User.find(query, null, options);
+            return users.map(user => user.toJSON());
+        } catch (err) {
+            throw err;
+        }
+    }
+
     /**
      * @description Attempts to find a user by a query object, returning `null` if not found.
      *
@@ -192,6 +674,43 @@ class UserRepository {
             throw err;
         }
     }
+
+    /**
+     * @description Deletes a user by their ID if they also match a query, in one operation so that the user can't change in between.
+     *
+     * @param    {String} id    The ID of the User Document to delete.
+     * @param    {Object} query The match constraints the user must also meet, such as their version.
+     * @returns  {Object} The JSON version of the deleted user, or `null` if no user matched.
+     * @memberof UserRepository
+     */
+    async deleteByIdWithQuery(id, query) {
+        try {
+            const user = await this.User.findOneAndDelete({ _id: id, ...query });
+            return user ? user.toJSON() : null;
+        } catch (err) {
+            throw err;
+        }
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Maps session fields onto the positional operator for the matched element of
+     *     the tokens array, skipping fields that are undefined so that they are left untouched.
+     *
+     * @static
+     * @param    {Object} fields The session fields to set.
+     * @returns  {Object} The `$set` update object.
+     * @memberof UserRepository
+     */
+    static _toMatchedSessionUpdate(fields) {
+        const $set = {};
+
+        Object.keys(fields)
+            .filter(key => typeof fields[key] !== 'undefined')
+            // eslint-disable-next-line no-return-assign
+            .forEach(key => $set[`tokens.$.${key}`] = fields[key]);
+
+        return $set;
+    }
 }
 
 module.exports = UserRepository;
\ No newline at end of file
@@ -16,5 +16,11 @@ const appFactory = require('./app');
 // Awilix Dependency Injection Container
 const container = require('./container/container-factory')();
 
+// Background Jobs
+const startJobs = require('./jobs/index');
+
 // Bind the server to the development port or whatever is available in production.
-appFactory(container).listen(process.env.PORT, () => console.log(`Server is up on port ${process.env.PORT}`));
\ No newline at end of file
+appFactory(container).listen(process.env.PORT, () => console.log(`Server is up on port ${process.env.PORT}`));
+
+// Start the background jobs, such as purging the trash.
+startJobs(container);
\ No newline at end of file
@@ -1,11 +1,33 @@
-/* 
+/*
  * File: AuthenticationService.js (src/services/AuthenticationService.js)
  *
- * Description: Handles authentication token related operations for the user, namely, JSON Web Token signing and verification.
+ * Description: Handles authentication token related operations for the user, namely, JSON Web Token signing and verification, and the generation of
+ * the opaque refresh tokens that are exchanged for new access tokens.
+ *
+ * Access tokens are short-lived JWTs. Refresh tokens take the form `<family>.<secret>`, where the family identifies the session (the chain of rotated
+ * refresh tokens) and the secret is random. Only a SHA-256 hash of a refresh token is ever persisted.
+ *
+ * Users with two-factor authentication enabled receive a short-lived challenge token (a JWT with a `typ` claim) after entering their password, which
+ * is exchanged along with a code for a real session.
+ *
+ * Personal API keys are opaque too, recognizable by their prefix, and likewise only persisted as a SHA-256 hash.
+ *
+ * JWTs are signed with the active key of the keyring in the application config (`authentication.signingKeys`), which names the key in the `kid`
+ * header, and verified with whichever key of the keyring the `kid` names. So to rotate keys, add a new key, make it the active one, and keep the old
+ * one in the keyring until the tokens it signed have expired. The public halves of the asymmetric (RS256 and ES256) keys are published as a JSON Web
+ * Key Set for other services. Without a keyring, tokens are signed with `JWT_SECRET` (HS256) and no `kid`, and tokens without a `kid` are always
+ * verified with `JWT_SECRET`, if it is set. The keyring is loaded once, when the container is created, see src/utils/signing-keys.js.
  */
 
+const crypto = require('crypto');
+
 const { AuthenticationError } = require('./../custom-exceptions/index');
 
+// The `typ` claim of two-factor challenge tokens, which distinguishes them from access tokens.
+const TWO_FACTOR_CHALLENGE = '2fa-challenge';
+
+// The prefix of personal API keys, which distinguishes them from access tokens (and makes them easy to spot in leaked code).
+const API_KEY_PREFIX = 'tak_';
 
 /**
  * @description Handles authentication token related operations for the user, namely, JSON Web Token signing and verification.
@@ -13,20 +35,25 @@ const { AuthenticationError } = require('./../custom-exceptions/index');
  * @class AuthenticationService
  */
 class AuthenticationService {
-    constructor({ jwt }) {
+    constructor({ jwt, appConfig, signingKeyring }) {
         this.jwt = jwt;
+        this.appConfig = appConfig;
+        this.signingKeyring = signingKeyring;
     }
 
     /**
-     * @description Generates a JSON Web Token.
+     * @description Generates a short-lived JSON Web Token.
      *
-     * @param   {String} id The ID with which to populate the token payload. See https://jwt.io/ for more information about JWTs.
+     * @param   {String} id       The ID with which to populate the token payload. See https://jwt.io/ for more information about JWTs.
+     * @param   {String} [family] The refresh token family (session) to which the token belongs.
      * @returns {String} The signed token.
      * @memberof AuthenticationService
      */
-    generateAuthToken(id) {
+    generateAuthToken(id, family) {
+        const payload = family ? { _id: id.toString(), fam: family } : { _id: id.toString() };
+
         // Generate a JSON Web Token for the user.
-        return this.jwt.sign({ _id: id.toString() }, process.env.JWT_SECRET);
+        return this._sign(payload, this.appConfig.authentication.accessTokens.getExpiresIn());
     }
 
     /**
@@ -37,13 +64,209 @@ class AuthenticationService {
      * @memberof AuthenticationService
      */
     verifyAuthToken(token) {
+        let decoded;
+
         try {
             // Attempt to verify the JSON Web Token for the user.
-            return this.jwt.verify(token, process.env.JWT_SECRET);
+            decoded = this._verify(token);
+        } catch (err) {
+            throw new AuthenticationError();
+        }
+
+        // A two-factor challenge token is not an access token.
+        if (decoded.typ === TWO_FACTOR_CHALLENGE) throw new AuthenticationError();
+
+        return decoded;
+    }
+
+    /**
+     * @description Generates the short-lived token given to a user who has entered the correct password but must still submit a two-factor code.
+     *
+     * @param    {String} id The ID of the user.
+     * @returns  {String} The signed challenge token.
+     * @memberof AuthenticationService
+     */
+    generateChallengeToken(id) {
+        return this._sign({ _id: id.toString(), typ: TWO_FACTOR_CHALLENGE }, this.appConfig.authentication.twoFactor.challengeTokens.getExpiresIn());
+    }
+
+    /**
+     * @description Verifies a two-factor challenge token, throwing an AuthenticationError if it is invalid, expired, or not a challenge token.
+     *
+     * @param    {String} token The challenge token to verify.
+     * @returns  {Object} The decoded payload object.
+     * @memberof AuthenticationService
+     */
+    verifyChallengeToken(token) {
+        let decoded;
+
+        try {
+            decoded = this._verify(token);
         } catch (err) {
             throw new AuthenticationError();
         }
+
+        if (decoded.typ !== TWO_FACTOR_CHALLENGE) throw new AuthenticationError();
+
+        return decoded;
+    }
+
+    /*
+     * Description:
+     * 1.) Start a new token family if one was not provided (a new login), otherwise rotate within the provided family.
+     * 2.) Sign the access token and generate the random refresh token secret.
+     * 3.) Return the plain-text tokens for the client along with the session record to persist.
+     */
+    /**
+     * @description Generates an access token and refresh token pair, along with the session record that should be stored for the user.
+     *
+     * @param    {String} id       The ID of the user.
+     * @param    {String} [family] The existing token family when rotating, or undefined to begin a new one.
+     * @returns  {Object} An object containing `token`, `refreshToken`, and the `session` record.
+     * @memberof AuthenticationService
+     */
+    generateSession(id, family = this.generateOpaqueToken(16)) {
+        const token = this.generateAuthToken(id, family);
+        const refreshToken = `${family}.${this.generateOpaqueToken()}`;
+
+        return {
+            token,
+            refreshToken,
+            session: {
+                token,
+                refreshToken: this.hashToken(refreshToken),
+                family,
+                expiresAt: new Date(Date.now() + this.appConfig.authentication.refreshTokens.getTimeToLive())
+            }
+        };
+    }
+
+    /**
+     * @description Extracts the token family from a refresh token, throwing an AuthenticationError if the token is malformed.
+     *
+     * @param    {String} refreshToken The plain-text refresh token.
+     * @returns  {String} The token family.
+     * @memberof AuthenticationService
+     */
+    // eslint-disable-next-line class-methods-use-this
+    parseRefreshToken(refreshToken) {
+        const parts = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+        if (parts.length !== 2 || !parts[0] || !parts[1]) throw new AuthenticationError();
+
+        return parts[0];
+    }
+
+    /**
+     * @description Builds the JSON Web Key Set holding the public keys with which other services can verify our tokens. Shared (HS256) secrets are
+     *     never published.
+     *
+     * @returns  {Object} The JWKS, as `{ keys: [...] }`.
+     * @memberof AuthenticationService
+     */
+    getJWKS() {
+        return { keys: this.signingKeyring.getPublicJWKs() };
+    }
+
+    /**
+     * @description Generates a new personal API key.
+     *
+     * @returns  {String} The plain-text API key.
+     * @memberof AuthenticationService
+     */
+    generateApiKey() {
+        return `${API_KEY_PREFIX}${this.generateOpaqueToken()}`;
+    }
+
+    /**
+     * @description Determines whether a bearer token is a personal API key rather than an access token.
+     *
+     * @param    {String} token The bearer token.
+     * @returns  {Boolean} Whether the token is an API key.
+     * @memberof AuthenticationService
+     */
+    // eslint-disable-next-line class-methods-use-this
+    isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+    }
+
+    /**
+     * @description Generates a random opaque token, such as a refresh token secret or a password reset token.
+     *
+     * @param    {Number} [bytes=32] The number of random bytes.
+     * @returns  {String} The hex-encoded token.
+     * @memberof AuthenticationService
+     */
+    // eslint-disable-next-line class-methods-use-this
+    generateOpaqueToken(bytes = 32) {
+        return crypto.randomBytes(bytes).toString('hex');
+    }
+
+    /**
+     * @description Computes the hash under which an opaque token is stored.
+     *
+     * @param    {String} token The plain-text token.
+     * @returns  {String} The hex-encoded SHA-256 hash.
+     * @memberof AuthenticationService
+     */
+    // eslint-disable-next-line class-methods-use-this
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Signs a JWT with the active key, naming it in the `kid` header.
+     *
+     * @param    {Object}        payload   The payload.
+     * @param    {String|Number} expiresIn The lifetime of the token, in a format understood by jsonwebtoken's `expiresIn`.
+     * @returns  {String} The signed token.
+     * @memberof AuthenticationService
+     */
+    _sign(payload, expiresIn) {
+        const activeKey = this.signingKeyring.getActiveKey();
+
+        // Without a keyring, fall back to the single shared secret.
+        if (!activeKey) {
+            return this.jwt.sign(payload, this.appConfig.authentication.getJWTSecret(), { algorithm: 'HS256', expiresIn });
+        }
+
+        const { kid, algorithm, signingKey } = activeKey;
+        return this.jwt.sign(payload, signingKey, { algorithm, expiresIn, keyid: kid });
+    }
+
+    /*
+     * Description:
+     * 1.) Read the `kid` from the header of the token.
+     * 2.) Find the key it names in the keyring, or use the shared secret for tokens without a `kid`.
+     * 3.) Verify the token with that key, only allowing that key's algorithm so that one kind of key can't be passed off as another.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Verifies a JWT with the key named by its `kid` header, throwing if the token
+     *     is invalid, has expired, or names an unknown key.
+     *
+     * @param    {String} token The token to verify.
+     * @returns  {Object} The decoded payload object.
+     * @memberof AuthenticationService
+     */
+    _verify(token) {
+        const decoded = this.jwt.decode(token, { complete: true });
+        if (!decoded) throw new AuthenticationError();
+
+        const { kid } = decoded.header;
+        let algorithm = 'HS256';
+        let key = this.appConfig.authentication.getJWTSecret();
+
+        if (kid !== undefined) {
+            const signingKey = this.signingKeyring.findKey(kid);
+            if (!signingKey) throw new AuthenticationError();
+
+            ({ algorithm, verificationKey: key } = signingKey);
+        }
+
+        if (!key) throw new AuthenticationError();
+
+        return this.jwt.verify(token, key, { algorithms: [algorithm] });
     }
 }
 
-module.exports = AuthenticationService;
\ No newline at end of file
+module.exports = AuthenticationService;
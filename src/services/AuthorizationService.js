@@ -0,0 +1,63 @@
+/*
+ * File: AuthorizationService.js (src/services/AuthorizationService.js)
+ *
+ * Description: Resolves what a user may do from his/her roles. Each role maps to a list of permissions (see `src/utils/roles.js`), and a user holds
+ * every permission of every role he/she has. Roles that aren't configured grant nothing.
+ */
+
+// Custom Exceptions
+const { ValidationError } = require('./../custom-exceptions/index');
+
+/**
+ * @description Handles permission checks and role validation.
+ *
+ * @class AuthorizationService
+ */
+class AuthorizationService {
+    constructor({ roles }) {
+        // Dependency Injection
+        this.roles = roles;
+    }
+
+    /**
+     * @description Collects the permissions granted by a user's roles.
+     *
+     * @param    {Object} user The user.
+     * @returns  {Array<String>} The unique permissions.
+     * @memberof AuthorizationService
+     */
+    getPermissions(user) {
+        const permissions = (user.roles || []).reduce((all, role) => all.concat(this.roles[role] || []), []);
+
+        return [...new Set(permissions)];
+    }
+
+    /**
+     * @description Determines whether a user has been granted a permission by any of his/her roles.
+     *
+     * @param    {Object} user       The user.
+     * @param    {String} permission The permission, such as `users:read`.
+     * @returns  {Boolean} Whether the user has the permission.
+     * @memberof AuthorizationService
+     */
+    hasPermission(user, permission) {
+        return this.getPermissions(user).includes(permission);
+    }
+
+    /**
+     * @description Ensures that a list of roles is non-empty and names only configured roles, throwing a ValidationError otherwise.
+     *
+     * @param    {Array<String>} roles The roles to assign.
+     * @memberof AuthorizationService
+     */
+    assertValidRoles(roles) {
+        if (!Array.isArray(roles) || roles.length === 0) throw new ValidationError(null, 'At least one role is required.');
+
+        const knownRoles = Object.keys(this.roles);
+        const unknownRole = roles.find(role => !knownRoles.includes(role));
+
+        if (unknownRole !== undefined) throw new ValidationError(null, `The role "${unknownRole}" does not exist.`);
+    }
+}
+
+module.exports = AuthorizationService;
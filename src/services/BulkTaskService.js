@@ -0,0 +1,224 @@
+/*
+ * File: BulkTaskService.js (src/services/BulkTaskService.js)
+ *
+ * Description: This class encapsulates the business logic of changing many tasks of the signed in user in one request, either by a list of operations or
+ * by an action on every task matching a filter. Each operation is performed by the TaskService just as it would be on its own, so the same validation
+ * and owner scoping apply, and its outcome is reported separately. Operations can also be performed all or nothing, in a transaction that the first
+ * failed operation aborts.
+ */
+
+// Custom Exceptions
+const { ValidationError } = require('./../custom-exceptions/index');
+
+// The actions of operations on single tasks, and those that can be performed on every task matching a filter.
+const OPERATION_ACTIONS = ['create', 'update', 'complete', 'delete'];
+const FILTER_ACTIONS = ['complete', 'delete'];
+
+// The filters of the task list that can select the tasks of a filter action, and those of them that are true or false.
+const FILTER_KEYS = ['completed', 'dueBefore', 'dueAfter', 'overdue', 'dueToday', 'tags', 'tagsMatch', 'project', 'q'];
+const BOOLEAN_FILTER_KEYS = ['completed', 'overdue', 'dueToday'];
+
+// The most operations that can be listed in one request, or performed on the tasks matching a filter.
+const MAX_BULK_OPERATIONS = 100;
+
+// Tasks are found by their MongoDB ID, which is checked up front so that a malformed one fails its request rather than the database query.
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+class BulkTaskService {
+    constructor({ taskService, taskRepository, context }) {
+        // Dependency Injection
+        this.taskService = taskService;
+        this.taskRepository = taskRepository;
+        this.context = context;
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the request lists operations, or has a filter and the action to perform on the tasks matching it, but not both.
+     * 2.) For a filter action, find the tasks of the user matching the filter, and plan the action on each.
+     * 3.) Perform the operations in order, recording the task each resulted in or the error it failed with.
+     * 4.) All or nothing, the operations run in a transaction. The first that fails aborts it, throwing a ValidationError with the results up to it as
+     *     its details, where those that had succeeded are rolled back.
+     */
+    /**
+     * @description - Performs a list of operations on tasks of the signed in user, or an action on every task of theirs matching a filter.
+     *
+     * @param    {Object}        request                The bulk request.
+     * @param    {Array<Object>} [request.operations]   The operations, each with an `action` and the `task` to create, or the `id` of the task to
+     *     `update` (with `updates`), `complete`, or `delete`.
+     * @param    {Object}        [request.filter]       The filters of the tasks to act on, as for listing tasks.
+     * @param    {String}        [request.action]       The action to perform on every task matching the filter, `complete` or `delete`.
+     * @param    {Boolean}       [request.atomic=false] Whether to perform all of the operations or none of them.
+     * @returns  {Object} The `results` of the operations in order, and the number that `succeeded` and `failed`.
+     * @memberof BulkTaskService
+     */
+    async performBulkOperations({ operations, filter, action, atomic = false } = {}) {
+        if (typeof atomic !== 'boolean') throw new ValidationError(null, 'Whether the operations are atomic must be true or false.');
+        if ((operations === undefined) === (filter === undefined)) throw new ValidationError(null, 'Provide either a list of operations or a filter.');
+
+        const plannedOperations = operations !== undefined
+            ? BulkTaskService._validateOperations(operations)
+            : await this._planFilterAction(filter, action);
+
+        if (!atomic) return BulkTaskService._summarize(await this._performInOrder(plannedOperations));
+
+        const results = await this.taskRepository.withTransaction(async () => {
+            const performedResults = await this._performInOrder(plannedOperations, true);
+            const failedResult = performedResults.find(result => result.status === 'failed');
+
+            if (failedResult) {
+                const details = performedResults.map(result => (
+                    result.status === 'succeeded' ? { index: result.index, action: result.action, id: result.id, status: 'rolledBack' } : result
+                ));
+
+                throw new ValidationError(null, `The operation at index ${failedResult.index} failed, so none of the operations were performed.`, details);
+            }
+
+            return performedResults;
+        });
+
+        return BulkTaskService._summarize(results);
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the filter has at least one known filter, so that an empty filter can't act on every task by mistake.
+     * 2.) Count the matching tasks of the user, leaving out those that are already completed when completing, and throw a ValidationError if there
+     *     are more than can be changed in one request.
+     * 3.) Find the matching tasks, oldest first.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Plans an action on every task of the signed in user matching a filter.
+     *
+     * @param    {Object} filter The filters of the tasks.
+     * @param    {String} action The action, `complete` or `delete`.
+     * @returns  {Array<Object>} The operations.
+     * @memberof BulkTaskService
+     */
+    async _planFilterAction(filter, action) {
+        if (!FILTER_ACTIONS.includes(action)) throw new ValidationError(null, `The action of a filter must be one of ${FILTER_ACTIONS.join(', ')}.`);
+
+        const filterKeys = filter && typeof filter === 'object' && !Array.isArray(filter) ? Object.keys(filter) : [];
+
+        if (filterKeys.length === 0 || !filterKeys.every(key => FILTER_KEYS.includes(key))) {
+            throw new ValidationError(null, `The filter must have at least one of ${FILTER_KEYS.join(', ')}.`);
+        }
+
+        if (BOOLEAN_FILTER_KEYS.some(key => key in filter && typeof filter[key] !== 'boolean')) {
+            throw new ValidationError(null, `The ${BOOLEAN_FILTER_KEYS.join(', ')} filters must be true or false.`);
+        }
+
+        // Completing leaves out the tasks that are already completed, so a filter for completed tasks has none to complete.
+        if (action === 'complete' && filter.completed === true) return [];
+
+        const query = action === 'complete' ? { ...filter, completed: false } : filter;
+        const count = await this.taskService.countTasksByQueryForUser(query);
+
+        if (count > MAX_BULK_OPERATIONS) {
+            throw new ValidationError(null, `The filter matches ${count} tasks, but at most ${MAX_BULK_OPERATIONS} can be changed in one request.`);
+        }
+
+        const tasks = await this.taskService.retrieveTasksByQueryForUser(query, { sort: { createdAt: 1 }, limit: MAX_BULK_OPERATIONS });
+
+        return tasks.map(task => ({ action, id: task._id.toString() }));
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Performs operations one after another, as a transaction can only perform one
+     *     at a time.
+     *
+     * @param    {Array<Object>} operations            The operations.
+     * @param    {Boolean}       [stopOnFailure=false] Whether to leave out the operations after one that failed.
+     * @returns  {Array<Object>} The results of the operations performed.
+     * @memberof BulkTaskService
+     */
+    async _performInOrder(operations, stopOnFailure = false) {
+        return operations.reduce(async (previousResults, operation, index) => {
+            const results = await previousResults;
+
+            if (stopOnFailure && results.some(result => result.status === 'failed')) return results;
+
+            return [...results, await this._perform(operation, index)];
+        }, Promise.resolve([]));
+    }
+
+    /*
+     * Description:
+     * 1.) Perform the operation through the TaskService, which scopes it to the tasks of the signed in user.
+     * 2.) Record errors of ours as the failure of the operation, with the status code it would have responded with on its own. Other errors are
+     *     unexpected, and fail the whole request.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Performs an operation.
+     *
+     * @param    {Object} operation The operation.
+     * @param    {Number} index     The position of the operation in the request.
+     * @returns  {Object} The result of the operation.
+     * @memberof BulkTaskService
+     */
+    async _perform({ action, id, task, updates }, index) {
+        const performAction = {
+            create: () => this.taskService.createNewTask(task),
+            update: () => this.taskService.updateTaskById(id, updates),
+            complete: () => this.taskService.updateTaskById(id, { completed: true }),
+            delete: () => this.taskService.deleteTaskById(id)
+        }[action];
+
+        try {
+            const resultingTask = await performAction();
+
+            return resultingTask
+                ? { index, action, id: resultingTask._id.toString(), status: 'succeeded', task: resultingTask }
+                : { index, action, id, status: 'succeeded' };
+        } catch (err) {
+            if (!err.data || err.data.custom !== true) throw err;
+
+            return { index, action, id, status: 'failed', statusCode: err.data.statusCode, error: err.data.message };
+        }
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Ensures that operations are a list of at most 100 operations with a known
+     *     action, where those on existing tasks have the ID of one.
+     *
+     * @static
+     * @param    {Array<Object>} operations The operations.
+     * @returns  {Array<Object>} The operations.
+     * @memberof BulkTaskService
+     */
+    static _validateOperations(operations) {
+        if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BULK_OPERATIONS) {
+            throw new ValidationError(null, `The operations must be a list of 1 to ${MAX_BULK_OPERATIONS} operations.`);
+        }
+
+        operations.forEach((operation, index) => {
+            if (!operation || !OPERATION_ACTIONS.includes(operation.action)) {
+                throw new ValidationError(null, `The operation at index ${index} must have an action of ${OPERATION_ACTIONS.join(', ')}.`);
+            }
+
+            if (operation.action !== 'create' && !(typeof operation.id === 'string' && OBJECT_ID_PATTERN.test(operation.id))) {
+                throw new ValidationError(null, `The operation at index ${index} must have the ID of a task.`);
+            }
+        });
+
+        return operations;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Counts the operations that succeeded and failed.
+     *
+     * @static
+     * @param    {Array<Object>} results The results of the operations.
+     * @returns  {Object} The results, and the number that `succeeded` and `failed`.
+     * @memberof BulkTaskService
+     */
+    static _summarize(results) {
+        return {
+            results,
+            succeeded: results.filter(result => result.status === 'succeeded').length,
+            failed: results.filter(result => result.status === 'failed').length
+        };
+    }
+}
+
+module.exports = BulkTaskService;
@@ -0,0 +1,204 @@
+/*
+ * File: ChecklistService.js (src/services/ChecklistService.js)
+ *
+ * Description: This class encapsulates the business logic of the checklists that break tasks down into smaller steps. The items of a checklist are
+ * stored on their task, and are changed in place so that concurrent changes to different items don't overwrite each other. A task can opt in to being
+ * completed when every item of its checklist is checked, with its `completeWithChecklist` flag.
+ */
+
+// Custom Exceptions
+const { ValidationError, ResourceNotFoundError } = require('./../custom-exceptions/index');
+
+// Task Enumerations
+const { TaskRevisionAction } = require('./../constants/task');
+
+class ChecklistService {
+    constructor({ taskRepository, revisionService, workflowService, context }) {
+        // Dependency Injection
+        this.taskRepository = taskRepository;
+        this.revisionService = revisionService;
+        this.workflowService = workflowService;
+        this.context = context;
+    }
+
+    /**
+     * @description - Finds the checklist of a task of the signed in user.
+     *
+     * @param    {String} taskId The ID of the task.
+     * @returns  {Array<Object>} The items of the checklist.
+     * @memberof ChecklistService
+     */
+    async retrieveChecklist(taskId) {
+        const task = await this._retrieveTask(taskId);
+        return task.checklist || [];
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the item has text, and if it says whether it is checked, a boolean.
+     * 2.) Append the item to the checklist, throwing a ResourceNotFoundError if the user owns no task by the ID.
+     * 3.) Complete or reopen the task if it follows its checklist.
+     */
+    /**
+     * @description - Adds an item to the end of the checklist of a task of the signed in user.
+     *
+     * @param    {String} taskId The ID of the task.
+     * @param    {Object} item   The `text` of the item, and optionally whether it is `checked`.
+     * @returns  {Object} The updated task.
+     * @memberof ChecklistService
+     */
+    async addChecklistItem(taskId, item) {
+        if (!item || typeof item !== 'object') throw new ValidationError();
+
+        const { text, checked = false } = ChecklistService._validateItem({ text: '', ...item });
+        const task = await this.taskRepository.updateByIdWithQuery(taskId, { owner: this.context.user._id }, { $push: { checklist: { text, checked } } });
+
+        if (!task) throw new ResourceNotFoundError();
+
+        return this._followChecklist(task);
+    }
+
+    /**
+     * @description - Renames, checks, or unchecks an item of the checklist of a task of the signed in user.
+     *
+     * @param    {String} taskId                The ID of the task.
+     * @param    {String} itemId                The ID of the item.
+     * @param    {Object} [requestedUpdates={}] The new `text` or `checked` flag.
+     * @returns  {Object} The updated task.
+     * @memberof ChecklistService
+     */
+    async updateChecklistItem(taskId, itemId, requestedUpdates = {}) {
+        const updateKeys = Object.keys(requestedUpdates);
+        const allowedUpdates = ['text', 'checked'];
+
+        if (updateKeys.length === 0 || !updateKeys.every(update => allowedUpdates.includes(update))) throw new ValidationError();
+
+        const updates = ChecklistService._validateItem(requestedUpdates);
+        const task = await this.taskRepository.updateByIdWithQuery(taskId, { owner: this.context.user._id, 'checklist._id': itemId }, {
+            $set: Object.keys(updates).reduce((set, key) => ({ ...set, [`checklist.$.${key}`]: updates[key] }), {})
+        });
+
+        if (!task) throw new ResourceNotFoundError(null, 'checklist item');
+
+        return this._followChecklist(task);
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the IDs are distinct IDs of items of the checklist.
+     * 2.) Put the listed items first, in the order listed, followed by the others in their current order.
+     */
+    /**
+     * @description - Reorders the checklist of a task of the signed in user.
+     *
+     * @param    {String}        taskId  The ID of the task.
+     * @param    {Array<String>} itemIds The IDs of the items in their new order, which may leave out items at the end of the checklist.
+     * @returns  {Object} The updated task.
+     * @memberof ChecklistService
+     */
+    async reorderChecklist(taskId, itemIds) {
+        const isListOfIds = Array.isArray(itemIds) && itemIds.length > 0 && itemIds.every(id => typeof id === 'string');
+
+        if (!isListOfIds || new Set(itemIds).size !== itemIds.length) throw new ValidationError(null, 'The item IDs must be a list of distinct IDs.');
+
+        const { checklist = [] } = await this._retrieveTask(taskId);
+        const itemsById = new Map(checklist.map(item => [item._id.toString(), item]));
+
+        const unknownIds = itemIds.filter(id => !itemsById.has(id));
+        if (unknownIds.length > 0) throw new ValidationError(null, `The checklist has no items with the IDs ${unknownIds.join(', ')}.`);
+
+        const orderedIds = [...itemIds, ...[...itemsById.keys()].filter(id => !itemIds.includes(id))];
+
+        const task = await this.taskRepository.updateByIdWithQuery(taskId, { owner: this.context.user._id }, {
+            checklist: orderedIds.map(id => itemsById.get(id))
+        });
+
+        if (!task) throw new ResourceNotFoundError();
+
+        return task;
+    }
+
+    /**
+     * @description - Deletes an item from the checklist of a task of the signed in user.
+     *
+     * @param    {String} taskId The ID of the task.
+     * @param    {String} itemId The ID of the item.
+     * @returns  {Object} The updated task.
+     * @memberof ChecklistService
+     */
+    async deleteChecklistItem(taskId, itemId) {
+        const task = await this.taskRepository.updateByIdWithQuery(taskId, { owner: this.context.user._id, 'checklist._id': itemId }, {
+            $pull: { checklist: { _id: itemId } }
+        });
+
+        if (!task) throw new ResourceNotFoundError(null, 'checklist item');
+
+        return this._followChecklist(task);
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds a task of the signed in user, throwing a ResourceNotFoundError if there
+     *     is not one.
+     *
+     * @param    {String} taskId The ID of the task.
+     * @returns  {Object} The task.
+     * @memberof ChecklistService
+     */
+    async _retrieveTask(taskId) {
+        const [task] = await this.taskRepository.readByIdWithQuery(taskId, { owner: this.context.user._id });
+
+        if (!task) throw new ResourceNotFoundError();
+
+        return task;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Completes a task that follows its checklist once every item is checked, and
+     *     reopens it once one is not, moving it to the last or first status of its workflow, and recording the change in the history of the task.
+     *
+     * @param    {Object} task The task after its checklist changed.
+     * @returns  {Object} The task, updated if its completion changed.
+     * @memberof ChecklistService
+     */
+    async _followChecklist(task) {
+        if (!task.completeWithChecklist || !task.checklist || task.checklist.length === 0) return task;
+
+        const completed = task.checklist.every(item => item.checked);
+        if (task.completed === completed) return task;
+
+        const updates = { completed, ...await this.workflowService.getStatusUpdates(task, { completed }) };
+        const updatedTask = await this.taskRepository.updateByIdWithQuery(task._id, { owner: this.context.user._id }, updates);
+        if (!updatedTask) return task;
+
+        await this.revisionService.recordRevision(completed ? TaskRevisionAction.Complete : TaskRevisionAction.Update, task, updatedTask);
+
+        return updatedTask;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Ensures that the text of an item is a non-empty string and whether it is
+     *     checked a boolean, where they are provided.
+     *
+     * @static
+     * @param    {Object} item The `text` and `checked` flag of the item.
+     * @returns  {Object} The provided fields, with the text trimmed.
+     * @memberof ChecklistService
+     */
+    static _validateItem({ text, checked }) {
+        const fields = {};
+
+        if (text !== undefined) {
+            if (typeof text !== 'string' || !text.trim()) throw new ValidationError(null, 'Checklist items must have text.');
+            fields.text = text.trim();
+        }
+
+        if (checked !== undefined) {
+            if (typeof checked !== 'boolean') throw new ValidationError(null, 'Whether a checklist item is checked must be true or false.');
+            fields.checked = checked;
+        }
+
+        return fields;
+    }
+}
+
+module.exports = ChecklistService;
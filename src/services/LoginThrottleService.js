@@ -0,0 +1,138 @@
+/*
+ * File: LoginThrottleService.js (src/services/LoginThrottleService.js)
+ *
+ * Description: Limits how quickly passwords (and two-factor codes) can be guessed. Failed attempts are counted both against the account (by email, so
+ * that unknown addresses are throttled alike) and against the IP address they came from. Past a number of free attempts, each failure delays the next
+ * attempt exponentially, and an account that keeps failing is temporarily locked. Blocked attempts are rejected with a TooManyAttemptsError (429, or
+ * 423 for a locked account) before any password is checked.
+ */
+
+// Custom Exceptions
+const { TooManyAttemptsError } = require('./../custom-exceptions/index');
+
+class LoginThrottleService {
+    constructor({ throttleRepository, appConfig }) {
+        // Dependency Injection
+        this.throttleRepository = throttleRepository;
+        this.appConfig = appConfig;
+    }
+
+    /*
+     * Description:
+     * 1.) Find the throttles for the account and the IP address.
+     * 2.) Throw a TooManyAttemptsError if either is blocked, preferring to report a lockout of the account.
+     */
+    /**
+     * @description Ensures that a login attempt is currently allowed.
+     *
+     * @param    {Object} attempt           The attempt.
+     * @param    {String} attempt.email     The email address the attempt is made against.
+     * @param    {String} attempt.ipAddress The IP address the attempt is made from.
+     * @memberof LoginThrottleService
+     */
+    async assertAllowed(attempt) {
+        const throttles = await this.throttleRepository.readByKeys(LoginThrottleService._toKeys(attempt));
+
+        const now = Date.now();
+        const blocks = throttles
+            .filter(throttle => throttle.blockedUntil && new Date(throttle.blockedUntil).getTime() > now)
+            .sort((a, b) => Number(b.locked) - Number(a.locked));
+
+        if (blocks.length === 0) return;
+
+        const [{ blockedUntil, locked }] = blocks;
+        throw new TooManyAttemptsError(null, Math.ceil((new Date(blockedUntil).getTime() - now) / 1000), locked);
+    }
+
+    /*
+     * Description:
+     * 1.) Count the failure against the account and the IP address.
+     * 2.) Block each of them that has used up its free attempts, for a delay that doubles with every further failure, or lock the account once it
+     * reaches the lockout threshold.
+     * 3.) Restart the count of a locked account, so that a single failure after the lockout ends doesn't lock it again.
+     */
+    /**
+     * @description Records a failed login attempt.
+     *
+     * @param    {Object} attempt           The attempt.
+     * @param    {String} attempt.email     The email address the attempt was made against.
+     * @param    {String} attempt.ipAddress The IP address the attempt was made from.
+     * @memberof LoginThrottleService
+     */
+    async recordFailure(attempt) {
+        const config = this.appConfig.authentication.loginThrottling;
+        const keys = LoginThrottleService._toKeys(attempt);
+
+        await Promise.all(keys.map(async key => {
+            const now = Date.now();
+            const { failures } = await this.throttleRepository.incrementFailuresByKey(key, new Date(now + config.getWindow()));
+
+            const block = this._computeBlock(key, failures);
+            if (!block) return;
+
+            const blockedUntil = new Date(now + block.duration);
+            await this.throttleRepository.updateBlockByKey(key, {
+                blockedUntil,
+                locked: block.locked,
+                ...(block.locked ? { failures: 0 } : {}),
+                // Don't let the counters expire before the block does.
+                expiresAt: new Date(Math.max(now + config.getWindow(), blockedUntil.getTime()))
+            });
+        }));
+    }
+
+    /**
+     * @description Clears the failed attempt counters, such as after a successful login or password reset.
+     *
+     * @param    {Object} attempt             The attempt.
+     * @param    {String} attempt.email       The email address of the account.
+     * @param    {String} [attempt.ipAddress] The IP address, if its counters should be cleared too.
+     * @memberof LoginThrottleService
+     */
+    async clear(attempt) {
+        await this.throttleRepository.deleteByKeys(LoginThrottleService._toKeys(attempt));
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Works out how long to block a key for after its latest failure.
+     *
+     * @param    {String} key      The key of the throttle.
+     * @param    {Number} failures The number of failures counted against the key.
+     * @returns  {Object} The `duration` of the block in milliseconds and whether it is a lockout (`locked`), or `null` if no block is due.
+     * @memberof LoginThrottleService
+     */
+    _computeBlock(key, failures) {
+        const config = this.appConfig.authentication.loginThrottling;
+        const isAccount = key.startsWith('account:');
+        const keyConfig = isAccount ? config.accounts : config.ipAddresses;
+
+        if (isAccount && failures >= keyConfig.getLockoutThreshold()) {
+            return { duration: keyConfig.getLockoutDuration(), locked: true };
+        }
+
+        const excessFailures = failures - keyConfig.getFreeAttempts();
+        if (excessFailures <= 0) return null;
+
+        // Cap the exponent too, so that the delay can't overflow.
+        const delay = config.getBaseDelay() * (2 ** Math.min(excessFailures - 1, 30));
+        return { duration: Math.min(delay, config.getMaxDelay()), locked: false };
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Maps an attempt to the keys of its throttles.
+     *
+     * @static
+     * @param    {Object} attempt The attempt, containing `email` and optionally `ipAddress`.
+     * @returns  {Array<String>} The keys.
+     * @memberof LoginThrottleService
+     */
+    static _toKeys({ email, ipAddress }) {
+        const keys = [`account:${String(email).trim().toLowerCase()}`];
+
+        if (ipAddress) keys.push(`ip:${ipAddress}`);
+
+        return keys;
+    }
+}
+
+module.exports = LoginThrottleService;
@@ -0,0 +1,70 @@
+/*
+ * File: MailService.js (src/services/MailService.js)
+ *
+ * Description: Composes the emails the application sends to users and hands them off to the MailAdapter, acting as a facade so that other services
+ * don't deal with message content.
+ */
+
+class MailService {
+    constructor({ mailAdapter, appConfig }) {
+        // Dependency Injection
+        this.mailAdapter = mailAdapter;
+        this.appConfig = appConfig;
+    }
+
+    /**
+     * @description Sends a user the token with which he/she can reset his/her password.
+     *
+     * @param    {Object} user  The user, containing at least `email` and `name`.
+     * @param    {String} token The plain-text password reset token.
+     * @returns  Promise settling with the result of the MailAdapter.
+     * @memberof MailService
+     */
+    async sendPasswordResetEmail(user, token) {
+        const minutes = Math.round(this.appConfig.authentication.passwordResetTokens.getTimeToLive() / 60000);
+
+        return this.mailAdapter.sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: [
+                `Hi ${user.name},`,
+                '',
+                'Someone (hopefully you) asked to reset the password for your account. Use the following token to choose a new password:',
+                '',
+                token,
+                '',
+                `The token can only be used once and expires in ${minutes} minutes. If you didn't ask for this, you can ignore this email.`
+            ].join('\n')
+        });
+    }
+
+    /**
+     * @description Sends a user the token with which he/she can verify his/her email address, both as a link and as plain text.
+     *
+     * @param    {Object} user  The user, containing at least `email` (the address to verify) and `name`.
+     * @param    {String} token The plain-text email verification token.
+     * @returns  Promise settling with the result of the MailAdapter.
+     * @memberof MailService
+     */
+    async sendEmailVerificationEmail(user, token) {
+        const hours = Math.round(this.appConfig.authentication.emailVerificationTokens.getTimeToLive() / 3600000);
+
+        return this.mailAdapter.sendMail({
+            to: user.email,
+            subject: 'Verify your email address',
+            text: [
+                `Hi ${user.name},`,
+                '',
+                'Please confirm that this is your email address by following the link below:',
+                '',
+                `${this.appConfig.mail.getApplicationURL()}/api/v1/users/verify-email?token=${encodeURIComponent(token)}`,
+                '',
+                `Or, submit this token: ${token}`,
+                '',
+                `The link expires in ${hours} hours.`
+            ].join('\n')
+        });
+    }
+}
+
+module.exports = MailService;
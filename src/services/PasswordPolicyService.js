@@ -0,0 +1,153 @@
+/*
+ * File: PasswordPolicyService.js (src/services/PasswordPolicyService.js)
+ *
+ * Description: Decides whether a new password is acceptable. A password has to be of a reasonable length, mix a few kinds of characters, must not contain
+ * the user's name or email address, and must not be one of the common or breached passwords attackers try first. A password that breaks any of these
+ * rules is rejected with a ValidationError whose `details` list every rule it broke, so that clients can tell the user exactly what to change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Custom Exceptions
+const { ValidationError } = require('./../custom-exceptions/index');
+
+// Parts of a name or email address shorter than this are too common to reject passwords for, such as "Al" or "Jo".
+const MIN_PERSONAL_INFORMATION_LENGTH = 4;
+
+// Lowercase letters, uppercase letters, digits, and everything else.
+const CHARACTER_CLASSES = [/\p{Ll}/u, /\p{Lu}/u, /\p{Nd}/u, /[^\p{L}\p{Nd}]/u];
+
+// Blocklists are read once per file, as they don't change while the application runs.
+const blocklists = new Map();
+
+class PasswordPolicyService {
+    constructor({ appConfig }) {
+        // Dependency Injection
+        this.appConfig = appConfig;
+    }
+
+    /*
+     * Description:
+     * 1.) Check the password against every rule, collecting each rule it breaks along with a message saying why.
+     * 2.) Return the broken rules, which are empty for an acceptable password.
+     */
+    /**
+     * @description Checks a password against the password policy.
+     *
+     * @param    {String} password     The plain-text password.
+     * @param    {Object} [user={}]    The `name` and `email` of the user the password is for, which it must not contain.
+     * @returns  {Array<Object>} The `rule` and `message` of each rule the password breaks.
+     * @memberof PasswordPolicyService
+     */
+    validate(password, user = {}) {
+        const config = this.appConfig.authentication.passwordPolicy;
+        const violations = [];
+
+        // Count code points, not UTF-16 code units, so that emoji count as one character.
+        const { length } = [...password];
+
+        if (length < config.getMinLength()) {
+            violations.push({ rule: 'minLength', message: `The password must be at least ${config.getMinLength()} characters long.` });
+        }
+
+        if (length > config.getMaxLength()) {
+            violations.push({ rule: 'maxLength', message: `The password must be at most ${config.getMaxLength()} characters long.` });
+        }
+
+        if (CHARACTER_CLASSES.filter(characterClass => characterClass.test(password)).length < config.getMinCharacterClasses()) {
+            violations.push({
+                rule: 'characterClasses',
+                message: `The password must contain at least ${config.getMinCharacterClasses()} of lowercase letters, uppercase letters, digits, and symbols.`
+            });
+        }
+
+        const lowerCasePassword = password.toLowerCase();
+
+        if (PasswordPolicyService._getPersonalInformation(user).some(part => lowerCasePassword.includes(part))) {
+            violations.push({ rule: 'personalInformation', message: 'The password must not contain your name or email address.' });
+        }
+
+        if (this._isBlocklisted(lowerCasePassword.trim())) {
+            violations.push({ rule: 'commonPassword', message: 'The password is too common, or has appeared in a data breach.' });
+        }
+
+        return violations;
+    }
+
+    /**
+     * @description Ensures that a password meets the password policy, throwing a ValidationError that lists the broken rules otherwise.
+     *
+     * @param    {String} password     The plain-text password.
+     * @param    {Object} [user={}]    The `name` and `email` of the user the password is for.
+     * @memberof PasswordPolicyService
+     */
+    assertValid(password, user = {}) {
+        if (typeof password !== 'string') throw new ValidationError();
+
+        const violations = this.validate(password, user);
+
+        if (violations.length > 0) throw new ValidationError(null, violations.map(violation => violation.message).join(' '), violations);
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Determines whether a password is on the built-in list of common passwords
+     *     or on the configured blocklist.
+     *
+     * @param    {String} lowerCasePassword The password in lowercase.
+     * @returns  {Boolean} Whether the password is blocklisted.
+     * @memberof PasswordPolicyService
+     */
+    _isBlocklisted(lowerCasePassword) {
+        const blocklistFile = this.appConfig.authentication.passwordPolicy.getBlocklistFile();
+
+        return PasswordPolicyService._readBlocklist(path.join(__dirname, '..', 'constants', 'common-passwords.txt')).has(lowerCasePassword)
+            || (!!blocklistFile && PasswordPolicyService._readBlocklist(blocklistFile).has(lowerCasePassword));
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Reads a blocklist of one password per line, ignoring blank lines and
+     *     comments, and caches it.
+     *
+     * @static
+     * @param    {String} file The path of the blocklist.
+     * @returns  {Set<String>} The lowercased passwords.
+     * @memberof PasswordPolicyService
+     */
+    static _readBlocklist(file) {
+        if (!blocklists.has(file)) {
+            const passwords = fs.readFileSync(file, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'));
+
+            blocklists.set(file, new Set(passwords));
+        }
+
+        return blocklists.get(file);
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Breaks a user's name and email address into the parts a password must not
+     *     contain, such as `alan`, `turing`, and `alan.turing` for `alan.turing@domain.com`.
+     *
+     * @static
+     * @param    {Object} user The `name` and `email` of the user.
+     * @returns  {Array<String>} The lowercased parts.
+     * @memberof PasswordPolicyService
+     */
+    static _getPersonalInformation({ name, email }) {
+        const parts = [];
+
+        if (typeof name === 'string') parts.push(...name.toLowerCase().split(/[^\p{L}\p{Nd}]+/u));
+
+        if (typeof email === 'string') {
+            const [localPart] = email.trim().toLowerCase().split('@');
+            parts.push(localPart, ...localPart.split(/[^\p{L}\p{Nd}]+/u));
+        }
+
+        return parts.filter(part => part.length >= MIN_PERSONAL_INFORMATION_LENGTH);
+    }
+}
+
+module.exports = PasswordPolicyService;
@@ -2,30 +2,51 @@
  * File: PasswordService (src/services/PasswordService.js)
  *
  * Description: Houses functions having to do with user passwords, such as hashing and comparing hashes.
- * 
+ *
+ * Passwords are hashed with the algorithm and cost set in the `passwordHashing` section of the application config, either bcrypt or argon2id. Every hash
+ * records how it was made, so hashes made with an earlier configuration can still be compared, and `needsRehash` tells whether a hash is weaker than the
+ * current configuration would make it, such that it should be replaced the next time the plain-text password is at hand.
+ *
  * Created by Jamie Corkhill on 07/28/2019 at 06:28 PM (Local), 11:28 PM (Zulu)
  */
 
+// Matches the parameters of an argon2 hash, such as `$argon2id$v=19$m=19456,t=2,p=1$...`.
+const ARGON2_HASH_PATTERN = /^\$(argon2(?:id|i|d))\$v=\d+\$m=(\d+),t=(\d+),p=(\d+)\$/;
+
 class PasswordService {
-    constructor({ bcrypt }) {
+    constructor({ bcrypt, argon2, appConfig }) {
         // Dependency Injection
         this.bcrypt = bcrypt;
+        this.argon2 = argon2;
+        this.appConfig = appConfig;
     }
 
     /**
-     * @description The plaintext password to be hashed.
+     * @description Hashes a plain-text password with the configured algorithm and cost.
      *
      * @param    {String} plainTextPassword The original unsafe plain-text password.
-     * @param    {Number} [saltRounds=8]    The salting rounds (default 8)
      * @returns  {String} The computed hash.
      * @memberof PasswordService
      */
-    async hash(plainTextPassword, saltRounds = 8) {
-        return this.bcrypt.hash(plainTextPassword, 8);
+    async hash(plainTextPassword) {
+        const config = this.appConfig.authentication.passwordHashing;
+
+        if (config.getAlgorithm() === 'argon2id') {
+            const argon2 = this._getArgon2();
+
+            return argon2.hash(plainTextPassword, {
+                type: argon2.argon2id,
+                memoryCost: config.argon2id.getMemoryCost(),
+                timeCost: config.argon2id.getTimeCost(),
+                parallelism: config.argon2id.getParallelism()
+            });
+        }
+
+        return this.bcrypt.hash(plainTextPassword, config.bcrypt.getCost());
     }
 
     /**
-     * @description Compare a plainText password with a hashed password to check for a match.
+     * @description Compare a plainText password with a hashed password to check for a match, whichever algorithm the hash was made with.
      *
      * @param    {String} plainText The plaintext password.
      * @param    {String} hashed    The hashed password.
@@ -33,10 +54,52 @@ class PasswordService {
      * @memberof PasswordService
      */
     async compare(plainText, hashed) {
+        if (ARGON2_HASH_PATTERN.test(hashed)) return this._getArgon2().verify(hashed, plainText);
+
         // Return without await as to not wrap in an unnecessary promise since async functions return a promise by default. This will resolve with the
         // match or reject with an error.
         return this.bcrypt.compare(plainText, hashed);
     }
+
+    /*
+     * Description:
+     * 1.) A hash made with another algorithm than the configured one needs to be re-hashed.
+     * 2.) So does a hash made with a lower cost than the configured one. Hashes made with a higher cost are left alone, as they are no weaker.
+     */
+    /**
+     * @description Determines whether a hash was made with another algorithm or weaker parameters than those currently configured.
+     *
+     * @param    {String} hashed The hashed password.
+     * @returns  {Boolean} Whether the password should be hashed again.
+     * @memberof PasswordService
+     */
+    needsRehash(hashed) {
+        const config = this.appConfig.authentication.passwordHashing;
+        const argon2Parameters = ARGON2_HASH_PATTERN.exec(hashed);
+
+        if (config.getAlgorithm() === 'argon2id') {
+            if (!argon2Parameters || argon2Parameters[1] !== 'argon2id') return true;
+
+            const [, , memoryCost, timeCost, parallelism] = argon2Parameters.map(Number);
+            return memoryCost < config.argon2id.getMemoryCost()
+                || timeCost < config.argon2id.getTimeCost()
+                || parallelism < config.argon2id.getParallelism();
+        }
+
+        return !!argon2Parameters || this.bcrypt.getRounds(hashed) < config.bcrypt.getCost();
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Returns the argon2 module, which is an optional dependency.
+     *
+     * @returns  {Object} The argon2 module.
+     * @memberof PasswordService
+     */
+    _getArgon2() {
+        if (!this.argon2) throw new Error('The argon2 package must be installed to hash passwords with argon2id.');
+
+        return this.argon2;
+    }
 }
 
-module.exports = PasswordService;
\ No newline at end of file
+module.exports = PasswordService;
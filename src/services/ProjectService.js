@@ -0,0 +1,234 @@
+/*
+ * File: ProjectService.js (src/services/ProjectService.js)
+ *
+ * Description: This class encapsulates the business logic of managing the projects into which users group their tasks. Projects are kept in an order the
+ * user chooses, can be archived once they are done with, and when deleted, their tasks are either moved to another project (or the inbox) or deleted
+ * along with them.
+ */
+
+// Custom Exceptions
+const { ValidationError, ResourceNotFoundError } = require('./../custom-exceptions/index');
+
+// Task Enumerations
+const { TaskRevisionAction } = require('./../constants/task');
+
+class ProjectService {
+    constructor({ projectRepository, taskRepository, revisionService, context }) {
+        // Dependency Injection
+        this.projectRepository = projectRepository;
+        this.taskRepository = taskRepository;
+        this.revisionService = revisionService;
+        this.context = context;
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError if no project data is provided.
+     * 2.) Place the new project after the user's last project, and create it.
+     */
+    /**
+     * @description - Creates a project for the signed in user.
+     *
+     * @param    {Object} projectData The `name` of the project.
+     * @returns  {Object} The created project.
+     * @memberof ProjectService
+     */
+    async createProject(projectData) {
+        if (!projectData || typeof projectData !== 'object') throw new ValidationError();
+
+        const [lastProject] = await this.projectRepository.readByQuery({ owner: this.context.user._id }, { sort: { position: -1 }, limit: 1 });
+
+        return this.projectRepository.create({
+            name: projectData.name,
+            position: lastProject ? lastProject.position + 1 : 0,
+            owner: this.context.user._id
+        });
+    }
+
+    /**
+     * @description - Lists the projects of the signed in user in their order.
+     *
+     * @param    {Object} [query={}] The `archived` flag to filter by.
+     * @returns  {Array<Object>} The projects.
+     * @memberof ProjectService
+     */
+    async retrieveProjects(query = {}) {
+        const match = { owner: this.context.user._id };
+
+        if (typeof query.archived !== 'undefined') match.archived = query.archived;
+
+        return this.projectRepository.readByQuery(match, { sort: { position: 1 } });
+    }
+
+    /**
+     * @description - Finds a project of the signed in user by its ID, throwing a ResourceNotFoundError if there is not one.
+     *
+     * @param    {String} id The ID of the project.
+     * @returns  {Object} The project.
+     * @memberof ProjectService
+     */
+    async retrieveProjectById(id) {
+        const project = await ProjectService._mapCastError(this.projectRepository.readByIdWithQuery(id, { owner: this.context.user._id }));
+
+        if (!project) throw new ResourceNotFoundError(null, 'project');
+
+        return project;
+    }
+
+    /**
+     * @description - Renames, archives, or restores a project of the signed in user.
+     *
+     * @param    {String} id                    The ID of the project.
+     * @param    {Object} [requestedUpdates={}] The new `name` or `archived` flag.
+     * @returns  {Object} The updated project.
+     * @memberof ProjectService
+     */
+    async updateProjectById(id, requestedUpdates = {}) {
+        const updateKeys = Object.keys(requestedUpdates);
+        const allowedUpdates = ['name', 'archived'];
+
+        if (updateKeys.length === 0 || !updateKeys.every(update => allowedUpdates.includes(update))) throw new ValidationError();
+
+        const project = await ProjectService._mapCastError(
+            this.projectRepository.updateByIdWithQuery(id, { owner: this.context.user._id }, { ...requestedUpdates })
+        );
+
+        if (!project) throw new ResourceNotFoundError(null, 'project');
+
+        return project;
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the IDs are distinct IDs of the user's projects.
+     * 2.) Put the listed projects first, in the order listed, followed by the others in their current order.
+     * 3.) Return the projects in their new order.
+     */
+    /**
+     * @description - Reorders the projects of the signed in user.
+     *
+     * @param    {Array<String>} projectIds The IDs of the projects in their new order, which may leave out projects at the end of the list.
+     * @returns  {Array<Object>} The projects in their new order.
+     * @memberof ProjectService
+     */
+    async reorderProjects(projectIds) {
+        const isListOfIds = Array.isArray(projectIds) && projectIds.length > 0 && projectIds.every(id => typeof id === 'string');
+
+        if (!isListOfIds || new Set(projectIds).size !== projectIds.length) {
+            throw new ValidationError(null, 'The project IDs must be a list of distinct IDs.');
+        }
+
+        const projects = await this.projectRepository.readByQuery({ owner: this.context.user._id }, { sort: { position: 1 } });
+        const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+
+        const unknownIds = projectIds.filter(id => !projectsById.has(id));
+        if (unknownIds.length > 0) throw new ValidationError(null, `You have no projects with the IDs ${unknownIds.join(', ')}.`);
+
+        const orderedIds = [...projectIds, ...[...projectsById.keys()].filter(id => !projectIds.includes(id))];
+
+        // Only write the positions that change.
+        const positions = orderedIds.reduce((changes, id, position) => (
+            projectsById.get(id).position === position ? changes : { ...changes, [id]: position }
+        ), {});
+
+        await this.projectRepository.updatePositionsForOwner(this.context.user._id, positions);
+
+        return orderedIds.map((id, position) => ({ ...projectsById.get(id), position }));
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the tasks of the project are to be moved or deleted, and if moved, unless they are moved to the inbox or to
+     *     another project of the user that is not archived.
+     * 2.) Throw a ResourceNotFoundError if the user owns no project by the ID.
+     * 3.) Move the tasks of the project, or move them to the trash and out of the project, recording the deletion of each in its history. Trashed
+     *     tasks are restored to the inbox, as the project is gone.
+     * 4.) Delete the project once it is empty, so that should a step fail part-way, no task is left in a project that no longer exists.
+     */
+    /**
+     * @description - Deletes a project of the signed in user, moving its tasks elsewhere or to the trash.
+     *
+     * @param    {String} id                      The ID of the project.
+     * @param    {Object} [options={}]            What to do with the tasks of the project.
+     * @param    {String} [options.tasks='move']  Whether to `move` the tasks or `delete` them, which moves them to the trash.
+     * @param    {String} [options.moveTo=inbox]  The ID of the project to move the tasks to, or `inbox`.
+     * @returns  {Object} The number of tasks `moved` or `deleted`.
+     * @memberof ProjectService
+     */
+    async deleteProjectById(id, { tasks = 'move', moveTo = 'inbox' } = {}) {
+        if (!['move', 'delete'].includes(tasks)) throw new ValidationError(null, 'The tasks of a deleted project must be either moved or deleted.');
+
+        if (tasks === 'move' && moveTo !== 'inbox') {
+            if (String(moveTo) === String(id)) throw new ValidationError(null, 'The tasks of a deleted project can not be moved to the same project.');
+
+            let target = null;
+
+            try {
+                target = await this.projectRepository.readByIdWithQuery(moveTo, { owner: this.context.user._id });
+            } catch (err) {
+                if (err.name !== 'CastError') throw err;
+            }
+
+            if (!target) throw new ValidationError(null, 'The project to move the tasks to does not exist.');
+            if (target.archived) throw new ValidationError(null, 'Tasks can not be moved to an archived project.');
+        }
+
+        const project = await this.retrieveProjectById(id);
+        const owner = this.context.user._id;
+        let result;
+
+        if (tasks === 'delete') {
+            result = { deleted: await this._trashTasksOfProject(project._id) };
+
+            // Tasks that were already in the trash leave the project too.
+            await this.taskRepository.moveProjectForOwner(owner, project._id, null);
+        } else {
+            result = { moved: await this.taskRepository.moveProjectForOwner(owner, project._id, moveTo === 'inbox' ? null : moveTo) };
+        }
+
+        await this.projectRepository.deleteByIdWithQuery(project._id, { owner });
+
+        return result;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Moves the tasks of a project of the signed in user to the trash and out of
+     *     the project, recording the deletion of each in its history as deleting it on its own would.
+     *
+     * @param    {String} projectId The ID of the project.
+     * @returns  {Number} The number of tasks moved to the trash.
+     * @memberof ProjectService
+     */
+    async _trashTasksOfProject(projectId) {
+        const owner = this.context.user._id;
+        const projectTasks = await this.taskRepository.readByQuery({ owner, projectId });
+
+        if (projectTasks.length === 0) return 0;
+
+        const deletedAt = new Date();
+        const deleted = await this.taskRepository.trashByProjectForOwner(owner, projectId, projectTasks.map(task => task._id), deletedAt);
+
+        await Promise.all(projectTasks.map(task => this.revisionService.recordRevision(TaskRevisionAction.Delete, task, { ...task, projectId: null, deletedAt })));
+
+        return deleted;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Awaits a query for a project by its ID, throwing a ResourceNotFoundError
+     *     instead of the CastError that Mongoose throws for an ID that isn't one.
+     *
+     * @static
+     * @param    {Promise} promise The query.
+     * @returns  {*} The result of the query.
+     * @memberof ProjectService
+     */
+    static async _mapCastError(promise) {
+        try {
+            return await promise;
+        } catch (err) {
+            throw err.name === 'CastError' ? new ResourceNotFoundError(err, 'project') : err;
+        }
+    }
+}
+
+module.exports = ProjectService;
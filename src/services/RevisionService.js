@@ -0,0 +1,176 @@
+/*
+ * File: RevisionService.js (src/services/RevisionService.js)
+ *
+ * Description: This class encapsulates the business logic of the history of tasks. Every change of a task records a revision with who made it and when,
+ * how each tracked field changed, and a snapshot of the tracked fields afterwards. The history is read newest first, and a task can be rolled back to
+ * the snapshot of any of its revisions.
+ */
+
+// Custom Exceptions
+const { ResourceNotFoundError } = require('./../custom-exceptions/index');
+
+// The fields of a task whose changes are recorded. Changes of the checklist are not, as its items change too often to be worth keeping.
+const TRACKED_FIELDS = ['description', 'completed', 'status', 'dueAt', 'remindAt', 'priority', 'tags', 'projectId', 'completeWithChecklist', 'recurrence', 'deletedAt'];
+
+// The tracked fields that a rollback doesn't restore, as they are changed by trashing and restoring the task.
+const UNRESTORABLE_FIELDS = ['deletedAt'];
+
+// The tracked fields that a rollback doesn't unset, as tasks that had none then follow from their other fields. Tasks from before workflows were added
+// have no status, and are in the status that their completion maps to.
+const UNREMOVABLE_FIELDS = ['status'];
+
+// The history lists the most recent revisions first.
+const HISTORY_SORT = { createdAt: -1, _id: -1 };
+
+class RevisionService {
+    constructor({ revisionRepository, taskRepository, context }) {
+        // Dependency Injection
+        this.revisionRepository = revisionRepository;
+        this.taskRepository = taskRepository;
+        this.context = context;
+    }
+
+    /*
+     * Description:
+     * 1.) Compare the tracked fields of the task before and after the change. A created task changed each field it has from not being set.
+     * 2.) Record nothing if no tracked field changed, except for the creation of the task.
+     * 3.) Record the revision by the signed in user, in the transaction of the tasks if there is one, so that it is rolled back along with the change.
+     */
+    /**
+     * @description - Records a revision of a task of the signed in user.
+     *
+     * @param    {String} action                       The action that changed the task, one of `TaskRevisionAction`.
+     * @param    {Object} before                       The task before the change, or `null` if it was created.
+     * @param    {Object} after                        The task after the change.
+     * @param    {Object} [extra={}]                   Further details of the revision.
+     * @param    {String} [extra.restoredRevisionId]   The revision that a rollback rolled the task back to.
+     * @returns  {Object} The revision, or `null` if nothing was recorded.
+     * @memberof RevisionService
+     */
+    async recordRevision(action, before, after, { restoredRevisionId } = {}) {
+        const snapshot = RevisionService._toSnapshot(after);
+        const previousSnapshot = before ? RevisionService._toSnapshot(before) : {};
+
+        const changes = TRACKED_FIELDS
+            .filter(field => !RevisionService._isEqual(previousSnapshot[field], snapshot[field]))
+            .filter(field => before || snapshot[field] !== null)
+            .map(field => ({ field, from: before ? previousSnapshot[field] : null, to: snapshot[field] }));
+
+        if (before && changes.length === 0) return null;
+
+        const revision = { taskId: after._id, owner: after.owner, actor: this.context.user._id, action, changes, snapshot };
+        if (restoredRevisionId) revision.restoredRevisionId = restoredRevisionId;
+
+        return this.revisionRepository.create(revision, this.taskRepository.session ? { session: this.taskRepository.session } : {});
+    }
+
+    /**
+     * @description - Finds the revisions of a task of the signed in user, the most recent first. The task must have been found to be theirs.
+     *
+     * @param    {String} taskId             The ID of the task.
+     * @param    {Object} [options={}]       Pagination options.
+     * @param    {Number} [options.limit]    The number of revisions to find.
+     * @param    {Number} [options.skip]     The number of revisions to skip.
+     * @returns  {Array<Object>} The revisions.
+     * @memberof RevisionService
+     */
+    async retrieveHistory(taskId, { limit, skip } = {}) {
+        return this.revisionRepository.readByQuery({ owner: this.context.user._id, taskId }, { sort: HISTORY_SORT, limit, skip });
+    }
+
+    /**
+     * @description - Finds a revision of a task of the signed in user, throwing a ResourceNotFoundError if the task has no such revision.
+     *
+     * @param    {String} taskId     The ID of the task.
+     * @param    {String} revisionId The ID of the revision.
+     * @returns  {Object} The revision.
+     * @memberof RevisionService
+     */
+    async retrieveRevision(taskId, revisionId) {
+        let revision;
+
+        try {
+            revision = await this.revisionRepository.readByIdWithQuery(revisionId, { owner: this.context.user._id, taskId });
+        } catch (err) {
+            throw err.name === 'CastError' ? new ResourceNotFoundError(err, 'revision') : err;
+        }
+
+        if (!revision) throw new ResourceNotFoundError(null, 'revision');
+
+        return revision;
+    }
+
+    /*
+     * Description:
+     * 1.) Compare the snapshot of the revision with the tracked fields of the task as it is now.
+     * 2.) Collect the fields that differ as the updates of a task, leaving out those that a rollback doesn't restore, or doesn't unset if they weren't
+     *     set. Recurrence is restored by its rule.
+     */
+    /**
+     * @description - Finds the updates that roll a task back to the snapshot of a revision.
+     *
+     * @param    {Object} revision The revision.
+     * @param    {Object} task     The task as it is now.
+     * @returns  {Object} The updates, as accepted by updating a task, which are empty if the task is as it was.
+     * @memberof RevisionService
+     */
+    // eslint-disable-next-line class-methods-use-this
+    getRollbackUpdates(revision, task) {
+        const snapshot = RevisionService._toSnapshot(task);
+
+        return TRACKED_FIELDS
+            .filter(field => !UNRESTORABLE_FIELDS.includes(field) && field in revision.snapshot)
+            .filter(field => !UNREMOVABLE_FIELDS.includes(field) || revision.snapshot[field] !== null)
+            .filter(field => !RevisionService._isEqual(revision.snapshot[field], snapshot[field]))
+            .reduce((updates, field) => {
+                const value = revision.snapshot[field];
+
+                return { ...updates, [field]: field === 'recurrence' && value !== null ? { rule: value } : value };
+            }, {});
+    }
+
+    /**
+     * @description - Deletes the history of tasks that were deleted permanently.
+     *
+     * @param    {Array<String>} taskIds The IDs of the tasks.
+     * @returns  {Number} The number of revisions deleted.
+     * @memberof RevisionService
+     */
+    async deleteHistoryOfTasks(taskIds) {
+        if (taskIds.length === 0) return 0;
+
+        return this.revisionRepository.deleteByTaskIds(taskIds);
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Takes the tracked fields of a task as plain JSON values, so that they can be
+     *     compared and stored. Fields that aren't set are `null`, and recurrence is recorded by its rule.
+     *
+     * @static
+     * @param    {Object} task The task.
+     * @returns  {Object} The snapshot.
+     * @memberof RevisionService
+     */
+    static _toSnapshot(task) {
+        return TRACKED_FIELDS.reduce((snapshot, field) => {
+            const value = field === 'recurrence' ? task.recurrence && task.recurrence.rule : task[field];
+
+            return { ...snapshot, [field]: value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)) };
+        }, {});
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Compares two values of a snapshot.
+     *
+     * @static
+     * @param    {*} a The first value.
+     * @param    {*} b The second value.
+     * @returns  {Boolean} Whether the values are equal.
+     * @memberof RevisionService
+     */
+    static _isEqual(a, b) {
+        return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+    }
+}
+
+module.exports = RevisionService;
@@ -0,0 +1,116 @@
+/*
+ * File: TagService.js (src/services/TagService.js)
+ *
+ * Description: This class encapsulates the business logic of managing the tags with which users label their tasks. Tasks refer to their tags by name,
+ * so renaming a tag renames it on every task that has it, and deleting a tag removes it from every task that has it.
+ */
+
+// Custom Exceptions
+const { ValidationError, ResourceNotFoundError } = require('./../custom-exceptions/index');
+
+const DUPLICATE_TAG_MESSAGE = 'You already have a tag with this name.';
+
+class TagService {
+    constructor({ tagRepository, taskRepository, context }) {
+        // Dependency Injection
+        this.tagRepository = tagRepository;
+        this.taskRepository = taskRepository;
+        this.context = context;
+    }
+
+    /**
+     * @description - Creates a tag for the signed in user.
+     *
+     * @param    {Object} tagData The `name` and optional `color` of the tag.
+     * @returns  {Object} The created tag.
+     * @memberof TagService
+     */
+    async createTag(tagData) {
+        if (!tagData || typeof tagData !== 'object') throw new ValidationError();
+
+        try {
+            return await this.tagRepository.create({ name: tagData.name, color: tagData.color, owner: this.context.user._id });
+        } catch (err) {
+            if (err.code === 11000) throw new ValidationError(null, DUPLICATE_TAG_MESSAGE);
+            throw err;
+        }
+    }
+
+    /**
+     * @description - Lists the tags of the signed in user by name.
+     *
+     * @returns  {Array<Object>} The tags.
+     * @memberof TagService
+     */
+    async retrieveTags() {
+        return this.tagRepository.readByQuery({ owner: this.context.user._id }, { sort: { name: 1 } });
+    }
+
+    /**
+     * @description - Finds a tag of the signed in user by its ID, throwing a ResourceNotFoundError if there is not one.
+     *
+     * @param    {String} id The ID of the tag.
+     * @returns  {Object} The tag.
+     * @memberof TagService
+     */
+    async retrieveTagById(id) {
+        const tag = await this.tagRepository.readByIdWithQuery(id, { owner: this.context.user._id });
+
+        if (!tag) throw new ResourceNotFoundError(null, 'tag');
+
+        return tag;
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError if no updates are provided or if any of them are not allowed.
+     * 2.) Find the tag, so that its current name is known, and update it.
+     * 3.) If the tag was renamed, rename it on every task of the user that has it.
+     */
+    /**
+     * @description - Updates the name or color of a tag of the signed in user.
+     *
+     * @param    {String} id                    The ID of the tag.
+     * @param    {Object} [requestedUpdates={}] The updates.
+     * @returns  {Object} The updated tag.
+     * @memberof TagService
+     */
+    async updateTagById(id, requestedUpdates = {}) {
+        const updateKeys = Object.keys(requestedUpdates);
+        const allowedUpdates = ['name', 'color'];
+
+        if (updateKeys.length === 0 || !updateKeys.every(update => allowedUpdates.includes(update))) throw new ValidationError();
+
+        const { name } = await this.retrieveTagById(id);
+
+        let updatedTag;
+        try {
+            updatedTag = await this.tagRepository.updateByIdWithQuery(id, { owner: this.context.user._id }, { ...requestedUpdates });
+        } catch (err) {
+            if (err.code === 11000) throw new ValidationError(null, DUPLICATE_TAG_MESSAGE);
+            throw err;
+        }
+
+        if (!updatedTag) throw new ResourceNotFoundError(null, 'tag');
+
+        if (updatedTag.name !== name) await this.taskRepository.renameTagForOwner(this.context.user._id, name, updatedTag.name);
+
+        return updatedTag;
+    }
+
+    /**
+     * @description - Deletes a tag of the signed in user, and removes it from every task that has it.
+     *
+     * @param    {String} id The ID of the tag.
+     * @memberof TagService
+     */
+    async deleteTagById(id) {
+        const tag = await this.tagRepository.deleteByIdWithQuery(id, { owner: this.context.user._id });
+
+        if (!tag) throw new ResourceNotFoundError(null, 'tag');
+
+        await this.taskRepository.removeTagForOwner(this.context.user._id, tag.name);
+    }
+}
+
+module.exports = TagService;
@@ -17,21 +17,61 @@
  */
 
 const EventEmitter = require('events');
-const { ValidationError, ResourceNotFoundError } = require('./../custom-exceptions/index');
+const { ValidationError, ResourceNotFoundError, PreconditionFailedError } = require('./../custom-exceptions/index');
+
+// Task Enumerations
+const { TaskPriority, TaskRevisionAction } = require('./../constants/task');
+
+// Utilities
+const { getZonedDayRange } = require('./../utils/time-zone');
+const { parseRecurrenceRule, getNextOccurrence } = require('./../utils/recurrence');
+const { getSnippet } = require('./../utils/search');
+const { toPageSize, toOffset, encodeCursor, decodeCursor, getCursorCondition } = require('./../utils/pagination');
+const { assertVersionMatches, getVersionCondition } = require('./../utils/etag');
+const { getRankBetween, getEvenRanks } = require('./../utils/rank');
+
+// The fields of a task that clients can set when creating or updating it. The others, such as its owner, version, and checklist, are set by the server.
+const CLIENT_TASK_FIELDS = ['description', 'completed', 'status', 'dueAt', 'remindAt', 'priority', 'tags', 'projectId', 'completeWithChecklist', 'recurrence'];
+
+// The fields by which tasks may be sorted.
+const SORTABLE_TASK_FIELDS = ['priority', 'dueAt', 'remindAt', 'description', 'completed', 'createdAt', 'updatedAt', 'position'];
+
+// Sorting by priority sorts by its rank, as sorting by the priority names would sort them alphabetically.
+const SORT_FIELD_PATHS = { priority: 'priorityRank' };
+
+// The relevance of a task to a search, which MongoDB computes from the text index.
+const TEXT_SCORE = { $meta: 'textScore' };
+
+// The longest search allowed.
+const MAX_SEARCH_LENGTH = 200;
+
+// The trash lists the most recently trashed tasks first.
+const TRASH_SORT = { deletedAt: -1 };
+
+const INVALID_PROJECT_FILTER_MESSAGE = 'The "project" filter must be a project ID or "inbox".';
 
 class TaskService extends EventEmitter {
-    constructor({ taskRepository, context }) {
+    constructor({ taskRepository, tagRepository, projectRepository, revisionService, workflowService, appConfig, context }) {
          // Extending EventEmitter, call the super class.
          super();
          // Dependency Injection
          this.taskRepository = taskRepository;
+         this.tagRepository = tagRepository;
+         this.projectRepository = projectRepository;
+         this.revisionService = revisionService;
+         this.workflowService = workflowService;
+         this.appConfig = appConfig;
          this.context = context;
     }
 
     /*
      * Description:
-     * 1.) If task data is not provided, throw a ValidationError.
-     * 2.) Return the newly created task.
+     * 1.) If task data is not provided, or its due date or reminder is invalid, throw a ValidationError. Only the fields that clients can set are kept.
+     * 2.) Throw a ValidationError if the task is given tags that the user doesn't have, or put in a project that can't take tasks.
+     * 3.) Throw a ValidationError if the task recurs by an invalid rule or without a due date. It starts a new series as its first occurrence.
+     * 4.) Put the task at the end of the order the user put their tasks in, and in the first status of its workflow unless it is given another status
+     *     or is completed. Throw a ValidationError if the workflow has no such status.
+     * 5.) Record the creation in the history of the task, and return the newly created task.
      */
     /**
      * @description - Performs the required operations to create a new task.
@@ -41,41 +81,220 @@ class TaskService extends EventEmitter {
      * @memberof TaskService
      */
     async createNewTask(taskData) {
-        if (!taskData) throw new ValidationError();
+        if (!taskData || typeof taskData !== 'object') throw new ValidationError();
+
+        const fields = CLIENT_TASK_FIELDS
+            .filter(field => taskData[field] !== undefined)
+            .reduce((clientFields, field) => ({ ...clientFields, [field]: taskData[field] }), {});
+        const schedule = TaskService._validateSchedule(taskData, taskData);
+        if (taskData.tags !== undefined) await this._assertTagsExist(taskData.tags);
+        if (taskData.projectId !== undefined) await this._assertProjectAcceptsTasks(taskData.projectId);
+
+        const recurrence = taskData.recurrence ? TaskService._toRecurrence(taskData.recurrence, schedule.dueAt) : undefined;
 
         // Call the repository to create a new task.
-        return this.taskRepository.create({ ...taskData, owner: this.context.user._id });
+        const task = await this.taskRepository.create({
+            ...fields,
+            ...schedule,
+            recurrence,
+            ...await this.workflowService.getNewTaskStatus(fields),
+            position: await this._getPositionAtEnd(),
+            owner: this.context.user._id
+        });
+        await this.revisionService.recordRevision(TaskRevisionAction.Create, null, task);
+
+        return task;
+    }
+
+    /**
+     * @description - Performs the required operations to to attain an array of the signed in user's tasks by a query.
+     *
+     * @param   {Object} query   The search query.
+     * @param   {Object} options Formatting, sorting, and pagination options.
+     * @returns {Array} The found tasks.
+     * @memberof TaskService
+     */
+    async retrieveTasksByQueryForUser(query, options) {
+        return this.retrieveTasksByQueryForOwner(this.context.user._id, query, options);
     }
 
     /*
      * Description:
-     * 1.) Assign the `completed` value to `match` if there is one.
-     * 2.) Return the found tasks.
+     * 1.) Build the match constraints from the query.
+     * 2.) Throw a ValidationError if sorting by a field that isn't sortable, keeping the order of the sort keys. Searches are sorted by relevance unless
+     *     sorted otherwise.
+     * 3.) Return the found tasks, along with how relevant each is to a search and a snippet of it with the matches highlighted.
      */
     /**
-     * @description - Performs the required operations to to attain an array of tasks by a query.
+     * @description - Performs the required operations to to attain an array of any user's tasks by a query. Only administrators should reach this
+     *     directly; everyone else goes through `retrieveTasksByQueryForUser`.
      *
+     * @param   {String} ownerId The ID of the user whose tasks to find.
      * @param   {Object} query   The search query.
      * @param   {Object} options Formatting, sorting, and pagination options.
      * @returns {Array} The found tasks.
      * @memberof TaskService
      */
-    async retrieveTasksByQueryForUser(query, options) {
-        // A temporary object of match constraints.
-        const match = {};
+    async retrieveTasksByQueryForOwner(ownerId, query, options) {
+        const match = this._getMatch(ownerId, query);
 
-        if (query) {
-            // Match by completed if there is an existing completed value.
-            if (typeof query.completed !== 'undefined') {
-                match.completed = query.completed;
-            }
+        if (!match.$text) {
+            // Call the repository to attain all tasks by the provided options.
+            return TaskService._mapProjectFilterCastError(
+                this.taskRepository.readByQuery(match, options && options.sort ? { ...options, sort: TaskService._toSort(options.sort) } : options)
+            );
         }
 
-        // Call the repository to attain all tasks by the provided options.
-        return this.taskRepository.readByQuery({
-            owner: this.context.user._id,
-            ...match
-        }, options);
+        const sort = options && options.sort && Object.keys(options.sort).length > 0 ? TaskService._toSort(options.sort, true) : { score: TEXT_SCORE };
+        const tasks = await TaskService._mapProjectFilterCastError(
+            this.taskRepository.readByQuery(match, { ...options, sort, projection: { score: TEXT_SCORE } })
+        );
+
+        return TaskService._withSearchResults(tasks, match.$text.$search);
+    }
+
+    /**
+     * @description - Performs the required operations to count the signed in user's tasks matching a query.
+     *
+     * @param   {Object} query The search query.
+     * @returns {Number} The number of matching tasks.
+     * @memberof TaskService
+     */
+    async countTasksByQueryForUser(query) {
+        return TaskService._mapProjectFilterCastError(this.taskRepository.countByQuery(this._getMatch(this.context.user._id, query)));
+    }
+
+    /**
+     * @description - Performs the required operations to attain a page of the signed in user's tasks by a query.
+     *
+     * @param   {Object} query   The search query.
+     * @param   {Object} options Sorting and pagination options.
+     * @returns {Object} The page.
+     * @memberof TaskService
+     */
+    async retrieveTaskPageForUser(query, options) {
+        return this.retrieveTaskPageForOwner(this.context.user._id, query, options);
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError for a page size or offset that isn't a whole number, or for more than one way of saying where the page starts. Page
+     *     sizes over the maximum get the maximum. Without a page size or a cursor, every matching task is on the page, as the task list returned all
+     *     of them before it was paged, and clients that don't page are still given them all.
+     * 2.) Sort by the requested sort keys followed by the ID, which makes the order total so that every task has one place to page from. Tasks sorted by
+     *     relevance can only be paged with `skip`, as MongoDB can't match by relevance. The trash is always sorted by when the tasks were trashed.
+     * 3.) Page after a cursor by matching the tasks that come after it. Page before a cursor by matching those that come after it in the reverse order,
+     *     and reversing the page.
+     * 4.) Find one task more than the page holds, to tell whether there is another page after it, or before it when paging backwards.
+     * 5.) Make cursors for the pages next to the page, and count the tasks matching the query if asked to.
+     */
+    /**
+     * @description - Performs the required operations to attain a page of any user's tasks by a query. Pages are linked by cursors, which stay correct
+     *     while tasks are added and removed, and unlike `skip`, don't get slower the further a client pages.
+     *
+     * @param   {String}  ownerId                 The ID of the user whose tasks to find.
+     * @param   {Object}  query                   The search query.
+     * @param   {Object}  [options={}]            Sorting and pagination options.
+     * @param   {Object}  [options.sort={}]       The sort object, such as `{ priority: -1, dueAt: 1 }`.
+     * @param   {Number}  [options.limit]         The number of tasks on the page, every task unless paging from a cursor.
+     * @param   {Number}  [options.skip]          The number of tasks to skip, instead of using a cursor.
+     * @param   {String}  [options.after]         The cursor of the task after which the page starts.
+     * @param   {String}  [options.before]        The cursor of the task before which the page ends.
+     * @param   {Boolean} [options.total=false]   Whether to count the tasks matching the query.
+     * @returns {Object} The `tasks`, the `nextCursor` and `prevCursor` of the pages after and before it (or `null`), whether there are more tasks after
+     *     it (`hasMore`), and the `total` if asked for.
+     * @memberof TaskService
+     */
+    async retrieveTaskPageForOwner(ownerId, query, { sort = {}, limit, skip, after, before, total = false } = {}) {
+        const isPaged = limit !== undefined || after !== undefined || before !== undefined;
+        const pageSize = isPaged ? toPageSize(limit) : Infinity;
+        const offset = toOffset(skip);
+
+        if (after !== undefined && before !== undefined) throw new ValidationError(null, 'A page can not start both after and before a cursor.');
+        if (offset > 0 && (after !== undefined || before !== undefined)) throw new ValidationError(null, 'A page can not both skip tasks and start at a cursor.');
+
+        const match = this._getMatch(ownerId, query);
+        const isSortedByRelevance = Boolean(match.$text) && (Object.keys(sort).length === 0 || Object.keys(sort).includes('relevance'));
+
+        if (isSortedByRelevance && (after !== undefined || before !== undefined)) {
+            throw new ValidationError(null, 'Tasks sorted by relevance can only be paged with "skip".');
+        }
+
+        // The sort keys, unless sorted by relevance, from which cursors are made.
+        const pageSort = match.deletedAt ? TRASH_SORT : TaskService._toSort(sort, Boolean(match.$text));
+        const sortKeys = isSortedByRelevance ? null : [...Object.entries(pageSort), ['_id', 1]];
+        const isBackwards = before !== undefined;
+        const pageSortKeys = isBackwards ? sortKeys.map(([path, direction]) => [path, -direction]) : sortKeys;
+
+        const pageMatch = after === undefined && before === undefined ? match : {
+            ...match,
+            $and: [...(match.$and || []), getCursorCondition(pageSortKeys, decodeCursor(isBackwards ? before : after, sortKeys))]
+        };
+
+        const findOptions = {
+            sort: sortKeys
+                ? pageSortKeys.reduce((order, [path, direction]) => ({ ...order, [path]: direction }), {})
+                : { ...(Object.keys(sort).length > 0 ? TaskService._toSort(sort, true) : { score: TEXT_SCORE }), _id: 1 },
+            skip: offset,
+            ...(isPaged ? { limit: pageSize + 1 } : {})
+        };
+        if (match.$text) findOptions.projection = { score: TEXT_SCORE };
+
+        const found = await TaskService._mapProjectFilterCastError(this.taskRepository.readByQuery(pageMatch, findOptions));
+        const hasExtra = found.length > pageSize;
+        const tasks = isBackwards ? found.slice(0, pageSize).reverse() : found.slice(0, pageSize);
+
+        const toCursor = task => (sortKeys ? encodeCursor(sortKeys, sortKeys.map(([path]) => TaskService._getSortValue(task, path))) : null);
+        const [first] = tasks;
+        const last = tasks[tasks.length - 1];
+        const hasMore = isBackwards ? Boolean(last) : hasExtra;
+        const hasPrevious = isBackwards ? hasExtra : after !== undefined || offset > 0;
+
+        const page = {
+            tasks: match.$text ? TaskService._withSearchResults(tasks, match.$text.$search) : tasks,
+            nextCursor: hasMore && last ? toCursor(last) : null,
+            prevCursor: hasPrevious && first ? toCursor(first) : null,
+            hasMore
+        };
+
+        if (total) page.total = await this.taskRepository.countByQuery(match);
+
+        return page;
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError for a column size that isn't a whole number. Column sizes over the maximum get the maximum.
+     * 2.) Find the workflow of the project, or that of the user for the inbox or all of their tasks, throwing a ResourceNotFoundError if the user has
+     *     no such project.
+     * 3.) For each status of the workflow, find the first of the tasks in its column in the order the user put them in, and count them all.
+     */
+    /**
+     * @description - Performs the required operations to attain the board of the signed in user's tasks, which has a column for each status of their
+     *     workflow.
+     *
+     * @param   {Object} [options={}]         Which tasks to show, and how many.
+     * @param   {String} [options.project]    The ID of the project to show the tasks of, or `inbox`, or `undefined` for all of the user's tasks.
+     * @param   {Number} [options.limit]      The number of tasks to show in each column.
+     * @returns {Object} The `columns`, each a status of the workflow with the first of its `tasks` and their `total`.
+     * @memberof TaskService
+     */
+    async retrieveBoard({ project, limit } = {}) {
+        const pageSize = toPageSize(limit);
+        const match = this._getMatch(this.context.user._id, { project });
+        const workflow = await this.workflowService.retrieveWorkflow(project === undefined || project === 'inbox' ? null : project);
+
+        const columns = await Promise.all(workflow.map(async (status, index) => {
+            const columnMatch = { ...match, $and: [...(match.$and || []), TaskService._getColumnCondition(workflow, index)] };
+            const [tasks, total] = await Promise.all([
+                this.taskRepository.readByQuery(columnMatch, { sort: { position: 1, _id: 1 }, limit: pageSize }),
+                this.taskRepository.countByQuery(columnMatch)
+            ]);
+
+            return { ...status, tasks, total };
+        }));
+
+        return { columns };
     }
 
     /*
@@ -98,7 +317,343 @@ class TaskService extends EventEmitter {
         return tasks[0];
     }
 
-    async updateTaskById(id, requestedUpdates = {}) {
+    /*
+     * Description:
+     * 1.) Throw a ValidationError if no updates are provided or if any of them are not allowed.
+     * 2.) If the tags change, which replaces all of them, throw a ValidationError for tags that the user doesn't have. Likewise if the task is moved to a
+     *     project that can't take tasks; `null` moves it to the inbox.
+     * 3.) If the due date or reminder changes, validate them together with the one that doesn't, as stored on the task.
+     * 4.) If the recurrence rule changes, the task stays in its series, or starts one; `null` stops only this task from recurring. Recurring tasks must
+     *     keep a due date.
+     * 5.) If the status, completion, or project of the task changes, keep its status and completion in step with its workflow. Throw a ValidationError
+     *     if the task moves to a status that the workflow doesn't have or doesn't allow it to move to.
+     * 6.) If the client expects versions of the task, throw a PreconditionFailedError if the stored task is at none of them, or if it changes before
+     *     the update applies.
+     * 7.) Update the task, throwing a ResourceNotFoundError if the user owns no task by the ID, and record the change in its history.
+     * 8.) Completing a recurring task creates its next occurrence, once.
+     */
+    /**
+     * @description - Updates a task of the signed in user.
+     *
+     * @param    {String}        id                               The ID of the task to update.
+     * @param    {Object}        [requestedUpdates={}]            The requested updates.
+     * @param    {Object}        [preconditions={}]               Conditions of the update.
+     * @param    {Array<Number>} [preconditions.expectedVersions] The versions of the task that the client has seen, from `If-Match`.
+     * @returns  {Object} The updated task.
+     * @memberof TaskService
+     */
+    async updateTaskById(id, requestedUpdates = {}, { expectedVersions } = {}) {
+        return this._updateTask(id, requestedUpdates, { expectedVersions });
+    }
+
+    /**
+     * @description - Finds the history of a task of the signed in user, the most recent revision first.
+     *
+     * @param    {String} id           The ID of the task.
+     * @param    {Object} [options={}] Pagination options, the `limit` and `skip` of the revisions.
+     * @returns  {Array<Object>} The revisions.
+     * @memberof TaskService
+     */
+    async retrieveTaskHistory(id, { limit, skip } = {}) {
+        const task = await this.retrieveTaskById(id);
+
+        return this.revisionService.retrieveHistory(task._id, { limit: toPageSize(limit), skip: toOffset(skip) });
+    }
+
+    /*
+     * Description:
+     * 1.) Find the revision, throwing a ResourceNotFoundError if the task of the signed in user has no such revision.
+     * 2.) Update the fields of the task that differ from the snapshot of the revision, just as updating them would, so that the same validation
+     *     applies. A task that is already as it was is returned as it is.
+     */
+    /**
+     * @description - Rolls a task of the signed in user back to a previous revision.
+     *
+     * @param    {String} id         The ID of the task.
+     * @param    {String} revisionId The ID of the revision.
+     * @returns  {Object} The rolled back task.
+     * @memberof TaskService
+     */
+    async rollbackToRevision(id, revisionId) {
+        const task = await this.retrieveTaskById(id);
+        const revision = await this.revisionService.retrieveRevision(task._id, revisionId);
+        const updates = this.revisionService.getRollbackUpdates(revision, task);
+
+        if (Object.keys(updates).length === 0) return task;
+
+        return this._updateTask(id, updates, { action: TaskRevisionAction.Rollback, restoredRevisionId: revision._id });
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the task is to be moved either before or after another task of the signed in user.
+     * 2.) Find a position between the other task and its neighbour on that side. Tasks that have no position yet, or share one, have none between
+     *     them, so the positions of the user's tasks are rebalanced first.
+     * 3.) Move the task to the position, leaving the other tasks as they are.
+     */
+    /**
+     * @description - Moves a task of the signed in user in the order they put their tasks in, as by dragging it there.
+     *
+     * @param    {String} id                The ID of the task.
+     * @param    {Object} anchor            Where to move the task, either `before` or `after` another task.
+     * @param    {String} [anchor.before]   The ID of the task to move the task before.
+     * @param    {String} [anchor.after]    The ID of the task to move the task after.
+     * @returns  {Object} The moved task.
+     * @memberof TaskService
+     */
+    async moveTask(id, { before, after } = {}) {
+        const isBefore = before !== undefined;
+        const anchorId = isBefore ? before : after;
+
+        if (isBefore === (after !== undefined) || typeof anchorId !== 'string') {
+            throw new ValidationError(null, 'Provide the ID of a task to move the task either "before" or "after".');
+        }
+
+        if (anchorId === String(id)) throw new ValidationError(null, 'A task can not be moved next to itself.');
+
+        const task = await this.retrieveTaskById(id);
+        let position = await this._getPositionNextTo(task, anchorId, isBefore);
+
+        if (position === null) {
+            await this._rebalancePositions(this.context.user._id);
+            position = await this._getPositionNextTo(task, anchorId, isBefore);
+        }
+
+        const movedTask = await this.taskRepository.updateByIdWithQuery(id, { owner: this.context.user._id }, { position });
+
+        if (!movedTask) throw new ResourceNotFoundError();
+
+        return movedTask;
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the task is an open occurrence of a series.
+     * 2.) Move the task to the next occurrence, throwing a ValidationError if there is none, with its reminder as far ahead of it as before and its
+     *     checklist unchecked.
+     */
+    /**
+     * @description - Skips the current occurrence of a recurring task of the signed in user.
+     *
+     * @param    {String} id The ID of the task.
+     * @returns  {Object} The task, moved to the next occurrence.
+     * @memberof TaskService
+     */
+    async skipOccurrence(id) {
+        const task = await this.retrieveTaskById(id);
+
+        if (!task.recurrence) throw new ValidationError(null, 'The task does not recur.');
+        if (task.completed) throw new ValidationError(null, 'Completed tasks can not be skipped.');
+
+        const dueAt = this._getNextDueDate(task);
+        if (!dueAt) throw new ValidationError(null, 'The task is the last occurrence of its series.');
+
+        const updates = { ...TaskService._shiftSchedule(task, dueAt), 'recurrence.occurrence': task.recurrence.occurrence + 1 };
+        if (task.checklist) updates['checklist.$[].checked'] = false;
+
+        const updatedTask = await this.taskRepository.updateByIdWithQuery(id, { owner: this.context.user._id }, updates);
+
+        if (!updatedTask) throw new ResourceNotFoundError();
+
+        await this.revisionService.recordRevision(TaskRevisionAction.Update, task, updatedTask);
+
+        return updatedTask;
+    }
+
+    /**
+     * @description - Stops the series of a recurring task of the signed in user, so that completing its open occurrences doesn't create further ones.
+     *
+     * @param    {String} id The ID of any task of the series.
+     * @returns  {Object} The task.
+     * @memberof TaskService
+     */
+    async stopRecurrence(id) {
+        const task = await this.retrieveTaskById(id);
+
+        if (!task.recurrence) throw new ValidationError(null, 'The task does not recur.');
+
+        await this.taskRepository.stopSeriesForOwner(this.context.user._id, task.recurrence.seriesId);
+
+        return this.retrieveTaskById(id);
+    }
+
+    /*
+     * Description:
+     * 1.) If the client expects versions of the task, throw a PreconditionFailedError if the task is at none of them, and only trash it if it doesn't
+     *     change in between.
+     * 2.) Trash the task, throwing a ResourceNotFoundError if the user owns no task by the ID, and record it in the history of the task.
+     */
+    /**
+     * @description - Moves a task of the signed in user to the trash, from which it can be restored until it is purged.
+     *
+     * @param    {String}        id                               The ID of the task.
+     * @param    {Object}        [preconditions={}]               Conditions of the deletion.
+     * @param    {Array<Number>} [preconditions.expectedVersions] The versions of the task that the client has seen, from `If-Match`.
+     * @memberof TaskService
+     */
+    async deleteTaskById(id, { expectedVersions } = {}) {
+        const query = { owner: this.context.user._id };
+
+        if (expectedVersions) {
+            const task = await this.retrieveTaskById(id);
+
+            assertVersionMatches(task, expectedVersions);
+            Object.assign(query, getVersionCondition(task));
+        }
+
+        const trashedTask = await this.taskRepository.updateByIdWithQuery(id, query, { deletedAt: new Date() });
+
+        if (!trashedTask) throw expectedVersions ? new PreconditionFailedError(null) : new ResourceNotFoundError();
+
+        // Only tasks outside of the trash can be trashed.
+        await this.revisionService.recordRevision(TaskRevisionAction.Delete, { ...trashedTask, deletedAt: null }, trashedTask);
+    }
+
+    /*
+     * Description:
+     * 1.) Find a page of the trashed tasks of the user, the most recently trashed first.
+     * 2.) Add when each task will be purged, once it has been in the trash for the retention period.
+     */
+    /**
+     * @description - Performs the required operations to attain a page of the tasks in the signed in user's trash.
+     *
+     * @param   {Object} options Pagination options, as for the task list.
+     * @returns {Object} The page.
+     * @memberof TaskService
+     */
+    async retrieveTrashPageForUser(options) {
+        const page = await this.retrieveTaskPageForOwner(this.context.user._id, { trashed: true }, { ...options, sort: {} });
+        const retentionPeriod = this.appConfig.tasks.trash.getRetentionPeriod();
+
+        return {
+            ...page,
+            tasks: page.tasks.map(task => ({ ...task, purgeAt: new Date(new Date(task.deletedAt).getTime() + retentionPeriod) }))
+        };
+    }
+
+    /**
+     * @description - Restores a task of the signed in user from the trash.
+     *
+     * @param    {String} id The ID of the task.
+     * @returns  {Object} The restored task.
+     * @memberof TaskService
+     */
+    async restoreTaskById(id) {
+        const trashedQuery = { owner: this.context.user._id, deletedAt: { $ne: null } };
+        const [trashedTask] = await this.taskRepository.readByIdWithQuery(id, trashedQuery);
+
+        if (!trashedTask) throw new ResourceNotFoundError();
+
+        const restoredTask = await this.taskRepository.updateByIdWithQuery(id, trashedQuery, { $unset: { deletedAt: 1 } });
+
+        if (!restoredTask) throw new ResourceNotFoundError();
+
+        await this.revisionService.recordRevision(TaskRevisionAction.Restore, trashedTask, restoredTask);
+
+        return restoredTask;
+    }
+
+    /**
+     * @description - Permanently deletes every task in the signed in user's trash, along with their history.
+     *
+     * @returns  {Object} The number of tasks `deleted`.
+     * @memberof TaskService
+     */
+    async emptyTrash() {
+        const deletedIds = await this.taskRepository.deleteTrashedForOwner(this.context.user._id);
+        await this.revisionService.deleteHistoryOfTasks(deletedIds);
+
+        return { deleted: deletedIds.length };
+    }
+
+    /**
+     * @description - Permanently deletes the tasks of every user that have been in the trash for longer than the retention period, along with their
+     *     history. Run by a background job, not on behalf of a user.
+     *
+     * @returns  {Number} The number of tasks purged.
+     * @memberof TaskService
+     */
+    async purgeExpiredTrash() {
+        const deletedIds = await this.taskRepository.deleteTrashedBefore(new Date(Date.now() - this.appConfig.tasks.trash.getRetentionPeriod()));
+        await this.revisionService.deleteHistoryOfTasks(deletedIds);
+
+        return deletedIds.length;
+    }
+
+    /**
+     * @description - Rebalances the positions of the tasks of every user who has a position that has grown too long, spreading them out evenly in the
+     *     same order. Run by a background job, not on behalf of a user.
+     *
+     * @returns  {Number} The number of users whose positions were rebalanced.
+     * @memberof TaskService
+     */
+    async rebalanceLongPositions() {
+        const owners = await this.taskRepository.readOwnersWithPositionsLongerThan(this.appConfig.tasks.positions.getMaxLength());
+
+        // One user at a time, so as not to flood the database.
+        await owners.reduce(async (previous, owner) => {
+            await previous;
+            await this._rebalancePositions(owner);
+        }, Promise.resolve());
+
+        return owners.length;
+    }
+
+    /**
+     * @description - Adds tags of the signed in user to one of their tasks, keeping the tags it already has.
+     *
+     * @param    {String}        id   The ID of the task.
+     * @param    {Array<String>} tags The names of the tags.
+     * @returns  {Object} The updated task.
+     * @memberof TaskService
+     */
+    async addTagsToTask(id, tags) {
+        await this._assertTagsExist(tags);
+
+        const task = await this.retrieveTaskById(id);
+        const updatedTask = await this.taskRepository.updateByIdWithQuery(id, { owner: this.context.user._id }, {
+            $addToSet: { tags: { $each: tags } }
+        });
+
+        if (!updatedTask) throw new ResourceNotFoundError();
+
+        await this.revisionService.recordRevision(TaskRevisionAction.Update, task, updatedTask);
+
+        return updatedTask;
+    }
+
+    /**
+     * @description - Removes a tag from a task of the signed in user.
+     *
+     * @param    {String} id  The ID of the task.
+     * @param    {String} tag The name of the tag.
+     * @returns  {Object} The updated task.
+     * @memberof TaskService
+     */
+    async removeTagFromTask(id, tag) {
+        const task = await this.retrieveTaskById(id);
+        const updatedTask = await this.taskRepository.updateByIdWithQuery(id, { owner: this.context.user._id }, { $pull: { tags: String(tag) } });
+
+        if (!updatedTask) throw new ResourceNotFoundError();
+
+        await this.revisionService.recordRevision(TaskRevisionAction.Update, task, updatedTask);
+
+        return updatedTask;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Updates a task of the signed in user, as described for `updateTaskById`.
+     *
+     * @param    {String}        id                           The ID of the task to update.
+     * @param    {Object}        requestedUpdates             The requested updates.
+     * @param    {Object}        [options={}]                 How to record the update in the history of the task, and its conditions.
+     * @param    {String}        [options.action]             The action, by default `complete` if the update completes the task, and `update` otherwise.
+     * @param    {String}        [options.restoredRevisionId] The revision a rollback rolls the task back to.
+     * @param    {Array<Number>} [options.expectedVersions]   The versions of the task that the client has seen, from `If-Match`.
+     * @returns  {Object} The updated task.
+     * @memberof TaskService
+     */
+    async _updateTask(id, requestedUpdates, { action, restoredRevisionId, expectedVersions } = {}) {
         // Create an empty allowed updates object and enumerate `requestedUpdates` keys.
         const validUpdates = {};
         const updateKeys = Object.keys(requestedUpdates);
@@ -107,8 +662,7 @@ class TaskService extends EventEmitter {
         if (updateKeys.length === 0) throw new ValidationError();
         
         // Verify that the requested updates are valid.
-        const allowedUpdates = ['description', 'completed'];
-        const isValidOperation = updateKeys.every(update => allowedUpdates.includes(update));
+        const isValidOperation = updateKeys.every(update => CLIENT_TASK_FIELDS.includes(update));
 
         if (!isValidOperation) throw new ValidationError();
 
@@ -116,17 +670,508 @@ class TaskService extends EventEmitter {
         // eslint-disable-next-line no-return-assign
         updateKeys.forEach(updateKey => validUpdates[updateKey] = requestedUpdates[updateKey]);
 
-        const updatedTask = await this.taskRepository.updateByIdWithQuery(id, {
-            owner: this.context.user._id,
-        }, validUpdates);
+        if (updateKeys.includes('tags')) await this._assertTagsExist(validUpdates.tags);
+        if (updateKeys.includes('projectId')) await this._assertProjectAcceptsTasks(validUpdates.projectId);
 
-        if (!updatedTask) throw new ResourceNotFoundError();
+        // The task as stored, which the history compares the update with.
+        const storedTask = await this.retrieveTaskById(id);
+
+        assertVersionMatches(storedTask, expectedVersions);
+
+        if (updateKeys.includes('dueAt') || updateKeys.includes('remindAt')) {
+            const { dueAt, remindAt } = storedTask;
+
+            Object.assign(validUpdates, TaskService._validateSchedule({ dueAt, remindAt, ...validUpdates }, validUpdates));
+        }
+
+        if (['dueAt', 'remindAt', 'recurrence'].some(key => updateKeys.includes(key))) {
+            const dueAt = 'dueAt' in validUpdates ? validUpdates.dueAt : storedTask.dueAt;
+            const recurrence = 'recurrence' in validUpdates ? validUpdates.recurrence : storedTask.recurrence;
+
+            if (!recurrence) {
+                delete validUpdates.recurrence;
+                if (updateKeys.includes('recurrence')) validUpdates.$unset = { recurrence: 1 };
+            } else if (updateKeys.includes('recurrence')) {
+                const { seriesId = storedTask._id, occurrence = 1 } = storedTask.recurrence || {};
+                validUpdates.recurrence = { ...storedTask.recurrence, ...TaskService._toRecurrence(recurrence, dueAt), seriesId, occurrence };
+            } else if (!dueAt) {
+                throw new ValidationError(null, 'Recurring tasks must have a due date.');
+            }
+        }
+
+        if (['status', 'completed', 'projectId'].some(key => updateKeys.includes(key))) {
+            const enforceTransitions = action !== TaskRevisionAction.Rollback;
+
+            Object.assign(validUpdates, await this.workflowService.getStatusUpdates(storedTask, validUpdates, { enforceTransitions }));
+        }
+
+        // Only apply the update to the version that was checked, should another one change the task in between.
+        const query = { owner: this.context.user._id, ...(expectedVersions ? getVersionCondition(storedTask) : {}) };
+        const updatedTask = await this.taskRepository.updateByIdWithQuery(id, query, validUpdates);
+
+        if (!updatedTask) throw expectedVersions ? new PreconditionFailedError(null) : new ResourceNotFoundError();
+
+        const isCompleting = validUpdates.completed === true && !storedTask.completed;
+        await this.revisionService.recordRevision(action || (isCompleting ? TaskRevisionAction.Complete : TaskRevisionAction.Update), storedTask, updatedTask, {
+            restoredRevisionId
+        });
+
+        if (validUpdates.completed === true && updatedTask.recurrence && !updatedTask.recurrence.nextTaskId) return this._createNextOccurrence(updatedTask);
 
         return updatedTask;
     }
 
-    async deleteTaskById(id) {
-        await this.taskRepository.deleteByIdWithQuery(id, { owner: this.context.user._id });
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the tags are a list of names without duplicates.
+     * 2.) Throw a ValidationError naming the tags that the signed in user doesn't have.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Ensures that tags given to a task are tags of the signed in user.
+     *
+     * @param    {Array<String>} tags The names of the tags.
+     * @memberof TaskService
+     */
+    async _assertTagsExist(tags) {
+        if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string') || new Set(tags).size !== tags.length) {
+            throw new ValidationError(null, 'The tags must be a list of distinct tag names.');
+        }
+
+        if (tags.length === 0) return;
+
+        const existingTags = await this.tagRepository.readByQuery({ owner: this.context.user._id, name: { $in: tags } });
+        const missingTags = tags.filter(tag => !existingTags.some(({ name }) => name === tag));
+
+        if (missingTags.length > 0) throw new ValidationError(null, `You have no tags named ${missingTags.map(tag => `"${tag}"`).join(', ')}.`);
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Ensures that tasks can be put in a project, which must be a project of the
+     *     signed in user that isn't archived. `null` stands for the inbox, which always can.
+     *
+     * @param    {String} projectId The ID of the project.
+     * @memberof TaskService
+     */
+    async _assertProjectAcceptsTasks(projectId) {
+        if (projectId === null) return;
+
+        let project = null;
+
+        try {
+            if (typeof projectId === 'string') project = await this.projectRepository.readByIdWithQuery(projectId, { owner: this.context.user._id });
+        } catch (err) {
+            if (err.name !== 'CastError') throw err;
+        }
+
+        if (!project) throw new ValidationError(null, 'The project does not exist.');
+        if (project.archived) throw new ValidationError(null, 'Tasks can not be added to an archived project.');
+    }
+
+    /*
+     * Description:
+     * 1.) Find the due date of the next occurrence, returning the task as it is if the series ends with it.
+     * 2.) Create the next occurrence as a copy of the task with its checklist unchecked, shifting its schedule. It starts in the first status of its
+     *     workflow.
+     * 3.) Link the task to the next occurrence, so that completing it again doesn't create another.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Creates the next occurrence of a completed recurring task.
+     *
+     * @param    {Object} task The completed task.
+     * @returns  {Object} The task, linked to its next occurrence by `recurrence.nextTaskId`.
+     * @memberof TaskService
+     */
+    async _createNextOccurrence(task) {
+        const dueAt = this._getNextDueDate(task);
+        if (!dueAt) return task;
+
+        const { rule, seriesId, occurrence } = task.recurrence;
+        const nextTask = await this.taskRepository.create({
+            description: task.description,
+            priority: task.priority,
+            tags: task.tags,
+            projectId: task.projectId,
+            checklist: task.checklist && task.checklist.map(({ text }) => ({ text })),
+            completeWithChecklist: task.completeWithChecklist,
+            ...TaskService._shiftSchedule(task, dueAt),
+            recurrence: { rule, seriesId, occurrence: occurrence + 1 },
+            ...await this.workflowService.getNewTaskStatus({ projectId: task.projectId }),
+            position: await this._getPositionAtEnd(),
+            owner: this.context.user._id
+        });
+        await this.revisionService.recordRevision(TaskRevisionAction.Create, null, nextTask);
+
+        const updatedTask = await this.taskRepository.updateByIdWithQuery(task._id, { owner: this.context.user._id }, {
+            'recurrence.nextTaskId': nextTask._id
+        });
+
+        return updatedTask || task;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds the position after the last task of the signed in user.
+     *
+     * @returns  {String} The position.
+     * @memberof TaskService
+     */
+    async _getPositionAtEnd() {
+        return getRankBetween(await this.taskRepository.readLastPositionForOwner(this.context.user._id) || null, null);
+    }
+
+    /*
+     * Description:
+     * 1.) Find the other task, throwing a ValidationError if the signed in user has no such task outside of the trash.
+     * 2.) Find its neighbour on the side the task is moved to, other than the task itself. Tasks without a position come first, so moving a task
+     *     before the first task with a position moves it after them.
+     * 3.) Find a position between the two, unless there is none.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds a position right next to another task.
+     *
+     * @param    {Object}  task     The task being moved.
+     * @param    {String}  anchorId The ID of the other task.
+     * @param    {Boolean} isBefore Whether the position is before the other task, or after it.
+     * @returns  {String} The position, or `null` if there is no position between the other task and its neighbour.
+     * @memberof TaskService
+     */
+    async _getPositionNextTo(task, anchorId, isBefore) {
+        // Malformed IDs can't be the ID of a task.
+        const [anchor] = await this.taskRepository.readByIdWithQuery(anchorId, { owner: this.context.user._id }).catch((err) => {
+            if (err.name === 'CastError') return [];
+            throw err;
+        });
+
+        if (!anchor) throw new ValidationError(null, 'The task to move the task next to does not exist.');
+        if (!anchor.position) return null;
+
+        const [neighbour] = await this.taskRepository.readByQuery({
+            owner: this.context.user._id,
+            _id: { $nin: [task._id, anchor._id] },
+            position: isBefore ? { $lte: anchor.position } : { $gte: anchor.position }
+        }, { sort: { position: isBefore ? -1 : 1 }, limit: 1 });
+        const neighbourPosition = neighbour ? neighbour.position : null;
+
+        return isBefore ? getRankBetween(neighbourPosition, anchor.position) : getRankBetween(anchor.position, neighbourPosition);
+    }
+
+    /*
+     * Description:
+     * 1.) Find the tasks of the user outside of the trash in their order, those without a position first.
+     * 2.) Give them evenly spread positions in the same order, only writing those that change.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Rebalances the positions of the tasks of a user.
+     *
+     * @param    {String} ownerId The ID of the user.
+     * @memberof TaskService
+     */
+    async _rebalancePositions(ownerId) {
+        const tasks = await this.taskRepository.readByQuery({ owner: ownerId }, { sort: { position: 1, _id: 1 }, projection: { position: 1 } });
+        const ranks = getEvenRanks(tasks.length);
+
+        const positions = tasks.reduce((changes, task, index) => (
+            task.position === ranks[index] ? changes : { ...changes, [task._id]: ranks[index] }
+        ), {});
+
+        await this.taskRepository.updatePositionsForOwner(ownerId, positions);
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds the due date of the occurrence after a recurring task, in the time zone
+     *     of the signed in user.
+     *
+     * @param    {Object} task The recurring task.
+     * @returns  {Date} The due date, or `null` if the series ends with the task.
+     * @memberof TaskService
+     */
+    _getNextDueDate({ dueAt, recurrence }) {
+        return getNextOccurrence(recurrence.rule, {
+            after: new Date(dueAt),
+            occurrence: recurrence.occurrence,
+            timeZone: this.context.user.timezone || 'UTC'
+        });
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Builds the recurrence of a task from the one requested.
+     *
+     * @static
+     * @param    {Object} recurrence The requested recurrence, with the `rule` to recur by.
+     * @param    {Date}   dueAt      The due date the task will have.
+     * @returns  {Object} The recurrence, with the rule in its normal form.
+     * @memberof TaskService
+     */
+    static _toRecurrence(recurrence, dueAt) {
+        if (typeof recurrence !== 'object' || Object.keys(recurrence).some(key => key !== 'rule')) {
+            throw new ValidationError(null, 'The recurrence of a task must only have a "rule".');
+        }
+
+        if (!dueAt) throw new ValidationError(null, 'Recurring tasks must have a due date.');
+
+        return { rule: parseRecurrenceRule(recurrence.rule).rule };
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Moves the schedule of a task to a new due date, keeping its reminder as far
+     *     ahead of the due date as it was.
+     *
+     * @static
+     * @param    {Object} task  The task, with its `dueAt` and optional `remindAt`.
+     * @param    {Date}   dueAt The new due date.
+     * @returns  {Object} The new `dueAt`, and `remindAt` if the task has a reminder.
+     * @memberof TaskService
+     */
+    static _shiftSchedule({ dueAt: currentDueAt, remindAt }, dueAt) {
+        if (!remindAt) return { dueAt };
+
+        return { dueAt, remindAt: new Date(dueAt.getTime() - (new Date(currentDueAt).getTime() - new Date(remindAt).getTime())) };
+    }
+
+    /*
+     * Description:
+     * 1.) Assign the `completed` value to `match` if there is one.
+     * 2.) Match tasks having any or all of the `tags`, as `tagsMatch` says, and those in a `project`, where the `inbox` holds the tasks in no project.
+     * 3.) Collect the due date filters, each of which must hold. "Today" is the current day in the time zone of the signed in user.
+     * 4.) Search the text of the tasks for `q`, where quoted phrases must match whole and words prefixed with `-` must not match.
+     * 5.) Match only tasks in the trash if the query is for `trashed` tasks, which the Task model leaves out otherwise.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Builds the match constraints of a query of a user's tasks.
+     *
+     * @param   {String} ownerId The ID of the user whose tasks to find.
+     * @param   {Object} query   The search query.
+     * @returns {Object} The match constraints.
+     * @memberof TaskService
+     */
+    _getMatch(ownerId, query) {
+        // A temporary object of match constraints.
+        const match = { owner: ownerId };
+
+        if (query) {
+            // Match by completed if there is an existing completed value.
+            if (typeof query.completed !== 'undefined') {
+                match.completed = query.completed;
+            }
+
+            if (query.tags !== undefined) match.tags = TaskService._getTagCondition(query.tags, query.tagsMatch);
+            if (query.project !== undefined) {
+                if (typeof query.project !== 'string') throw new ValidationError(null, INVALID_PROJECT_FILTER_MESSAGE);
+                match.projectId = query.project === 'inbox' ? null : query.project;
+            }
+
+            const conditions = this._getDueDateConditions(query);
+            if (conditions.length > 0) match.$and = conditions;
+
+            if (query.q !== undefined) match.$text = { $search: TaskService._toSearch(query.q) };
+            if (query.trashed) match.deletedAt = { $ne: null };
+        }
+
+        return match;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Builds the match condition for the tag filter of a query.
+     *
+     * @static
+     * @param    {Array<String>} tags              The names of the tags.
+     * @param    {String}        [tagsMatch='any'] Whether tasks must have `any` or `all` of the tags.
+     * @returns  {Object} The condition on the tags of a task.
+     * @memberof TaskService
+     */
+    static _getTagCondition(tags, tagsMatch = 'any') {
+        if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) throw new ValidationError(null, 'The "tags" filter must be a list of tag names.');
+        if (!['any', 'all'].includes(tagsMatch)) throw new ValidationError(null, 'The "tagsMatch" filter must be "any" or "all".');
+
+        return tagsMatch === 'all' ? { $all: tags } : { $in: tags };
+    }
+
+    /*
+     * Description:
+     * 1.) `dueBefore` and `dueAfter` are exclusive bounds on the due date.
+     * 2.) A task is overdue if it is past due and not completed; `overdue=false` finds every other task.
+     * 3.) A task is due today if it is due between the start and end of the current day in the signed in user's time zone.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Builds the match conditions for the due date filters of a query.
+     *
+     * @param    {Object} query The search query, with optional `dueBefore` and `dueAfter` dates and `overdue` and `dueToday` booleans.
+     * @returns  {Array<Object>} The conditions, all of which must hold.
+     * @memberof TaskService
+     */
+    _getDueDateConditions({ dueBefore, dueAfter, overdue, dueToday }) {
+        const conditions = [];
+        const now = new Date();
+
+        if (dueBefore !== undefined) conditions.push({ dueAt: { $lt: TaskService._toDate(dueBefore, 'The "dueBefore" filter must be a date.') } });
+        if (dueAfter !== undefined) conditions.push({ dueAt: { $gt: TaskService._toDate(dueAfter, 'The "dueAfter" filter must be a date.') } });
+
+        if (overdue !== undefined) {
+            const isOverdue = { dueAt: { $lt: now }, completed: false };
+            conditions.push(overdue ? isOverdue : { $nor: [isOverdue] });
+        }
+
+        if (dueToday !== undefined) {
+            const { start, end } = getZonedDayRange(now, this.context.user.timezone || 'UTC');
+            const isDueToday = { dueAt: { $gte: start, $lt: end } };
+            conditions.push(dueToday ? isDueToday : { $nor: [isDueToday] });
+        }
+
+        return conditions;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Ensures that every sort key is sortable, and maps it to the path it sorts by.
+     *     Searches can also be sorted by `relevance`, which is always from most to least relevant.
+     *
+     * @static
+     * @param    {Object}  sort                The sort object, such as `{ priority: -1, dueAt: 1 }`.
+     * @param    {Boolean} [isSearching=false] Whether the tasks are searched.
+     * @returns  {Object} The sort object to query with.
+     * @memberof TaskService
+     */
+    static _toSort(sort, isSearching = false) {
+        if (Object.keys(sort).includes('relevance') && !isSearching) throw new ValidationError(null, 'Tasks can only be sorted by relevance when searching.');
+
+        if (!Object.keys(sort).every(field => SORTABLE_TASK_FIELDS.includes(field) || field === 'relevance')) {
+            throw new ValidationError(null, `Tasks can only be sorted by ${SORTABLE_TASK_FIELDS.join(', ')}.`);
+        }
+
+        return Object.keys(sort).reduce((paths, field) => (field === 'relevance'
+            ? { ...paths, score: TEXT_SCORE }
+            : { ...paths, [SORT_FIELD_PATHS[field] || field]: sort[field] }), {});
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Moves the relevance of searched tasks to their `search` field, along with a
+     *     snippet of each with the matches highlighted.
+     *
+     * @static
+     * @param    {Array<Object>} tasks  The tasks, with their relevance as `score`.
+     * @param    {String}        search The search.
+     * @returns  {Array<Object>} The tasks.
+     * @memberof TaskService
+     */
+    static _withSearchResults(tasks, search) {
+        return tasks.map(({ score, ...task }) => ({ ...task, search: { score, ...getSnippet(task.description, search) } }));
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Reads the value of a task by which it is sorted, for its cursor.
+     *
+     * @static
+     * @param    {Object} task The task.
+     * @param    {String} path The path sorted by.
+     * @returns  {*} The value, or `null` if the task doesn't have one.
+     * @memberof TaskService
+     */
+    static _getSortValue(task, path) {
+        // The rank of the priority isn't part of the JSON of a task.
+        const value = path === SORT_FIELD_PATHS.priority ? Object.values(TaskPriority).indexOf(task.priority) : task[path];
+
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Builds the match constraint of the tasks in a column of a board. Tasks without
+     *     a status of the workflow are in the last column if completed and in the first otherwise, as for `getEffectiveStatus`.
+     *
+     * @static
+     * @param    {Array<Object>} workflow The statuses of the workflow.
+     * @param    {Number}        index    The index of the status of the column.
+     * @returns  {Object} The match constraint.
+     * @memberof TaskService
+     */
+    static _getColumnCondition(workflow, index) {
+        const { key } = workflow[index];
+        const isFirst = index === 0;
+        const isLast = index === workflow.length - 1;
+
+        if (!isFirst && !isLast) return { status: key };
+
+        const otherStatus = { $nin: workflow.map(status => status.key) };
+
+        return { $or: [{ status: key }, { status: otherStatus, completed: isLast ? true : { $ne: true } }] };
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Ensures that a search is text of a sensible length.
+     *
+     * @static
+     * @param    {String} q The search.
+     * @returns  {String} The search, trimmed.
+     * @memberof TaskService
+     */
+    static _toSearch(q) {
+        if (typeof q !== 'string' || !q.trim() || q.trim().length > MAX_SEARCH_LENGTH) {
+            throw new ValidationError(null, `The search must be between 1 and ${MAX_SEARCH_LENGTH} characters long.`);
+        }
+
+        return q.trim();
+    }
+
+    /*
+     * Description:
+     * 1.) Both the due date and the reminder are optional, and may be cleared with `null`.
+     * 2.) A reminder can't be after the task is due.
+     * 3.) A reminder being set must be in the future, or it could never go off. A due date may be in the past, such as for a task that is already late.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Validates the due date and reminder of a task.
+     *
+     * @static
+     * @param    {Object} schedule The `dueAt` and `remindAt` the task will have.
+     * @param    {Object} changes  The fields being set, of which only `dueAt` and `remindAt` are considered.
+     * @returns  {Object} The `dueAt` and `remindAt` of `changes` as dates.
+     * @memberof TaskService
+     */
+    static _validateSchedule(schedule, changes) {
+        const dueAt = TaskService._toDate(schedule.dueAt, 'The due date must be a date.');
+        const remindAt = TaskService._toDate(schedule.remindAt, 'The reminder must be a date.');
+
+        if (dueAt && remindAt && remindAt > dueAt) throw new ValidationError(null, 'A reminder can not be set after the task is due.');
+
+        if ('remindAt' in changes && remindAt && remindAt <= new Date()) throw new ValidationError(null, 'A reminder must be set in the future.');
+
+        const validated = {};
+        if ('dueAt' in changes) validated.dueAt = dueAt;
+        if ('remindAt' in changes) validated.remindAt = remindAt;
+
+        return validated;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Converts a date, timestamp, or date string to a date.
+     *
+     * @static
+     * @param    {*}      value   The value to convert. `null` and `undefined` are passed through.
+     * @param    {String} message The message of the ValidationError thrown if the value is not a date.
+     * @returns  {Date} The date.
+     * @memberof TaskService
+     */
+    static _toDate(value, message) {
+        if (value === null || value === undefined) return value;
+
+        const date = value instanceof Date || typeof value === 'number' || typeof value === 'string' ? new Date(value) : new Date(NaN);
+        if (Number.isNaN(date.getTime()) || value === '') throw new ValidationError(null, message);
+
+        return date;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Awaits a query for tasks, throwing a ValidationError instead of the
+     *     CastError that Mongoose throws if the tasks are filtered by a project ID that isn't one.
+     *
+     * @static
+     * @param    {Promise} promise The query.
+     * @returns  {*} The result of the query.
+     * @memberof TaskService
+     */
+    static async _mapProjectFilterCastError(promise) {
+        try {
+            return await promise;
+        } catch (err) {
+            throw err.name === 'CastError' && err.path === 'projectId' ? new ValidationError(err, INVALID_PROJECT_FILTER_MESSAGE) : err;
+        }
     }
 }
 module.exports = TaskService;
\ No newline at end of file
@@ -0,0 +1,184 @@
+/*
+ * File: TwoFactorService.js (src/services/TwoFactorService.js)
+ *
+ * Description: Implements time-based one-time passwords (TOTP, RFC 6238, built on HOTP, RFC 4226) for two-factor authentication, along with the
+ * otpauth:// URIs authenticator apps enroll with and the one-time recovery codes users fall back on when they lose their device.
+ *
+ * Codes are verified by time step rather than by value, so that callers can record the step of the last accepted code and refuse to accept it again.
+ */
+
+const crypto = require('crypto');
+
+// RFC 4648 Base32 alphabet, which authenticator apps expect secrets to be encoded with.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @description Handles TOTP secret generation, code verification, and recovery codes.
+ *
+ * @class TwoFactorService
+ */
+class TwoFactorService {
+    constructor({ appConfig }) {
+        // Dependency Injection
+        this.appConfig = appConfig;
+    }
+
+    /**
+     * @description Generates a new random TOTP secret.
+     *
+     * @returns  {String} The Base32-encoded secret.
+     * @memberof TwoFactorService
+     */
+    // eslint-disable-next-line class-methods-use-this
+    generateSecret() {
+        return TwoFactorService._encodeBase32(crypto.randomBytes(20));
+    }
+
+    /**
+     * @description Builds the otpauth:// URI (usually shown as a QR code) with which an authenticator app is enrolled.
+     *
+     * @param    {String} secret      The Base32-encoded secret.
+     * @param    {String} accountName The name of the account in the authenticator app, such as the user's email address.
+     * @returns  {String} The otpauth:// URI.
+     * @memberof TwoFactorService
+     */
+    generateOtpauthURI(secret, accountName) {
+        const config = this.appConfig.authentication.twoFactor;
+        const issuer = encodeURIComponent(config.getIssuer());
+
+        return `otpauth://totp/${issuer}:${encodeURIComponent(accountName)}?secret=${secret}&issuer=${issuer}`
+            + `&algorithm=SHA1&digits=${config.getDigits()}&period=${config.getPeriod()}`;
+    }
+
+    /**
+     * @description Computes the code for a secret at the given time step.
+     *
+     * @param    {String} secret The Base32-encoded secret.
+     * @param    {Number} step   The time step (the number of periods since the Unix epoch).
+     * @returns  {String} The zero-padded code.
+     * @memberof TwoFactorService
+     */
+    generateCode(secret, step) {
+        const digits = this.appConfig.authentication.twoFactor.getDigits();
+
+        // The counter is the time step as an 8-byte big-endian integer.
+        const counter = Buffer.alloc(8);
+        counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+        counter.writeUInt32BE(step % 0x100000000, 4);
+
+        const hmac = crypto.createHmac('sha1', TwoFactorService._decodeBase32(secret)).update(counter).digest();
+
+        // Dynamic truncation (RFC 4226, section 5.3).
+        const offset = hmac[hmac.length - 1] & 0xf; // eslint-disable-line no-bitwise
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff; // eslint-disable-line no-bitwise
+
+        return (binary % (10 ** digits)).toString().padStart(digits, '0');
+    }
+
+    /**
+     * @description Returns the current time step.
+     *
+     * @param    {Number} [time=Date.now()] The time in milliseconds.
+     * @returns  {Number} The time step.
+     * @memberof TwoFactorService
+     */
+    getTimeStep(time = Date.now()) {
+        return Math.floor(time / 1000 / this.appConfig.authentication.twoFactor.getPeriod());
+    }
+
+    /*
+     * Description:
+     * 1.) Reject anything that isn't a code of the configured length.
+     * 2.) Compare the code against the current time step and those within the allowed drift on either side, in constant time.
+     * 3.) Return the matching step, or `null`.
+     */
+    /**
+     * @description Verifies a TOTP code, allowing for a little clock drift between the server and the authenticator app.
+     *
+     * @param    {String} secret             The Base32-encoded secret.
+     * @param    {String} code               The code submitted by the user.
+     * @param    {Number} [time=Date.now()]  The time in milliseconds at which to verify.
+     * @returns  {Number} The time step the code belongs to, or `null` if it is invalid.
+     * @memberof TwoFactorService
+     */
+    verifyCode(secret, code, time = Date.now()) {
+        const config = this.appConfig.authentication.twoFactor;
+
+        if (typeof code !== 'string' || !new RegExp(`^\\d{${config.getDigits()}}$`).test(code)) return null;
+
+        const currentStep = this.getTimeStep(time);
+
+        for (let drift = -config.getWindow(); drift <= config.getWindow(); drift += 1) {
+            const step = currentStep + drift;
+
+            if (crypto.timingSafeEqual(Buffer.from(this.generateCode(secret, step)), Buffer.from(code))) return step;
+        }
+
+        return null;
+    }
+
+    /**
+     * @description Generates a set of one-time recovery codes, such as `3f9a1-c07e2`.
+     *
+     * @returns  {Array<String>} The plain-text recovery codes.
+     * @memberof TwoFactorService
+     */
+    generateRecoveryCodes() {
+        return Array.from({ length: this.appConfig.authentication.twoFactor.getRecoveryCodeCount() }, () => {
+            const code = crypto.randomBytes(5).toString('hex');
+            return `${code.substring(0, 5)}-${code.substring(5)}`;
+        });
+    }
+
+    /**
+     * @description Normalizes a recovery code as typed by a user (any case, with or without the dash) to the form in which it was generated.
+     *
+     * @param    {String} code The recovery code submitted by the user.
+     * @returns  {String} The normalized code, or `null` if it can't be a recovery code.
+     * @memberof TwoFactorService
+     */
+    // eslint-disable-next-line class-methods-use-this
+    normalizeRecoveryCode(code) {
+        if (typeof code !== 'string') return null;
+
+        const characters = code.toLowerCase().replace(/[\s-]/g, '');
+        if (!/^[0-9a-f]{10}$/.test(characters)) return null;
+
+        return `${characters.substring(0, 5)}-${characters.substring(5)}`;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Encodes a buffer as unpadded Base32.
+     *
+     * @static
+     * @param    {Buffer} buffer The bytes to encode.
+     * @returns  {String} The Base32 string.
+     * @memberof TwoFactorService
+     */
+    static _encodeBase32(buffer) {
+        let bits = '';
+        buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+        return (bits.match(/.{1,5}/g) || [])
+            .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+            .join('');
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Decodes an unpadded Base32 string, ignoring case.
+     *
+     * @static
+     * @param    {String} encoded The Base32 string.
+     * @returns  {Buffer} The decoded bytes.
+     * @memberof TwoFactorService
+     */
+    static _decodeBase32(encoded) {
+        const bits = encoded.toUpperCase().replace(/=+$/, '').split('')
+            .map(character => BASE32_ALPHABET.indexOf(character).toString(2).padStart(5, '0'))
+            .join('');
+
+        return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+    }
+}
+
+module.exports = TwoFactorService;
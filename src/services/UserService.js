@@ -21,19 +21,35 @@ const EventEmitter = require('events');
 // File Enumerations
 const { FilePurpose } = require('./../constants/file-storage');
 
+// Authorization Enumerations
+const { ApiKeyScope } = require('./../constants/authorization');
+
 // Custom Exceptions
-const { ValidationError, AuthenticationError, ResourceNotFoundError } = require('./../custom-exceptions/index');
+const { ValidationError, AuthenticationError, AuthorizationError, ResourceNotFoundError, PreconditionFailedError } = require('./../custom-exceptions/index');
+
+// Utilities
+const { assertVersionMatches, getVersionCondition } = require('./../utils/etag');
 
 // TODO: Data sanitization.
 
+const DISABLED_ACCOUNT_MESSAGE = 'This account has been disabled.';
+
+// The fields by which administrators may sort the list of users.
+const SORTABLE_USER_FIELDS = ['name', 'email', 'createdAt', 'updatedAt'];
+
 class UserService extends EventEmitter {
     constructor(
         { 
             userRepository, 
             authenticationService, 
             passwordService, 
+            passwordPolicyService,
             fileStorageService, 
             fileStorageAdapter, 
+            mailService,
+            twoFactorService,
+            loginThrottleService,
+            authorizationService,
             appConfig, 
             context 
         }
@@ -44,42 +60,56 @@ class UserService extends EventEmitter {
         this.userRepository = userRepository;
         this.authenticationService = authenticationService;
         this.passwordService = passwordService;
+        this.passwordPolicyService = passwordPolicyService;
         this.fileStorageService = fileStorageService;
         this.fileStorageAdapter = fileStorageAdapter;
+        this.mailService = mailService;
+        this.twoFactorService = twoFactorService;
+        this.loginThrottleService = loginThrottleService;
+        this.authorizationService = authorizationService;
         this.appConfig = appConfig;
         this.context = context;
     }
 
     /*
      * Description:
-     * 1.) Throw a ValidationError if no `userData` object is provided.
+     * 1.) Throw a ValidationError if no `userData` object is provided, or if the password doesn't meet the password policy.
      * 2.) Hash the provided password.
-     * 3.) Build a safe use object by spreading out the dangerous object and overriding the plain-text password with the hashed password.
+     * 3.) Build a safe use object by spreading out the dangerous object and overriding the plain-text password with the hashed password. The email
+     * address starts out unverified, with a verification token of which only the hash is stored.
      * 4.) Create the user in the database, throw an error and display a message if the email already exists, or throw an error for validation.
-     * 5.) Generate an authentication token and save it to the user object.
-     * 6.) Return the safe user object.
+     * 5.) Generate an access token and refresh token and save the session to the user object.
+     * 6.) Email the verification token to the user.
+     * 7.) Return the safe user object and both tokens.
      */
     /**
      * @description - Performs the required operations to sign up a new user, including handling ValidationErrors, hashing passwords, generating
      *     authentication tokens, and stripping sensitive data from the user object before returning it.
      *
-     * @param    {Object} userData Information regarding the user to sign up.
+     * @param    {Object} userData      Information regarding the user to sign up.
+     * @param    {Object} [client={}]   The `userAgent` and `ipAddress` of the device signing up, recorded on the session.
      * @returns  {Object} The successfully signed up user.
      * @memberof UserService
      */
-    async signUpNewUser(userData = {}) {
-        try {
-            // Only checking password here because the Model will validate other properties.
-            if (!userData || !userData.password) throw new ValidationError();
+    async signUpNewUser(userData = {}, client = {}) {
+        // Only checking password here because the Model will validate other properties.
+        if (!userData || !userData.password) throw new ValidationError();
+
+        this.passwordPolicyService.assertValid(userData.password, userData);
 
+        try {
             // Hash the user's password.
             const hashedPassword = await this.passwordService.hash(userData.password); 
 
+            const { token: verificationToken, emailVerification } = this._generateEmailVerification();
+
             // Create a safe user object to store with no sensitive data in plain-text.
             const cleanUser = {
                 ...userData,
                 avatarPaths: this.appConfig.cloudStorage.avatars.getDefaultAvatarPaths(),
-                password: hashedPassword
+                password: hashedPassword,
+                emailVerified: false,
+                emailVerification
             };
 
             // Save the user to the database.
@@ -88,15 +118,15 @@ class UserService extends EventEmitter {
             // TODO: Emit events for analytics, cron-jobs, email on-boarding, etc.
             // TODO: this.eventEmitter.emit('signed_up_user', { email, name });
 
-            // Attain an authentication token for the user.
-            const token = this.authenticationService.generateAuthToken(userPreToken._id); 
+            // Attain an access token and refresh token for the user and save his/her session.
+            const { user: userWithToken, token, refreshToken } = await this._startSession(userPreToken._id, client);
 
-            // Update the user in the database to save his/her token.
-            const userWithToken = await this.userRepository.updateTokensById(userPreToken._id, token); 
+            await this.mailService.sendEmailVerificationEmail(userWithToken, verificationToken);
 
             return {
                 user: this._transformUser(userWithToken),
-                token
+                token,
+                refreshToken
             };
         } catch (err) {
             if (err.code === 11000) throw new ValidationError(null, 'The provided email address is already in use.');
@@ -107,26 +137,34 @@ class UserService extends EventEmitter {
 
     /*
      * Description:
-     * 1.) Find the user in the database by their ID, `user` will be `null` if no user is found.
-     * 2.) Check if the user is authenticated. If `user` is `null`, the `isAuthenticated` boolean switch will be set to `false`. If `user` is defined and
+     * 1.) Throw a TooManyAttemptsError if too many attempts have failed for the email address or from the IP address recently.
+     * 2.) Find the user in the database by their ID, `user` will be `null` if no user is found.
+     * 3.) Check if the user is authenticated. If `user` is `null`, the `isAuthenticated` boolean switch will be set to `false`. If `user` is defined and
      * hashed passwords match, than the `isAuthenticated` boolean flag will be set to true.
-     * 3.) Throw an AuthenticationError if `isAuthenticated` is false.
-     * 4.) Generate a new authentication token for this sign in session and store it.
-     * 5.) Return the clean user.
+     * 4.) Record the failed attempt and throw an AuthenticationError if `isAuthenticated` is false.
+     * 5.) Re-hash the password if its hash was made with another algorithm or weaker parameters than those configured now.
+     * 6.) If the user has two-factor authentication enabled, return a challenge token to be exchanged with a code at `completeTwoFactorLogin`.
+     * 7.) Otherwise, clear the failed attempts against the account, generate a new access token and refresh token for this sign in session and store the session.
+     * 8.) Return the clean user and both tokens.
      */
     /**
      * @description - Attempts to log a user in, which includes querying the database for the user's email, ensuring the stored hashed password matches the
      *     hash of the provided password, generating a new authentication token for this session, and returning the safe user object.
      *
-     * @param    {String} email    The user's email address.
-     * @param    {String} password The user's password.
-     * @returns  {Object} The safe user object.
+     * @param    {String} email       The user's email address.
+     * @param    {String} password    The user's password.
+     * @param    {Object} [client={}] The `userAgent` and `ipAddress` of the device logging in, recorded on the session.
+     * @returns  {Object} The safe user object and both tokens, or only a `challengeToken` if a two-factor code is required.
      * @memberof UserService
      */
-    async loginUser(email, password) {
+    async loginUser(email, password, client = {}) {
         // The email and password is sort of important...
         if (!email || !password) throw new ValidationError();
 
+        // Refuse the attempt outright while the account or the IP address is throttled.
+        const attempt = { email, ipAddress: client.ipAddress };
+        await this.loginThrottleService.assertAllowed(attempt);
+
         // Attempt to find the user by their email. If user is null, an AuthenticationError will be thrown below.
         const user = await this.userRepository.readByQuery({ email }); 
 
@@ -137,18 +175,146 @@ class UserService extends EventEmitter {
         ) : false;
 
         // Either the user could not be found or their hashed passwords don't match.
-        if (!isAuthenticated) throw new AuthenticationError();
-        
-        // Attain an authentication token for the user.
-        const token = this.authenticationService.generateAuthToken(user._id); 
+        if (!isAuthenticated) {
+            await this.loginThrottleService.recordFailure(attempt);
+            throw new AuthenticationError();
+        }
 
-        // Update the user in the database to save his/her token.
-        const userWithToken = await this.userRepository.updateTokensById(user._id, token);
+        // The password is correct, so it's safe to say why the user can't log in.
+        if (user.disabled) throw new AuthorizationError(null, DISABLED_ACCOUNT_MESSAGE);
+
+        // The plain-text password is only ever at hand now, so this is when a hash gets upgraded.
+        if (this.passwordService.needsRehash(user.password)) {
+            await this.userRepository.rehashPasswordById(user._id, user.password, await this.passwordService.hash(password));
+        }
+
+        // With two-factor authentication enabled, the password alone doesn't start a session.
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return { challengeToken: this.authenticationService.generateChallengeToken(user._id) };
+        }
+
+        // Only the account's counters are cleared, so that logging in to an account of one's own doesn't reset the counters of an IP address that is
+        // guessing the passwords of others.
+        await this.loginThrottleService.clear({ email });
+        
+        // Attain an access token and refresh token for the user and save his/her session.
+        const { user: userWithToken, token, refreshToken } = await this._startSession(user._id, client);
 
         // The user is authorized.
         return {
             user: this._transformUser(userWithToken),
-            token
+            token,
+            refreshToken
+        };
+    }
+
+    /*
+     * Description:
+     * 1.) Verify the challenge token issued by `loginUser` and find the user it was issued to.
+     * 2.) Throw a TooManyAttemptsError if too many attempts have failed for the user or from the IP address recently.
+     * 3.) Record the failed attempt and throw an AuthenticationError unless the code is a valid (and unused) TOTP code or recovery code.
+     * 4.) Clear the failed attempts against the account, generate a new access token and refresh token for this sign in session and store the session.
+     * 5.) Return the clean user and both tokens.
+     */
+    /**
+     * @description - Completes the login of a user with two-factor authentication enabled by exchanging the challenge token and a code for a session.
+     *
+     * @param    {String} challengeToken The challenge token returned by `loginUser`.
+     * @param    {String} code           A TOTP code from the user's authenticator app, or one of his/her recovery codes.
+     * @param    {Object} [client={}]    The `userAgent` and `ipAddress` of the device logging in, recorded on the session.
+     * @returns  {Object} The safe user object and both tokens.
+     * @memberof UserService
+     */
+    async completeTwoFactorLogin(challengeToken, code, client = {}) {
+        if (!challengeToken || !code || typeof code !== 'string') throw new ValidationError();
+
+        // Throws an AuthenticationError for an invalid or expired challenge token.
+        const { _id } = this.authenticationService.verifyChallengeToken(challengeToken);
+
+        const user = await this.userRepository.readById(_id);
+        if (!user || !user.twoFactor || !user.twoFactor.enabled) throw new AuthenticationError();
+        if (user.disabled) throw new AuthorizationError(null, DISABLED_ACCOUNT_MESSAGE);
+
+        // Codes are throttled like passwords, for they are much easier to guess.
+        const attempt = { email: user.email, ipAddress: client.ipAddress };
+        await this.loginThrottleService.assertAllowed(attempt);
+
+        if (!await this._verifySecondFactor(user, code)) {
+            await this.loginThrottleService.recordFailure(attempt);
+            throw new AuthenticationError(null, 'The two-factor code is invalid.');
+        }
+
+        await this.loginThrottleService.clear({ email: user.email });
+
+        // Attain an access token and refresh token for the user and save his/her session.
+        const { user: userWithToken, token, refreshToken } = await this._startSession(user._id, client);
+
+        return {
+            user: this._transformUser(userWithToken),
+            token,
+            refreshToken
+        };
+    }
+
+    /*
+     * Description:
+     * 1.) Pull the token family off the refresh token and find the user owning a session of that family.
+     * 2.) If the presented token is not the family's current refresh token, it has already been used (or forged), so revoke the whole family.
+     * 3.) If the session has expired, revoke it.
+     * 4.) Otherwise, rotate the session's tokens. If the rotation loses a race with another refresh, treat it as reuse as well.
+     * 5.) Return the clean user and the new tokens.
+     */
+    /**
+     * @description - Exchanges a refresh token for a new access token and refresh token. Refresh tokens are single-use; presenting one that has already
+     *     been exchanged revokes every token in its family, logging out both the legitimate client and whoever replayed the token.
+     *
+     * @param    {String} refreshToken The plain-text refresh token.
+     * @param    {Object} [client={}]  The `userAgent` and `ipAddress` of the device refreshing, recorded on the session.
+     * @returns  {Object} The safe user object, the new access token, and the new refresh token.
+     * @memberof UserService
+     */
+    async refreshAuthToken(refreshToken, client = {}) {
+        if (!refreshToken) throw new ValidationError();
+
+        // Throws an AuthenticationError for a malformed token.
+        const family = this.authenticationService.parseRefreshToken(refreshToken);
+
+        const user = await this.userRepository.readByQuery({ 'tokens.family': family });
+        if (!user) throw new AuthenticationError();
+
+        const currentSession = user.tokens.find(session => session.family === family);
+        const refreshTokenHash = this.authenticationService.hashToken(refreshToken);
+
+        // Reuse detection - revoke the whole family.
+        if (currentSession.refreshToken !== refreshTokenHash) {
+            await this.userRepository.removeTokenFamilyById(user._id, family);
+            throw new AuthenticationError();
+        }
+
+        // The session has lapsed.
+        if (new Date(currentSession.expiresAt).getTime() <= Date.now()) {
+            await this.userRepository.removeTokenFamilyById(user._id, family);
+            throw new AuthenticationError();
+        }
+
+        // Rotate within the same family.
+        const { token, refreshToken: newRefreshToken, session } = this.authenticationService.generateSession(user._id, family);
+        const rotatedUser = await this.userRepository.rotateTokenById(user._id, family, refreshTokenHash, {
+            ...session,
+            lastUsedAt: new Date(),
+            userAgent: client.userAgent,
+            ipAddress: client.ipAddress
+        });
+
+        if (!rotatedUser) {
+            await this.userRepository.removeTokenFamilyById(user._id, family);
+            throw new AuthenticationError();
+        }
+
+        return {
+            user: this._transformUser(rotatedUser),
+            token,
+            refreshToken: newRefreshToken
         };
     }
 
@@ -182,6 +348,192 @@ class UserService extends EventEmitter {
         return this._transformUser(await this.userRepository.removeAllTokensById(this.context.user._id))
     }
 
+    /*
+     * Description:
+     * 1.) Read the user's sessions, which are not available on the context user since tokens are stripped from it.
+     * 2.) Return each session without its tokens, flagging the one making this request.
+     */
+    /**
+     * @description - Lists the signed in user's sessions (one per device) so that he/she can recognize and revoke them.
+     *
+     * @param    {String} currentToken The access token of the current request.
+     * @returns  {Array}  The safe session objects.
+     * @memberof UserService
+     */
+    async retrieveSessions(currentToken) {
+        const user = await this.userRepository.readById(this.context.user._id);
+
+        if (!user) throw new ResourceNotFoundError();
+
+        return user.tokens.map(session => UserService._transformSession(session, currentToken));
+    }
+
+    /*
+     * Description:
+     * 1.) Call the Repository to remove the session from the signed in user.
+     * 2.) Throw a ResourceNotFoundError if the user has no such session, including for malformed IDs.
+     */
+    /**
+     * @description - Revokes one of the signed in user's sessions (for example, that of a lost device) without affecting his/her other sessions.
+     *
+     * @param    {String} sessionId The ID of the session to revoke.
+     * @returns  {Object} The safe user object.
+     * @memberof UserService
+     */
+    async revokeSession(sessionId) {
+        let user;
+
+        try {
+            user = await this.userRepository.removeTokenBySessionId(this.context.user._id, sessionId);
+        } catch (err) {
+            throw err.name === 'CastError' ? new ResourceNotFoundError(err, 'session') : err;
+        }
+
+        if (!user) throw new ResourceNotFoundError(null, 'session');
+
+        return this._transformUser(user);
+    }
+
+    /**
+     * @description - Records that the session holding the provided access token was just used, and from where. The Repository only writes this
+     *     occasionally (see `authentication.sessions` in the application config), so this is safe to call on every authenticated request.
+     *
+     * @param    {String} token       The access token of the current request.
+     * @param    {Object} [client={}] The `ipAddress` of the device making the request.
+     * @memberof UserService
+     */
+    async recordSessionActivity(token, client = {}) {
+        const now = Date.now();
+        const since = new Date(now - this.appConfig.authentication.sessions.getActivityResolution());
+
+        await this.userRepository.updateTokenActivityById(this.context.user._id, token, {
+            lastUsedAt: new Date(now),
+            ipAddress: client.ipAddress
+        }, since);
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless the API key has a name, at least one known scope, and, if it expires, an expiry in the future.
+     * 2.) Throw a ValidationError if the user already has as many API keys as allowed.
+     * 3.) Generate the key and save its hash to the user.
+     * 4.) Return the safe API key along with the plain-text key, which is never available again.
+     */
+    /**
+     * @description - Creates a personal API key for the signed in user.
+     *
+     * @param    {Object} apiKeyData             The API key to create.
+     * @param    {String} apiKeyData.name        A name by which the user recognizes the key.
+     * @param    {Array}  apiKeyData.scopes      The scopes of the key, such as `tasks:read`.
+     * @param    {String} [apiKeyData.expiresAt] When the key expires, if ever.
+     * @returns  {Object} The safe `apiKey` object and the plain-text `key`.
+     * @memberof UserService
+     */
+    async createApiKey(apiKeyData = {}) {
+        const { name, scopes, expiresAt } = apiKeyData;
+
+        if (typeof name !== 'string' || name.trim().length === 0) throw new ValidationError(null, 'An API key needs a name.');
+
+        if (!Array.isArray(scopes) || scopes.length === 0) throw new ValidationError(null, 'An API key needs at least one scope.');
+
+        const unknownScope = scopes.find(scope => !Object.values(ApiKeyScope).includes(scope));
+        if (unknownScope !== undefined) throw new ValidationError(null, `The scope "${unknownScope}" does not exist.`);
+
+        const expiry = expiresAt !== undefined && expiresAt !== null ? new Date(expiresAt) : undefined;
+        if (expiry && !(expiry.getTime() > Date.now())) throw new ValidationError(null, 'The expiry of an API key must be a date in the future.');
+
+        const user = await this.userRepository.readById(this.context.user._id);
+        if (!user) throw new ResourceNotFoundError();
+
+        const maxPerUser = this.appConfig.authentication.apiKeys.getMaxPerUser();
+        if ((user.apiKeys || []).length >= maxPerUser) throw new ValidationError(null, `You can not have more than ${maxPerUser} API keys.`);
+
+        const key = this.authenticationService.generateApiKey();
+        const updatedUser = await this.userRepository.addApiKeyById(user._id, {
+            name,
+            keyHash: this.authenticationService.hashToken(key),
+            prefix: key.substring(0, 12),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiry
+        });
+
+        return {
+            apiKey: UserService._transformApiKey(updatedUser.apiKeys[updatedUser.apiKeys.length - 1]),
+            key
+        };
+    }
+
+    /**
+     * @description - Lists the signed in user's API keys, without the keys themselves.
+     *
+     * @returns  {Array} The safe API key objects.
+     * @memberof UserService
+     */
+    async retrieveApiKeys() {
+        const user = await this.userRepository.readById(this.context.user._id);
+
+        if (!user) throw new ResourceNotFoundError();
+
+        return (user.apiKeys || []).map(apiKey => UserService._transformApiKey(apiKey));
+    }
+
+    /**
+     * @description - Revokes one of the signed in user's API keys, throwing a ResourceNotFoundError if he/she has no such key.
+     *
+     * @param    {String} apiKeyId The ID of the API key to revoke.
+     * @memberof UserService
+     */
+    async revokeApiKey(apiKeyId) {
+        let user;
+
+        try {
+            user = await this.userRepository.removeApiKeyById(this.context.user._id, apiKeyId);
+        } catch (err) {
+            throw err.name === 'CastError' ? new ResourceNotFoundError(err, 'API key') : err;
+        }
+
+        if (!user) throw new ResourceNotFoundError(null, 'API key');
+    }
+
+    /*
+     * Description:
+     * 1.) Find the user holding the unexpired API key by its hash.
+     * 2.) Throw an AuthenticationError if there is none, or if the user has been disabled.
+     * 3.) Return the user, stripped of sensitive data but with relative avatar paths (as for access tokens in `verifyAuth`), and the API key.
+     */
+    /**
+     * @description - Authenticates a request made with a personal API key.
+     *
+     * @param    {String} key The plain-text API key.
+     * @returns  {Object} The safe `user` and the safe `apiKey` object, including its scopes.
+     * @memberof UserService
+     */
+    async authenticateApiKey(key) {
+        const keyHash = this.authenticationService.hashToken(key);
+        const user = await this.userRepository.readByApiKey(keyHash);
+
+        if (!user || user.disabled) throw new AuthenticationError();
+
+        return {
+            user: UserService._stripSensitiveData(user),
+            apiKey: UserService._transformApiKey(user.apiKeys.find(apiKey => apiKey.keyHash === keyHash))
+        };
+    }
+
+    /**
+     * @description - Records that one of the signed in user's API keys was just used. Like session activity, this is only written occasionally (see
+     *     `authentication.apiKeys` in the application config).
+     *
+     * @param    {String} apiKeyId The ID of the API key.
+     * @memberof UserService
+     */
+    async recordApiKeyUsage(apiKeyId) {
+        const now = Date.now();
+        const since = new Date(now - this.appConfig.authentication.apiKeys.getUsageResolution());
+
+        await this.userRepository.updateApiKeyUsageById(this.context.user._id, apiKeyId, new Date(now), since);
+    }
+
     /*
      * Description:
      * 1.) Find the user in the database via query.
@@ -223,21 +575,26 @@ class UserService extends EventEmitter {
      * 1.) If the `requestedUpdates` object is null, set it to be an empty object.
      * 2.) Count the number of keys on the object, if it's zero, return the current user with no side effects.
      * 3.) Otherwise, ensure the updates are valid.
-     * 4.) If valid and one of the updates is the password, make the password safe by hashing it.
-     * 5.) Update the user object in the DB with the updates.
-     * 6.) Return the safe object.
+     * 4.) If valid and one of the updates is the password, ensure it meets the password policy (for the new name and email address, if they change
+     * too), and make the password safe by hashing it.
+     * 5.) If the client expects versions of the profile, throw a PreconditionFailedError if the signed in user is at none of them, or if they change
+     *     before the update applies.
+     * 6.) Update the user object in the DB with the updates.
+     * 7.) Return the safe object.
      */
     /**
      * @description - Attempts to update a user by ensuring the updates for the user are valid. If no updates are provided, the current state of the user
      *     is returned, if updates are invalid, a ResourceNotFoundError is thrown, if updates are valid, then the user is updated as specified. If the updates
      *     are valid and one of the updates is a password, then the new password is hashed before being sent across the network (despite being SSL Encrypted
-     *     with HSTS enforced).
+     *     with HSTS enforced). If the email address changes, it must be verified again, so a new verification token is emailed to the new address.
      *
-     * @param    {Object} [requestedUpdates={}] The requested updates.
+     * @param    {Object}        [requestedUpdates={}]            The requested updates.
+     * @param    {Object}        [preconditions={}]               Conditions of the update.
+     * @param    {Array<Number>} [preconditions.expectedVersions] The versions of the profile that the client has seen, from `If-Match`.
      * @returns  {Object} The updated user object.
      * @memberof UserService
      */
-    async updateUser(requestedUpdates = {}) {
+    async updateUser(requestedUpdates = {}, { expectedVersions } = {}) {
         // Create an empty allowed updates object and enumerate `requestedUpdates` keys.
         const validUpdates = {};
         const updateKeys = Object.keys(requestedUpdates);
@@ -246,39 +603,365 @@ class UserService extends EventEmitter {
         if (updateKeys.length === 0) return this._transformUser(this.context.user);
         
         // Verify that the requested updates are valid.
-        const allowedUpdates = ['name', 'email', 'password', 'age'];
+        const allowedUpdates = ['name', 'email', 'password', 'age', 'timezone'];
         const isValidOperation = updateKeys.every(update => allowedUpdates.includes(update));
 
         if (!isValidOperation) throw new ValidationError();
 
+        assertVersionMatches(this.context.user, expectedVersions);
+
         // Note: `validUpdates` could contain a plain-text password at this point. This is resolved below.
         // eslint-disable-next-line no-return-assign
         updateKeys.forEach(updateKey => validUpdates[updateKey] = requestedUpdates[updateKey]);
 
         // If the user is updating their password, hash the password before saving it.
         if (updateKeys.includes('password')) {
+            const { name, email } = { ...this.context.user, ...requestedUpdates };
+            this.passwordPolicyService.assertValid(requestedUpdates.password, { name, email });
+
             validUpdates.password = await this.passwordService.hash(requestedUpdates.password);
         }
 
-        return this._transformUser(await this.userRepository.updateById(this.context.user._id, validUpdates));
+        // If the user is changing their email address, it is unverified until he/she proves ownership of the new one. The model lowercases emails.
+        const isChangingEmail = typeof requestedUpdates.email === 'string'
+            && requestedUpdates.email.trim().toLowerCase() !== this.context.user.email;
+
+        let verificationToken;
+        if (isChangingEmail) {
+            const { token, emailVerification } = this._generateEmailVerification();
+
+            verificationToken = token;
+            validUpdates.emailVerified = false;
+            validUpdates.emailVerification = emailVerification;
+        }
+
+        // Only apply the update to the version that was checked, should another request change the profile in between.
+        const user = expectedVersions
+            ? await this.userRepository.updateByIdWithQuery(this.context.user._id, getVersionCondition(this.context.user), validUpdates)
+            : await this.userRepository.updateById(this.context.user._id, validUpdates);
+
+        if (!user) throw new PreconditionFailedError(null);
+
+        if (isChangingEmail) await this.mailService.sendEmailVerificationEmail(user, verificationToken);
+
+        return this._transformUser(user);
+    }
+
+    /*
+     * Description:
+     * 1.) Call the Repository to mark the email address of the user holding the token as verified, consuming the token.
+     * 2.) Throw a ValidationError if the token is unknown, already used, or expired.
+     */
+    /**
+     * @description - Verifies the email address of the user to whom the email verification token was sent.
+     *
+     * @param    {String} token The plain-text email verification token from the email.
+     * @memberof UserService
+     */
+    async verifyEmail(token) {
+        if (!token || typeof token !== 'string') throw new ValidationError();
+
+        const user = await this.userRepository.verifyEmailByToken(this.authenticationService.hashToken(token));
+
+        if (!user) throw new ValidationError(null, 'The email verification token is invalid or has expired.');
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError if the signed in user's email address is already verified.
+     * 2.) Generate a new verification token, replacing any outstanding token, and email it to the user.
+     */
+    /**
+     * @description - Emails the signed in user a new email verification token, such as when the previous one has expired.
+     *
+     * @memberof UserService
+     */
+    async resendEmailVerification() {
+        if (this.context.user.emailVerified) throw new ValidationError(null, 'The email address is already verified.');
+
+        const { token, emailVerification } = this._generateEmailVerification();
+
+        const user = await this.userRepository.updateEmailVerificationById(this.context.user._id, emailVerification);
+
+        await this.mailService.sendEmailVerificationEmail(user, token);
     }
 
     /*
      * Description:
-     * 1.) TODO: Cascade deletion of tasks.
-     * 2.) TODO: Send cancellation emails.
-     * 3.) Delete the user.
+     * 1.) Find the user by their email. If there is no such user, return silently so as not to reveal which addresses have accounts.
+     * 2.) Generate a reset token and store only its hash, with an expiry, replacing any outstanding token.
+     * 3.) Email the plain-text token to the user.
+     */
+    /**
+     * @description - Begins the password reset flow by emailing the user a single-use, expiring reset token.
+     *
+     * @param    {String} email The email address of the account to recover.
+     * @memberof UserService
+     */
+    async requestPasswordReset(email) {
+        if (!email || typeof email !== 'string') throw new ValidationError();
+
+        // The model lowercases emails on save.
+        const user = await this.userRepository.readByQuery({ email: email.trim().toLowerCase() });
+
+        if (!user) return;
+
+        const token = this.authenticationService.generateOpaqueToken();
+
+        await this.userRepository.updatePasswordResetById(user._id, {
+            token: this.authenticationService.hashToken(token),
+            expiresAt: new Date(Date.now() + this.appConfig.authentication.passwordResetTokens.getTimeToLive())
+        });
+
+        await this.mailService.sendPasswordResetEmail(user, token);
+    }
+
+    /*
+     * Description:
+     * 1.) Find the user holding the token, throwing a ValidationError if the token is unknown, already used, or expired.
+     * 2.) Ensure the new password meets the password policy, and hash it.
+     * 3.) Call the Repository to set the password for the user holding the token, consuming the token and logging the user out everywhere at once.
+     * 4.) Throw a ValidationError if the token was used or expired in the meantime.
+     * 5.) Clear the failed login attempts against the account, so that a locked out user can log in with the new password right away.
+     */
+    /**
+     * @description - Completes the password reset flow, setting a new password and invalidating all of the user's existing sessions.
+     *
+     * @param    {String} token    The plain-text password reset token from the email.
+     * @param    {String} password The new plain-text password.
+     * @memberof UserService
+     */
+    async resetPassword(token, password) {
+        if (!token || !password || typeof token !== 'string') throw new ValidationError();
+
+        const tokenHash = this.authenticationService.hashToken(token);
+        const invalidTokenError = new ValidationError(null, 'The password reset token is invalid or has expired.');
+
+        const holder = await this.userRepository.readByPasswordResetToken(tokenHash);
+
+        if (!holder) throw invalidTokenError;
+
+        this.passwordPolicyService.assertValid(password, holder);
+
+        const hashedPassword = await this.passwordService.hash(password);
+
+        const user = await this.userRepository.resetPasswordByToken(tokenHash, hashedPassword);
+
+        if (!user) throw invalidTokenError;
+
+        await this.loginThrottleService.clear({ email: user.email });
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError if two-factor authentication is already enabled.
+     * 2.) Generate a new secret and store it, pending confirmation. Two-factor authentication isn't enabled until the user confirms a code.
+     * 3.) Return the secret and the otpauth:// URI with which to enroll an authenticator app.
+     */
+    /**
+     * @description - Begins enrolling the signed in user in two-factor authentication. Enrolling again before confirming replaces the secret.
+     *
+     * @returns  {Object} The Base32 `secret` and the otpauth:// `uri`.
+     * @memberof UserService
+     */
+    async enrollTwoFactor() {
+        const { user } = this.context;
+
+        if (user.twoFactor && user.twoFactor.enabled) throw new ValidationError(null, 'Two-factor authentication is already enabled.');
+
+        const secret = this.twoFactorService.generateSecret();
+
+        await this.userRepository.updateTwoFactorById(user._id, { enabled: false, secret });
+
+        return { secret, uri: this.twoFactorService.generateOtpauthURI(secret, user.email) };
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError if there is no pending enrollment, or if the code is not valid for the pending secret.
+     * 2.) Enable two-factor authentication, storing only the hashes of a new set of recovery codes, and the step of the confirmed code.
+     * 3.) Return the plain-text recovery codes. They are never shown again.
+     */
+    /**
+     * @description - Confirms the signed in user's two-factor enrollment with a first code from his/her authenticator app, enabling two-factor
+     *     authentication.
+     *
+     * @param    {String} code A TOTP code for the pending secret.
+     * @returns  {Array<String>} The plain-text recovery codes.
+     * @memberof UserService
+     */
+    async confirmTwoFactor(code) {
+        const { user } = this.context;
+
+        if (!user.twoFactor || !user.twoFactor.secret || user.twoFactor.enabled) {
+            throw new ValidationError(null, 'There is no pending two-factor authentication enrollment to confirm.');
+        }
+
+        const step = this.twoFactorService.verifyCode(user.twoFactor.secret, code);
+        if (step === null) throw new ValidationError(null, 'The two-factor code is invalid.');
+
+        const recoveryCodes = this.twoFactorService.generateRecoveryCodes();
+
+        await this.userRepository.updateTwoFactorById(user._id, {
+            enabled: true,
+            secret: user.twoFactor.secret,
+            recoveryCodes: recoveryCodes.map(recoveryCode => this.authenticationService.hashToken(recoveryCode)),
+            lastUsedStep: step
+        });
+
+        return recoveryCodes;
+    }
+
+    /**
+     * @description - Disables two-factor authentication for the signed in user, who must prove possession of the second factor with a TOTP code or
+     *     recovery code.
+     *
+     * @param    {String} code A TOTP code or recovery code.
+     * @memberof UserService
+     */
+    async disableTwoFactor(code) {
+        const { user } = this.context;
+
+        if (!user.twoFactor || !user.twoFactor.enabled) throw new ValidationError(null, 'Two-factor authentication is not enabled.');
+        if (!code || typeof code !== 'string') throw new ValidationError();
+
+        if (!await this._verifySecondFactor(user, code)) throw new ValidationError(null, 'The two-factor code is invalid.');
+
+        await this.userRepository.removeTwoFactorById(user._id);
+    }
+
+    /*
+     * Description:
+     * 1.) If the client expects versions of the profile, throw a PreconditionFailedError if the signed in user is at none of them, or if they change
+     *     before they are deleted.
+     * 2.) TODO: Cascade deletion of tasks.
+     * 3.) TODO: Send cancellation emails.
+     * 4.) Delete the user.
      */
     /**
      * @description Deletes a user from the database, handles cascade deletion of user tasks, and sends cancellation emails.
      *
+     * @param    {Object}        [preconditions={}]               Conditions of the deletion.
+     * @param    {Array<Number>} [preconditions.expectedVersions] The versions of the profile that the client has seen, from `If-Match`.
      * @memberof UserService
      */
-    async deleteUser() {
+    async deleteUser({ expectedVersions } = {}) {
+        assertVersionMatches(this.context.user, expectedVersions);
+
         // TODO: Delete Tasks.
         // TODO: Send cancellation emails.
 
-        return this.userRepository.deleteById(this.context.user._id);     
+        if (!expectedVersions) return this.userRepository.deleteById(this.context.user._id);
+
+        // Only delete the version that was checked, should another request change the profile in between.
+        const user = await this.userRepository.deleteByIdWithQuery(this.context.user._id, getVersionCondition(this.context.user));
+
+        if (!user) throw new PreconditionFailedError(null);
+
+        return user;
+    }
+
+    /*
+     * Description:
+     * 1.) Build the match constraints: a case-insensitive search of names and email addresses, a role, and whether the user is disabled.
+     * 2.) Throw a ValidationError if sorting by a field that isn't sortable.
+     * 3.) Return the safe users.
+     */
+    /**
+     * @description - Lists and searches all users, for administrators.
+     *
+     * @param    {Object} [query={}]   The `search` text, `role`, and `disabled` flag to filter by.
+     * @param    {Object} [options={}] Sorting and pagination options.
+     * @returns  {Array}  The safe user objects.
+     * @memberof UserService
+     */
+    async retrieveUsers(query = {}, options = {}) {
+        const match = {};
+
+        if (query.search) {
+            const pattern = new RegExp(String(query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            match.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        if (query.role) match.roles = query.role;
+        if (typeof query.disabled !== 'undefined') match.disabled = query.disabled;
+
+        if (options.sort && !Object.keys(options.sort).every(field => SORTABLE_USER_FIELDS.includes(field))) {
+            throw new ValidationError(null, `Users can only be sorted by ${SORTABLE_USER_FIELDS.join(', ')}.`);
+        }
+
+        const users = await this.userRepository.readManyByQuery(match, options);
+        return users.map(user => this._transformUser(user));
+    }
+
+    /**
+     * @description - Finds any user by his/her ID, for administrators.
+     *
+     * @param    {String} id The ID of the user.
+     * @returns  {Object} The safe user object.
+     * @memberof UserService
+     */
+    async retrieveUserById(id) {
+        return this._transformUser(await this._readUserById(id));
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError if the administrator is trying to disable his/her own account.
+     * 2.) Call the Repository to disable the user, which also ends all of his/her sessions, or to re-enable him/her.
+     * 3.) Throw a ResourceNotFoundError if there is no such user.
+     */
+    /**
+     * @description - Disables or re-enables a user's account, for administrators. A disabled user is logged out everywhere and can't log in.
+     *
+     * @param    {String}  id       The ID of the user.
+     * @param    {Boolean} disabled Whether the user should be disabled.
+     * @returns  {Object}  The safe user object.
+     * @memberof UserService
+     */
+    async updateUserDisabledById(id, disabled) {
+        if (typeof disabled !== 'boolean') throw new ValidationError();
+
+        if (disabled && String(id) === String(this.context.user._id)) throw new ValidationError(null, 'You cannot disable your own account.');
+
+        const user = await UserService._mapCastError(this.userRepository.updateDisabledById(id, disabled));
+        if (!user) throw new ResourceNotFoundError(null, 'user');
+
+        return this._transformUser(user);
+    }
+
+    /**
+     * @description - Logs a user out of all his/her sessions, for administrators.
+     *
+     * @param    {String} id The ID of the user.
+     * @returns  {Object} The safe logged out user object.
+     * @memberof UserService
+     */
+    async logoutUserAllById(id) {
+        const { _id } = await this._readUserById(id);
+        return this._transformUser(await this.userRepository.removeAllTokensById(_id));
+    }
+
+    /*
+     * Description:
+     * 1.) Throw a ValidationError unless every role exists.
+     * 2.) Call the Repository to replace the user's roles, throwing a ResourceNotFoundError if there is no such user.
+     */
+    /**
+     * @description - Assigns roles to a user, for administrators.
+     *
+     * @param    {String}        id    The ID of the user.
+     * @param    {Array<String>} roles The roles, replacing those the user had.
+     * @returns  {Object}        The safe user object.
+     * @memberof UserService
+     */
+    async updateUserRolesById(id, roles) {
+        this.authorizationService.assertValidRoles(roles);
+
+        const user = await UserService._mapCastError(this.userRepository.updateRolesById(id, [...new Set(roles)]));
+        if (!user) throw new ResourceNotFoundError(null, 'user');
+
+        return this._transformUser(user);
     }
 
     /*
@@ -376,12 +1059,12 @@ class UserService extends EventEmitter {
 
     /*
      * Description:
-     * 1.) Using the spread operator to stript the password and tokens properties, dumping the rest in `cleanUser`.
+     * 1.) Using the spread operator to stript the password, tokens, and password reset properties, dumping the rest in `cleanUser`.
      * 2.) Return the clean user.
      */
     /**
-     * @description - Private member function as noted by the '_' prefix. Removes the `password` and `tokens` field if they exist to make the user object
-     * safe, and then returns that safe object.
+     * @description - Private member function as noted by the '_' prefix. Removes the `password`, `tokens`, `apiKeys`, `passwordReset`, `emailVerification`,
+     *     and `twoFactor` fields if they exist to make the user object safe, and then returns that safe object.
      *
      * @static
      * @param    {Object} user The unsafe user object.
@@ -390,10 +1073,139 @@ class UserService extends EventEmitter {
      */
     static _stripSensitiveData(user) {
         // eslint-disable-next-line no-unused-vars
-        const { password, tokens, ...cleanUser } = user;
+        const { password, tokens, apiKeys, passwordReset, emailVerification, twoFactor, ...cleanUser } = user;
         return cleanUser;
     }
 
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds any user by his/her ID, throwing a ResourceNotFoundError if there is
+     *     no such user, including for malformed IDs.
+     *
+     * @param    {String} id The ID of the user.
+     * @returns  {Object} The unsafe user object.
+     * @memberof UserService
+     */
+    async _readUserById(id) {
+        const user = await UserService._mapCastError(this.userRepository.readById(id));
+        if (!user) throw new ResourceNotFoundError(null, 'user');
+
+        return user;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Awaits a Repository call by user ID, treating a malformed ID as a user that
+     *     doesn't exist.
+     *
+     * @static
+     * @param    {Promise} promise The pending Repository call.
+     * @returns  {Object}  The result of the call.
+     * @memberof UserService
+     */
+    static async _mapCastError(promise) {
+        try {
+            return await promise;
+        } catch (err) {
+            throw err.name === 'CastError' ? new ResourceNotFoundError(err, 'user') : err;
+        }
+    }
+
+    /*
+     * Description:
+     * 1.) Generate an access token and refresh token in a new token family.
+     * 2.) Save the session, along with the device it belongs to, to the user.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Starts a new session for a user.
+     *
+     * @param    {String} id          The ID of the user.
+     * @param    {Object} [client={}] The `userAgent` and `ipAddress` of the device.
+     * @returns  {Object} The updated (unsafe) user, the access token, and the refresh token.
+     * @memberof UserService
+     */
+    async _startSession(id, client = {}) {
+        const { token, refreshToken, session } = this.authenticationService.generateSession(id);
+
+        // Update the user in the database to save his/her session.
+        const user = await this.userRepository.updateTokensById(id, {
+            ...session,
+            userAgent: client.userAgent,
+            ipAddress: client.ipAddress
+        });
+
+        return { user, token, refreshToken };
+    }
+
+    /*
+     * Description:
+     * 1.) If the code is a valid TOTP code, record its time step, which fails if that code (or a later one) has already been used.
+     * 2.) Otherwise, if it looks like a recovery code, consume it, which fails if the user has no such unused code.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Checks a second factor for a user with two-factor authentication enabled,
+     *     making sure that no code is accepted twice.
+     *
+     * @param    {Object} user The (unsafe) user, including his/her two-factor settings.
+     * @param    {String} code A TOTP code or recovery code.
+     * @returns  {Boolean} Whether the code was accepted.
+     * @memberof UserService
+     */
+    async _verifySecondFactor(user, code) {
+        const step = this.twoFactorService.verifyCode(user.twoFactor.secret, code);
+
+        if (step !== null) return Boolean(await this.userRepository.updateTwoFactorStepById(user._id, step));
+
+        const recoveryCode = this.twoFactorService.normalizeRecoveryCode(code);
+        if (!recoveryCode) return false;
+
+        return Boolean(await this.userRepository.consumeRecoveryCodeById(user._id, this.authenticationService.hashToken(recoveryCode)));
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Generates an email verification token along with the record to store for it.
+     *
+     * @returns  {Object} The plain-text `token` to email, and the `emailVerification` record holding its hash and expiry.
+     * @memberof UserService
+     */
+    _generateEmailVerification() {
+        const token = this.authenticationService.generateOpaqueToken();
+
+        return {
+            token,
+            emailVerification: {
+                token: this.authenticationService.hashToken(token),
+                expiresAt: new Date(Date.now() + this.appConfig.authentication.emailVerificationTokens.getTimeToLive())
+            }
+        };
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Removes the tokens from a session so that it is safe to return, and flags
+     *     whether it is the session of the current request.
+     *
+     * @static
+     * @param    {Object} session      The unsafe session object.
+     * @param    {String} currentToken The access token of the current request.
+     * @returns  {Object} The safe session object.
+     * @memberof UserService
+     */
+    static _transformSession(session, currentToken) {
+        const { _id, createdAt, lastUsedAt, userAgent, ipAddress } = session;
+        return { _id, createdAt, lastUsedAt, userAgent, ipAddress, current: session.token === currentToken };
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Removes the key hash from an API key so that it is safe to return.
+     *
+     * @static
+     * @param    {Object} apiKey The unsafe API key object.
+     * @returns  {Object} The safe API key object.
+     * @memberof UserService
+     */
+    static _transformApiKey(apiKey) {
+        const { _id, name, prefix, scopes, expiresAt, createdAt, lastUsedAt } = apiKey;
+        return { _id, name, prefix, scopes, expiresAt, createdAt, lastUsedAt };
+    }
+
     /*
      * Description:
      * 1.) Strip any sensitive data from the provided user.
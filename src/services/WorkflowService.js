@@ -0,0 +1,202 @@
+/*
+ * File: WorkflowService.js (src/services/WorkflowService.js)
+ *
+ * Description: This class encapsulates the business logic of the workflows that tasks move through, such as from `todo` through `in-progress` to `done`.
+ * Users can define the workflow of their tasks, and projects can define one for their own tasks, which otherwise follow the default workflow. The
+ * status of a task is kept in step with whether it is completed, so that clients that only know `completed` keep working, and each status a task
+ * enters is recorded, from which cycle times are measured.
+ */
+
+// Custom Exceptions
+const { ValidationError, ResourceNotFoundError } = require('./../custom-exceptions/index');
+
+// Task Enumerations
+const { DEFAULT_WORKFLOW } = require('./../constants/task');
+
+// Utils
+const { validateWorkflow, getInitialStatus, getTerminalStatus, getEffectiveStatus, canTransition } = require('./../utils/workflow');
+
+class WorkflowService {
+    constructor({ userRepository, projectRepository, context }) {
+        // Dependency Injection
+        this.userRepository = userRepository;
+        this.projectRepository = projectRepository;
+        this.context = context;
+    }
+
+    /**
+     * @description - Finds the workflow of the signed in user, or that of one of their projects, throwing a ResourceNotFoundError if the user has no
+     *     such project.
+     *
+     * @param    {String} [projectId=null] The ID of the project, or `null` for the workflow of the user.
+     * @returns  {Array<Object>} The statuses of the workflow, in order.
+     * @memberof WorkflowService
+     */
+    async retrieveWorkflow(projectId = null) {
+        if (projectId === null) return this._getUserWorkflow();
+
+        let project;
+
+        try {
+            project = await this.projectRepository.readByIdWithQuery(projectId, { owner: this.context.user._id });
+        } catch (err) {
+            throw err.name === 'CastError' ? new ResourceNotFoundError(err, 'project') : err;
+        }
+
+        if (!project) throw new ResourceNotFoundError(null, 'project');
+
+        return project.workflow || this._getUserWorkflow();
+    }
+
+    /**
+     * @description - Replaces the workflow of the signed in user, throwing a ValidationError if it is invalid. `null` returns the user to the default
+     *     workflow.
+     *
+     * @param    {Array<Object>} workflow The statuses of the workflow, in order.
+     * @returns  {Array<Object>} The workflow that the user's tasks now follow.
+     * @memberof WorkflowService
+     */
+    async updateUserWorkflow(workflow) {
+        const updates = workflow === null ? { $unset: { workflow: 1 } } : { workflow: validateWorkflow(workflow) };
+        const user = await this.userRepository.updateById(this.context.user._id, updates);
+
+        return user.workflow || DEFAULT_WORKFLOW;
+    }
+
+    /**
+     * @description - Replaces the workflow of a project of the signed in user, throwing a ValidationError if it is invalid, and a ResourceNotFoundError
+     *     if the user has no such project. `null` makes the project follow the workflow of the user.
+     *
+     * @param    {String}        projectId The ID of the project.
+     * @param    {Array<Object>} workflow  The statuses of the workflow, in order.
+     * @returns  {Array<Object>} The workflow that the tasks of the project now follow.
+     * @memberof WorkflowService
+     */
+    async updateProjectWorkflow(projectId, workflow) {
+        const updates = workflow === null ? { $unset: { workflow: 1 } } : { workflow: validateWorkflow(workflow) };
+        let project;
+
+        try {
+            project = await this.projectRepository.updateByIdWithQuery(projectId, { owner: this.context.user._id }, updates);
+        } catch (err) {
+            throw err.name === 'CastError' ? new ResourceNotFoundError(err, 'project') : err;
+        }
+
+        if (!project) throw new ResourceNotFoundError(null, 'project');
+
+        return project.workflow || this._getUserWorkflow();
+    }
+
+    /**
+     * @description - Finds the status of a new task, which starts in the first status of its workflow unless it is given another status or is completed,
+     *     and starts its status history.
+     *
+     * @param    {Object} taskData The task, with the `projectId`, and the `status` or `completed` flag it was given, if any.
+     * @returns  {Object} The `status`, `completed`, and `statusHistory` of the task.
+     * @memberof WorkflowService
+     */
+    async getNewTaskStatus(taskData) {
+        const workflow = await this._readWorkflowOfProject(taskData.projectId);
+        const status = WorkflowService._resolveStatus(workflow, getInitialStatus(workflow), taskData, false);
+
+        return { status, completed: status === getTerminalStatus(workflow), statusHistory: [{ status, enteredAt: new Date() }] };
+    }
+
+    /*
+     * Description:
+     * 1.) Find the workflow the task follows, which is that of the project it is moved to if it is moved.
+     * 2.) Find the status it moves to. Without a status, completing a task moves it to the last status, and reopening it to the first.
+     * 3.) Keep `completed` in step with the status, and record the status if the task enters it.
+     */
+    /**
+     * @description - Finds the updates of the status of a task that changes its status, whether it is completed, or its project, throwing a
+     *     ValidationError if it moves to a status that its workflow doesn't have or doesn't allow it to move to.
+     *
+     * @param    {Object}  task                              The task as stored.
+     * @param    {Object}  changes                           The `status`, `completed` flag, or `projectId` of the task, where they change.
+     * @param    {Object}  [options={}]                      How to treat the move.
+     * @param    {Boolean} [options.enforceTransitions=true] Whether the task can only move to the statuses that its status allows, which rollbacks
+     *     don't have to.
+     * @returns  {Object} The updates of the task.
+     * @memberof WorkflowService
+     */
+    async getStatusUpdates(task, changes, { enforceTransitions = true } = {}) {
+        const workflow = await this._readWorkflowOfProject('projectId' in changes ? changes.projectId : task.projectId);
+        const currentStatus = getEffectiveStatus(workflow, task);
+        const status = WorkflowService._resolveStatus(workflow, currentStatus, changes, enforceTransitions);
+
+        const updates = { status, completed: status === getTerminalStatus(workflow) };
+        if (status !== (task.status || currentStatus)) updates.$push = { statusHistory: { status, enteredAt: new Date() } };
+
+        return updates;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds the workflow of the signed in user, as plain objects.
+     *
+     * @returns  {Array<Object>} The statuses of the workflow, in order.
+     * @memberof WorkflowService
+     */
+    _getUserWorkflow() {
+        const { workflow } = this.context.user;
+
+        return workflow && workflow.length > 0 ? JSON.parse(JSON.stringify(workflow)) : DEFAULT_WORKFLOW;
+    }
+
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds the workflow that the tasks of a project follow. The project must have
+     *     been found to accept tasks, and tasks in the inbox follow the workflow of the user.
+     *
+     * @param    {String} [projectId] The ID of the project, or `null` or `undefined` for the inbox.
+     * @returns  {Array<Object>} The statuses of the workflow, in order.
+     * @memberof WorkflowService
+     */
+    async _readWorkflowOfProject(projectId) {
+        const project = projectId ? await this.projectRepository.readByIdWithQuery(projectId, { owner: this.context.user._id }) : null;
+
+        return project && project.workflow ? project.workflow : this._getUserWorkflow();
+    }
+
+    /*
+     * Description:
+     * 1.) Without a status, a task moves to the last status if it is completed and to the first if it is reopened, and otherwise stays where it is.
+     * 2.) Throw a ValidationError if the task moves to a status that the workflow doesn't have, or that its status doesn't allow it to move to.
+     * 3.) Throw a ValidationError if the task is given a status and a `completed` flag that disagree.
+     */
+    /**
+     * @description - Private member function as noted by the '_' prefix. Finds the status a task moves to.
+     *
+     * @static
+     * @param    {Array<Object>} workflow           The statuses of the workflow of the task.
+     * @param    {String}        currentStatus      The key of the status the task is in.
+     * @param    {Object}        changes            The `status` and `completed` flag that the task is given, if any.
+     * @param    {Boolean}       enforceTransitions Whether the task can only move to the statuses that its status allows.
+     * @returns  {String} The key of the status.
+     * @memberof WorkflowService
+     */
+    static _resolveStatus(workflow, currentStatus, { status, completed }, enforceTransitions) {
+        const terminalStatus = getTerminalStatus(workflow);
+
+        if (status === undefined) {
+            if (typeof completed !== 'boolean' || completed === (currentStatus === terminalStatus)) return currentStatus;
+
+            return completed ? terminalStatus : getInitialStatus(workflow);
+        }
+
+        if (!workflow.some(({ key }) => key === status)) {
+            throw new ValidationError(null, `The status must be one of ${workflow.map(({ key }) => `"${key}"`).join(', ')}.`);
+        }
+
+        if (enforceTransitions && !canTransition(workflow, currentStatus, status)) {
+            throw new ValidationError(null, `Tasks can not move from "${currentStatus}" to "${status}".`);
+        }
+
+        if (typeof completed === 'boolean' && completed !== (status === terminalStatus)) {
+            throw new ValidationError(null, `Tasks are completed in the "${terminalStatus}" status, and only in it.`);
+        }
+
+        return status;
+    }
+}
+
+module.exports = WorkflowService;
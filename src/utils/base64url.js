@@ -0,0 +1,31 @@
+/*
+ * File: base64url.js (src/utils/base64url.js)
+ *
+ * Description: Helpers for URL-safe Base64 (RFC 4648, section 5) without padding, as used by pagination cursors and JSON Web Keys. Node.js only knows
+ * the `base64url` encoding from version 15.7 on, so it is derived from plain Base64 here.
+ */
+
+/**
+ * @description Encodes bytes or text as URL-safe Base64 without padding.
+ *
+ * @param    {Buffer|String} data The bytes, or the text to encode as UTF-8.
+ * @returns  {String} The encoded data.
+ */
+const encodeBase64Url = data => Buffer.from(data)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * @description Decodes URL-safe Base64 without padding.
+ *
+ * @param    {String} encoded The encoded data.
+ * @returns  {Buffer} The bytes.
+ */
+const decodeBase64Url = encoded => Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+module.exports = {
+    encodeBase64Url,
+    decodeBase64Url
+};
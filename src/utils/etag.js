@@ -0,0 +1,78 @@
+/*
+ * File: etag.js (src/utils/etag.js)
+ *
+ * Description: Helpers for optimistic concurrency. Tasks and users have a version that each change of them increments, and which is exposed as their
+ * ETag. A client passes the ETag it last read as `If-Match` when changing the document, and the change is refused if the document changed since, so
+ * that clients don't silently overwrite each other. Documents written before versions were added have none, which stands for version 0.
+ */
+
+// Custom Exceptions
+const { PreconditionFailedError } = require('./../custom-exceptions/index');
+
+/**
+ * @description Finds the version of a document.
+ *
+ * @param    {Object} document The task or user.
+ * @returns  {Number} The version.
+ */
+const getVersion = document => document.version || 0;
+
+/**
+ * @description Formats the strong ETag of a document, which is its version.
+ *
+ * @param    {Object} document The task or user.
+ * @returns  {String} The ETag, quoted as RFC 7232 requires.
+ */
+const formatETag = document => `"${getVersion(document)}"`;
+
+/*
+ * Description:
+ * 1.) Without the header, or with `*` which matches any current version, there is nothing to check.
+ * 2.) Collect the versions of the strong ETags listed. Weak and foreign ETags are left out, so that they never match, as RFC 7232 requires of
+ *     `If-Match`.
+ */
+/**
+ * @description Parses the `If-Match` header of a request.
+ *
+ * @param    {String} [header] The header.
+ * @returns  {Array<Number>} The versions that the client expects, or `undefined` if any version will do.
+ */
+const parseIfMatch = (header) => {
+    if (header === undefined || header.trim() === '*') return undefined;
+
+    return header
+        .split(',')
+        .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+        .filter(Boolean)
+        .map(([, version]) => Number(version));
+};
+
+/**
+ * @description Throws a PreconditionFailedError if a document isn't at one of the versions a client expects.
+ *
+ * @param    {Object}        document           The task or user.
+ * @param    {Array<Number>} [expectedVersions] The versions from the `If-Match` header, or `undefined` if any version will do.
+ */
+const assertVersionMatches = (document, expectedVersions) => {
+    if (expectedVersions && !expectedVersions.includes(getVersion(document))) throw new PreconditionFailedError(null);
+};
+
+/**
+ * @description Builds the match condition for a document to still be at a version, so that a change only applies if nobody changed the document
+ *     in between reading and changing it. Version 0 also matches documents without a version.
+ *
+ * @param    {Object} document The task or user, as it was read.
+ * @returns  {Object} The condition.
+ */
+const getVersionCondition = (document) => {
+    const version = getVersion(document);
+
+    return { version: version === 0 ? { $in: [0, null] } : version };
+};
+
+module.exports = {
+    formatETag,
+    parseIfMatch,
+    assertVersionMatches,
+    getVersionCondition
+};
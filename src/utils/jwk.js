@@ -0,0 +1,306 @@
+/*
+ * File: jwk.js (src/utils/jwk.js)
+ *
+ * Description: Helpers to convert the PEM-encoded keys of the signing keyring to JSON Web Keys (RFC 7517) and back. Node.js can only export keys as
+ * JWKs from version 15.9 on, and can only derive a public key from a private one from version 11.6 on, so the few DER (ASN.1) structures that hold RSA
+ * and P-256 keys are read and written here. Public keys come from SPKI (`PUBLIC KEY`) and PKCS #1 (`RSA PUBLIC KEY`) PEMs, or are read out of PKCS #8
+ * (`PRIVATE KEY`), PKCS #1 (`RSA PRIVATE KEY`), and SEC 1 (`EC PRIVATE KEY`) private keys. Encrypted private keys aren't supported.
+ */
+
+const crypto = require('crypto');
+
+// Utilities
+const { encodeBase64Url, decodeBase64Url } = require('./base64url');
+
+// The DER tags of the ASN.1 types that make up keys.
+const Tag = Object.freeze({
+    INTEGER: 0x02,
+    BIT_STRING: 0x03,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OBJECT_IDENTIFIER: 0x06,
+    SEQUENCE: 0x30,
+    // The explicitly tagged `parameters` (the curve) and `publicKey` of a SEC 1 private key.
+    CONTEXT_0: 0xa0,
+    CONTEXT_1: 0xa1
+});
+
+// The DER encodings of the object identifiers of RSA keys, EC keys, and the P-256 curve (`prime256v1` to OpenSSL).
+const RSA_ENCRYPTION = '2a864886f70d010101';
+const EC_PUBLIC_KEY = '2a8648ce3d0201';
+const P_256 = '2a8648ce3d030107';
+
+// The byte that prefixes an uncompressed EC point, and the length of each of its coordinates on P-256.
+const UNCOMPRESSED_POINT = 0x04;
+const P_256_COORDINATE_LENGTH = 32;
+
+const PEM_PATTERN = /-----BEGIN ([A-Z0-9 ]+)-----([A-Za-z0-9+/=\s]+)-----END \1-----/;
+
+/*
+ * Description:
+ * 1.) Read the tag and length of each element. Lengths of 128 bytes or more are encoded in as many bytes as the low bits of the first byte say.
+ * 2.) Throw if an element claims to be longer than what is left.
+ */
+/**
+ * @description Reads the DER-encoded elements that follow each other in a buffer, such as the contents of a SEQUENCE.
+ *
+ * @param    {Buffer} der The DER-encoded elements.
+ * @returns  {Array<Object>} The `tag` and `content` of each element.
+ */
+const readElements = (der) => {
+    const elements = [];
+    let offset = 0;
+
+    while (offset < der.length) {
+        let length = der[offset + 1];
+        let start = offset + 2;
+
+        if (length > 0x7f) {
+            const lengthBytes = length - 0x80;
+            length = lengthBytes > 0 && lengthBytes <= 4 ? der.readUIntBE(start, lengthBytes) : NaN;
+            start += lengthBytes;
+        }
+
+        if (!(start + length <= der.length)) throw new Error('The key is not valid DER.');
+
+        elements.push({ tag: der[offset], content: der.slice(start, start + length) });
+        offset = start + length;
+    }
+
+    return elements;
+};
+
+/**
+ * @description Reads the elements of a DER-encoded SEQUENCE, throwing unless the buffer holds one, with at least the given number of elements.
+ *
+ * @param    {Buffer} der           The DER-encoded SEQUENCE.
+ * @param    {Number} [minLength=2] The fewest elements the SEQUENCE must have.
+ * @returns  {Array<Object>} The `tag` and `content` of each element.
+ */
+const readSequence = (der, minLength = 2) => {
+    const [sequence] = readElements(der);
+    const elements = sequence && sequence.tag === Tag.SEQUENCE ? readElements(sequence.content) : [];
+
+    if (elements.length < minLength) throw new Error('The key is not a supported DER structure.');
+
+    return elements;
+};
+
+/**
+ * @description Encodes an element in DER.
+ *
+ * @param    {Number} tag     The tag.
+ * @param    {Buffer} content The content.
+ * @returns  {Buffer} The element.
+ */
+const writeElement = (tag, content) => {
+    if (content.length < 0x80) return Buffer.concat([Buffer.from([tag, content.length]), content]);
+
+    const hexLength = content.length.toString(16);
+    const length = Buffer.from(hexLength.length % 2 === 0 ? hexLength : `0${hexLength}`, 'hex');
+
+    return Buffer.concat([Buffer.from([tag, 0x80 + length.length]), length, content]);
+};
+
+/**
+ * @description Encodes an unsigned integer in DER, where a leading zero byte keeps it from reading as negative.
+ *
+ * @param    {Buffer} bytes The big-endian bytes of the integer.
+ * @returns  {Buffer} The INTEGER element.
+ */
+const writeUnsignedInteger = bytes => writeElement(Tag.INTEGER, bytes[0] > 0x7f ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+
+/**
+ * @description Strips the leading zero bytes that DER adds to keep unsigned integers positive, as JWKs hold integers without them.
+ *
+ * @param    {Buffer} bytes The content of an INTEGER element.
+ * @returns  {Buffer} The big-endian bytes of the integer.
+ */
+const stripLeadingZeros = (bytes) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start += 1;
+
+    return bytes.slice(start);
+};
+
+/**
+ * @description Builds the JWK of an RSA public key.
+ *
+ * @param    {Buffer} modulus  The content of the INTEGER element holding the modulus.
+ * @param    {Buffer} exponent The content of the INTEGER element holding the public exponent.
+ * @returns  {Object} The JWK.
+ */
+const toRSAJWK = (modulus, exponent) => ({
+    kty: 'RSA',
+    n: encodeBase64Url(stripLeadingZeros(modulus)),
+    e: encodeBase64Url(stripLeadingZeros(exponent))
+});
+
+/**
+ * @description Builds the JWK of a P-256 public key, throwing unless the point is an uncompressed point of the curve's size.
+ *
+ * @param    {Buffer} point The uncompressed point.
+ * @returns  {Object} The JWK.
+ */
+const toECJWK = (point) => {
+    if (point.length !== 1 + 2 * P_256_COORDINATE_LENGTH || point[0] !== UNCOMPRESSED_POINT) throw new Error('Only uncompressed P-256 keys are supported.');
+
+    return {
+        kty: 'EC',
+        crv: 'P-256',
+        x: encodeBase64Url(point.slice(1, 1 + P_256_COORDINATE_LENGTH)),
+        y: encodeBase64Url(point.slice(1 + P_256_COORDINATE_LENGTH))
+    };
+};
+
+/**
+ * @description Reads the curve of an EC key, throwing unless it is P-256.
+ *
+ * @param    {Object} parameters The element holding the object identifier of the curve.
+ */
+const assertP256 = (parameters) => {
+    if (!parameters || parameters.tag !== Tag.OBJECT_IDENTIFIER || parameters.content.toString('hex') !== P_256) {
+        throw new Error('Only EC keys on the P-256 curve are supported.');
+    }
+};
+
+/*
+ * Description:
+ * 1.) Throw unless the key is on P-256, as named by the key itself or, within PKCS #8, by the algorithm identifier around it.
+ * 2.) Derive the public key from the private key, which ECDH does for any Node.js version.
+ * 3.) Throw if the key holds a public key that isn't the one derived, rather than trusting it.
+ */
+/**
+ * @description Reads the public key out of a SEC 1 EC private key.
+ *
+ * @param    {Buffer} der                The DER-encoded ECPrivateKey.
+ * @param    {Object} [outerParameters] The element naming the curve in the algorithm identifier of a PKCS #8 key around it.
+ * @returns  {Object} The JWK of the public key.
+ */
+const readECPrivateKey = (der, outerParameters) => {
+    const [, privateKey, ...optionalElements] = readSequence(der);
+    const parameters = optionalElements.find(({ tag }) => tag === Tag.CONTEXT_0);
+    const publicKey = optionalElements.find(({ tag }) => tag === Tag.CONTEXT_1);
+
+    assertP256(parameters ? readElements(parameters.content)[0] : outerParameters);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(privateKey.content);
+    const point = ecdh.getPublicKey();
+
+    if (publicKey) {
+        // The first byte of a BIT STRING counts the unused bits at its end, which keys don't have.
+        const [bitString] = readElements(publicKey.content);
+        if (!bitString.content.slice(1).equals(point)) throw new Error('The public key of the EC key does not match its private key.');
+    }
+
+    return toECJWK(point);
+};
+
+/**
+ * @description Reads the public key out of a SubjectPublicKeyInfo (SPKI).
+ *
+ * @param    {Buffer} der The DER-encoded SubjectPublicKeyInfo.
+ * @returns  {Object} The JWK of the public key.
+ */
+const readSubjectPublicKeyInfo = (der) => {
+    const [algorithmIdentifier, subjectPublicKey] = readSequence(der);
+    const [algorithm, parameters] = readElements(algorithmIdentifier.content);
+    // The first byte of a BIT STRING counts the unused bits at its end, which keys don't have.
+    const publicKey = subjectPublicKey.content.slice(1);
+
+    switch (algorithm.content.toString('hex')) {
+        case RSA_ENCRYPTION: {
+            const [modulus, exponent] = readSequence(publicKey);
+            return toRSAJWK(modulus.content, exponent.content);
+        }
+        case EC_PUBLIC_KEY:
+            assertP256(parameters);
+            return toECJWK(publicKey);
+        default:
+            throw new Error('Only RSA and EC keys are supported.');
+    }
+};
+
+/**
+ * @description Reads the public key out of a PKCS #8 private key.
+ *
+ * @param    {Buffer} der The DER-encoded PrivateKeyInfo.
+ * @returns  {Object} The JWK of the public key.
+ */
+const readPrivateKeyInfo = (der) => {
+    const [, algorithmIdentifier, privateKey] = readSequence(der, 3);
+    const [algorithm, parameters] = readElements(algorithmIdentifier.content);
+
+    switch (algorithm.content.toString('hex')) {
+        case RSA_ENCRYPTION: {
+            const [, modulus, exponent] = readSequence(privateKey.content, 3);
+            return toRSAJWK(modulus.content, exponent.content);
+        }
+        case EC_PUBLIC_KEY:
+            assertP256(parameters);
+            return readECPrivateKey(privateKey.content, parameters);
+        default:
+            throw new Error('Only RSA and EC keys are supported.');
+    }
+};
+
+/*
+ * Description:
+ * 1.) Decode the PEM, whose label names the structure of the DER inside it.
+ * 2.) Read the public key out of that structure.
+ */
+/**
+ * @description Finds the public key of a PEM-encoded RSA or P-256 key, which may be a public or a private key, throwing if it isn't one of those.
+ *
+ * @param    {String} pem The PEM-encoded key.
+ * @returns  {Object} The JWK of the public key, with its `kty` and its `n` and `e` (RSA) or `crv`, `x`, and `y` (EC).
+ */
+const toPublicJWK = (pem) => {
+    const [, label, base64] = PEM_PATTERN.exec(pem) || [];
+    const der = Buffer.from(base64 || '', 'base64');
+
+    switch (label) {
+        case 'PUBLIC KEY':
+            return readSubjectPublicKeyInfo(der);
+        case 'RSA PUBLIC KEY': {
+            const [modulus, exponent] = readSequence(der);
+            return toRSAJWK(modulus.content, exponent.content);
+        }
+        case 'PRIVATE KEY':
+            return readPrivateKeyInfo(der);
+        case 'RSA PRIVATE KEY': {
+            const [, modulus, exponent] = readSequence(der, 3);
+            return toRSAJWK(modulus.content, exponent.content);
+        }
+        case 'EC PRIVATE KEY':
+            return readECPrivateKey(der);
+        default:
+            throw new Error('The key must be an unencrypted PEM-encoded RSA or P-256 key.');
+    }
+};
+
+/**
+ * @description Encodes the public key of a JWK as an SPKI PEM, which jsonwebtoken verifies tokens with.
+ *
+ * @param    {Object} jwk The JWK of an RSA or P-256 public key.
+ * @returns  {String} The PEM-encoded public key.
+ */
+const toPublicKeyPEM = (jwk) => {
+    const oid = hex => writeElement(Tag.OBJECT_IDENTIFIER, Buffer.from(hex, 'hex'));
+    const algorithmIdentifier = jwk.kty === 'RSA'
+        ? writeElement(Tag.SEQUENCE, Buffer.concat([oid(RSA_ENCRYPTION), writeElement(Tag.NULL, Buffer.alloc(0))]))
+        : writeElement(Tag.SEQUENCE, Buffer.concat([oid(EC_PUBLIC_KEY), oid(P_256)]));
+    const publicKey = jwk.kty === 'RSA'
+        ? writeElement(Tag.SEQUENCE, Buffer.concat([writeUnsignedInteger(decodeBase64Url(jwk.n)), writeUnsignedInteger(decodeBase64Url(jwk.e))]))
+        : Buffer.concat([Buffer.from([UNCOMPRESSED_POINT]), decodeBase64Url(jwk.x), decodeBase64Url(jwk.y)]);
+
+    const der = writeElement(Tag.SEQUENCE, Buffer.concat([algorithmIdentifier, writeElement(Tag.BIT_STRING, Buffer.concat([Buffer.from([0]), publicKey]))]));
+
+    return `-----BEGIN PUBLIC KEY-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----\n`;
+};
+
+module.exports = {
+    toPublicJWK,
+    toPublicKeyPEM
+};
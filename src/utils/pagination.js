@@ -0,0 +1,172 @@
+/*
+ * File: pagination.js (src/utils/pagination.js)
+ *
+ * Description: Helpers for cursor pagination, also known as keyset pagination. Rather than skipping a number of documents, which gets slower the
+ * further a client pages and shifts when documents are added or removed, a page starts right after (or before) the last document the client saw. A
+ * cursor records the sort values and ID of that document, and is opaque to clients: they only pass back what they were given.
+ */
+
+// Custom Exceptions
+const { ValidationError } = require('./../custom-exceptions/index');
+
+// Utilities
+const { encodeBase64Url, decodeBase64Url } = require('./base64url');
+
+// The number of documents on a page, unless asked for fewer, and the most that can be asked for.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @description Describes a sort, so that cursors can't be used with a sort other than the one they were made for.
+ *
+ * @param    {Array<Array>} sortKeys The `[path, direction]` of each sort key, in order of precedence.
+ * @returns  {String} The description.
+ */
+const describeSort = sortKeys => sortKeys.map(([path, direction]) => `${path}:${direction}`).join(',');
+
+/**
+ * @description Encodes a cursor for a document.
+ *
+ * @param    {Array<Array>} sortKeys The `[path, direction]` of each sort key, ending with the ID as the tie-breaker.
+ * @param    {Array}        values   The values of the document for each sort key.
+ * @returns  {String} The cursor, safe to use in URLs.
+ */
+const encodeCursor = (sortKeys, values) => encodeBase64Url(JSON.stringify({ sort: describeSort(sortKeys), values }));
+
+/*
+ * Description:
+ * 1.) Throw a ValidationError if the cursor isn't one this module encoded, as clients could tamper with it. Values must be plain JSON values, so that
+ *     they can't inject query operators.
+ * 2.) Throw a ValidationError if the cursor was made for another sort.
+ */
+/**
+ * @description Decodes a cursor.
+ *
+ * @param    {String}       cursor   The cursor.
+ * @param    {Array<Array>} sortKeys The `[path, direction]` of each sort key of the current sort.
+ * @returns  {Array} The values of the document for each sort key.
+ */
+const decodeCursor = (cursor, sortKeys) => {
+    let decoded;
+
+    try {
+        decoded = JSON.parse(decodeBase64Url(String(cursor)).toString('utf8'));
+    } catch (err) {
+        throw new ValidationError(null, 'The cursor is invalid.');
+    }
+
+    const { sort, values } = decoded || {};
+    const isPlainValue = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+    if (typeof sort !== 'string' || !Array.isArray(values) || !values.every(isPlainValue)) throw new ValidationError(null, 'The cursor is invalid.');
+
+    if (sort !== describeSort(sortKeys)) throw new ValidationError(null, 'The cursor was made for a different sort order.');
+
+    if (values.length !== sortKeys.length) throw new ValidationError(null, 'The cursor is invalid.');
+
+    return values;
+};
+
+/**
+ * @description Builds the condition for a document to come after a value of a sort key. MongoDB sorts missing and `null` values before all others,
+ *     but comparison operators never match them, so they are matched explicitly.
+ *
+ * @param    {String} path      The path of the sort key.
+ * @param    {Number} direction `1` for ascending, or `-1` for descending.
+ * @param    {*}      value     The value.
+ * @returns  {Object} The condition, or `null` if nothing can come after the value.
+ */
+const getComesAfterCondition = (path, direction, value) => {
+    if (direction === 1) return value === null ? { [path]: { $ne: null } } : { [path]: { $gt: value } };
+
+    return value === null ? null : { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+};
+
+/*
+ * Description:
+ * 1.) A document comes after the cursor if it comes after it by the first sort key, or ties on the first and comes after it by the second, and so on.
+ * 2.) The last sort key, the ID, never ties, so the condition always ends the page where the cursor left off.
+ */
+/**
+ * @description Builds the match condition for the documents that come after a cursor in a sort.
+ *
+ * @param    {Array<Array>} sortKeys The `[path, direction]` of each sort key, ending with the ID as the tie-breaker.
+ * @param    {Array}        values   The values of the cursor.
+ * @returns  {Object} The condition.
+ */
+const getCursorCondition = (sortKeys, values) => {
+    const alternatives = sortKeys
+        .map(([path, direction], index) => {
+            const comesAfter = getComesAfterCondition(path, direction, values[index]);
+            const ties = sortKeys.slice(0, index).map(([tiedPath], tiedIndex) => ({ [tiedPath]: values[tiedIndex] }));
+
+            return comesAfter && { $and: [...ties, comesAfter] };
+        })
+        .filter(Boolean);
+
+    return { $or: alternatives };
+};
+
+/**
+ * @description Formats the RFC 8288 `Link` header for the pages next to a page, keeping the other parameters of the request.
+ *
+ * @param    {String} url                The URL of the resource, without a query string.
+ * @param    {Object} query              The parsed query string of the request.
+ * @param    {Object} cursors            The cursors of the pages.
+ * @param    {String} [cursors.next]     The cursor to pass as `after` for the next page.
+ * @param    {String} [cursors.previous] The cursor to pass as `before` for the previous page.
+ * @returns  {String} The header, or `null` if there are no pages next to the page.
+ */
+const formatLinkHeader = (url, query, { next, previous }) => {
+    const formatLink = (parameter, cursor, rel) => {
+        const params = new URLSearchParams();
+
+        Object.keys(query)
+            .filter(key => !['after', 'before', 'skip'].includes(key))
+            .forEach(key => [].concat(query[key]).forEach(value => params.append(key, value)));
+        params.set(parameter, cursor);
+
+        return `<${url}?${params}>; rel="${rel}"`;
+    };
+
+    const links = [];
+    if (next) links.push(formatLink('after', next, 'next'));
+    if (previous) links.push(formatLink('before', previous, 'prev'));
+
+    return links.length > 0 ? links.join(', ') : null;
+};
+
+/**
+ * @description Ensures that a page size is a whole number, defaulting to the default page size and capped at the maximum.
+ *
+ * @param    {Number} [limit] The requested page size.
+ * @returns  {Number} The page size.
+ */
+const toPageSize = (limit) => {
+    if (limit === undefined) return DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1) throw new ValidationError(null, 'The "limit" must be a whole number of at least 1.');
+
+    return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+/**
+ * @description Ensures that the number of documents to skip is a whole number.
+ *
+ * @param    {Number} [skip] The requested number of documents to skip.
+ * @returns  {Number} The number of documents to skip.
+ */
+const toOffset = (skip) => {
+    if (skip === undefined) return 0;
+    if (!Number.isInteger(skip) || skip < 0) throw new ValidationError(null, 'The "skip" must be a whole number of at least 0.');
+
+    return skip;
+};
+
+module.exports = {
+    toPageSize,
+    toOffset,
+    encodeCursor,
+    decodeCursor,
+    getCursorCondition,
+    formatLinkHeader
+};
@@ -0,0 +1,95 @@
+/*
+ * File: rank.js (src/utils/rank.js)
+ *
+ * Description: Helpers for ordering tasks by hand with lexicographic ranks. A rank is a string of base 36 digits read as the fraction after the point,
+ * so ranks sort by their value when compared as strings, and there is always another rank between two of them. Moving a task only gives it a rank
+ * between those of its new neighbours, rather than renumbering the whole list. Ranks never end with `0`, which would leave no rank between `a` and
+ * `a0`, and grow longer as tasks are moved between close neighbours, until they are rebalanced.
+ */
+
+// The digits of ranks, in the order in which MongoDB and JavaScript compare them.
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/*
+ * Description:
+ * 1.) Keep the leading digits that both ranks share, reading missing digits of the lower rank as `0`.
+ * 2.) If the first digits that differ are far enough apart, the digit halfway between them comes between the ranks.
+ * 3.) Otherwise, the first digit of the upper rank comes between them if the upper rank goes on after it. If not, keep the first digit of the lower
+ *     rank, and find a rank between the rest of it and the end.
+ */
+/**
+ * @description Finds a rank between two ranks.
+ *
+ * @param    {String} lower The lower rank, where `''` stands for the start.
+ * @param    {String} upper The upper rank, or `null` for the end.
+ * @returns  {String} The rank.
+ */
+const getMidpoint = (lower, upper) => {
+    if (upper !== null) {
+        let shared = 0;
+        while ((lower[shared] || DIGITS[0]) === upper[shared]) shared += 1;
+
+        if (shared > 0) return upper.slice(0, shared) + getMidpoint(lower.slice(shared), upper.slice(shared));
+    }
+
+    const low = lower ? DIGITS.indexOf(lower[0]) : 0;
+    const high = upper !== null ? DIGITS.indexOf(upper[0]) : DIGITS.length;
+
+    if (high - low > 1) return DIGITS[Math.round((low + high) / 2)];
+    if (upper !== null && upper.length > 1) return upper[0];
+
+    return DIGITS[low] + getMidpoint(lower.slice(1), null);
+};
+
+/**
+ * @description Finds a rank after a rank, for the end of a list. Tasks are added at the end most of the time, so rather than halving the room that is
+ *     left, which would make the ranks grow a digit every few tasks, this increments the last digit that isn't the highest, such as from `az` to `b`.
+ *     If there is none, it adds a digit.
+ *
+ * @param    {String} lower The rank.
+ * @returns  {String} The rank after it.
+ */
+const getRankAfter = (lower) => {
+    const index = lower.replace(/z+$/, '').length - 1;
+
+    return index < 0 ? `${lower}${DIGITS[1]}` : lower.slice(0, index) + DIGITS[DIGITS.indexOf(lower[index]) + 1];
+};
+
+/**
+ * @description Finds a rank between two ranks, such as for a task moved between two others.
+ *
+ * @param    {String} [lower] The rank to come after, or `null` to come first.
+ * @param    {String} [upper] The rank to come before, or `null` to come last.
+ * @returns  {String} The rank, or `null` if the ranks are not in order, so that there is no rank between them.
+ */
+const getRankBetween = (lower = null, upper = null) => {
+    if (lower !== null && upper !== null && lower >= upper) return null;
+
+    return lower !== null && upper === null ? getRankAfter(lower) : getMidpoint(lower || '', upper);
+};
+
+/*
+ * Description:
+ * 1.) Use as many digits as leave room for at least as many ranks between each two as there are digits, so that tasks can be moved between them
+ *     for a while without the ranks growing longer.
+ * 2.) Spread the ranks evenly, dropping trailing zeros, which doesn't change their value or order.
+ */
+/**
+ * @description Makes evenly spread ranks, such as for rebalancing the ranks of a list that have grown too long.
+ *
+ * @param    {Number} count The number of ranks.
+ * @returns  {Array<String>} The ranks, in order.
+ */
+const getEvenRanks = (count) => {
+    let length = 1;
+    while (DIGITS.length ** length < (count + 1) * DIGITS.length) length += 1;
+
+    const step = Math.floor((DIGITS.length ** length) / (count + 1));
+
+    return Array.from({ length: count }, (value, index) => ((index + 1) * step).toString(DIGITS.length).padStart(length, DIGITS[0]).replace(/0+$/, ''));
+};
+
+module.exports = {
+    getRankBetween,
+    getEvenRanks
+};
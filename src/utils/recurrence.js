@@ -0,0 +1,253 @@
+/*
+ * File: recurrence.js (src/utils/recurrence.js)
+ *
+ * Description: Helpers for recurring tasks, which repeat by an RFC 5545 recurrence rule (RRULE) such as `FREQ=WEEKLY;BYDAY=MO,TH`. The supported
+ * subset covers daily, weekly, monthly, and yearly rules with an `INTERVAL`, the weekdays of `BYDAY` (with an ordinal like `2MO` or `-1FR` in monthly
+ * rules), the days of `BYMONTHDAY` in monthly rules, and an end by `COUNT` or `UNTIL`.
+ *
+ * Occurrences keep the wall-clock time of the first one in the owner's time zone, so a chore due at 9 AM stays due at 9 AM across daylight saving time.
+ */
+
+// Custom Exceptions
+const { ValidationError } = require('./../custom-exceptions/index');
+
+// Utilities
+const { getZonedParts, zonedTimeToDate } = require('./time-zone');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Indexed like `Date.prototype.getUTCDay`.
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rules whose days never line up, such as `FREQ=DAILY;INTERVAL=7;BYDAY=MO` starting on a Sunday, have no next occurrence within this many periods.
+const MAX_PERIODS = 1000;
+
+/**
+ * @description Parses a positive integer part of a rule, throwing a ValidationError if it is not one.
+ *
+ * @param    {String} name  The name of the part.
+ * @param    {String} value The value of the part.
+ * @returns  {Number} The integer.
+ */
+const parsePositiveInteger = (name, value) => {
+    if (!/^\d+$/.test(value) || Number(value) === 0) throw new ValidationError(null, `The recurrence rule's ${name} must be a positive whole number.`);
+
+    return Number(value);
+};
+
+/**
+ * @description Parses the `UNTIL` part of a rule, either a date (`20241231`) or a UTC date and time (`20241231T170000Z`).
+ *
+ * @param    {String} value The value of the part.
+ * @returns  {Object} The inclusive last `day` of the series as a day number, or the last `instant`.
+ */
+const parseUntil = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+    if (!match) throw new ValidationError(null, 'The recurrence rule\'s UNTIL must be a date like 20241231 or a UTC time like 20241231T170000Z.');
+
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0));
+
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw new ValidationError(null, 'The recurrence rule\'s UNTIL must be a date like 20241231 or a UTC time like 20241231T170000Z.');
+    }
+
+    return match[4] === undefined ? { day: date.getTime() / DAY } : { instant: date };
+};
+
+/**
+ * @description Parses and validates a recurrence rule. Part names and values are case-insensitive, and an `RRULE:` prefix is allowed.
+ *
+ * @param    {String} rule The recurrence rule, such as `FREQ=MONTHLY;BYDAY=-1FR`.
+ * @returns  {Object} The `freq`, `interval`, `byDay` (with a `weekday` and an optional `ordinal`), `byMonthDay`, `count`, `until`, and the rule in its
+ *     normal form as `rule`.
+ */
+const parseRecurrenceRule = (rule) => {
+    if (typeof rule !== 'string' || !rule.trim()) throw new ValidationError(null, 'The recurrence rule must be an RRULE such as "FREQ=WEEKLY;BYDAY=MO".');
+
+    const parts = rule.trim().toUpperCase().replace(/^RRULE:/, '').split(';')
+        .filter(Boolean)
+        .reduce((values, part) => {
+            const [name, value, ...rest] = part.split('=');
+
+            if (value === undefined || rest.length > 0 || !name || !value) throw new ValidationError(null, `The recurrence rule part "${part}" is malformed.`);
+            if (name in values) throw new ValidationError(null, `The recurrence rule can not have ${name} twice.`);
+
+            return { ...values, [name]: value };
+        }, {});
+
+    const unsupported = Object.keys(parts).filter(name => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(name));
+    if (unsupported.length > 0) throw new ValidationError(null, `The recurrence rule parts ${unsupported.join(', ')} are not supported.`);
+
+    const { FREQ: freq } = parts;
+    if (!FREQUENCIES.includes(freq)) throw new ValidationError(null, `The recurrence rule's FREQ must be one of ${FREQUENCIES.join(', ')}.`);
+
+    if (parts.COUNT && parts.UNTIL) throw new ValidationError(null, 'The recurrence rule can not end both after a COUNT and UNTIL a date.');
+
+    const byDay = parts.BYDAY === undefined ? [] : parts.BYDAY.split(',').map((value) => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+        const ordinal = match && match[1] !== undefined ? Number(match[1]) : undefined;
+
+        if (!match || ordinal === 0 || Math.abs(ordinal) > 5) throw new ValidationError(null, `The recurrence rule's BYDAY has an invalid day "${value}".`);
+        if (ordinal !== undefined && freq !== 'MONTHLY') throw new ValidationError(null, 'Only monthly recurrence rules can pick weekdays like 2MO.');
+
+        return ordinal === undefined ? { weekday: WEEKDAYS.indexOf(match[2]) } : { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+    });
+
+    const byMonthDay = parts.BYMONTHDAY === undefined ? [] : parts.BYMONTHDAY.split(',').map((value) => {
+        const day = /^[+-]?\d{1,2}$/.test(value) ? Number(value) : 0;
+
+        if (day === 0 || Math.abs(day) > 31) throw new ValidationError(null, `The recurrence rule's BYMONTHDAY has an invalid day "${value}".`);
+
+        return day;
+    });
+
+    if (byDay.length > 0 && freq === 'YEARLY') throw new ValidationError(null, 'Yearly recurrence rules can not have BYDAY.');
+    if (byMonthDay.length > 0 && freq !== 'MONTHLY') throw new ValidationError(null, 'Only monthly recurrence rules can have BYMONTHDAY.');
+
+    const parsed = {
+        freq,
+        interval: parts.INTERVAL === undefined ? 1 : parsePositiveInteger('INTERVAL', parts.INTERVAL),
+        byDay,
+        byMonthDay,
+        count: parts.COUNT === undefined ? undefined : parsePositiveInteger('COUNT', parts.COUNT),
+        until: parts.UNTIL === undefined ? undefined : parseUntil(parts.UNTIL)
+    };
+
+    // The normal form lists the parts in a fixed order, leaving out defaults.
+    const normalParts = [`FREQ=${freq}`];
+    if (parsed.interval !== 1) normalParts.push(`INTERVAL=${parsed.interval}`);
+    if (parts.BYDAY !== undefined) normalParts.push(`BYDAY=${parts.BYDAY.replace(/\+/g, '')}`);
+    if (parts.BYMONTHDAY !== undefined) normalParts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+    if (parsed.count !== undefined) normalParts.push(`COUNT=${parsed.count}`);
+    if (parts.UNTIL !== undefined) normalParts.push(`UNTIL=${parts.UNTIL}`);
+
+    return { ...parsed, rule: normalParts.join(';') };
+};
+
+/**
+ * @description Determines whether a day of a month is one of the days a monthly rule picks. Without `BYDAY` or `BYMONTHDAY`, the rule picks the day
+ *     of the month of the current occurrence; with both, the day must match each.
+ *
+ * @param    {Object} rule        The parsed rule.
+ * @param    {Number} day         The day of the month.
+ * @param    {Number} daysInMonth The number of days in the month.
+ * @param    {Number} weekday     The weekday of the day, as indexed by `Date.prototype.getUTCDay`.
+ * @param    {Number} defaultDay  The day of the month of the current occurrence.
+ * @returns  {Boolean} Whether the rule picks the day.
+ */
+const isMonthlyDay = ({ byDay, byMonthDay }, day, daysInMonth, weekday, defaultDay) => {
+    if (byDay.length === 0 && byMonthDay.length === 0) return day === defaultDay;
+
+    const isByMonthDay = byMonthDay.length === 0 || byMonthDay.some(monthDay => monthDay === day || monthDay === day - daysInMonth - 1);
+    const isByDay = byDay.length === 0 || byDay.some(({ weekday: ruleWeekday, ordinal }) => {
+        if (ruleWeekday !== weekday) return false;
+        if (ordinal === undefined) return true;
+
+        return ordinal > 0 ? Math.ceil(day / 7) === ordinal : -(Math.floor((daysInMonth - day) / 7) + 1) === ordinal;
+    });
+
+    return isByMonthDay && isByDay;
+};
+
+/**
+ * @description Finds the calendar day of the next occurrence after the day of the current one.
+ *
+ * @param    {Object} rule    The parsed rule.
+ * @param    {Number} current The day of the current occurrence, as a day number (days since 1970-01-01).
+ * @returns  {Number} The day of the next occurrence as a day number, or `null` if the rule's days never line up.
+ */
+const getNextDay = (rule, current) => {
+    const { freq, interval, byDay } = rule;
+    const weekdayOf = day => new Date(day * DAY).getUTCDay();
+    const weekdays = byDay.map(({ weekday }) => weekday);
+
+    for (let period = 1; period <= MAX_PERIODS; period += 1) {
+        if (freq === 'DAILY') {
+            const day = current + period * interval;
+            if (weekdays.length === 0 || weekdays.includes(weekdayOf(day))) return day;
+        }
+
+        if (freq === 'WEEKLY') {
+            // Weeks start on Monday, and the current week counts as the first, as it may have later days left.
+            const weekStart = current - ((weekdayOf(current) + 6) % 7) + (period - 1) * interval * 7;
+            const days = (weekdays.length === 0 ? [weekdayOf(current)] : weekdays).map(weekday => weekStart + ((weekday + 6) % 7)).sort((a, b) => a - b);
+            const day = days.find(candidate => candidate > current);
+
+            if (day !== undefined) return day;
+        }
+
+        if (freq === 'MONTHLY') {
+            const date = new Date(current * DAY);
+            const month = date.getUTCMonth() + (period - 1) * interval;
+            const monthStart = Date.UTC(date.getUTCFullYear(), month, 1) / DAY;
+            const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+
+            for (let day = 1; day <= daysInMonth; day += 1) {
+                const candidate = monthStart + day - 1;
+
+                if (candidate > current && isMonthlyDay(rule, day, daysInMonth, weekdayOf(candidate), date.getUTCDate())) return candidate;
+            }
+        }
+
+        if (freq === 'YEARLY') {
+            // February 29th only comes around in leap years.
+            const date = new Date(current * DAY);
+            const candidate = new Date(Date.UTC(date.getUTCFullYear() + period * interval, date.getUTCMonth(), date.getUTCDate()));
+
+            if (candidate.getUTCDate() === date.getUTCDate()) return candidate.getTime() / DAY;
+        }
+    }
+
+    return null;
+};
+
+/*
+ * Description:
+ * 1.) Parse the rule, and end the series if the current occurrence is the last one by COUNT.
+ * 2.) Find the day of the next occurrence from the calendar day of the current one in the time zone.
+ * 3.) Keep the wall-clock time of the current occurrence, and end the series if the next occurrence is after UNTIL.
+ */
+/**
+ * @description Finds the next occurrence of a recurring task.
+ *
+ * @param    {String} rule                      The recurrence rule.
+ * @param    {Object} options
+ * @param    {Date}   options.after             The due date of the current occurrence.
+ * @param    {Number} [options.occurrence=1]    The number of the current occurrence in the series, counting from 1.
+ * @param    {String} [options.timeZone='UTC'] The time zone of the owner of the task.
+ * @returns  {Date} The due date of the next occurrence, or `null` if the series ends.
+ */
+const getNextOccurrence = (rule, { after, occurrence = 1, timeZone = 'UTC' }) => {
+    const parsed = parseRecurrenceRule(rule);
+
+    if (parsed.count !== undefined && occurrence >= parsed.count) return null;
+
+    const { year, month, day, hour, minute, second } = getZonedParts(after, timeZone);
+    const nextDay = getNextDay(parsed, Date.UTC(year, month - 1, day) / DAY);
+
+    if (nextDay === null) return null;
+
+    const nextDate = new Date(nextDay * DAY);
+    const next = zonedTimeToDate({
+        year: nextDate.getUTCFullYear(),
+        month: nextDate.getUTCMonth() + 1,
+        day: nextDate.getUTCDate(),
+        hour,
+        minute,
+        second
+    }, timeZone);
+    next.setUTCMilliseconds(after.getUTCMilliseconds());
+
+    if (parsed.until && parsed.until.instant && next > parsed.until.instant) return null;
+    if (parsed.until && parsed.until.day !== undefined && nextDay > parsed.until.day) return null;
+
+    return next;
+};
+
+module.exports = {
+    parseRecurrenceRule,
+    getNextOccurrence
+};
@@ -0,0 +1,51 @@
+/*
+ * File: roles.js (src/utils/roles.js)
+ *
+ * Description: Loads the roles that grant users their permissions. The built-in roles are combined with the custom roles of the application config,
+ * which are validated once, when the container is created, so that malformed custom roles stop the server from starting rather than failing every
+ * request that checks a permission.
+ */
+
+// Authorization Enumerations
+const { Role, Permission } = require('./../constants/authorization');
+
+/*
+ * Description:
+ * 1.) Throw unless the custom roles map each role to a list of known permissions, as a role granting an unknown permission grants nothing.
+ * 2.) Throw if a custom role has the name of a built-in role, which can't be redefined.
+ * 3.) Add the built-in roles: users get no extra permissions, and administrators get all of them.
+ */
+/**
+ * @description Validates the custom roles and combines them with the built-in roles.
+ *
+ * @param    {Object} [customRoles={}] The permissions of each custom role, such as `{ support: ['users:read'] }`.
+ * @returns  {Object} The permissions of each role, frozen.
+ */
+const loadRoles = (customRoles = {}) => {
+    if (!customRoles || typeof customRoles !== 'object' || Array.isArray(customRoles)) {
+        throw new Error('The custom roles must be a JSON object mapping each role to its permissions.');
+    }
+
+    const permissions = Object.values(Permission);
+    const builtInRoles = Object.values(Role);
+
+    Object.keys(customRoles).forEach((role) => {
+        if (builtInRoles.includes(role)) throw new Error(`The custom role "${role}" can not redefine a built-in role.`);
+
+        const rolePermissions = customRoles[role];
+
+        if (!Array.isArray(rolePermissions) || !rolePermissions.every(permission => permissions.includes(permission))) {
+            throw new Error(`The custom role "${role}" must be a list of the permissions ${permissions.join(', ')}.`);
+        }
+    });
+
+    return Object.freeze({
+        ...customRoles,
+        [Role.User]: [],
+        [Role.Admin]: permissions
+    });
+};
+
+module.exports = {
+    loadRoles
+};
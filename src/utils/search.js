@@ -0,0 +1,146 @@
+/*
+ * File: search.js (src/utils/search.js)
+ *
+ * Description: Helpers for full-text search, which MongoDB performs with a text index. A search is a list of words, any of which may match, where
+ * `"quoted phrases"` must match as a whole and words or phrases starting with `-` must not match. MongoDB doesn't say where a document matched, so
+ * snippets are highlighted here by finding the words and phrases of the search in the text again.
+ */
+
+// Words are runs of letters and digits, in any script.
+const WORD_CHARACTER = '[\\p{L}\\p{N}]';
+const WORD_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+// The number of characters of a snippet, not counting ellipses.
+const SNIPPET_LENGTH = 120;
+
+// The number of characters shown before the first highlight of a long text.
+const SNIPPET_LEAD = 30;
+
+/**
+ * @description Escapes the characters of a string that have a meaning in regular expressions.
+ *
+ * @param    {String} value The string.
+ * @returns  {String} The escaped string.
+ */
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @description Splits a search into the words and phrases that make a text match it, leaving out negated ones.
+ *
+ * @param    {String} search The search, such as `bins "recycling day" -garden`.
+ * @returns  {Object} The `terms` (single words) and `phrases`, in lowercase.
+ */
+const parseSearch = (search) => {
+    const terms = [];
+    const phrases = [];
+    const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+
+    let match = pattern.exec(search);
+    while (match) {
+        const [, negation, phrase, word] = match;
+
+        if (phrase !== undefined && !negation && phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+
+        if (word !== undefined && !word.startsWith('-')) {
+            // MongoDB splits words on punctuation too, so `bins,` searches for `bins`.
+            terms.push(...word.toLowerCase().split(WORD_SEPARATOR).filter(Boolean));
+        }
+
+        match = pattern.exec(search);
+    }
+
+    return { terms: [...new Set(terms)], phrases: [...new Set(phrases)] };
+};
+
+/**
+ * @description Finds where the words and phrases of a search occur in a text. Words match at the start of a word, so `bin` highlights `bins`; words
+ *     that MongoDB matched by their stem but that don't start with the searched word aren't highlighted.
+ *
+ * @param    {String} text   The text.
+ * @param    {String} search The search.
+ * @returns  {Array<Object>} The `start` (inclusive) and `end` (exclusive) of each occurrence, in order and without overlaps.
+ */
+const findHighlights = (text, search) => {
+    const { terms, phrases } = parseSearch(search);
+    const patterns = [
+        ...terms.map(term => `(?<!${WORD_CHARACTER})${escapeRegExp(term)}${WORD_CHARACTER}*`),
+        ...phrases.map(phrase => phrase.split(/\s+/).map(escapeRegExp).join('\\s+'))
+    ];
+
+    if (patterns.length === 0) return [];
+
+    const ranges = [];
+    const pattern = new RegExp(patterns.join('|'), 'giu');
+
+    // Resume after the start of each match rather than its end, as one pattern may match inside another's match, such as a phrase within a word.
+    let match = pattern.exec(text);
+    while (match) {
+        if (match[0].length > 0) ranges.push({ start: match.index, end: match.index + match[0].length });
+
+        pattern.lastIndex = match.index + 1;
+        match = pattern.exec(text);
+    }
+
+    return ranges
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+                return merged;
+            }
+
+            return [...merged, { ...range }];
+        }, []);
+};
+
+/*
+ * Description:
+ * 1.) Find where the search occurs in the text.
+ * 2.) Short texts are shown whole. Long texts are cut to a window starting a little before the first highlight, without cutting words where possible,
+ *     and marked with ellipses where they were cut.
+ * 3.) Shift the highlights into the snippet, leaving out those outside of it.
+ */
+/**
+ * @description Builds a snippet of a text that matched a search, with the places it matched highlighted.
+ *
+ * @param    {String} text   The text.
+ * @param    {String} search The search.
+ * @returns  {Object} The `snippet`, and the `start` and `end` of each of its `highlights`.
+ */
+const getSnippet = (text, search) => {
+    const highlights = findHighlights(text, search);
+
+    if (text.length <= SNIPPET_LENGTH) return { snippet: text, highlights };
+
+    const [first = { start: 0, end: 0 }] = highlights;
+    let start = Math.max(0, Math.min(first.start - SNIPPET_LEAD, text.length - SNIPPET_LENGTH));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < first.start) start = space + 1;
+    }
+
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > first.end) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const offset = prefix.length - start;
+
+    return {
+        snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+        highlights: highlights
+            .filter(highlight => highlight.end > start && highlight.start < end)
+            .map(highlight => ({ start: Math.max(highlight.start, start) + offset, end: Math.min(highlight.end, end) + offset }))
+    };
+};
+
+module.exports = {
+    parseSearch,
+    getSnippet
+};
@@ -0,0 +1,119 @@
+/*
+ * File: signing-keys.js (src/utils/signing-keys.js)
+ *
+ * Description: Loads the keyring with which JSON Web Tokens are signed and verified. The keyring is read from the application config, validated, and
+ * prepared once, when the container is created, so that a malformed keyring stops the server from starting rather than failing every request, and
+ * so that the public keys of the asymmetric keys are only derived once.
+ */
+
+const crypto = require('crypto');
+
+// Utilities
+const { toPublicJWK, toPublicKeyPEM } = require('./jwk');
+
+// The algorithms keyring entries may use, with the type of key each needs. HS256 entries hold a shared `secret`, the others a PEM-encoded
+// `privateKey` (and optionally `publicKey`).
+const KEY_TYPES = Object.freeze({
+    HS256: 'oct',
+    RS256: 'RSA',
+    ES256: 'EC'
+});
+
+/*
+ * Description:
+ * 1.) Throw unless the entry names itself and a supported algorithm, and holds the key that the algorithm needs.
+ * 2.) Derive the public key of an asymmetric key from its private key, throwing if the private key can't sign, or if the public key given doesn't
+ *     match it.
+ */
+/**
+ * @description Validates a keyring entry and prepares it for signing and verifying.
+ *
+ * @param    {Object} entry The keyring entry, with its `kid`, `algorithm`, and `secret` or `privateKey` (and optionally `publicKey`).
+ * @returns  {Object} The key, with its `kid` and `algorithm`, the `signingKey` and `verificationKey` to pass to jsonwebtoken, and, for asymmetric keys,
+ *     the `jwk` of its public key.
+ */
+const loadKey = (entry) => {
+    const { kid, algorithm, secret, privateKey, publicKey } = entry && typeof entry === 'object' ? entry : {};
+
+    if (typeof kid !== 'string' || kid.length === 0) throw new Error('Each key of the signing keyring must have a `kid`.');
+
+    if (!Object.keys(KEY_TYPES).includes(algorithm)) {
+        throw new Error(`The signing key "${kid}" must use one of the algorithms ${Object.keys(KEY_TYPES).join(', ')}.`);
+    }
+
+    if (algorithm === 'HS256') {
+        if (typeof secret !== 'string' || secret.length === 0) throw new Error(`The signing key "${kid}" must have a \`secret\`.`);
+
+        return { kid, algorithm, signingKey: secret, verificationKey: secret };
+    }
+
+    let jwk;
+
+    try {
+        jwk = toPublicJWK(privateKey);
+        crypto.createSign('SHA256').update(kid).sign(privateKey);
+    } catch (err) {
+        throw new Error(`The \`privateKey\` of the signing key "${kid}" is invalid: ${err.message}`);
+    }
+
+    if (jwk.kty !== KEY_TYPES[algorithm]) throw new Error(`The signing key "${kid}" must be an ${KEY_TYPES[algorithm]} key to use ${algorithm}.`);
+
+    let publicJWK = jwk;
+
+    try {
+        if (publicKey !== undefined) publicJWK = toPublicJWK(publicKey);
+    } catch (err) {
+        throw new Error(`The \`publicKey\` of the signing key "${kid}" is invalid: ${err.message}`);
+    }
+
+    if (JSON.stringify(publicJWK) !== JSON.stringify(jwk)) throw new Error(`The \`publicKey\` of the signing key "${kid}" does not match its \`privateKey\`.`);
+
+    return {
+        kid,
+        algorithm,
+        signingKey: privateKey,
+        verificationKey: toPublicKeyPEM(jwk),
+        jwk: { ...jwk, kid, alg: algorithm, use: 'sig' }
+    };
+};
+
+/*
+ * Description:
+ * 1.) Validate and prepare each key, throwing if two keys share a `kid`.
+ * 2.) Find the active key, which is the first key unless another is named, throwing if the key named is not in the keyring.
+ */
+/**
+ * @description Loads the signing keyring, throwing an error that explains what is wrong with it if it is invalid.
+ *
+ * @param    {Array<Object>} entries       The keyring entries, see `authentication.signingKeys` in the application config.
+ * @param    {String}        [activeKeyId] The `kid` of the key that signs new tokens.
+ * @returns  {Object} The keyring, with the active key (`null` without a keyring), a function that finds a key by its `kid`, and a function that lists
+ *     the JWKs of the public keys.
+ */
+const loadSigningKeyring = (entries, activeKeyId) => {
+    if (!Array.isArray(entries)) throw new Error('The signing keyring must be a JSON array of keys.');
+
+    const keysById = new Map();
+
+    entries.map(loadKey).forEach((key) => {
+        if (keysById.has(key.kid)) throw new Error(`The signing keyring has more than one key "${key.kid}".`);
+        keysById.set(key.kid, key);
+    });
+
+    const keys = [...keysById.values()];
+    const activeKey = activeKeyId !== undefined ? keysById.get(activeKeyId) : keys[0];
+
+    if (activeKeyId !== undefined && !activeKey) throw new Error(`The active signing key "${activeKeyId}" is not in the keyring.`);
+
+    const publicJWKs = keys.filter(({ jwk }) => jwk).map(({ jwk }) => jwk);
+
+    return Object.freeze({
+        getActiveKey: () => activeKey || null,
+        findKey: kid => keysById.get(kid) || null,
+        getPublicJWKs: () => publicJWKs.map(jwk => ({ ...jwk }))
+    });
+};
+
+module.exports = {
+    loadSigningKeyring
+};
@@ -0,0 +1,37 @@
+/*
+ * File: sort.js (src/utils/sort.js)
+ *
+ * Description: Parses the `sortBy` query string parameter of list routes, a comma-separated list of sort keys such as `priority_desc,dueAt_asc`, where
+ * each key is a field optionally followed by `_asc` (the default) or `_desc`. Which fields may be sorted by is up to the service listing the resources.
+ */
+
+// Custom Exceptions
+const { ValidationError } = require('./../custom-exceptions/index');
+
+const DIRECTIONS = { asc: 1, desc: -1 };
+
+/**
+ * @description Parses a `sortBy` parameter into a sort object whose keys are in order of precedence, such as `{ priority: -1, dueAt: 1 }`.
+ *
+ * @param    {String} sortBy The comma-separated sort keys.
+ * @returns  {Object} The sort object, which is empty if there are no sort keys.
+ */
+const parseSortBy = (sortBy) => {
+    if (typeof sortBy !== 'string') throw new ValidationError(null, 'The "sortBy" parameter must be a list of sort keys.');
+
+    return sortBy.split(',').map(key => key.trim()).filter(Boolean).reduce((sort, key) => {
+        const [, field, direction = 'asc'] = /^([^_]+)(?:_(.*))?$/.exec(key) || [];
+
+        if (!field || !Object.keys(DIRECTIONS).includes(direction)) {
+            throw new ValidationError(null, `The sort key "${key}" is invalid. Sort keys are a field, optionally followed by "_asc" or "_desc".`);
+        }
+
+        if (Object.keys(sort).includes(field)) throw new ValidationError(null, `Can not sort by "${field}" twice.`);
+
+        return { ...sort, [field]: DIRECTIONS[direction] };
+    }, {});
+};
+
+module.exports = {
+    parseSortBy
+};
@@ -0,0 +1,103 @@
+/*
+ * File: time-zone.js (src/utils/time-zone.js)
+ *
+ * Description: Helpers for working with IANA time zones (such as `Europe/Berlin`) without a date library, built on the time zone support of `Intl`.
+ * Calendar days start at different instants in different time zones, so questions like "which tasks are due today?" depend on where the user is.
+ */
+
+/**
+ * @description Determines whether a string is an IANA time zone known to the runtime.
+ *
+ * @param    {String} timeZone The time zone.
+ * @returns  {Boolean} Whether the time zone is valid.
+ */
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+
+    try {
+        // Throws a RangeError for unknown time zones.
+        new Intl.DateTimeFormat('en-US', { timeZone }); // eslint-disable-line no-new
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * @description Reads the calendar date and wall-clock time at an instant in a time zone. Node.js 10 ignores the `hourCycle` option, and with `hour12`
+ *     off some versions of ICU show midnight as hour 24, which is read as hour 0 of the same day.
+ *
+ * @param    {Date}   date     The instant.
+ * @param    {String} timeZone The time zone.
+ * @returns  {Object} The `year`, `month` (1 to 12), `day`, `hour`, `minute`, and `second`.
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+
+    const values = parts
+        .filter(({ type }) => type !== 'literal')
+        .reduce((partValues, { type, value }) => ({ ...partValues, [type]: Number(value) }), {});
+
+    return { ...values, hour: values.hour % 24 };
+};
+
+/**
+ * @description Computes how far ahead of UTC a time zone is at an instant, which varies with daylight saving time.
+ *
+ * @param    {Date}   date     The instant.
+ * @param    {String} timeZone The time zone.
+ * @returns  {Number} The offset in milliseconds.
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+
+    return Date.UTC(year, month - 1, day, hour, minute, second) - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * @description Finds the instant at which a wall clock in a time zone shows a calendar date and time.
+ *
+ * @param    {Object} dateTime The `year`, `month` (1 to 12), `day`, and optional `hour`, `minute`, and `second`, where the day may overflow into the next
+ *     month.
+ * @param    {String} timeZone The time zone.
+ * @returns  {Date} The instant.
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+    const wallClockUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // The offset at the wall-clock time can differ from the offset hours earlier or later, so correct the first guess with the offset at that guess.
+    const guess = wallClockUTC - getTimeZoneOffset(new Date(wallClockUTC), timeZone);
+    return new Date(wallClockUTC - getTimeZoneOffset(new Date(guess), timeZone));
+};
+
+/**
+ * @description Finds the instants at which the calendar day containing `date` starts and ends in a time zone.
+ *
+ * @param    {Date}   date     An instant within the day.
+ * @param    {String} timeZone The time zone.
+ * @returns  {Object} The `start` (inclusive) and `end` (exclusive) of the day.
+ */
+const getZonedDayRange = (date, timeZone) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+
+    return {
+        start: zonedTimeToDate({ year, month, day }, timeZone),
+        end: zonedTimeToDate({ year, month, day: day + 1 }, timeZone)
+    };
+};
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToDate,
+    getZonedDayRange
+};
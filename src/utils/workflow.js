@@ -0,0 +1,117 @@
+/*
+ * File: workflow.js (src/utils/workflow.js)
+ *
+ * Description: Helpers for the workflows that tasks move through, such as from `todo` through `in-progress` to `done`. A workflow is a list of statuses,
+ * which are the columns of a board, in order. Tasks start in the first status and are completed in the last one, which keeps `completed` in step with
+ * the status. A status can limit the statuses that tasks move on to from it; otherwise they can move to any other.
+ */
+
+// Custom Exceptions
+const { ValidationError } = require('./../custom-exceptions/index');
+
+// The number of statuses a workflow can have.
+const MIN_STATUSES = 2;
+const MAX_STATUSES = 20;
+
+// Keys are lowercase words joined by hyphens, such as `in-progress`.
+const STATUS_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_KEY_LENGTH = 40;
+const MAX_NAME_LENGTH = 50;
+
+/*
+ * Description:
+ * 1.) Throw a ValidationError unless the workflow is a list of statuses, each with a distinct key and, optionally, a name, which defaults to the key.
+ * 2.) Throw a ValidationError unless the transitions of each status, where it limits them, name other statuses of the workflow.
+ */
+/**
+ * @description Validates a workflow that a user or project defines.
+ *
+ * @param    {Array<Object>} workflow The statuses, each with a `key`, a `name`, and the keys of the statuses it allows moving to as `transitions`.
+ * @returns  {Array<Object>} The statuses, with only the fields that make up a status.
+ */
+const validateWorkflow = (workflow) => {
+    if (!Array.isArray(workflow) || workflow.length < MIN_STATUSES || workflow.length > MAX_STATUSES) {
+        throw new ValidationError(null, `A workflow must be a list of ${MIN_STATUSES} to ${MAX_STATUSES} statuses.`);
+    }
+
+    const statuses = workflow.map((status) => {
+        const { key, name = key, transitions } = status && typeof status === 'object' ? status : {};
+
+        if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH || !STATUS_KEY_PATTERN.test(key)) {
+            throw new ValidationError(null, 'The key of a status must be lowercase letters and digits joined by hyphens, such as "in-progress".');
+        }
+
+        if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH) {
+            throw new ValidationError(null, `The name of the status "${key}" must be between 1 and ${MAX_NAME_LENGTH} characters long.`);
+        }
+
+        return transitions === undefined ? { key, name: name.trim() } : { key, name: name.trim(), transitions };
+    });
+
+    const keys = statuses.map(({ key }) => key);
+    if (new Set(keys).size !== keys.length) throw new ValidationError(null, 'The keys of the statuses of a workflow must be distinct.');
+
+    statuses.filter(({ transitions }) => transitions !== undefined).forEach(({ key, transitions }) => {
+        const isValid = Array.isArray(transitions)
+            && new Set(transitions).size === transitions.length
+            && transitions.every(to => to !== key && keys.includes(to));
+
+        if (!isValid) throw new ValidationError(null, `The status "${key}" can only allow moving to other statuses of the workflow, each once.`);
+    });
+
+    return statuses;
+};
+
+/**
+ * @description Finds the status in which tasks start.
+ *
+ * @param    {Array<Object>} workflow The statuses.
+ * @returns  {String} The key of the first status.
+ */
+const getInitialStatus = workflow => workflow[0].key;
+
+/**
+ * @description Finds the status in which tasks are completed.
+ *
+ * @param    {Array<Object>} workflow The statuses.
+ * @returns  {String} The key of the last status.
+ */
+const getTerminalStatus = workflow => workflow[workflow.length - 1].key;
+
+/**
+ * @description Finds the status of a task in a workflow. Tasks created before workflows were added have no status, and those in a status that the
+ *     workflow no longer has, such as after their project's workflow changed, are in the last status if completed and in the first otherwise.
+ *
+ * @param    {Array<Object>} workflow The statuses.
+ * @param    {Object}        task     The task.
+ * @returns  {String} The key of the status.
+ */
+const getEffectiveStatus = (workflow, task) => {
+    if (workflow.some(({ key }) => key === task.status)) return task.status;
+
+    return task.completed ? getTerminalStatus(workflow) : getInitialStatus(workflow);
+};
+
+/**
+ * @description Checks whether tasks can move from one status of a workflow to another. Staying in a status is always allowed.
+ *
+ * @param    {Array<Object>} workflow The statuses.
+ * @param    {String}        from     The key of the status the task is in.
+ * @param    {String}        to       The key of the status the task moves to.
+ * @returns  {Boolean} Whether the move is allowed.
+ */
+const canTransition = (workflow, from, to) => {
+    if (from === to) return true;
+
+    const { transitions } = workflow.find(({ key }) => key === from);
+
+    return !transitions || transitions.includes(to);
+};
+
+module.exports = {
+    validateWorkflow,
+    getInitialStatus,
+    getTerminalStatus,
+    getEffectiveStatus,
+    canTransition
+};